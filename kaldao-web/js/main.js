@@ -17,6 +17,21 @@ import { UIManager } from './modules/ui.js';
 import { FileManager } from './modules/fileIO.js';
 import { DebugUIManager } from './modules/debug-ui.js'; // NEW: Mathematical exploration interface
 import { ColorManager } from './modules/color.js'; // NEW: Dedicated color system management
+import { TimelineManager } from './modules/timeline.js'; // Keyframe automation for any parameter
+import { ExportManager } from './modules/exporter.js';   // Offline fixed-timestep frame export
+import { CaptureManager } from './modules/capture.js';   // Tiled high-resolution still capture
+import { PresetBrowser } from './modules/preset-browser.js'; // Settings preset library with thumbnails
+import { StorageManager } from './modules/storage.js';  // IndexedDB library and session autosave
+import { MorphEngine } from './modules/morph.js';       // Timed transitions between states
+import { Crossfader } from './modules/crossfader.js';   // A/B deck crossfader
+import { MidiController } from './modules/midi.js';     // Web MIDI input with MIDI-learn
+import { RemoteControl } from './modules/remote.js';    // OSC-style remote control over a WebSocket bridge
+import { TempoTracker } from './modules/tempo.js';      // BPM detection, tap tempo and tempo-locked speeds
+import { LFOMatrix } from './modules/lfo.js';           // Oscillators modulating parameters without audio
+import { AudioPlaylist } from './modules/playlist.js';  // Audio file set list with seek, A-B loop and rate
+import { FEATURE_INDEX } from './modules/spectrum.js';    // Layout of the analysis worklet's feature frames
+import { DEFAULT_POST_CHAIN } from './modules/post-process.js'; // Default order of the post-processing passes
+import { AdaptiveResolution } from './modules/resolution.js'; // Render resolution that follows the frame rate
 
 class KaldaoApp {
     constructor() {
@@ -31,6 +46,19 @@ class KaldaoApp {
         this.fileManager = new FileManager();         // State persistence and sharing
         this.debugUI = new DebugUIManager();          // Mathematical exploration interface
         this.color = new ColorManager();              // Color system management
+        this.timeline = new TimelineManager();        // Keyframe automation and playback
+        this.exporter = new ExportManager();          // Offline PNG sequence / WebM export
+        this.capture = new CaptureManager();          // Poster-size tiled stills
+        this.presetBrowser = new PresetBrowser();     // Settings preset library
+        this.storage = new StorageManager();          // Local library and session autosave
+        this.morph = new MorphEngine();               // Preset/randomize morphing
+        this.crossfader = new Crossfader();           // A/B deck mixing for live sets
+        this.midi = new MidiController();             // Hardware knobs, faders and pads
+        this.remote = new RemoteControl();            // TouchOSC / Max / lighting desk control
+        this.tempo = new TempoTracker();              // Beat clock for tempo-synced animation
+        this.lfo = new LFOMatrix();                   // LFO modulation matrix
+        this.playlist = new AudioPlaylist();          // Audio file transport and set list
+        this.resolution = new AdaptiveResolution();   // Drawing buffer size that holds 60 FPS
         
         // APPLICATION STATE MANAGEMENT
         // These variables track the current operational context and user preferences
@@ -39,6 +67,19 @@ class KaldaoApp {
         // Animation control (affects both artistic and mathematical exploration)
         this.animationPaused = false;
         
+        // Animation clock configuration
+        // Real-time mode uses measured wall-clock deltas so the tunnel moves at the same speed on
+        // 60 Hz, 144 Hz and struggling displays. Fixed-step mode advances exactly one fixedStep per
+        // frame, which is what deterministic capture needs.
+        this.timing = {
+            mode: 'realtime',                         // 'realtime' or 'fixed'
+            fixedStep: 1.0 / 60.0,                    // Seconds advanced per frame in fixed-step mode
+            timeScale: 1.0,                           // Global multiplier applied to every animation delta
+            maxDeltaTime: 0.1,                        // Clamp for tab resumes and long stalls (seconds)
+            minTimeScale: 0.0,
+            maxTimeScale: 4.0
+        };
+        
         // Artistic interface state (unchanged from original system)
         this.currentParameterIndex = 0;               // Which artistic parameter is currently selected
         this.currentPaletteIndex = 0;                 // Which color palette is active
@@ -93,7 +134,20 @@ class KaldaoApp {
             this.audio.init(this);                    // Audio analysis system
             this.fileManager.init(this);              // State persistence system
             this.debugUI.init(this);                  // Mathematical exploration interface
+            this.timeline.init(this);                 // Keyframe automation system
+            this.exporter.init(this);                 // Offline frame export system
+            this.capture.init(this);                  // High-res still capture system
+            this.morph.init(this);                    // Preset morphing engine
+            this.crossfader.init(this);               // A/B deck crossfader
+            this.midi.init(this);                     // MIDI input (connects on first learn or when bindings load)
+            this.tempo.init(this);                    // Tempo tracker (fed by the audio analysis)
+            this.lfo.init(this);                      // LFO modulation matrix
+            this.playlist.init(this);                 // Audio playlist (plays through the audio system)
+            this.resolution.init(this);               // Adaptive resolution (measures the render loop)
             await this.color.init(this);              // Color system management (async for preset loading)
+            await this.presetBrowser.init(this);      // Settings preset library (async for manifest loading)
+            await this.storage.init(this);            // Local library (after color so stored palettes append to the presets)
+            this.remote.init(this);                   // Remote control (last - incoming messages may touch any module)
             console.log('✅ All interface and control systems initialized');
             
             // PHASE 3: System integration and event handling
@@ -106,6 +160,14 @@ class KaldaoApp {
             this.ui.updateDisplay();
             this.ui.showControls();
             
+            // Apply a shared ?kaldao= link if the page was opened from one,
+            // otherwise pick up where the last session left off
+            const loadedFromLink = await this.fileManager.importFromURL();
+            if (!loadedFromLink) {
+                await this.storage.restoreSession();
+            }
+            this.storage.startAutosave();
+            
             // PHASE 5: Begin the main application loop
             // This starts the continuous rendering and state update cycle
             this.startRenderLoop();
@@ -164,7 +226,8 @@ class KaldaoApp {
             const performanceRatio = this.performanceMetrics.averageFrameTime / targetFrameTime;
             
             // Warn users if mathematical complexity is affecting performance
-            if (performanceRatio > 1.5 && this.debugMenuVisible) {
+            // (only once adaptive resolution has nothing left to give)
+            if (performanceRatio > 1.5 && this.debugMenuVisible && !this.resolution.canScaleDown()) {
                 this.ui.updateStatus('⚠️ Complex mathematical parameters may be affecting performance', 'warning');
             }
         }, 5000); // Check every 5 seconds
@@ -229,6 +292,242 @@ class KaldaoApp {
             getPerformanceMetrics: () => {
                 console.table(this.performanceMetrics);
                 return this.performanceMetrics;
+            },
+            
+            // Animation clock control
+            setTimeScale: (scale) => {
+                this.setTimeScale(scale);
+                return this.timing.timeScale;
+            },
+            
+            setTimingMode: (mode, fixedStep = null) => {
+                this.setTimingMode(mode, fixedStep);
+                return { ...this.timing };
+            },
+            
+            // Offline export - e.g. exportSequence({ width: 3840, height: 2160, fps: 60, duration: 20, format: 'webm' })
+            exportSequence: (options = {}) => {
+                return this.exporter.startExport(options);
+            },
+            
+            cancelExport: () => {
+                this.exporter.cancelExport();
+            },
+            
+            // Compact share link for the current look
+            shareURL: () => {
+                return this.fileManager.exportAsURL();
+            },
+            
+            // Tiled still capture - e.g. captureStill({ preset: '16K' }) or captureStill({ width: 12000, height: 8000 })
+            captureStill: (options = {}) => {
+                return this.capture.captureHighResStill(options);
+            },
+            
+            // Local library - the autosaved session is restored on every load until cleared
+            clearSession: () => {
+                return this.storage.clearSession();
+            },
+            
+            setAutosave: (enabled) => {
+                this.storage.autosaveEnabled = !!enabled;
+                console.log(`💾 Session autosave ${this.storage.autosaveEnabled ? 'enabled' : 'disabled'}`);
+            },
+            
+            // Preset morphing - e.g. setMorph({ duration: 4, easing: 'smooth' }); duration 0 snaps
+            setMorph: (options = {}) => {
+                if (options.enabled !== undefined) this.morph.enabled = !!options.enabled;
+                if (options.duration !== undefined) this.morph.setDuration(options.duration);
+                if (options.easing !== undefined) this.morph.setEasing(options.easing);
+                return { enabled: this.morph.enabled, duration: this.morph.duration, easing: this.morph.easing };
+            },
+            
+            morphToPreset: (id) => {
+                return this.presetBrowser.applyPreset(id);
+            },
+            
+            // Crossfader - e.g. loadDeck('A', 'deep-ocean'), loadDeck('B') for the current look, crossfade(0.5)
+            loadDeck: (deck, presetId) => {
+                if (presetId) {
+                    return this.crossfader.loadDeckFromPreset(deck, presetId);
+                }
+                this.crossfader.loadDeckFromCurrent(deck);
+                return true;
+            },
+            
+            crossfade: (position) => {
+                this.crossfader.setPosition(position);
+                return this.crossfader.position;
+            },
+            
+            // MIDI - midiConnect(mockAccess) uses a virtual port or mock instead of hardware,
+            // midiLearn('fly_speed' | { target: 'crossfader' } | { target: 'preset', id: 'deep-ocean' } | { target: 'randomize' }),
+            // midiSend([0xB0, 21, 64]) feeds a raw message through the same path as a device
+            midiConnect: (midiAccess = null) => {
+                return this.midi.connect(midiAccess);
+            },
+            
+            midiLearn: (target) => {
+                return this.midi.startLearn(target);
+            },
+            
+            midiSend: (data) => {
+                this.midi.handleMessage(data);
+            },
+            
+            midiBindings: () => {
+                return this.midi.getState().bindings;
+            },
+            
+            midiClear: () => {
+                this.midi.clearAllBindings();
+                console.log('🎹 All MIDI bindings cleared');
+            },
+            
+            // Remote control - connects to tools/remote-bridge.js (default ws://localhost:8765)
+            remoteConnect: (url) => {
+                this.remote.connect(url || this.remote.url);
+            },
+            
+            remoteDisconnect: () => {
+                this.remote.disconnect();
+            },
+            
+            // Feed an OSC-style message through the same path as the bridge
+            remoteSend: (address, ...args) => {
+                this.remote.handleMessage(address, args);
+            },
+            
+            // Open the companion control page with this visualizer's pairing code - pairs through
+            // this browser, or through the relay when given
+            remotePage: (relayUrl) => {
+                const relay = relayUrl ? `&relay=${encodeURIComponent(relayUrl)}` : '';
+                window.open(`remote.html?code=${this.remote.pairingCode}${relay}`, 'kaldaoRemote');
+            },
+            
+            // Tempo - kaldaoDebug.setBPM(128), kaldaoDebug.tempoLock('fly_speed', 'bar')
+            setBPM: (bpm) => {
+                this.tempo.setBPM(bpm);
+                console.log(`🥁 Tempo set to ${this.tempo.bpm} BPM (detection off)`);
+            },
+            
+            tempoLock: (key, division = 'beat') => {
+                this.tempo.setLock(key, division);
+                console.log(division ? `🥁 ${key} locked to ${division}` : `🥁 ${key} unlocked`);
+            },
+            
+            tempo: () => {
+                return {
+                    bpm: this.tempo.bpm,
+                    confidence: this.tempo.confidence,
+                    source: this.tempo.source,
+                    beatPhase: this.tempo.getPhase('beat'),
+                    barPhase: this.tempo.getPhase('bar'),
+                    phrasePhase: this.tempo.getPhase('phrase'),
+                    locks: { ...this.tempo.locks }
+                };
+            },
+            
+            // Frequency bands - kaldaoDebug.setBandLayout('thirdOctave') or a { bands: [{ key, name, low, high }] } layout
+            setBandLayout: (layout) => {
+                const dropped = this.audio.setBandLayout(layout);
+                console.log(`🎚️ Band layout ${this.audio.bandLayout.id} (${this.audio.bandLayout.bands.length} bands), ${dropped} mappings dropped`);
+            },
+            
+            bands: () => {
+                return Object.entries(this.audio.frequencyBands).map(([key, band]) => ({
+                    key, low: band.low, high: band.high, bins: `${band.start}-${band.end}`, value: band.value
+                }));
+            },
+
+            // Post-processing order - kaldaoDebug.setPostChain(['pixelate', 'vignette', 'grain']); passes left out are off
+            setPostChain: (ids) => {
+                if (!this.renderer.postProcessor) {
+                    console.warn('✨ Post-processing is not available on this GPU');
+                    return null;
+                }
+                const chain = this.renderer.postProcessor.setChain(ids || DEFAULT_POST_CHAIN);
+                console.log(`✨ Post chain: ${chain.join(' → ') || '(none)'}`);
+                return chain;
+            },
+
+            // Where live analysis runs, and the newest worklet feature frame
+            analysis: () => {
+                const frame = this.audio.lastFeatureFrame;
+                return {
+                    worklet: !!this.audio.analysisNode,
+                    queuedFrames: this.audio.featureFrames.length,
+                    latest: frame ? {
+                        time: frame.time,
+                        level: frame.features[FEATURE_INDEX.level],
+                        rms: frame.features[FEATURE_INDEX.rms],
+                        peak: frame.features[FEATURE_INDEX.peak],
+                        centroid: frame.features[FEATURE_INDEX.centroid],
+                        onsets: frame.onsets
+                    } : null
+                };
+            },
+
+            // LFOs - kaldaoDebug.addLFO('zoom_level', { shape: 'triangle', rate: 0.1, depth: 0.3 })
+            addLFO: (key, settings = {}) => {
+                const lfo = this.lfo.addLFO(key, settings);
+                if (lfo) console.log(`〰️ LFO ${lfo.id}: ${lfo.shape} on ${key} at ${lfo.rate} Hz, depth ${lfo.depth}`);
+                return lfo ? lfo.id : null;
+            },
+            
+            removeLFO: (id) => {
+                this.lfo.removeLFO(id);
+            },
+            
+            lfos: () => {
+                return this.lfo.lfos.map(lfo => ({
+                    ...lfo, value: this.parameters.getValue(lfo.target), base: this.parameters.getBaseValue(lfo.target)
+                }));
+            },
+            
+            // Adaptive resolution - kaldaoDebug.setResolutionScale(1.5) locks, kaldaoDebug.setResolutionRange(0.5, 2) allows supersampling
+            resolution: () => this.resolution.getStatus(),
+            
+            setResolutionScale: (scale) => this.resolution.setScale(scale),
+            
+            setResolutionRange: (minScale, maxScale) => this.resolution.setRange(minScale, maxScale),
+            
+            // Playlist - kaldaoDebug.playTrack(2), kaldaoDebug.seek(90), kaldaoDebug.setLoop(32, 48)
+            playlist: () => {
+                const element = this.audio.audioElement;
+                return {
+                    current: this.playlist.currentIndex,
+                    time: element ? element.currentTime : null,
+                    rate: this.playlist.playbackRate,
+                    repeat: this.playlist.repeatMode,
+                    tracks: this.playlist.tracks.map(track => ({
+                        name: track.name, duration: track.duration, loop: { ...track.loop },
+                        mappingSet: track.mappingSet, preset: track.preset
+                    }))
+                };
+            },
+            
+            playTrack: (index) => this.playlist.playTrack(index),
+            
+            seek: (seconds) => {
+                this.playlist.seek(seconds);
+            },
+            
+            setLoop: (a, b) => this.playlist.setLoop(a, b),
+            
+            setPlaybackRate: (rate) => {
+                this.playlist.setPlaybackRate(rate);
+                console.log(`🎶 Playback rate ${this.playlist.playbackRate}×`);
+            },
+            
+            // Per-track recall - kaldaoDebug.setTrackRecall(0, { mappingSet: 'Techno', preset: 'deep-ocean' })
+            setTrackRecall: (index, { mappingSet = null, preset = null } = {}) => {
+                const track = this.playlist.tracks[index];
+                if (!track) return false;
+                track.mappingSet = mappingSet;
+                track.preset = preset;
+                this.playlist.renderTrackList();
+                return true;
             }
         };
         
@@ -249,11 +548,43 @@ class KaldaoApp {
                 const actualFrameTime = currentTimestamp - lastFrameTimestamp;
                 lastFrameTimestamp = currentTimestamp;
                 
-                const deltaTime = 1.0 / 60.0; // Target 60 FPS for smooth mathematical animation
+                // Offline export and tiled capture own the canvas and the animation clock while they run
+                if (this.exporter.exportInProgress || this.capture.captureInProgress) {
+                    requestAnimationFrame(render);
+                    return;
+                }
+                
+                // After a WebGL context loss nothing is drawn or advanced until the renderer has rebuilt
+                if (this.renderer.contextLost) {
+                    requestAnimationFrame(render);
+                    return;
+                }
+                
+                // Convert the measured frame time into the animation delta for this frame
+                // (wall-clock or fixed-step, clamped and scaled - see computeDeltaTime)
+                const deltaTime = this.computeDeltaTime(actualFrameTime);
                 
                 // MATHEMATICAL STATE UPDATES
                 // These updates drive the continuous evolution of the fractal mathematics
                 
+                // Advance any running preset morph on real time (unaffected by pause and time scale)
+                this.morph.update(Math.min(actualFrameTime / 1000.0, this.timing.maxDeltaTime));
+                
+                // The beat clock follows the music, so it also runs on real time
+                this.tempo.update(Math.min(actualFrameTime / 1000.0, this.timing.maxDeltaTime));
+                
+                // LFOs run on animation time - they hold still (but keep their offsets) while paused
+                this.lfo.update(this.animationPaused ? 0 : deltaTime);
+                
+                // Advance timeline automation first so keyframed values become the new base values
+                // Audio reactivity then modulates on top of the automated values
+                if (!this.animationPaused) {
+                    this.timeline.update(deltaTime);
+                }
+                
+                // Keep an A-B loop tight - checked every frame rather than on the element's slow timeupdate
+                this.playlist.update();
+                
                 // Apply audio reactivity before updating time accumulation
                 // This allows sound to modulate the mathematical parameters in real-time
                 if (this.audio.isReactive()) {
@@ -266,16 +597,13 @@ class KaldaoApp {
                     this.parameters.updateTimeAccumulation(deltaTime);
                 }
 
+                // Preset thumbnails borrow the canvas just before the live frame overwrites it
+                this.presetBrowser.renderPendingThumbnail();
+                
                 // RENDER THE FRAME
                 // The renderer receives ALL parameters (artistic + mathematical) and creates the visual output
                 // This is where mathematics transforms into visual art
-                this.renderer.render(this.parameters, {
-                    useColorPalette: this.useColorPalette,
-                    invertColors: this.invertColors,
-                    currentPaletteIndex: this.currentPaletteIndex,
-                    debugMode: this.debugMenuVisible,        // Let renderer optimize for exploration vs. presentation
-                    frameNumber: this.performanceMetrics.frameCount
-                });
+                this.renderer.render(this.parameters, this.getRenderState(this.animationPaused ? 0 : deltaTime));
                 
                 // PERFORMANCE TRACKING
                 // Monitor performance to help users understand the computational cost of their mathematical choices
@@ -283,6 +611,9 @@ class KaldaoApp {
                 const jsExecutionTime = frameEndTime - frameStartTime;
                 this.updatePerformanceMetrics(jsExecutionTime, actualFrameTime);
                 
+                // Trade resolution for frame rate (or back) once frame times settle over or under budget
+                this.resolution.update(actualFrameTime);
+                
                 // Continue the rendering loop
                 requestAnimationFrame(render);
                 
@@ -297,10 +628,83 @@ class KaldaoApp {
         };
         
         // Begin the rendering loop
-        render();
+        render(performance.now());
         console.log('🎬 Rendering loop started - mathematical visualization active');
     }
     
+    // RENDER STATE
+    // The presentation flags the renderer needs alongside the parameters
+    // Shared by the live loop and the offline exporter so both draw identical frames
+    // frameDelta: animation seconds since the previous frame of the live sequence. Feedback trails
+    // only build up across frames rendered with one - stills and thumbnails leave it out.
+    getRenderState(frameDelta = null) {
+        return {
+            useColorPalette: this.useColorPalette,
+            invertColors: this.invertColors,
+            currentPaletteIndex: this.currentPaletteIndex,
+            // Blended palette coefficients while morphing or while the crossfader is engaged
+            paletteOverride: this.morph.getPaletteOverride() || this.crossfader.getPaletteOverride(),
+            debugMode: this.debugMenuVisible,        // Let renderer optimize for exploration vs. presentation
+            frameNumber: this.performanceMetrics.frameCount,
+            frameDelta
+        };
+    }
+    
+    // ANIMATION CLOCK
+    // Turns the measured frame time (milliseconds) into the animation delta (seconds)
+    // that drives camera_position, rotation_time, plane_rotation_time and color_time
+    computeDeltaTime(actualFrameTime) {
+        let deltaTime;
+        
+        if (this.timing.mode === 'fixed') {
+            // Deterministic: every rendered frame advances the same amount of animation time
+            deltaTime = this.timing.fixedStep;
+        } else {
+            // Wall-clock: use the real time since the previous frame
+            deltaTime = actualFrameTime / 1000.0;
+            
+            // Guard against bad timestamps and clamp huge gaps (backgrounded tab, debugger pause)
+            // so the tunnel doesn't teleport forward when the page resumes
+            if (!Number.isFinite(deltaTime) || deltaTime < 0) {
+                deltaTime = 0;
+            }
+            deltaTime = Math.min(deltaTime, this.timing.maxDeltaTime);
+        }
+        
+        return deltaTime * this.timing.timeScale;
+    }
+    
+    setTimeScale(scale) {
+        const clamped = Math.max(this.timing.minTimeScale, Math.min(this.timing.maxTimeScale, scale));
+        this.timing.timeScale = Math.round(clamped * 100) / 100;
+        this.ui.updateStatus(`⏱️ Time scale: ${this.timing.timeScale.toFixed(2)}×`, 'info');
+    }
+    
+    adjustTimeScale(delta) {
+        this.setTimeScale(this.timing.timeScale + delta);
+    }
+    
+    setTimingMode(mode, fixedStep = null) {
+        if (mode !== 'realtime' && mode !== 'fixed') {
+            this.ui.updateStatus(`Unknown timing mode: ${mode}`, 'error');
+            return;
+        }
+        
+        this.timing.mode = mode;
+        if (fixedStep !== null && fixedStep > 0) {
+            this.timing.fixedStep = fixedStep;
+        }
+        
+        const description = mode === 'fixed' ?
+            `fixed step (${(1 / this.timing.fixedStep).toFixed(0)} steps/s)` :
+            'real-time';
+        this.ui.updateStatus(`⏱️ Animation clock: ${description}`, 'info');
+    }
+    
+    toggleTimingMode() {
+        this.setTimingMode(this.timing.mode === 'fixed' ? 'realtime' : 'fixed');
+    }
+    
     // PERFORMANCE METRICS TRACKING
     // This helps users understand the computational complexity of their mathematical explorations
     updatePerformanceMetrics(jsExecutionTime, actualFrameTime = null) {
@@ -336,6 +740,9 @@ class KaldaoApp {
     // It's designed to make exploration safe by ensuring everything can be undone
     
     saveStateForUndo() {
+        // Every undoable edit is a change made outside the crossfader, so it takes the look off the mix
+        this.crossfader.release();
+        
         // Create a comprehensive snapshot of the current application state
         // This includes both artistic preferences and mathematical parameter values
         const state = {
@@ -380,6 +787,9 @@ class KaldaoApp {
             return;
         }
         
+        // Land any running morph so redo returns to its target rather than a midpoint
+        this.morph.finish();
+        
         // Save current state to redo stack before undoing
         const currentState = this.createCurrentStateSnapshot();
         this.redoStack.push(currentState);
@@ -400,6 +810,8 @@ class KaldaoApp {
             return;
         }
         
+        this.morph.finish();
+        
         // Save current state to undo stack before redoing
         const currentState = this.createCurrentStateSnapshot();
         this.undoStack.push(currentState);
@@ -433,6 +845,8 @@ class KaldaoApp {
     // Restores a complete application state from a snapshot
     // This handles both artistic and mathematical parameter restoration seamlessly
     restoreState(state) {
+        this.crossfader.release();
+        
         // Restore all parameter values (both artistic and mathematical)
         this.parameters.setState(state.parameters);
         
@@ -477,6 +891,8 @@ class KaldaoApp {
             // Operational mode status
             debugModeActive: this.debugMenuVisible,
             animationPaused: this.animationPaused,
+            timingMode: this.timing.mode,
+            timeScale: this.timing.timeScale,
             
             // Audio system status
             audioReactive: this.audio.isReactive(),
@@ -487,6 +903,7 @@ class KaldaoApp {
             averageFrameTime: `${this.performanceMetrics.averageFrameTime.toFixed(2)}ms`,
             estimatedFPS: Math.round(1000 / this.performanceMetrics.averageFrameTime),
             totalFramesRendered: this.performanceMetrics.frameCount,
+            resolutionScale: `${this.renderer.resolutionScale.toFixed(2)}×${this.resolution.locked ? ' (locked)' : ''}`,
             
             // Mathematical exploration analytics
             debugParameterChanges: this.debugParameterChangeCount,
@@ -507,7 +924,7 @@ class KaldaoApp {
             // Start basic rendering loop without advanced features
             const basicRender = () => {
                 if (!this.animationPaused) {
-                    this.parameters.updateTimeAccumulation(1.0 / 60.0);
+                    this.parameters.updateTimeAccumulation(this.timing.fixedStep * this.timing.timeScale);
                 }
                 
                 try {
@@ -0,0 +1,154 @@
+// Frequency band layouts
+// Bands are defined in Hz and only turned into analyser bin ranges against the actual sample rate
+// and FFT size (getBandBins), so the same layout measures the same frequencies at 44.1 kHz,
+// 48 kHz or 96 kHz, and from the offline export analyser.
+//
+// Layout: { id, bands: [{ key, name, label, low, high }] }  - low/high in Hz, key used by audio mappings,
+//         label is the short equalizer caption
+// The built-in layouts can be copied and edited; an edited layout has the id 'custom'.
+
+import { isPlainName } from './sanitize.js';
+
+export const DEFAULT_BAND_LAYOUT = 'tenBand';
+
+// Hz ranges behind the fixed bass/mid/treble sources - the same whatever band layout is loaded
+export const LEGACY_BANDS = {
+    bass: [60, 250],
+    mid: [500, 2000],
+    treble: [2000, 6000]
+};
+
+// Limits for hand-edited layouts
+const MAX_BANDS = 64;
+const MAX_BAND_HZ = 48000;
+const BAND_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+// ISO third-octave centre frequencies, 25 Hz - 20 kHz
+const THIRD_OCTAVE_CENTERS = [
+    25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+    1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+];
+
+export function formatHz(hz) {
+    if (hz >= 1000) {
+        const khz = hz / 1000;
+        return `${Number.isInteger(khz) ? khz : khz.toFixed(1).replace(/\.0$/, '')}k`;
+    }
+    return `${Math.round(hz * 10) / 10}`;
+}
+
+export const BAND_LAYOUTS = {
+    threeBand: {
+        name: '3-Band',
+        bands: [
+            { key: 'lows', name: 'Lows', label: 'Lows', low: 20, high: 250 },
+            { key: 'mids', name: 'Mids', label: 'Mids', low: 250, high: 4000 },
+            { key: 'highs', name: 'Highs', label: 'Highs', low: 4000, high: 20000 }
+        ]
+    },
+    // Keys match the original fixed bands, so older mapping files keep working
+    tenBand: {
+        name: '10-Band',
+        bands: [
+            { key: 'subBass', name: 'Sub-Bass', label: 'Sub', low: 20, high: 60 },
+            { key: 'bass', name: 'Bass', label: 'Bass', low: 60, high: 250 },
+            { key: 'lowMid', name: 'Low-Mid', label: 'LMid', low: 250, high: 500 },
+            { key: 'mid', name: 'Mid', label: 'Mid', low: 500, high: 2000 },
+            { key: 'highMid', name: 'High-Mid', label: 'HMid', low: 2000, high: 4000 },
+            { key: 'presence', name: 'Presence', label: 'Pres', low: 4000, high: 6000 },
+            { key: 'brilliance', name: 'Brilliance', label: 'Brill', low: 6000, high: 8000 },
+            { key: 'air', name: 'Air', label: 'Air', low: 8000, high: 12000 },
+            { key: 'ultra', name: 'Ultra', label: 'Ultra', low: 12000, high: 16000 },
+            { key: 'super', name: 'Super', label: 'Super', low: 16000, high: 20000 }
+        ]
+    },
+    thirdOctave: {
+        name: 'Third-Octave',
+        bands: THIRD_OCTAVE_CENTERS.map(center => ({
+            key: `hz${String(center).replace('.', '_')}`,
+            name: `${formatHz(center)} Hz`,
+            label: formatHz(center),
+            low: Math.round(center / Math.pow(2, 1 / 6) * 10) / 10,
+            high: Math.round(center * Math.pow(2, 1 / 6) * 10) / 10
+        }))
+    }
+};
+
+export function isBuiltInLayout(id) {
+    return typeof id === 'string' && Object.prototype.hasOwnProperty.call(BAND_LAYOUTS, id);
+}
+
+// A fresh, editable copy of a built-in layout
+export function createBandLayout(id = DEFAULT_BAND_LAYOUT) {
+    const preset = isBuiltInLayout(id) ? BAND_LAYOUTS[id] : null;
+    if (!preset) {
+        throw new Error(`Unknown band layout '${id}' (${Object.keys(BAND_LAYOUTS).join(', ')})`);
+    }
+    return { id, bands: preset.bands.map(band => ({ ...band })) };
+}
+
+// Check a layout from a file, a share link or the band editor.
+// Returns { layout, problems } - layout is null when nothing usable is left.
+export function sanitizeBandLayout(layout) {
+    const problems = [];
+    if (!layout || typeof layout !== 'object' || !Array.isArray(layout.bands)) {
+        return { layout: null, problems: ['not a band layout'] };
+    }
+
+    const keys = new Set();
+    const bands = [];
+    layout.bands.slice(0, MAX_BANDS).forEach((band, index) => {
+        const label = band && band.key ? band.key : `#${index + 1}`;
+        if (!band || !BAND_KEY_PATTERN.test(band.key)) {
+            problems.push(`${label}: invalid key`);
+        } else if (keys.has(band.key)) {
+            problems.push(`${label}: duplicate key`);
+        } else if (!Number.isFinite(band.low) || !Number.isFinite(band.high) || band.low < 0 || band.high <= band.low || band.high > MAX_BAND_HZ) {
+            problems.push(`${label}: invalid range`);
+        } else {
+            keys.add(band.key);
+            // Names and labels are shown in the band editor and mapping lists - plain text only,
+            // otherwise the key (and a label cut from the name) stands in
+            const trimmedName = typeof band.name === 'string' ? band.name.slice(0, 32) : '';
+            const name = isPlainName(trimmedName) ? trimmedName : band.key;
+            const trimmedLabel = typeof band.label === 'string' ? band.label.slice(0, 8) : '';
+            const label = isPlainName(trimmedLabel) ? trimmedLabel : name.slice(0, 5);
+            if (band.name && name !== trimmedName) problems.push(`${band.key}: name is not plain text`);
+            if (band.label && label !== trimmedLabel) problems.push(`${band.key}: label is not plain text`);
+            bands.push({ key: band.key, name, label, low: band.low, high: band.high });
+        }
+    });
+    if (layout.bands.length > MAX_BANDS) {
+        problems.push(`only the first ${MAX_BANDS} bands are kept`);
+    }
+
+    if (bands.length === 0) {
+        return { layout: null, problems };
+    }
+
+    const id = isBuiltInLayout(layout.id) && sameBands(bands, BAND_LAYOUTS[layout.id].bands) ? layout.id : 'custom';
+    return { layout: { id, bands }, problems };
+}
+
+function sameBands(a, b) {
+    return a.length === b.length && a.every((band, i) =>
+        band.key === b[i].key && band.name === b[i].name && band.low === b[i].low && band.high === b[i].high);
+}
+
+// Analyser bin range [start, end) for a band. Bin k covers k * binHz up to (k + 1) * binHz.
+// Bands narrower than a bin still read the one bin they fall in; bands above Nyquist read nothing.
+export function getBandBins(band, binHz, binCount) {
+    const start = Math.min(binCount, Math.floor(band.low / binHz));
+    const end = Math.min(binCount, Math.max(start + 1, Math.ceil(band.high / binHz)));
+    return { start, end };
+}
+
+// Average level (0-1) of a 0-255 spectrum over a Hz range
+export function getSpectrumLevel(spectrum, binHz, low, high) {
+    const { start, end } = getBandBins({ low, high }, binHz, spectrum.length);
+    if (end <= start) return 0;
+
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += spectrum[i];
+    return sum / (end - start) / 255.0;
+}
@@ -0,0 +1,102 @@
+// Audio mapping response shaping
+// Turns a raw 0-1 audio source value into the signal a parameter mapping applies:
+//   gate → input range → envelope follower (attack/release) → response curve → invert
+// and blends it into the parameter value. A mapping without these fields behaves exactly like
+// the original source × sensitivity multiplier.
+//
+// Mapping fields (all optional, see MAPPING_RESPONSE_DEFAULTS):
+//   attack, release  - envelope follower time constants in ms (0 = follow instantly)
+//   gate             - raw input below this reads as silence
+//   rangeMin/Max     - raw input window stretched to 0-1 (quiet sources can use the whole range)
+//   curve            - 'linear' | 'exponential' | 'log' | 'sCurve'
+//   invert           - loud pulls the parameter down instead of up
+//   blend            - 'multiply': base × (1 + signal × sensitivity)
+//                      'add':      base + signal × sensitivity × parameter span
+//                      'set':      parameter min → max following signal × sensitivity
+
+export const MAPPING_RESPONSE_DEFAULTS = {
+    attack: 0,
+    release: 0,
+    gate: 0,
+    rangeMin: 0,
+    rangeMax: 1,
+    curve: 'linear',
+    invert: false,
+    blend: 'multiply'
+};
+
+// Allowed ranges for the numeric fields (the menu sliders and the save file validator use these)
+export const MAPPING_RESPONSE_LIMITS = {
+    attack: { min: 0, max: 2000, step: 10 },
+    release: { min: 0, max: 5000, step: 10 },
+    gate: { min: 0, max: 1, step: 0.01 },
+    rangeMin: { min: 0, max: 1, step: 0.01 },
+    rangeMax: { min: 0, max: 1, step: 0.01 }
+};
+
+// Steepness of the exponential / log curves
+const CURVE_STEEPNESS = 4;
+const CURVE_SCALE = Math.exp(CURVE_STEEPNESS) - 1;
+
+export const RESPONSE_CURVES = {
+    linear: { name: 'Linear', apply: x => x },
+    // Quiet passages barely move the parameter, peaks hit hard
+    exponential: { name: 'Exponential', apply: x => (Math.exp(CURVE_STEEPNESS * x) - 1) / CURVE_SCALE },
+    // Quiet passages already move it a lot, peaks compress
+    log: { name: 'Log', apply: x => Math.log1p(x * CURVE_SCALE) / CURVE_STEEPNESS },
+    // Soft at both ends, steep through the middle
+    sCurve: { name: 'S-Curve', apply: x => x * x * (3 - 2 * x) }
+};
+
+export const RESPONSE_BLENDS = {
+    multiply: 'Multiply',
+    add: 'Add',
+    set: 'Set'
+};
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// Mapping fields with defaults filled in
+export function getMappingResponse(mapping) {
+    return { ...MAPPING_RESPONSE_DEFAULTS, ...mapping };
+}
+
+// Gate, input range, curve and invert - the instantaneous part of the chain (no smoothing)
+export function shapeInput(response, raw) {
+    if (raw < response.gate) return 0;
+
+    const span = response.rangeMax - response.rangeMin;
+    return span > 0 ? clamp01((raw - response.rangeMin) / span) : (raw >= response.rangeMax ? 1 : 0);
+}
+
+export function applyCurve(response, value) {
+    const curve = RESPONSE_CURVES[response.curve] || RESPONSE_CURVES.linear;
+    const shaped = clamp01(curve.apply(clamp01(value)));
+    return response.invert ? 1 - shaped : shaped;
+}
+
+// One envelope follower step: rises with the attack time, falls with the release time
+export function followEnvelope(current, target, response, deltaTime) {
+    const timeConstant = (target > current ? response.attack : response.release) / 1000;
+    if (timeConstant <= 0) return target;
+    if (deltaTime <= 0) return current;
+    return current + (target - current) * (1 - Math.exp(-deltaTime / timeConstant));
+}
+
+// Blend the shaped signal into the value the earlier mappings of this parameter produced
+export function blendMappingValue(response, value, signal, sensitivity, definition) {
+    switch (response.blend) {
+        case 'add': {
+            const span = definition ? definition.max - definition.min : 1;
+            const added = value + signal * sensitivity * span;
+            return definition ? Math.max(definition.min, Math.min(definition.max, added)) : added;
+        }
+        case 'set':
+            return definition ? definition.min + (definition.max - definition.min) * clamp01(signal * sensitivity) : signal * sensitivity;
+        case 'multiply':
+        default:
+            return value * (1.0 + signal * sensitivity);
+    }
+}
@@ -1,4 +1,29 @@
 // Audio system and reactivity module with modifier-based system
+import { TEMPO_SOURCES } from './tempo.js';
+import { DEFAULT_BAND_LAYOUT, BAND_LAYOUTS, LEGACY_BANDS, createBandLayout, sanitizeBandLayout, getBandBins, getSpectrumLevel, formatHz } from './audio-bands.js';
+import { OnsetDetector, ALL_BANDS_KEY, TRIGGER_ACTIONS, ONSET_DEFAULTS, ONSET_LIMITS, TRIGGER_DEFAULTS, MAX_TRIGGERS, sanitizeTriggers } from './onsets.js';
+import { PARAMETER_GROUPS } from './parameters.js';
+import { MAPPING_RESPONSE_LIMITS, RESPONSE_CURVES, RESPONSE_BLENDS, getMappingResponse, shapeInput, applyCurve, followEnvelope, blendMappingValue } from './audio-response.js';
+import { FEATURE_INDEX, FEATURE_COUNT, measureWaveform, measureSpectrum, normalizeCentroid } from './spectrum.js';
+
+// Feature frames kept while nothing reads them (about a third of a second at 44.1 kHz)
+const MAX_QUEUED_FEATURE_FRAMES = 32;
+
+// How long an 'invertPulse' trigger holds the flipped colors (ms)
+const INVERT_PULSE_MS = 120;
+
+// How long equalizer bars and trigger lights stay lit after an onset (ms)
+const ONSET_FLASH_MS = 150;
+
+// Range a 'segmentsJump' trigger picks kaleidoscope_segments from (even counts only)
+const SEGMENT_JUMP_RANGE = { min: 6, max: 32 };
+
+// Equalizer bar / mapping colors run red → purple across however many bands the layout has
+function getBandColor(index, count, lightness = 55) {
+    const hue = 4 + (count > 1 ? index / (count - 1) : 0) * 287;
+    return `hsl(${Math.round(hue)}, 80%, ${lightness}%)`;
+}
+
 export class AudioSystem {
     constructor() {
         this.app = null;
@@ -6,10 +31,21 @@ export class AudioSystem {
         this.audioSource = null;
         this.analyser = null;
         this.audioData = null;
+        this.timeDomainData = null;
+        
+        // Analysis worklet (audio-thread feature extraction, see startAnalysisWorklet)
+        this.analysisNode = null;
+        this.featureFrames = [];           // Frames received since the last analyzeAudio()
+        this.lastFeatureFrame = null;
+        this.workletOnsetSettings = null;  // Onset settings last sent to the worklet
         this.audioElement = null;
         this.audioReactive = false;
         this.audioPlaying = false;
         
+        // Offline analysis (frame-accurate export)
+        this.analysisClock = null;         // ms timestamp supplied by the exporter instead of Date.now()
+        this.liveAnalysisState = null;     // Live analyser/flags stashed while an offline analyser is attached
+        
         // Microphone system
         this.microphoneStream = null;
         this.microphoneSource = null;
@@ -27,32 +63,28 @@ export class AudioSystem {
             historySize: 10
         };
         
-        // Enhanced frequency analysis (10-band equalizer style)
-        this.frequencyBands = {
-            // Sub-bass: 20-60Hz
-            subBass: { start: 0, end: 8, value: 0 },
-            // Bass: 60-250Hz  
-            bass: { start: 8, end: 32, value: 0 },
-            // Low-mid: 250-500Hz
-            lowMid: { start: 32, end: 64, value: 0 },
-            // Mid: 500-2kHz
-            mid: { start: 64, end: 128, value: 0 },
-            // High-mid: 2-4kHz
-            highMid: { start: 128, end: 170, value: 0 },
-            // Presence: 4-6kHz
-            presence: { start: 170, end: 200, value: 0 },
-            // Brilliance: 6-8kHz
-            brilliance: { start: 200, end: 225, value: 0 },
-            // Air: 8-12kHz
-            air: { start: 225, end: 256, value: 0 },
-            // Ultra: 12-16kHz (if available)
-            ultra: { start: 256, end: 340, value: 0 },
-            // Super: 16-20kHz+ (if available)
-            super: { start: 340, end: 512, value: 0 }
-        };
+        // Enhanced frequency analysis (equalizer style)
+        // Bands are defined in Hz by the band layout (see audio-bands.js); their bin ranges are
+        // worked out from the analyser's sample rate and FFT size the first time they are read
+        this.bandLayout = createBandLayout(DEFAULT_BAND_LAYOUT);
+        this.frequencyBands = {};
+        this.bandBinScale = null;          // { binHz, binCount } the current bin ranges were computed for
+        this.bandsVersion = 0;             // Bumped on every layout change, echoed back in worklet frames
+        this.rebuildFrequencyBands();
+        
+        // Onset detection (spectral flux per band) and the triggers it fires
+        this.onsetDetection = { ...ONSET_DEFAULTS };
+        this.onsetDetector = new OnsetDetector();
+        this.onsetTriggers = [];           // [{ band, action, cooldown, group }]
+        this.triggerFireTimes = new WeakMap();
+        this.invertPulseUntil = null;      // analysis time an invert pulse flips the colors back
         
         // Audio-to-parameter mapping system
         this.parameterMappings = {};
+        this.mappingEnvelopes = {};        // mappingKey → envelope follower level (0-1)
+        this.mappingSignals = {};          // mappingKey → { raw, signal } from the last frame, for the menu preview
+        this.lastReactivityTime = null;    // analysis time of the last applyReactivity() (envelope timing)
+        this.expandedResponsePanels = new Set();
         this.advancedMenuVisible = false;
     }
 
@@ -74,6 +106,8 @@ export class AudioSystem {
             this.analyser.smoothingTimeConstant = 0.8;
             this.audioData = new Uint8Array(this.analyser.frequencyBinCount);
             
+            await this.startAnalysisWorklet();
+            
             this.app.ui.updateStatus('🎵 Audio system initialized', 'success');
         } catch (error) {
             this.app.ui.updateStatus(`❌ Audio init failed: ${error.message}`, 'error');
@@ -115,101 +149,121 @@ export class AudioSystem {
         }
     }
 
+    // Pick one or more audio files - they are added to the playlist and the first one starts playing
     uploadAudioFile() {
         const input = document.createElement('input');
         input.type = 'file';
         input.accept = 'audio/*,.wav,.mp3,.ogg,.m4a,.aac';
+        input.multiple = true;
         
-        input.onchange = async (event) => {
-            const file = event.target.files[0];
-            if (!file) return;
+        input.onchange = (event) => {
+            const files = Array.from(event.target.files);
+            if (files.length === 0) return;
             
-            this.app.ui.updateStatus(`🎵 Loading audio: ${file.name}...`, 'info');
-            
-            try {
-                // Initialize audio context if needed
-                if (!this.audioContext) {
-                    await this.initAudioContext();
-                }
-                
-                // Ensure audio context and analyser are available
-                if (!this.audioContext || !this.analyser) {
-                    throw new Error('Audio system initialization failed');
-                }
-                
-                // Clean up previous audio
-                if (this.audioElement) {
-                    this.audioElement.pause();
-                    this.audioElement.src = '';
-                    this.audioElement = null;
-                }
-                
-                if (this.audioSource) {
-                    this.audioSource.disconnect();
-                    this.audioSource = null;
-                }
-                
-                // Create new audio element
-                this.audioElement = new Audio();
-                this.audioElement.preload = 'auto';
-                this.audioElement.loop = true;
-                
-                // Create object URL
-                const audioURL = URL.createObjectURL(file);
-                this.audioElement.src = audioURL;
-                
-                // Wait for audio to load
-                await new Promise((resolve, reject) => {
-                    this.audioElement.oncanplaythrough = resolve;
-                    this.audioElement.onerror = () => reject(new Error('Failed to decode audio file'));
-                    this.audioElement.onabort = () => reject(new Error('Audio loading aborted'));
-                    
-                    // Timeout after 10 seconds
-                    setTimeout(() => reject(new Error('Audio loading timeout')), 10000);
-                });
-                
-                // Resume audio context if needed
-                if (this.audioContext.state === 'suspended') {
-                    await this.audioContext.resume();
-                }
-                
-                // Connect audio to analyser
-                this.audioSource = this.audioContext.createMediaElementSource(this.audioElement);
-                this.audioSource.connect(this.analyser);
-                this.audioSource.connect(this.audioContext.destination);
-                
-                this.app.ui.updateStatus(`🎵 Audio loaded: ${file.name}`, 'success');
-                this.app.ui.updateMenuDisplay();
-                
-                // Auto-start playback with reactivity
-                try {
-                    await this.audioElement.play();
-                    this.audioPlaying = true;
-                    this.audioReactive = true;
-                    this.app.ui.updateStatus(`🎵 Playing: ${file.name} (Reactive mode)`, 'success');
-                } catch (playError) {
-                    this.app.ui.updateStatus(`⚠️ Audio loaded but autoplay blocked. Click play button to start.`, 'info');
-                }
-                
-            } catch (error) {
-                console.error('Audio loading error:', error);
-                this.app.ui.updateStatus(`❌ Failed to load audio: ${error.message}`, 'error');
-                
-                // Clean up on error
-                if (this.audioElement) {
-                    this.audioElement.src = '';
-                    this.audioElement = null;
-                }
-                if (this.audioSource) {
-                    this.audioSource.disconnect();
-                    this.audioSource = null;
-                }
-            }
+            this.app.playlist.addFiles(files, { play: true });
         };
         
         input.click();
     }
 
+    // Load a source (a playlist track's object URL) into a fresh media element wired to the analyser.
+    // Throws when the file cannot be decoded; starting playback is left to startFilePlayback()
+    async loadAudioURL(audioURL) {
+        try {
+            // Initialize audio context if needed
+            if (!this.audioContext) {
+                await this.initAudioContext();
+            }
+            
+            // Ensure audio context and analyser are available
+            if (!this.audioContext || !this.analyser) {
+                throw new Error('Audio system initialization failed');
+            }
+            
+            // Clean up previous audio
+            if (this.audioElement) {
+                this.audioElement.onended = null;
+                this.audioElement.pause();
+                this.audioElement.src = '';
+                this.audioElement = null;
+            }
+            this.audioPlaying = false;
+            
+            if (this.audioSource) {
+                this.audioSource.disconnect();
+                this.audioSource = null;
+            }
+            
+            // Create new audio element - the playlist decides what happens at the end of a track
+            this.audioElement = new Audio();
+            this.audioElement.preload = 'auto';
+            this.audioElement.loop = false;
+            this.audioElement.src = audioURL;
+            
+            // Wait for audio to load
+            await new Promise((resolve, reject) => {
+                this.audioElement.oncanplaythrough = resolve;
+                this.audioElement.onerror = () => reject(new Error('Failed to decode audio file'));
+                this.audioElement.onabort = () => reject(new Error('Audio loading aborted'));
+                
+                // Timeout after 10 seconds
+                setTimeout(() => reject(new Error('Audio loading timeout')), 10000);
+            });
+            this.audioElement.oncanplaythrough = null;
+            this.audioElement.onended = () => this.app.playlist.handleTrackEnded();
+            
+            // Resume audio context if needed
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            
+            // Connect audio to analyser
+            this.audioSource = this.audioContext.createMediaElementSource(this.audioElement);
+            this.audioSource.connect(this.analyser);
+            this.audioSource.connect(this.audioContext.destination);
+            
+            this.app.ui.updateMenuDisplay();
+            
+        } catch (error) {
+            // Clean up on error
+            if (this.audioElement) {
+                this.audioElement.src = '';
+                this.audioElement = null;
+            }
+            if (this.audioSource) {
+                this.audioSource.disconnect();
+                this.audioSource = null;
+            }
+            throw error;
+        }
+    }
+
+    // Auto-start playback with reactivity (browsers may block it until the user interacts)
+    async startFilePlayback(name) {
+        try {
+            await this.audioElement.play();
+            this.audioPlaying = true;
+            this.audioReactive = true;
+            this.app.ui.updateStatus(`🎵 Playing: ${name} (Reactive mode)`, 'success');
+        } catch (playError) {
+            this.app.ui.updateStatus(`⚠️ Audio loaded but autoplay blocked. Click play button to start.`, 'info');
+        }
+        this.app.ui.updateMenuDisplay();
+    }
+
+    // End of the playlist - same as pausing from the menu
+    stopFilePlayback() {
+        if (this.audioElement) {
+            this.audioElement.pause();
+        }
+        this.audioPlaying = false;
+        this.audioReactive = this.microphoneActive;
+        if (!this.audioReactive) {
+            this.app.parameters.resetAudioModifiers();
+        }
+        this.app.ui.updateMenuDisplay();
+    }
+
     async toggleMicrophone() {
         // M key now opens advanced audio menu
         this.showAdvancedAudioMenu();
@@ -372,29 +426,17 @@ export class AudioSystem {
         if (!this.analyser || !this.audioData || !this.audioReactive || (!this.audioPlaying && !this.microphoneActive)) {
             return { 
                 bass: 0, mid: 0, treble: 0, overall: 0, 
+                level: 0, rms: 0, peak: 0, centroid: 0,
                 beat: false, 
+                onsets: [],
                 frequencyBands: this.frequencyBands
             };
         }
         
-        this.analyser.getByteFrequencyData(this.audioData);
-        
-        // Enhanced frequency analysis - update all bands
-        for (const [bandName, band] of Object.entries(this.frequencyBands)) {
-            let sum = 0;
-            const binCount = Math.min(band.end, this.audioData.length) - band.start;
-            
-            for (let i = band.start; i < band.end && i < this.audioData.length; i++) {
-                sum += this.audioData[i];
-            }
-            
-            band.value = binCount > 0 ? (sum / binCount) / 255.0 : 0;
-        }
-        
-        // Legacy 3-band analysis for backward compatibility
-        const bass = this.frequencyBands.bass.value;
-        const mid = this.frequencyBands.mid.value;
-        const treble = (this.frequencyBands.highMid.value + this.frequencyBands.presence.value) / 2;
+        // Live audio comes from the analysis worklet when it runs; offline export (and browsers
+        // without AudioWorklet) read the analyser here on the main thread
+        const levels = this.analysisNode && !this.liveAnalysisState ? this.readFeatureFrames() : this.readAnalyser();
+        const { bass, mid, treble } = levels;
         const overall = (bass + mid + treble) / 3.0;
         
         // Beat detection algorithm
@@ -407,22 +449,19 @@ export class AudioSystem {
         if (this.microphoneActive && this.app && this.app.debugUI) {
             // Log every second instead of every 2 seconds for better feedback
             if (Math.floor(Date.now() / 1000) % 1 === 0) {
-                const maxValue = Math.max(...this.audioData);
-                const avgValue = this.audioData.reduce((a, b) => a + b, 0) / this.audioData.length;
-                
                 if (this.app.debugUI.shouldLog('audioLevels')) {
                     console.log(`🎤 LIVE: Bass=${bass.toFixed(3)}, Mid=${mid.toFixed(3)}, Treble=${treble.toFixed(3)}, Overall=${overall.toFixed(3)}`);
                 }
                 
                 if (this.app.debugUI.shouldLog('audioRawData')) {
-                    console.log(`🎤 RAW: Max=${maxValue}/255 (${(maxValue/255*100).toFixed(1)}%), Avg=${avgValue.toFixed(1)}`);
+                    console.log(`🎤 RAW: Level=${(levels.level * 100).toFixed(1)}%, RMS=${levels.rms.toFixed(3)}, Peak=${levels.peak.toFixed(3)}, Centroid=${Math.round(levels.centroid)}Hz`);
                 }
                 
                 // Show which parameters would be affected
                 if (this.app.debugUI.shouldLog('audioEffects')) {
                     if (overall > 0.01) {
                         console.log(`🎨 Would affect: center_fill_radius×${(1.0 + bass * 0.8 * 1.5).toFixed(2)}, rotation_speed×${(1.0 + mid * 0.4).toFixed(2)}`);
-                    } else if (maxValue > 0) {
+                    } else if (levels.peak > 0) {
                         console.log('⚠️ Audio detected but levels very low - try louder input');
                     } else {
                         console.log('❌ No audio signal - check microphone settings/volume');
@@ -433,14 +472,407 @@ export class AudioSystem {
         
         return { 
             bass, mid, treble, overall, 
+            level: levels.level, rms: levels.rms, peak: levels.peak, centroid: levels.centroid,
             beat: beatDetected,
+            onsets: levels.onsets,
             frequencyBands: this.frequencyBands
         };
     }
     
+    // Main-thread analysis: read the analyser (live AnalyserNode or the offline export analyser)
+    readAnalyser() {
+        this.analyser.getByteFrequencyData(this.audioData);
+        
+        // Enhanced frequency analysis - update all bands
+        // Bin ranges follow the analyser actually in use (live context or offline export)
+        const binHz = this.getBinFrequency();
+        this.updateBandBins(binHz, this.audioData.length);
+        
+        for (const band of Object.values(this.frequencyBands)) {
+            let sum = 0;
+            for (let i = band.start; i < band.end; i++) {
+                sum += this.audioData[i];
+            }
+            band.value = band.end > band.start ? (sum / (band.end - band.start)) / 255.0 : 0;
+        }
+        
+        // Waveform features over the analyser's window
+        if (!this.timeDomainData || this.timeDomainData.length !== this.analyser.fftSize) {
+            this.timeDomainData = new Float32Array(this.analyser.fftSize);
+        }
+        this.analyser.getFloatTimeDomainData(this.timeDomainData);
+        const { rms, peak } = measureWaveform(this.timeDomainData);
+        const { level, centroid } = measureSpectrum(this.audioData, binHz);
+        
+        // Onsets - spectral flux in every band (and the whole spectrum)
+        const onsets = this.onsetDetection.enabled
+            ? this.onsetDetector.process(this.audioData, this.frequencyBands, this.getAnalysisTime(), this.onsetDetection)
+            : [];
+        
+        // Tempo tracking follows the same spectrum
+        if (this.app && this.app.tempo) {
+            this.app.tempo.analyzeSpectrum(this.audioData, binHz, this.getAnalysisTime());
+        }
+        
+        return {
+            // Legacy 3-band analysis for backward compatibility
+            bass: getSpectrumLevel(this.audioData, binHz, ...LEGACY_BANDS.bass),
+            mid: getSpectrumLevel(this.audioData, binHz, ...LEGACY_BANDS.mid),
+            treble: getSpectrumLevel(this.audioData, binHz, ...LEGACY_BANDS.treble),
+            level, rms, peak, centroid,
+            onsets
+        };
+    }
+    
+    // Worklet analysis: take every feature frame that arrived since the last video frame.
+    // Levels come from the newest frame, peak is the loudest of them, and onsets and tempo flux
+    // are passed on from each frame with the time it was heard, so none fall between video frames
+    readFeatureFrames() {
+        this.syncAnalysisWorklet();
+        
+        const frames = this.featureFrames;
+        this.featureFrames = [];
+        const latest = frames.length > 0 ? frames[frames.length - 1] : this.lastFeatureFrame;
+        if (!latest) {
+            return { bass: 0, mid: 0, treble: 0, level: 0, rms: 0, peak: 0, centroid: 0, onsets: [] };
+        }
+        
+        // Keeps the bin ranges in the debug view current (the worklet computes its own)
+        this.updateBandBins(this.getBinFrequency(), this.audioData.length);
+        
+        const now = this.getAnalysisTime();
+        const onsets = new Set();
+        let peak = 0;
+        frames.forEach(frame => {
+            if (this.app && this.app.tempo) {
+                this.app.tempo.analyzeFlux(frame.features[FEATURE_INDEX.tempoFlux], frame.heardAt, now);
+            }
+            frame.onsets.forEach(key => {
+                this.onsetDetector.markOnset(key, frame.heardAt);
+                onsets.add(key);
+            });
+            peak = Math.max(peak, frame.features[FEATURE_INDEX.peak]);
+        });
+        
+        const features = latest.features;
+        if (latest.version === this.bandsVersion) {
+            Object.values(this.frequencyBands).forEach((band, index) => {
+                band.value = features[FEATURE_COUNT + index];
+            });
+        }
+        
+        return {
+            bass: features[FEATURE_INDEX.bass],
+            mid: features[FEATURE_INDEX.mid],
+            treble: features[FEATURE_INDEX.treble],
+            level: features[FEATURE_INDEX.level],
+            rms: features[FEATURE_INDEX.rms],
+            peak: frames.length > 0 ? peak : features[FEATURE_INDEX.peak],
+            centroid: features[FEATURE_INDEX.centroid],
+            onsets: [...onsets]
+        };
+    }
+    
+    // ANALYSIS WORKLET
+    // Feature extraction on the audio thread (js/worklets/analysis-processor.js). Without
+    // AudioWorklet support - or when the module can't load - the AnalyserNode is read on the
+    // main thread as before, so nothing else depends on the worklet being there.
+    async startAnalysisWorklet() {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+            console.log('🎵 AudioWorklet not supported - analysing on the main thread');
+            return;
+        }
+        
+        try {
+            await this.audioContext.audioWorklet.addModule(new URL('../worklets/analysis-processor.js', import.meta.url));
+            this.analysisNode = new AudioWorkletNode(this.audioContext, 'kaldao-analysis', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [1],
+                processorOptions: {
+                    fftSize: this.analyser.fftSize,
+                    smoothingTimeConstant: this.analyser.smoothingTimeConstant
+                }
+            });
+            this.analysisNode.port.onmessage = (event) => this.receiveFeatureFrame(event.data);
+            
+            // The analyser passes its input straight through, so every source connected to it
+            // (file or microphone) reaches the worklet too. The worklet only outputs silence; it is
+            // connected to the destination so the graph keeps pulling it.
+            this.analyser.connect(this.analysisNode);
+            this.analysisNode.connect(this.audioContext.destination);
+            
+            this.workletOnsetSettings = null;
+            this.sendBandsToWorklet();
+            this.syncAnalysisWorklet();
+            console.log('🎵 Audio analysis running in an AudioWorklet');
+        } catch (error) {
+            console.warn('🎵 Analysis worklet unavailable, analysing on the main thread:', error);
+            this.analysisNode = null;
+        }
+    }
+    
+    receiveFeatureFrame(frame) {
+        // Audio clock → analysis clock: the frame was heard (audioContext.currentTime - frame.time) seconds ago
+        const age = Math.max(0, this.audioContext.currentTime - frame.time);
+        frame.heardAt = Date.now() - age * 1000;
+        
+        this.lastFeatureFrame = frame;
+        this.featureFrames.push(frame);
+        // Nobody reads frames while the tab is hidden or reactivity is off - keep only the newest
+        if (this.featureFrames.length > MAX_QUEUED_FEATURE_FRAMES) {
+            this.featureFrames.shift();
+        }
+    }
+    
+    sendBandsToWorklet() {
+        if (!this.analysisNode) return;
+        this.analysisNode.port.postMessage({
+            type: 'bands',
+            version: this.bandsVersion,
+            bands: this.bandLayout.bands.map(({ key, low, high }) => ({ key, low, high }))
+        });
+    }
+    
+    // Onset settings are edited in several places (menu, files, console) - pass them on when they change
+    syncAnalysisWorklet() {
+        const settings = this.onsetDetection;
+        const sent = this.workletOnsetSettings;
+        if (sent && sent.enabled === settings.enabled && sent.sensitivity === settings.sensitivity && sent.minInterval === settings.minInterval) {
+            return;
+        }
+        this.workletOnsetSettings = { ...settings };
+        this.analysisNode.port.postMessage({ type: 'onsets', settings: this.workletOnsetSettings });
+    }
+    
+    // Width of one analyser bin in Hz (the offline analyser carries its own sample rate)
+    getBinFrequency() {
+        const sampleRate = this.analyser.sampleRate ||
+            (this.analyser.context ? this.analyser.context.sampleRate : 0) ||
+            (this.audioContext ? this.audioContext.sampleRate : 44100);
+        return sampleRate / this.analyser.fftSize;
+    }
+    
+    // FREQUENCY BANDS
+    // frequencyBands holds one { name, low, high, start, end, value } entry per band of the layout
+    rebuildFrequencyBands() {
+        this.frequencyBands = {};
+        this.bandLayout.bands.forEach(band => {
+            this.frequencyBands[band.key] = { name: band.name, low: band.low, high: band.high, start: 0, end: 0, value: 0 };
+        });
+        this.bandBinScale = null;
+        this.bandsVersion++;
+        this.sendBandsToWorklet();
+    }
+    
+    // Recompute bin ranges when the sample rate or analyser size changes
+    updateBandBins(binHz, binCount) {
+        if (this.bandBinScale && this.bandBinScale.binHz === binHz && this.bandBinScale.binCount === binCount) {
+            return;
+        }
+        
+        Object.values(this.frequencyBands).forEach(band => {
+            Object.assign(band, getBandBins(band, binHz, binCount));
+        });
+        this.bandBinScale = { binHz, binCount };
+    }
+    
+    // Switch to a built-in layout id or a { id, bands } layout.
+    // Mappings and onset triggers on bands the new layout doesn't have are dropped; returns how many.
+    setBandLayout(layout) {
+        const { layout: clean, problems } = sanitizeBandLayout(typeof layout === 'string' ? createBandLayout(layout) : layout);
+        if (!clean) {
+            throw new Error(`Invalid band layout: ${problems.join(', ')}`);
+        }
+        if (problems.length > 0) {
+            console.warn('🎚️ Band layout fixed up:', problems);
+        }
+        
+        const oldBandKeys = Object.keys(this.frequencyBands);
+        this.bandLayout = clean;
+        this.rebuildFrequencyBands();
+        
+        let dropped = 0;
+        Object.entries(this.parameterMappings).forEach(([mappingKey, mapping]) => {
+            if (oldBandKeys.includes(mapping.source) && !this.frequencyBands[mapping.source]) {
+                delete this.parameterMappings[mappingKey];
+                dropped++;
+            }
+        });
+        
+        // Onset triggers on bands that are gone go the same way
+        const triggerCount = this.onsetTriggers.length;
+        this.onsetTriggers = this.onsetTriggers.filter(trigger => trigger.band === ALL_BANDS_KEY || this.frequencyBands[trigger.band]);
+        dropped += triggerCount - this.onsetTriggers.length;
+        this.onsetDetector.reset();
+        
+        if (this.advancedMenuVisible) {
+            this.refreshBandLayoutDisplay();
+        }
+        
+        return dropped;
+    }
+    
+    // ONSET TRIGGERS
+    // Each trigger fires its action on its band's onsets, at most once per cooldown
+    fireOnsetTriggers(onsets, now) {
+        if (onsets.length === 0) return;
+        
+        this.onsetTriggers.forEach(trigger => {
+            if (!onsets.includes(trigger.band)) return;
+            
+            const lastFired = this.triggerFireTimes.get(trigger) ?? -Infinity;
+            if (now - lastFired < trigger.cooldown) return;
+            
+            this.triggerFireTimes.set(trigger, now);
+            this.runTriggerAction(trigger, now);
+        });
+    }
+    
+    runTriggerAction(trigger, now) {
+        const parameters = this.app.parameters;
+        
+        switch (trigger.action) {
+            case 'paletteStep': {
+                const color = this.app.color;
+                if (parameters.getValue('color_mode') > 1.5) {
+                    color.selectLayerPalette((color.currentLayerPaletteIndex + 1) % color.layerColorPalettes.length);
+                } else {
+                    // Palette 0 is black & white - stepping always lands on a color palette
+                    const count = color.getColorPalettes().length;
+                    color.selectPalette(count > 1 ? (this.app.currentPaletteIndex % (count - 1)) + 1 : 0);
+                }
+                break;
+            }
+            case 'randomizeGroup': {
+                const group = PARAMETER_GROUPS[trigger.group] || PARAMETER_GROUPS[TRIGGER_DEFAULTS.group];
+                parameters.randomizeParameters(group.keys);
+                this.app.ui.updateDisplay();
+                break;
+            }
+            case 'invertPulse':
+                // A pulse arriving mid-pulse just extends it
+                if (this.invertPulseUntil === null) {
+                    this.app.invertColors = !this.app.invertColors;
+                }
+                this.invertPulseUntil = now + INVERT_PULSE_MS;
+                break;
+            case 'segmentsJump': {
+                const current = parameters.getBaseValue('kaleidoscope_segments');
+                const steps = (SEGMENT_JUMP_RANGE.max - SEGMENT_JUMP_RANGE.min) / 2;
+                let segments = current;
+                while (segments === current) {
+                    segments = SEGMENT_JUMP_RANGE.min + 2 * Math.floor(Math.random() * (steps + 1));
+                }
+                parameters.setValue('kaleidoscope_segments', segments);
+                this.app.ui.updateDisplay();
+                break;
+            }
+        }
+    }
+    
+    updateInvertPulse(now) {
+        if (this.invertPulseUntil !== null && now >= this.invertPulseUntil) {
+            this.endInvertPulse();
+        }
+    }
+    
+    // Flip back rather than restore, so an I press during the pulse is kept
+    endInvertPulse() {
+        if (this.invertPulseUntil === null) return;
+        this.app.invertColors = !this.app.invertColors;
+        this.invertPulseUntil = null;
+    }
+    
+    // Merge { enabled, sensitivity, minInterval } over the current settings, ignoring bad values
+    setOnsetDetection(settings) {
+        if (typeof settings.enabled === 'boolean') {
+            this.onsetDetection.enabled = settings.enabled;
+        }
+        ['sensitivity', 'minInterval'].forEach(field => {
+            if (Number.isFinite(settings[field])) {
+                const limits = ONSET_LIMITS[field];
+                this.onsetDetection[field] = Math.max(limits.min, Math.min(limits.max, settings[field]));
+            }
+        });
+        this.onsetDetector.reset();
+    }
+    
+    setOnsetTriggers(triggers) {
+        const { triggers: valid, problems } = sanitizeTriggers(triggers, Object.keys(this.frequencyBands), Object.keys(PARAMETER_GROUPS));
+        if (problems.length > 0) {
+            console.warn('⚡ Onset triggers fixed up:', problems);
+        }
+        this.onsetTriggers = valid;
+        this.triggerFireTimes = new WeakMap();
+        return problems;
+    }
+    
+    // ANALYSIS CLOCK
+    // Live analysis runs on wall-clock time; offline export drives this from the frame index
+    // so beat lockouts land on the same frames every run
+    getAnalysisTime() {
+        return this.analysisClock !== null ? this.analysisClock : Date.now();
+    }
+    
+    // OFFLINE ANALYSIS
+    // Swaps in an analyser that exposes getByteFrequencyData() over a decoded buffer.
+    // The live analyser, flags and beat history are stashed and put back untouched afterwards.
+    attachOfflineAnalyser(offlineAnalyser) {
+        if (this.liveAnalysisState) {
+            this.detachOfflineAnalyser();
+        }
+        
+        this.liveAnalysisState = {
+            analyser: this.analyser,
+            audioData: this.audioData,
+            audioReactive: this.audioReactive,
+            audioPlaying: this.audioPlaying,
+            beatDetection: { ...this.beatDetection, bassHistory: [...this.beatDetection.bassHistory] }
+        };
+        
+        this.analyser = offlineAnalyser;
+        this.audioData = new Uint8Array(offlineAnalyser.frequencyBinCount);
+        this.audioReactive = true;
+        this.audioPlaying = true;
+        this.beatDetection.bassHistory = [];
+        this.beatDetection.lastBeatTime = -Infinity;
+        this.analysisClock = 0;
+        this.mappingEnvelopes = {};
+        this.lastReactivityTime = null;
+        this.onsetDetector.reset();
+        this.triggerFireTimes = new WeakMap();
+        
+        // The tempo is re-detected from the file (the live estimate is kept as a starting point)
+        if (this.app && this.app.tempo) {
+            this.app.tempo.resetDetection();
+        }
+    }
+    
+    detachOfflineAnalyser() {
+        if (!this.liveAnalysisState) return;
+        
+        // A pulse still running on the export clock would never end on the live one
+        this.endInvertPulse();
+        
+        const state = this.liveAnalysisState;
+        this.analyser = state.analyser;
+        this.audioData = state.audioData;
+        this.audioReactive = state.audioReactive;
+        this.audioPlaying = state.audioPlaying;
+        this.beatDetection = state.beatDetection;
+        this.analysisClock = null;
+        this.liveAnalysisState = null;
+        this.featureFrames = [];           // Queued up during the export - long stale
+        this.mappingEnvelopes = {};
+        this.lastReactivityTime = null;
+        this.onsetDetector.reset();
+        this.triggerFireTimes = new WeakMap();
+    }
+    
     // Beat detection algorithm based on bass energy variation
     detectBeat(currentBass) {
-        const now = Date.now();
+        const now = this.getAnalysisTime();
         
         // Add current bass to history
         this.beatDetection.bassHistory.push(currentBass);
@@ -476,28 +908,38 @@ export class AudioSystem {
             return 0;
         }
         
+        // The worklet already measures it with every frame
+        if (this.analysisNode && !this.liveAnalysisState) {
+            return this.lastFeatureFrame ? this.lastFeatureFrame.features[FEATURE_INDEX.level] : 0;
+        }
+        
         // Get fresh audio data
         this.analyser.getByteFrequencyData(this.audioData);
         
-        // Calculate overall volume level
-        const maxValue = Math.max(...this.audioData);
-        const avgValue = this.audioData.reduce((a, b) => a + b, 0) / this.audioData.length;
-        
-        // Use a combination of max and average for more responsive display
-        const volumeLevel = (maxValue * 0.7 + avgValue * 0.3) / 255.0;
-        
-        return Math.min(1.0, volumeLevel);
+        // Combination of max and average for a more responsive display
+        return measureSpectrum(this.audioData, this.getBinFrequency()).level;
     }
 
     applyReactivity(parameters) {
         if (!this.audioReactive || (!this.audioPlaying && !this.microphoneActive)) {
             // Reset all modifiers when not reactive
             parameters.resetAudioModifiers();
+            this.lastReactivityTime = null;
+            this.endInvertPulse();
             return;
         }
         
         const audioLevels = this.analyzeAudio();
         
+        // Envelope followers run on the analysis clock, so offline export smooths identically every run
+        const now = this.getAnalysisTime();
+        const deltaTime = this.lastReactivityTime === null ? 0 : Math.min(0.25, Math.max(0, (now - this.lastReactivityTime) / 1000));
+        this.lastReactivityTime = now;
+        
+        // Discrete actions from onset triggers
+        this.updateInvertPulse(now);
+        this.fireOnsetTriggers(audioLevels.onsets, now);
+        
         // Apply custom parameter mappings if any exist
         const hasCustomMappings = Object.keys(this.parameterMappings).length > 0;
         
@@ -516,8 +958,8 @@ export class AudioSystem {
             
             // Process all mappings and accumulate effects
             Object.entries(this.parameterMappings).forEach(([mappingKey, mapping]) => {
-                if (mapping.source && mapping.paramKey) {
-                    const paramKey = mapping.paramKey;
+                if (mapping.source) {
+                    const paramKey = mapping.paramKey || mappingKey; // Support both old and new format
                     const baseValue = parameterModifications[paramKey];
                     
                     if (baseValue !== undefined) {
@@ -531,6 +973,15 @@ export class AudioSystem {
                             case 'overall':
                                 audioValue = audioLevels.overall;
                                 break;
+                            case 'rms':
+                                audioValue = audioLevels.rms;
+                                break;
+                            case 'peak':
+                                audioValue = audioLevels.peak;
+                                break;
+                            case 'centroid':
+                                audioValue = normalizeCentroid(audioLevels.centroid);
+                                break;
                             case 'bass':
                                 audioValue = audioLevels.bass;
                                 break;
@@ -541,16 +992,23 @@ export class AudioSystem {
                                 audioValue = audioLevels.treble;
                                 break;
                             default:
-                                // Use frequency band value
+                                // Use frequency band value, or a beat/bar/phrase phase from the tempo clock
                                 if (audioLevels.frequencyBands[mapping.source]) {
                                     audioValue = audioLevels.frequencyBands[mapping.source].value;
+                                } else if (TEMPO_SOURCES[mapping.source]) {
+                                    audioValue = this.app.tempo.getModulation(mapping.source);
                                 }
                                 break;
                         }
                         
-                        // Apply sensitivity and add to the existing value
-                        const multiplier = 1.0 + (audioValue * mapping.sensitivity);
-                        parameterModifications[paramKey] = baseValue * multiplier;
+                        // Shape the source (gate, range, envelope, curve, invert) and blend it into the value
+                        const response = getMappingResponse(mapping);
+                        const envelope = followEnvelope(this.mappingEnvelopes[mappingKey] ?? 0, shapeInput(response, audioValue), response, deltaTime);
+                        const signal = applyCurve(response, envelope);
+                        this.mappingEnvelopes[mappingKey] = envelope;
+                        this.mappingSignals[mappingKey] = { raw: audioValue, signal };
+                        
+                        parameterModifications[paramKey] = blendMappingValue(response, baseValue, signal, mapping.sensitivity, parameters.getParameter(paramKey));
                     }
                 }
             });
@@ -651,16 +1109,58 @@ export class AudioSystem {
                             </div>
                         </div>
                         
-                        <!-- 10-Band Equalizer Display -->
+                        <!-- Equalizer Display (one bar per band of the layout) -->
                         <div id="equalizerDisplay" style="display: flex; align-items: end; gap: 3px; height: 120px; margin-bottom: 12px; padding: 8px; background: rgba(0,0,0,0.3); border-radius: 4px;">
                             <!-- Equalizer bars will be populated by JavaScript -->
                         </div>
                         
-                        <div style="font-size: 9px; color: #888; text-align: center; line-height: 1.2;">
-                            Sub│Bass│LMid│Mid│HMid│Pres│Brill│Air│Ultra│Super
+                        <div id="equalizerLabels" style="display: flex; gap: 3px; padding: 0 8px; font-size: 9px; color: #888; text-align: center; line-height: 1.2;">
+                            <!-- Band captions will be populated by JavaScript -->
+                        </div>
+                        
+                        <!-- Band layout: built-in presets or hand-edited Hz ranges -->
+                        <div style="display: flex; align-items: center; gap: 6px; font-size: 11px; margin-top: 12px;">
+                            <label>Bands:</label>
+                            <select id="bandLayoutSelect" style="flex: 1; padding: 4px; background: #2a2a2a; border: 1px solid #555; color: #fff; border-radius: 4px; font-family: 'Courier New', monospace; font-size: 11px;"></select>
+                            <button id="bandLayoutEdit" style="padding: 4px 8px; background: #2196F3; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">Edit</button>
+                        </div>
+                        
+                        <div id="bandLayoutEditor" style="display: none; margin-top: 8px;">
+                            <div id="bandResolution" style="font-size: 9px; color: #888; margin-bottom: 6px;"></div>
+                            <div id="bandLayoutRows" style="max-height: 160px; overflow-y: auto;"></div>
+                            <div style="display: flex; gap: 6px; margin-top: 6px;">
+                                <button id="bandLayoutAdd" style="flex: 1; padding: 4px; background: #555; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">+ Band</button>
+                                <button id="bandLayoutApply" style="flex: 1; padding: 4px; background: #4CAF50; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">Apply</button>
+                            </div>
                         </div>
                     </div>
                     
+                    <!-- Tempo tracking, tap tempo and tempo-locked speeds -->
+                    ${this.app.tempo.getMenuSectionHTML()}
+                    
+                    <!-- Onset detection and the triggers it fires -->
+                    <div style="background: rgba(40, 40, 40, 0.2); border-radius: 6px; padding: 12px; border: 1px solid #444;">
+                        <h3 style="color: #FFEB3B; margin-bottom: 12px; font-size: 14px;">⚡ Onset Triggers</h3>
+                        
+                        <label style="display: flex; align-items: center; font-size: 12px; margin-bottom: 6px;">
+                            <input type="checkbox" id="onsetDetectionToggle" ${this.onsetDetection.enabled ? 'checked' : ''} style="margin-right: 8px;">
+                            Enable Onset Detection
+                        </label>
+                        
+                        <div style="display: flex; align-items: center; gap: 10px; font-size: 11px; margin-bottom: 8px;">
+                            <label title="Higher needs a bigger jump in a band before it fires">Onset Threshold:</label>
+                            <input type="range" id="onsetSensitivity" min="${ONSET_LIMITS.sensitivity.min}" max="${ONSET_LIMITS.sensitivity.max}" step="0.1" value="${this.onsetDetection.sensitivity}" 
+                                   style="flex: 1;">
+                            <span id="onsetSensitivityValue">${this.onsetDetection.sensitivity}</span>
+                        </div>
+                        
+                        <div id="onsetTriggerList" style="font-size: 10px;">
+                            <!-- Trigger rows will be populated by JavaScript -->
+                        </div>
+                        
+                        <button id="onsetTriggerAdd" style="width: 100%; margin-top: 6px; padding: 6px; background: #2196F3; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">+ Trigger</button>
+                    </div>
+                    
                     <!-- Microphone Selection Section -->
                     <div style="background: rgba(40, 40, 40, 0.2); border-radius: 6px; padding: 12px; border: 1px solid #444;">
                         <h3 style="color: #9C27B0; margin-bottom: 12px; font-size: 14px;">🎤 Microphone Selection</h3>
@@ -704,6 +1204,16 @@ export class AudioSystem {
                             <button id="loadAudio" style="padding: 6px; background: #FF9800; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">Load Audio</button>
                         </div>
                         
+                        <!-- Mapping sets stored in the local library (IndexedDB) -->
+                        <div style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr; gap: 6px; margin-top: 10px;">
+                            <select id="mappingSetSelect" style="padding: 5px; background: #222; color: #fff; border: 1px solid #555; border-radius: 4px; font-family: 'Courier New', monospace; font-size: 10px;">
+                                <option value="">Library sets...</option>
+                            </select>
+                            <button id="recallMappingSet" style="padding: 6px; background: #2196F3; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">Recall</button>
+                            <button id="storeMappingSet" style="padding: 6px; background: #4CAF50; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">Store</button>
+                            <button id="deleteMappingSet" style="padding: 6px; background: #F44336; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">Delete</button>
+                        </div>
+                        
                         <!-- Random Assignment Button -->
                         <div style="margin-top: 10px; text-align: center;">
                             <button id="randomAssignMappings" style="padding: 8px 12px; background: #9C27B0; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 11px; font-weight: bold;">🎲 Random Chaos</button>
@@ -735,8 +1245,7 @@ export class AudioSystem {
         this.setupAdvancedMenuHandlers(dialog);
         
         // Initialize the display
-        this.updateEqualizerDisplay();
-        this.populateFrequencyMappings();
+        this.refreshBandLayoutDisplay();
         
         // Start real-time updates
         this.startEqualizerUpdates();
@@ -785,6 +1294,15 @@ export class AudioSystem {
         
         // ESC key handling moved to main controls.js for better coordination
         
+        // Band layout select and editor
+        this.setupBandLayoutHandlers();
+        
+        // Onset detection and triggers
+        this.setupOnsetTriggerHandlers();
+        
+        // Tempo section
+        this.app.tempo.setupMenuSectionHandlers();
+        
         // Advanced microphone controls
         this.setupAdvancedMicrophoneHandlers();
     }
@@ -902,18 +1420,18 @@ export class AudioSystem {
         const container = document.getElementById('equalizerDisplay');
         if (!container) return;
         
-        // Create bars only if they don't exist (first time)
+        // Create bars only if they don't exist (first time, or after the band layout changed)
         if (container.children.length === 0) {
             const bandNames = Object.keys(this.frequencyBands);
-            const colors = ['#F44336', '#FF5722', '#FF9800', '#FFC107', '#FFEB3B', '#8BC34A', '#4CAF50', '#00BCD4', '#2196F3', '#9C27B0'];
             
             bandNames.forEach((bandName, index) => {
                 const bar = document.createElement('div');
                 bar.className = 'eq-bar';
                 bar.dataset.bandName = bandName;
+                bar.title = `${this.frequencyBands[bandName].name} (${formatHz(this.frequencyBands[bandName].low)}-${formatHz(this.frequencyBands[bandName].high)}Hz)`;
                 bar.style.cssText = `
                     flex: 1;
-                    background: ${colors[index] || '#666'};
+                    background: ${getBandColor(index, bandNames.length)};
                     margin: 0 1px;
                     border-radius: 2px 2px 0 0;
                     transition: height 0.08s ease;
@@ -928,13 +1446,277 @@ export class AudioSystem {
         const bars = container.children;
         const bandNames = Object.keys(this.frequencyBands);
         
+        const now = this.getAnalysisTime();
+        
         for (let i = 0; i < bars.length && i < bandNames.length; i++) {
             const band = this.frequencyBands[bandNames[i]];
             const height = Math.max(2, band.value * 100);
             if (bars[i].style.height !== `${height}%`) {
                 bars[i].style.height = `${height}%`;
             }
+            
+            // Bars flash on their band's onsets
+            const flash = this.onsetDetection.enabled && now - this.onsetDetector.getLastOnset(bandNames[i]) < ONSET_FLASH_MS;
+            bars[i].style.boxShadow = flash ? 'inset 0 3px 0 #fff' : '';
+        }
+    }
+    
+    // BAND LAYOUT UI
+    // Rebuild everything that depends on the band layout: bars, captions, layout select and mapping list
+    refreshBandLayoutDisplay() {
+        const container = document.getElementById('equalizerDisplay');
+        if (container) {
+            container.innerHTML = '';
+        }
+        this.updateEqualizerDisplay();
+        
+        const labels = document.getElementById('equalizerLabels');
+        if (labels) {
+            // Dense layouts (third-octave) only caption every few bars
+            const bands = this.bandLayout.bands;
+            const every = Math.ceil(bands.length / 10);
+            labels.innerHTML = bands.map((band, index) =>
+                `<span style="flex: 1; overflow: hidden; white-space: nowrap;">${index % every === 0 ? band.label : ''}</span>`
+            ).join('');
+        }
+        
+        const select = document.getElementById('bandLayoutSelect');
+        if (select) {
+            select.innerHTML = Object.entries(BAND_LAYOUTS).map(([id, preset]) =>
+                `<option value="${id}">${preset.name} (${preset.bands.length})</option>`
+            ).join('') + (this.bandLayout.id === 'custom' ? `<option value="custom">Custom (${this.bandLayout.bands.length})</option>` : '');
+            select.value = this.bandLayout.id;
+        }
+        
+        const editor = document.getElementById('bandLayoutEditor');
+        if (editor && editor.style.display !== 'none') {
+            this.renderBandLayoutEditor();
+        }
+        
+        this.renderOnsetTriggers();
+        this.populateFrequencyMappings();
+    }
+    
+    setupBandLayoutHandlers() {
+        const select = document.getElementById('bandLayoutSelect');
+        if (select) {
+            select.onchange = () => {
+                if (select.value !== 'custom') {
+                    this.applyBandLayout(select.value);
+                }
+            };
+        }
+        
+        const editBtn = document.getElementById('bandLayoutEdit');
+        const editor = document.getElementById('bandLayoutEditor');
+        if (editBtn && editor) {
+            editBtn.onclick = () => {
+                const show = editor.style.display === 'none';
+                editor.style.display = show ? 'block' : 'none';
+                if (show) {
+                    this.renderBandLayoutEditor();
+                }
+            };
+        }
+        
+        const addBtn = document.getElementById('bandLayoutAdd');
+        if (addBtn) {
+            addBtn.onclick = () => this.addBandLayoutRow();
+        }
+        
+        const applyBtn = document.getElementById('bandLayoutApply');
+        if (applyBtn) {
+            applyBtn.onclick = () => this.applyBandLayoutEditor();
+        }
+    }
+    
+    // Switch layout from the menu and report what happened to the mappings
+    applyBandLayout(layout) {
+        try {
+            const dropped = this.setBandLayout(layout);
+            const name = this.bandLayout.id === 'custom' ? 'Custom' : BAND_LAYOUTS[this.bandLayout.id].name;
+            const note = dropped > 0 ? ` - removed ${dropped} mapping${dropped === 1 ? '' : 's'}/trigger${dropped === 1 ? '' : 's'} on missing bands` : '';
+            this.app.ui.updateStatus(`🎚️ ${name} band layout (${this.bandLayout.bands.length} bands)${note}`, dropped > 0 ? 'warning' : 'success');
+        } catch (error) {
+            this.app.ui.updateStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    renderBandLayoutEditor() {
+        const rows = document.getElementById('bandLayoutRows');
+        if (!rows) return;
+        
+        rows.innerHTML = '';
+        this.bandLayout.bands.forEach(band => this.addBandLayoutRow(band));
+        
+        const resolution = document.getElementById('bandResolution');
+        if (resolution) {
+            resolution.textContent = this.analyser
+                ? `${this.getBinFrequency().toFixed(1)} Hz per bin (${formatHz(this.getBinFrequency() * this.analyser.fftSize)}Hz, FFT ${this.analyser.fftSize})`
+                : 'Bin ranges follow the sample rate once audio starts';
+        }
+    }
+    
+    // One editable name / low / high row; without a band a new one continues up from the last row
+    addBandLayoutRow(band = null) {
+        const rows = document.getElementById('bandLayoutRows');
+        if (!rows) return;
+        
+        if (!band) {
+            const keys = [...rows.children].map(row => row.dataset.bandKey);
+            let n = rows.children.length + 1;
+            while (keys.includes(`band${n}`)) n++;
+            const lastHigh = rows.lastElementChild ? parseFloat(rows.lastElementChild.querySelector('.band-high').value) || 20 : 20;
+            band = { key: `band${n}`, name: `Band ${n}`, label: '', low: lastHigh, high: Math.min(20000, lastHigh * 2) };
+        }
+        
+        const row = document.createElement('div');
+        row.dataset.bandKey = band.key;
+        row.dataset.bandName = band.name;
+        row.dataset.bandLabel = band.label || '';
+        row.style.cssText = 'display: flex; gap: 4px; align-items: center; margin-bottom: 3px; font-size: 10px;';
+        row.innerHTML = `
+            <input type="text" class="band-name" maxlength="32" style="flex: 1; min-width: 0; padding: 2px 4px; background: #2a2a2a; border: 1px solid #555; color: #fff; border-radius: 2px; font-family: 'Courier New', monospace; font-size: 10px;">
+            <input type="number" class="band-low" min="0" step="any" style="width: 58px; padding: 2px 4px; background: #2a2a2a; border: 1px solid #555; color: #fff; border-radius: 2px; font-family: 'Courier New', monospace; font-size: 10px;">
+            <span style="color: #888;">-</span>
+            <input type="number" class="band-high" min="0" step="any" style="width: 58px; padding: 2px 4px; background: #2a2a2a; border: 1px solid #555; color: #fff; border-radius: 2px; font-family: 'Courier New', monospace; font-size: 10px;">
+            <span style="color: #888;">Hz</span>
+            <button class="band-remove" style="padding: 1px 5px; background: #F44336; color: #fff; border: none; border-radius: 2px; cursor: pointer; font-size: 9px;">×</button>
+        `;
+        // Values are set as properties so names from loaded files can't break the markup
+        row.querySelector('.band-name').value = band.name;
+        row.querySelector('.band-low').value = band.low;
+        row.querySelector('.band-high').value = band.high;
+        row.querySelector('.band-remove').onclick = () => row.remove();
+        rows.appendChild(row);
+    }
+    
+    applyBandLayoutEditor() {
+        const rows = document.getElementById('bandLayoutRows');
+        if (!rows) return;
+        
+        const bands = [...rows.children].map(row => {
+            const name = row.querySelector('.band-name').value.trim();
+            return {
+                key: row.dataset.bandKey,
+                name,
+                // Renamed bands get a fresh caption
+                label: name === row.dataset.bandName ? row.dataset.bandLabel : '',
+                low: parseFloat(row.querySelector('.band-low').value),
+                high: parseFloat(row.querySelector('.band-high').value)
+            };
+        });
+        
+        const { layout, problems } = sanitizeBandLayout({ id: this.bandLayout.id, bands });
+        if (!layout || problems.length > 0) {
+            this.app.ui.updateStatus(`⚠️ Band layout not applied: ${problems.join(', ')}`, 'warning');
+            return;
+        }
+        
+        this.applyBandLayout(layout);
+    }
+    
+    // ONSET TRIGGER UI
+    setupOnsetTriggerHandlers() {
+        const toggle = document.getElementById('onsetDetectionToggle');
+        if (toggle) {
+            toggle.onchange = () => {
+                this.onsetDetection.enabled = toggle.checked;
+                this.onsetDetector.reset();
+                if (this.analysisNode) {
+                    this.analysisNode.port.postMessage({ type: 'reset' });
+                }
+            };
+        }
+        
+        const sensitivity = document.getElementById('onsetSensitivity');
+        const sensitivityValue = document.getElementById('onsetSensitivityValue');
+        if (sensitivity && sensitivityValue) {
+            sensitivity.oninput = () => {
+                this.onsetDetection.sensitivity = parseFloat(sensitivity.value);
+                sensitivityValue.textContent = sensitivity.value;
+            };
         }
+        
+        const addBtn = document.getElementById('onsetTriggerAdd');
+        if (addBtn) {
+            addBtn.onclick = () => {
+                if (this.onsetTriggers.length >= MAX_TRIGGERS) {
+                    this.app.ui.updateStatus(`⚠️ At most ${MAX_TRIGGERS} onset triggers`, 'warning');
+                    return;
+                }
+                this.onsetTriggers.push({ band: ALL_BANDS_KEY, action: 'paletteStep', ...TRIGGER_DEFAULTS });
+                this.renderOnsetTriggers();
+            };
+        }
+    }
+    
+    // One row per trigger: band, action, parameter group (randomize only), cooldown and an onset light
+    renderOnsetTriggers() {
+        const list = document.getElementById('onsetTriggerList');
+        if (!list) return;
+        
+        const bandOptions = [
+            { key: ALL_BANDS_KEY, name: 'All bands' },
+            ...this.bandLayout.bands
+        ];
+        
+        list.innerHTML = this.onsetTriggers.map((trigger, index) => `
+            <div style="display: flex; gap: 4px; align-items: center; margin-bottom: 4px;" data-trigger-index="${index}">
+                <span class="onset-light" data-band="${trigger.band}" title="Lights on this band's onsets" style="flex: 0 0 8px; height: 8px; border-radius: 50%; background: #333;"></span>
+                <select class="onset-trigger-field" data-field="band" style="flex: 1; min-width: 0; padding: 2px; background: #333; border: 1px solid #555; color: #fff; border-radius: 2px; font-size: 9px;">
+                    ${bandOptions.map(band => `<option value="${band.key}" ${band.key === trigger.band ? 'selected' : ''}>${band.name}</option>`).join('')}
+                </select>
+                <select class="onset-trigger-field" data-field="action" style="flex: 1; min-width: 0; padding: 2px; background: #333; border: 1px solid #555; color: #fff; border-radius: 2px; font-size: 9px;">
+                    ${Object.entries(TRIGGER_ACTIONS).map(([id, action]) => `<option value="${id}" title="${action.description}" ${id === trigger.action ? 'selected' : ''}>${action.name}</option>`).join('')}
+                </select>
+                ${trigger.action === 'randomizeGroup' ? `
+                    <select class="onset-trigger-field" data-field="group" style="flex: 1; min-width: 0; padding: 2px; background: #333; border: 1px solid #555; color: #fff; border-radius: 2px; font-size: 9px;">
+                        ${Object.entries(PARAMETER_GROUPS).map(([id, group]) => `<option value="${id}" ${id === trigger.group ? 'selected' : ''}>${group.name}</option>`).join('')}
+                    </select>
+                ` : ''}
+                <input type="number" class="onset-trigger-field" data-field="cooldown" min="${ONSET_LIMITS.cooldown.min}" max="${ONSET_LIMITS.cooldown.max}" step="50" value="${trigger.cooldown}"
+                       title="Cooldown (ms)" style="width: 48px; padding: 2px; background: #333; border: 1px solid #555; color: #fff; border-radius: 2px; font-size: 9px;">
+                <button class="onset-trigger-remove" style="padding: 1px 5px; background: #F44336; color: #fff; border: none; border-radius: 2px; cursor: pointer; font-size: 9px;">×</button>
+            </div>
+        `).join('') || '<div style="color: #666; font-style: italic; padding: 4px;">No triggers - add one to act on onsets</div>';
+        
+        list.querySelectorAll('.onset-trigger-field').forEach(field => {
+            field.onchange = (e) => {
+                const index = parseInt(e.target.closest('[data-trigger-index]').dataset.triggerIndex, 10);
+                const trigger = this.onsetTriggers[index];
+                if (!trigger) return;
+                
+                const name = e.target.dataset.field;
+                if (name === 'cooldown') {
+                    const limits = ONSET_LIMITS.cooldown;
+                    trigger.cooldown = Math.max(limits.min, Math.min(limits.max, parseFloat(e.target.value) || 0));
+                } else {
+                    trigger[name] = e.target.value;
+                }
+                
+                // Band and action changes alter the row (light, group select)
+                if (name !== 'cooldown') {
+                    this.renderOnsetTriggers();
+                }
+            };
+        });
+        
+        list.querySelectorAll('.onset-trigger-remove').forEach(button => {
+            button.onclick = (e) => {
+                const index = parseInt(e.target.closest('[data-trigger-index]').dataset.triggerIndex, 10);
+                this.onsetTriggers.splice(index, 1);
+                this.renderOnsetTriggers();
+            };
+        });
+    }
+    
+    updateOnsetLights() {
+        const now = this.getAnalysisTime();
+        document.querySelectorAll('.onset-light').forEach(light => {
+            const lit = this.onsetDetection.enabled && now - this.onsetDetector.getLastOnset(light.dataset.band) < ONSET_FLASH_MS;
+            light.style.background = lit ? '#FFEB3B' : '#333';
+        });
     }
     
     // Generate cached parameter options for performance
@@ -974,20 +1756,23 @@ export class AudioSystem {
         const container = document.getElementById('frequencyMappings');
         if (!container) return;
         
-        // Define all available frequency bands and controls
+        // Define all available frequency bands (from the band layout) and controls
+        const bands = this.bandLayout.bands;
         const audioSources = [
-            { key: 'subBass', name: 'Sub-Bass', description: '20-60Hz', color: '#8E24AA' },
-            { key: 'bass', name: 'Bass', description: '60-250Hz', color: '#1976D2' }, 
-            { key: 'lowMid', name: 'Low-Mid', description: '250-500Hz', color: '#00796B' },
-            { key: 'mid', name: 'Mid', description: '500-2kHz', color: '#388E3C' },
-            { key: 'highMid', name: 'High-Mid', description: '2-4kHz', color: '#F57C00' },
-            { key: 'presence', name: 'Presence', description: '4-6kHz', color: '#E64A19' },
-            { key: 'brilliance', name: 'Brilliance', description: '6-8kHz', color: '#C62828' },
-            { key: 'air', name: 'Air', description: '8-12kHz', color: '#AD1457' },
-            { key: 'ultra', name: 'Ultra', description: '12-16kHz', color: '#6A1B9A' },
-            { key: 'super', name: 'Super', description: '16-20kHz+', color: '#4527A0' },
+            ...bands.map((band, index) => ({
+                key: band.key,
+                name: band.name,
+                description: `${formatHz(band.low)}-${formatHz(band.high)}Hz`,
+                color: getBandColor(index, bands.length, 40)
+            })),
             { key: 'beat', name: 'Beat Detection', description: 'Beat trigger', color: '#D32F2F' },
-            { key: 'overall', name: 'Overall Volume', description: 'Total audio level', color: '#455A64' }
+            { key: 'overall', name: 'Overall Volume', description: 'Total audio level', color: '#455A64' },
+            { key: 'rms', name: 'RMS Loudness', description: 'Waveform loudness', color: '#546E7A' },
+            { key: 'peak', name: 'Peak', description: 'Loudest sample', color: '#78909C' },
+            { key: 'centroid', name: 'Brightness', description: 'Spectral centroid, 20Hz-20kHz', color: '#FFA000' },
+            { key: 'beatPhase', name: 'Beat Phase', description: '0→1 every beat', color: '#E91E63' },
+            { key: 'barPhase', name: 'Bar Phase', description: '0→1 every bar', color: '#C2185B' },
+            { key: 'phrasePhase', name: 'Phrase Phase', description: '0→1 every 4 bars', color: '#880E4F' }
         ];
         
         // Cache parameter options to avoid repeated lookups
@@ -996,6 +1781,7 @@ export class AudioSystem {
         }
         
         const { artisticOptionsHTML, debugOptionsHTML } = this._cachedParameterOptions;
+        const artisticParams = this.app.parameters.getParameterKeys();
         
         // Find which parameters are currently mapped to each audio source
         const reverseMappings = {};
@@ -1042,14 +1828,24 @@ export class AudioSystem {
                             try {
                                 const param = this.app.parameters.getParameter(mappedParam.paramKey);
                                 const paramType = artisticParams.includes(mappedParam.paramKey) ? 'artistic' : 'debug';
+                                const expanded = this.expandedResponsePanels.has(mappedParam.mappingKey);
                                 return `
-                                    <div style="display: flex; gap: 6px; align-items: center; font-size: 9px; margin-bottom: 4px; padding: 4px; background: rgba(0,0,0,0.3); border-radius: 2px;" data-param-mapping="${mappedParam.mappingKey}">
-                                        <span style="flex: 1; color: ${paramType === 'artistic' ? '#4CAF50' : '#FF9800'};" title="${paramType === 'artistic' ? 'Artistic Parameter' : 'Debug Parameter'}">${param.name}</span>
-                                        <input type="range" class="param-sensitivity-slider" data-mapping-key="${mappedParam.mappingKey}"
-                                               min="0" max="3" step="0.1" value="${mappedParam.sensitivity}" 
-                                               style="width: 50px;" title="Sensitivity">
-                                        <span class="param-sensitivity-value" style="width: 25px; text-align: center; color: #fff;">${mappedParam.sensitivity.toFixed(1)}</span>
-                                        <button class="param-remove-btn" data-mapping-key="${mappedParam.mappingKey}" style="padding: 1px 4px; background: #F44336; color: #fff; border: none; border-radius: 2px; cursor: pointer; font-size: 8px;">×</button>
+                                    <div style="font-size: 9px; margin-bottom: 4px; padding: 4px; background: rgba(0,0,0,0.3); border-radius: 2px;" data-param-mapping="${mappedParam.mappingKey}">
+                                        <div style="display: flex; gap: 6px; align-items: center;">
+                                            <span style="flex: 1; color: ${paramType === 'artistic' ? '#4CAF50' : '#FF9800'};" title="${paramType === 'artistic' ? 'Artistic Parameter' : 'Debug Parameter'}">${param.name}</span>
+                                            <input type="range" class="param-sensitivity-slider" data-mapping-key="${mappedParam.mappingKey}"
+                                                   min="0" max="3" step="0.1" value="${mappedParam.sensitivity}" 
+                                                   style="width: 50px;" title="Sensitivity">
+                                            <span class="param-sensitivity-value" style="width: 25px; text-align: center; color: #fff;">${mappedParam.sensitivity.toFixed(1)}</span>
+                                            <!-- Live preview: bar = shaped signal, line = raw input -->
+                                            <div class="mapping-preview" data-mapping-key="${mappedParam.mappingKey}" title="Shaped signal (bar) and raw input (line)" style="position: relative; width: 40px; height: 8px; background: #222; border-radius: 2px; overflow: hidden;">
+                                                <div class="mapping-preview-signal" style="height: 100%; width: 0%; background: #4CAF50;"></div>
+                                                <div class="mapping-preview-raw" style="position: absolute; top: 0; bottom: 0; left: 0%; width: 1px; background: #fff;"></div>
+                                            </div>
+                                            <button class="param-response-btn" data-mapping-key="${mappedParam.mappingKey}" title="Envelope, curve and blend" style="padding: 1px 4px; background: ${expanded ? '#FF9800' : '#555'}; color: #fff; border: none; border-radius: 2px; cursor: pointer; font-size: 8px;">⚙</button>
+                                            <button class="param-remove-btn" data-mapping-key="${mappedParam.mappingKey}" style="padding: 1px 4px; background: #F44336; color: #fff; border: none; border-radius: 2px; cursor: pointer; font-size: 8px;">×</button>
+                                        </div>
+                                        ${expanded ? this.getResponsePanelHTML(mappedParam.mappingKey) : ''}
                                     </div>
                                 `;
                             } catch (error) {
@@ -1067,6 +1863,96 @@ export class AudioSystem {
         this.setupFrequencyMappingEventHandlers();
     }
     
+    // RESPONSE PANEL
+    // Envelope, gate, range, curve, invert and blend controls for one mapping, with a transfer curve
+    // that shows where the live signal sits
+    getResponsePanelHTML(mappingKey) {
+        const response = getMappingResponse(this.parameterMappings[mappingKey]);
+        const labels = { attack: 'Attack', release: 'Release', gate: 'Gate', rangeMin: 'In min', rangeMax: 'In max' };
+        const selectStyle = "flex: 1; padding: 1px; background: #333; border: 1px solid #555; color: #fff; border-radius: 2px; font-size: 9px;";
+        
+        const sliders = Object.entries(MAPPING_RESPONSE_LIMITS).map(([field, limits]) => `
+            <div style="display: flex; gap: 4px; align-items: center; margin-bottom: 2px;">
+                <span style="width: 42px; color: #aaa;">${labels[field]}</span>
+                <input type="range" class="param-response-input" data-mapping-key="${mappingKey}" data-field="${field}"
+                       min="${limits.min}" max="${limits.max}" step="${limits.step}" value="${response[field]}" style="flex: 1; min-width: 0;">
+                <span class="param-response-value" style="width: 38px; text-align: right; color: #fff;">${this.formatResponseValue(field, response[field])}</span>
+            </div>
+        `).join('');
+        
+        return `
+            <div class="param-response-panel" style="display: flex; gap: 8px; margin-top: 6px; padding-top: 6px; border-top: 1px solid #333;">
+                <div style="flex: 1; min-width: 0;">
+                    ${sliders}
+                    <div style="display: flex; gap: 4px; align-items: center; margin-top: 4px;">
+                        <select class="param-response-input" data-mapping-key="${mappingKey}" data-field="curve" style="${selectStyle}" title="Response curve">
+                            ${Object.entries(RESPONSE_CURVES).map(([id, curve]) => `<option value="${id}" ${id === response.curve ? 'selected' : ''}>${curve.name}</option>`).join('')}
+                        </select>
+                        <select class="param-response-input" data-mapping-key="${mappingKey}" data-field="blend" style="${selectStyle}" title="How the signal combines with the parameter">
+                            ${Object.entries(RESPONSE_BLENDS).map(([id, name]) => `<option value="${id}" ${id === response.blend ? 'selected' : ''}>${name}</option>`).join('')}
+                        </select>
+                        <label style="display: flex; align-items: center; gap: 2px; color: #aaa;">
+                            <input type="checkbox" class="param-response-input" data-mapping-key="${mappingKey}" data-field="invert" ${response.invert ? 'checked' : ''}>Inv
+                        </label>
+                    </div>
+                </div>
+                <canvas class="param-response-curve" data-mapping-key="${mappingKey}" width="90" height="90" title="Input → output (dot: live signal)" style="flex: 0 0 90px; background: rgba(0,0,0,0.4); border-radius: 2px;"></canvas>
+            </div>
+        `;
+    }
+    
+    formatResponseValue(field, value) {
+        return field === 'attack' || field === 'release' ? `${Math.round(value)}ms` : value.toFixed(2);
+    }
+    
+    // Transfer curve (gate → range → curve → invert, without the envelope) plus the live signal as a dot.
+    // The dot drifts off the curve while the envelope is still catching up.
+    drawResponseCurve(mappingKey) {
+        const canvas = document.querySelector(`.param-response-curve[data-mapping-key="${mappingKey}"]`);
+        const mapping = this.parameterMappings[mappingKey];
+        if (!canvas || !mapping) return;
+        
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const response = getMappingResponse(mapping);
+        const toY = value => height - 1 - value * (height - 2);
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        // Input window
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+        ctx.fillRect(response.rangeMin * width, 0, Math.max(0, response.rangeMax - response.rangeMin) * width, height);
+        
+        ctx.strokeStyle = '#FF9800';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const y = toY(applyCurve(response, shapeInput(response, x / width)));
+            if (x === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+        
+        const signal = this.mappingSignals[mappingKey];
+        if (signal) {
+            ctx.fillStyle = '#4CAF50';
+            ctx.beginPath();
+            ctx.arc(Math.min(1, signal.raw) * width, toY(signal.signal), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    // Live meters next to each mapping, refreshed with the equalizer
+    updateMappingPreviews() {
+        document.querySelectorAll('.mapping-preview').forEach(preview => {
+            const signal = this.mappingSignals[preview.dataset.mappingKey];
+            const raw = signal ? Math.min(1, signal.raw) : 0;
+            preview.querySelector('.mapping-preview-signal').style.width = `${(signal ? signal.signal : 0) * 100}%`;
+            preview.querySelector('.mapping-preview-raw').style.left = `${raw * 100}%`;
+        });
+        
+        this.expandedResponsePanels.forEach(mappingKey => this.drawResponseCurve(mappingKey));
+    }
+    
     setupFrequencyMappingEventHandlers() {
         // Handle adding new parameter mappings
         document.querySelectorAll('.frequency-add-btn').forEach(button => {
@@ -1098,6 +1984,9 @@ export class AudioSystem {
             button.addEventListener('click', (e) => {
                 const mappingKey = e.target.dataset.mappingKey;
                 delete this.parameterMappings[mappingKey];
+                delete this.mappingEnvelopes[mappingKey];
+                delete this.mappingSignals[mappingKey];
+                this.expandedResponsePanels.delete(mappingKey);
                 this.populateFrequencyMappings();
             });
         });
@@ -1120,6 +2009,46 @@ export class AudioSystem {
             });
         });
         
+        // Response panel toggles (kept open across list refreshes)
+        document.querySelectorAll('.param-response-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const mappingKey = e.target.dataset.mappingKey;
+                if (this.expandedResponsePanels.has(mappingKey)) {
+                    this.expandedResponsePanels.delete(mappingKey);
+                } else {
+                    this.expandedResponsePanels.add(mappingKey);
+                }
+                this.populateFrequencyMappings();
+            });
+        });
+        
+        // Response panel fields
+        document.querySelectorAll('.param-response-input').forEach(input => {
+            const handler = (e) => {
+                const { mappingKey, field } = e.target.dataset;
+                const mapping = this.parameterMappings[mappingKey];
+                if (!mapping) return;
+                
+                if (e.target.type === 'checkbox') {
+                    mapping[field] = e.target.checked;
+                } else if (e.target.tagName === 'SELECT') {
+                    mapping[field] = e.target.value;
+                } else {
+                    mapping[field] = parseFloat(e.target.value);
+                    const valueSpan = e.target.parentElement.querySelector('.param-response-value');
+                    if (valueSpan) {
+                        valueSpan.textContent = this.formatResponseValue(field, mapping[field]);
+                    }
+                }
+                
+                this.drawResponseCurve(mappingKey);
+            };
+            input.addEventListener(input.type === 'range' ? 'input' : 'change', handler);
+        });
+        document.querySelectorAll('.param-response-curve').forEach(canvas => {
+            this.drawResponseCurve(canvas.dataset.mappingKey);
+        });
+        
         // Reset mappings button
         const resetBtn = document.getElementById('resetMappings');
         if (resetBtn) {
@@ -1162,10 +2091,62 @@ export class AudioSystem {
                 this.randomlyAssignArtisticParameters();
             };
         }
+        
+        // Library mapping set buttons
+        const setSelect = document.getElementById('mappingSetSelect');
+        const recallSetBtn = document.getElementById('recallMappingSet');
+        if (recallSetBtn && setSelect) {
+            recallSetBtn.onclick = () => {
+                if (!setSelect.value) return;
+                this.app.storage.loadMappingSet(setSelect.value).catch(error => {
+                    this.app.ui.updateStatus(`❌ ${error.message}`, 'error');
+                });
+            };
+        }
+        
+        const storeSetBtn = document.getElementById('storeMappingSet');
+        if (storeSetBtn) {
+            storeSetBtn.onclick = async () => {
+                const name = prompt('Name for this mapping set:', setSelect && setSelect.value ? setSelect.value : 'My Mappings');
+                if (!name) return;
+                try {
+                    await this.app.storage.saveMappingSet(name);
+                    await this.populateMappingSetSelect(name);
+                } catch (error) {
+                    this.app.ui.updateStatus(`❌ Could not store mapping set: ${error.message}`, 'error');
+                }
+            };
+        }
+        
+        const deleteSetBtn = document.getElementById('deleteMappingSet');
+        if (deleteSetBtn && setSelect) {
+            deleteSetBtn.onclick = async () => {
+                if (!setSelect.value || !confirm(`Delete mapping set "${setSelect.value}"?`)) return;
+                try {
+                    await this.app.storage.deleteMappingSet(setSelect.value);
+                    await this.populateMappingSetSelect();
+                } catch (error) {
+                    this.app.ui.updateStatus(`❌ ${error.message}`, 'error');
+                }
+            };
+        }
+        
+        this.populateMappingSetSelect();
+    }
+    
+    async populateMappingSetSelect(selectedName = '') {
+        const select = document.getElementById('mappingSetSelect');
+        if (!select || !this.app.storage) return;
+        
+        const sets = await this.app.storage.listMappingSets();
+        select.innerHTML = `<option value="">${this.app.storage.available ? 'Library sets...' : 'Library unavailable'}</option>` +
+            sets.map(set => `<option value="${set.name}">${set.name}</option>`).join('');
+        select.value = selectedName;
     }
     
     loadPresetMappings() {
-        // Load a sensible default mapping preset
+        // Load a sensible default mapping preset (written for the 10-band layout)
+        this.setBandLayout('tenBand');
         this.parameterMappings = {
             'center_fill_radius': { source: 'bass', sensitivity: 2.0 },
             'rotation_speed': { source: 'mid', sensitivity: 1.5 },
@@ -1191,11 +2172,8 @@ export class AudioSystem {
             !['color_intensity', 'color_speed'].includes(key)
         );
         
-        // Define available frequency bands
-        const frequencyBands = [
-            'subBass', 'bass', 'lowMid', 'mid', 'highMid', 
-            'presence', 'brilliance', 'air', 'sparkle', 'overall'
-        ];
+        // Any band of the current layout, or the overall level
+        const frequencyBands = [...Object.keys(this.frequencyBands), 'overall'];
         
         // Randomly assign 6-8 artistic parameters to random frequency bands
         const numAssignments = Math.floor(Math.random() * 3) + 6; // 6-8 assignments
@@ -1230,8 +2208,12 @@ export class AudioSystem {
         try {
             // Create mapping data with metadata
             const mappingData = {
-                version: '1.0',
+                version: '1.1',
                 timestamp: new Date().toISOString(),
+                // Band definitions in Hz, so band-keyed mappings mean the same thing when loaded elsewhere
+                bandLayout: this.bandLayout,
+                onsetDetection: { ...this.onsetDetection },
+                onsetTriggers: this.onsetTriggers,
                 beatDetection: {
                     enabled: this.beatDetection.enabled,
                     threshold: this.beatDetection.threshold,
@@ -1297,9 +2279,21 @@ export class AudioSystem {
                     this.beatDetection.minTimeBetweenBeats = mappingData.beatDetection.minTimeBetweenBeats || 300;
                 }
                 
+                // Band layout first - files from before layouts existed used the 10-band keys
+                this.setBandLayout(mappingData.bandLayout || DEFAULT_BAND_LAYOUT);
+                
                 // Load parameter mappings
                 this.parameterMappings = mappingData.parameterMappings;
                 
+                // Load onset detection and triggers if available (checked against the layout just loaded)
+                if (mappingData.onsetDetection) {
+                    this.setOnsetDetection(mappingData.onsetDetection);
+                }
+                if (mappingData.onsetTriggers) {
+                    this.setOnsetTriggers(mappingData.onsetTriggers);
+                }
+                this.renderOnsetTriggers();
+                
                 // Update the UI
                 this.populateFrequencyMappings();
                 
@@ -1312,6 +2306,14 @@ export class AudioSystem {
                 if (beatThreshold) beatThreshold.value = this.beatDetection.threshold;
                 if (beatThresholdValue) beatThresholdValue.textContent = this.beatDetection.threshold;
                 
+                const onsetToggle = document.getElementById('onsetDetectionToggle');
+                const onsetSensitivity = document.getElementById('onsetSensitivity');
+                const onsetSensitivityValue = document.getElementById('onsetSensitivityValue');
+                
+                if (onsetToggle) onsetToggle.checked = this.onsetDetection.enabled;
+                if (onsetSensitivity) onsetSensitivity.value = this.onsetDetection.sensitivity;
+                if (onsetSensitivityValue) onsetSensitivityValue.textContent = this.onsetDetection.sensitivity;
+                
                 const version = mappingData.version || 'unknown';
                 const timestamp = mappingData.timestamp ? new Date(mappingData.timestamp).toLocaleString() : 'unknown';
                 
@@ -1335,8 +2337,14 @@ export class AudioSystem {
         this.equalizerUpdateInterval = setInterval(() => {
             if (this.advancedMenuVisible && this.audioReactive) {
                 this.updateEqualizerDisplay();
+                this.updateMappingPreviews();
+                this.updateOnsetLights();
                 this.updateAdvancedMicrophoneVolumeLevel();
             }
+            // Tap tempo works without audio, so the tempo readout always updates
+            if (this.advancedMenuVisible) {
+                this.app.tempo.updateMenuSection();
+            }
         }, 100); // 10 FPS update rate - less laggy
     }
     
@@ -1349,6 +2357,16 @@ export class AudioSystem {
         // Event listener cleanup no longer needed - handled by main controls
     }
     
+    // Every source a parameter mapping can read from
+    getAvailableSources() {
+        return [...new Set([...Object.keys(this.frequencyBands), ...this.getControlSources()])];
+    }
+    
+    // Sources that exist whatever band layout is loaded
+    getControlSources() {
+        return [...Object.keys(LEGACY_BANDS), 'beat', 'overall', 'rms', 'peak', 'centroid', ...Object.keys(TEMPO_SOURCES)];
+    }
+    
     // Get current audio system state for saving
     getState() {
         return {
@@ -1361,6 +2379,9 @@ export class AudioSystem {
                 minTimeBetweenBeats: this.beatDetection.minTimeBetweenBeats,
                 historySize: this.beatDetection.historySize
             },
+            bandLayout: { id: this.bandLayout.id, bands: this.bandLayout.bands.map(band => ({ ...band })) },
+            onsetDetection: { ...this.onsetDetection },
+            onsetTriggers: this.onsetTriggers.map(trigger => ({ ...trigger })),
             parameterMappings: { ...this.parameterMappings }
         };
     }
@@ -1395,9 +2416,20 @@ export class AudioSystem {
             }
         }
         
+        // Restore the band layout before the mappings that refer to it (older saves used 10 bands)
+        this.setBandLayout(state.bandLayout || DEFAULT_BAND_LAYOUT);
+        
         // Restore parameter mappings
         if (state.parameterMappings) {
             this.parameterMappings = { ...state.parameterMappings };
         }
+        
+        // Restore onset detection and triggers
+        if (state.onsetDetection) {
+            this.setOnsetDetection(state.onsetDetection);
+        }
+        if (state.onsetTriggers) {
+            this.setOnsetTriggers(state.onsetTriggers);
+        }
     }
 }
\ No newline at end of file
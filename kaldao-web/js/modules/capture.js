@@ -0,0 +1,177 @@
+// High-resolution still capture module
+// Poster-sized stills (8K, 16K and beyond) are bigger than any canvas the GPU will allocate,
+// so the current frame is re-rendered in tiles: each tile is drawn with u_resolution set to the
+// full output size and u_tile_offset shifting gl_FragCoord, then read back and streamed into a
+// PNG one strip at a time. Tiles overlap by the reach of the post-processing passes and are
+// cropped back, so bloom, pixelation and chromatic aberration run across tile edges without
+// seams. The full save data is embedded as a tEXt chunk so dropping the PNG into Ctrl+L
+// restores the exact parameters that produced it.
+import { PNGStreamWriter } from './png.js';
+import { PNG_STATE_KEYWORD } from './fileIO.js';
+
+// Common print sizes (width; height follows the window's aspect ratio unless given explicitly)
+export const CAPTURE_PRESETS = {
+    '4K': 3840,
+    '8K': 7680,
+    '16K': 15360
+};
+
+export class CaptureManager {
+    constructor() {
+        this.app = null;
+        this.captureInProgress = false;
+        this.maxTileSize = 2048;       // Upper bound per tile - keeps readback buffers and GPU time per draw modest
+    }
+
+    init(app) {
+        this.app = app;
+        console.log('Capture manager initialized');
+    }
+
+    // Resolve { preset | width, height } into concrete pixel dimensions
+    resolveCaptureSize(options = {}) {
+        const aspect = window.innerWidth / window.innerHeight;
+        let width = options.width;
+        let height = options.height;
+
+        if (!width && options.preset) {
+            width = CAPTURE_PRESETS[options.preset];
+            if (!width) {
+                throw new Error(`Unknown capture preset '${options.preset}'`);
+            }
+        }
+
+        width = Math.round(width || CAPTURE_PRESETS['8K']);
+        height = Math.round(height || width / aspect);
+
+        if (width < 1 || height < 1) {
+            throw new Error('Capture size must be positive');
+        }
+
+        return { width, height };
+    }
+
+    // MAIN CAPTURE ROUTINE
+    // Freezes the animation, renders every tile of the current frame and downloads the PNG
+    async captureHighResStill(options = {}) {
+        if (this.captureInProgress) {
+            this.app.ui.updateStatus('Capture already running', 'info');
+            return null;
+        }
+        if (this.app.exporter.exportInProgress) {
+            this.app.ui.updateStatus('Wait for the export to finish before capturing', 'info');
+            return null;
+        }
+
+        let size;
+        try {
+            size = this.resolveCaptureSize(options);
+        } catch (error) {
+            this.app.ui.updateStatus(`❌ ${error.message}`, 'error');
+            return null;
+        }
+
+        this.captureInProgress = true;
+        const captureStartTime = performance.now();
+
+        try {
+            const tileLimit = Math.min(this.maxTileSize, this.app.renderer.getMaxRenderSize());
+            const tile = this.app.renderer.setFixedResolution(
+                Math.min(tileLimit, size.width),
+                Math.min(tileLimit, size.height)
+            );
+
+            // Overlap along each axis that is split into tiles - capped so a tile keeps at least half its size
+            const neededMargin = this.app.renderer.getTileMargin(this.app.parameters, size.width, size.height);
+            const margin = Math.min(neededMargin, Math.floor(tileLimit / 4));
+            const marginX = size.width > tile.width ? margin : 0;
+            const marginY = size.height > tile.height ? margin : 0;
+            const innerWidth = tile.width - 2 * marginX;
+            const innerHeight = tile.height - 2 * marginY;
+            if (margin < neededMargin) {
+                console.warn(`⚠️ Post FX need ${neededMargin}px of tile overlap, using ${margin}px - faint seams possible`);
+                this.app.ui.updateStatus('⚠️ Post FX settings reach further than the tile overlap - the still may show faint seams', 'warning');
+            }
+
+            const columns = Math.ceil(size.width / innerWidth);
+            const rows = Math.ceil(size.height / innerHeight);
+
+            console.log(`📸 Capturing ${size.width}x${size.height} in ${columns}x${rows} tiles of ${tile.width}x${tile.height} (${margin}px overlap)`);
+            this.app.ui.updateStatus(`📸 Rendering ${size.width}x${size.height} still (${columns * rows} tiles)...`, 'info');
+
+            const saveData = this.app.fileManager.buildSaveData();
+            const writer = new PNGStreamWriter(size.width, size.height, {
+                [PNG_STATE_KEYWORD]: JSON.stringify(saveData),
+                Software: 'Kaldao Fractal Visualizer'
+            });
+            writer.start();
+
+            const renderState = this.app.getRenderState();
+
+            // Work top to bottom in image rows so each strip can be written as soon as it is complete
+            for (let row = 0; row < rows; row++) {
+                const stripTop = row * innerHeight;
+                const stripHeight = Math.min(innerHeight, size.height - stripTop);
+                const strip = new Uint8Array(size.width * stripHeight * 4);
+
+                for (let column = 0; column < columns; column++) {
+                    const tileLeft = column * innerWidth;
+                    const tileWidth = Math.min(innerWidth, size.width - tileLeft);
+
+                    // GL's origin is bottom-left: place the tile so the kept area's top edge lines up
+                    // with stripTop, with the overlap band around it
+                    this.app.renderer.renderTile(this.app.parameters, renderState, {
+                        width: size.width,
+                        height: size.height,
+                        offsetX: tileLeft - marginX,
+                        offsetY: size.height - stripTop + marginY - tile.height
+                    });
+
+                    // Crop the overlap band off again
+                    const pixels = this.app.renderer.readFramePixels();
+                    for (let y = 0; y < stripHeight; y++) {
+                        const sourceStart = ((y + marginY) * tile.width + marginX) * 4;
+                        strip.set(
+                            pixels.data.subarray(sourceStart, sourceStart + tileWidth * 4),
+                            (y * size.width + tileLeft) * 4
+                        );
+                    }
+                }
+
+                await writer.writeRows(strip, stripHeight);
+                this.app.ui.updateStatus(`📸 Rendering still... ${Math.round((row + 1) / rows * 100)}%`, 'info');
+
+                // Yield so the status message paints between strips
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            const blob = await writer.finish();
+            const filename = `kaldao-still-${size.width}x${size.height}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.png`;
+            this.downloadBlob(blob, filename);
+
+            const seconds = ((performance.now() - captureStartTime) / 1000).toFixed(1);
+            this.app.ui.updateStatus(`✅ Saved ${size.width}x${size.height} still (${seconds}s)`, 'success');
+            return blob;
+
+        } catch (error) {
+            console.error('High-res capture failed:', error);
+            this.app.ui.updateStatus(`❌ Capture failed: ${error.message}`, 'error');
+            return null;
+
+        } finally {
+            this.app.renderer.clearFixedResolution();
+            this.captureInProgress = false;
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -5,6 +5,8 @@
 // - Color palette management and editing
 // - Color mode synchronization
 
+import { isPlainName, isHexColor } from './sanitize.js';
+
 export class ColorManager {
     constructor() {
         this.app = null;
@@ -174,6 +176,38 @@ export class ColorManager {
         return this.colorPalettes[index];
     }
     
+    // Select a palette by index from outside the color menu (remote control, controllers)
+    // In black & white mode there is nothing to see, so this switches to palette color mode
+    selectPalette(index) {
+        const palette = this.colorPalettes[index];
+        if (!palette) return null;
+        
+        this.app.currentPaletteIndex = index;
+        if (index > 0 && this.app.parameters.getValue('color_mode') < 0.5) {
+            this.app.parameters.setValue('color_mode', 1.0);
+        }
+        
+        if (this.advancedColorMenuVisible) {
+            this.updateColorPreview();
+            this.updateColorModeControls();
+            this.populateColorComponentEditor();
+        }
+        this.app.ui.updateDisplay();
+        return palette;
+    }
+    
+    selectLayerPalette(index) {
+        const palette = this.layerColorPalettes[index];
+        if (!palette) return null;
+        
+        this.currentLayerPaletteIndex = index;
+        if (this.advancedColorMenuVisible) {
+            this.updateColorPreview();
+            this.populateColorComponentEditor();
+        }
+        return palette;
+    }
+    
     // Color palette randomization
     randomizePalette(index) {
         const palette = this.colorPalettes[index];
@@ -791,11 +825,35 @@ export class ColorManager {
         });
     }
     
+    // Make a layer palette from a share link or save file active
+    // Reuses an identical palette when one is already loaded, otherwise adds it as a new entry
+    selectOrAddLayerPalette(palette) {
+        if (!palette || !Array.isArray(palette.colors) || palette.colors.length === 0) return;
+        
+        const sameColors = (candidate) =>
+            candidate.colors.length === palette.colors.length &&
+            candidate.colors.every((color, index) => color.toLowerCase() === palette.colors[index].toLowerCase());
+        
+        let index = this.layerColorPalettes.findIndex(candidate => candidate.name === palette.name && sameColors(candidate));
+        if (index === -1) {
+            index = this.layerColorPalettes.findIndex(sameColors);
+        }
+        if (index === -1) {
+            this.layerColorPalettes.push({ name: palette.name || 'Shared', colors: [...palette.colors] });
+            index = this.layerColorPalettes.length - 1;
+        }
+        
+        this.currentLayerPaletteIndex = index;
+    }
+    
     // Create a new color palette
     createNewPalette() {
         const paletteName = prompt('Enter name for new palette:', `Custom ${this.colorPalettes.length}`);
-        if (!paletteName) {
-            // User cancelled, reset selector to current palette
+        if (paletteName && !isPlainName(paletteName)) {
+            this.app.ui.updateStatus('❌ Palette names are plain text (no < > or ")', 'error');
+        }
+        if (!paletteName || !isPlainName(paletteName)) {
+            // User cancelled (or gave an unusable name), reset selector to current palette
             const paletteSelector = document.getElementById('paletteSelector');
             if (paletteSelector) {
                 paletteSelector.value = this.app.currentPaletteIndex;
@@ -809,11 +867,13 @@ export class ColorManager {
             a: [0.5, 0.5, 0.5],
             b: [0.5, 0.5, 0.5], 
             c: [1.0, 1.0, 1.0],
-            d: [0.0, 0.33, 0.67]
+            d: [0.0, 0.33, 0.67],
+            custom: true            // User-created - kept in the local library across reloads
         };
         
         // Add to palette array
         this.colorPalettes.push(newPalette);
+        this.persistCustomPalettes();
         
         // Switch to the new palette
         this.app.currentPaletteIndex = this.colorPalettes.length - 1;
@@ -1119,8 +1179,11 @@ export class ColorManager {
     
     createNewLayerPalette() {
         const paletteName = prompt('Enter name for new layer palette:', `Custom Layer ${this.layerColorPalettes.length + 1}`);
-        if (!paletteName) {
-            // User cancelled, reset selector to current palette
+        if (paletteName && !isPlainName(paletteName)) {
+            this.app.ui.updateStatus('❌ Palette names are plain text (no < > or ")', 'error');
+        }
+        if (!paletteName || !isPlainName(paletteName)) {
+            // User cancelled (or gave an unusable name), reset selector to current palette
             const paletteSelector = document.getElementById('paletteSelector');
             if (paletteSelector) {
                 paletteSelector.value = this.currentLayerPaletteIndex;
@@ -1131,11 +1194,13 @@ export class ColorManager {
         // Create new layer palette with basic colors
         const newPalette = {
             name: paletteName,
-            colors: ['#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF']
+            colors: ['#FF0000', '#00FF00', '#0000FF', '#FFFF00', '#FF00FF', '#00FFFF'],
+            custom: true            // User-created - kept in the local library across reloads
         };
         
         // Add to palette array
         this.layerColorPalettes.push(newPalette);
+        this.persistCustomPalettes();
         
         // Switch to the new palette
         this.currentLayerPaletteIndex = this.layerColorPalettes.length - 1;
@@ -1150,7 +1215,17 @@ export class ColorManager {
         this.app.ui.updateStatus(`Created new layer palette: ${paletteName}`, 'success');
     }
     
+    // Write user-created palettes to the local library straight away rather than waiting for
+    // the next session autosave (later color edits are picked up by the autosave)
+    persistCustomPalettes() {
+        if (!this.app.storage) return;
+        this.app.storage.saveCustomPalettes().catch(error => {
+            console.warn('Failed to store custom palettes:', error);
+        });
+    }
+    
+    // #rrggbb only - the renderer can't convert the short form, and stored palettes are checked the same way
     isValidHexColor(hex) {
-        return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(hex);
+        return isHexColor(hex);
     }
 }
\ No newline at end of file
@@ -168,8 +168,22 @@ export class ControlsManager {
             case 'Escape':
                 e.preventDefault();
                 // Check if any advanced menus are open first
-                if (this.app.debugUI.debugLoggingMenuVisible) {
+                if (this.app.midi.learnTarget) {
+                    this.app.midi.cancelLearn();
+                } else if (this.app.debugUI.debugLoggingMenuVisible) {
                     this.app.debugUI.hideDebugLoggingControls();
+                } else if (this.app.presetBrowser.browserVisible) {
+                    this.app.presetBrowser.hidePresetBrowser();
+                } else if (this.app.crossfader.panelVisible) {
+                    this.app.crossfader.hideCrossfaderPanel();
+                } else if (this.app.lfo.panelVisible) {
+                    this.app.lfo.hideLFOPanel();
+                } else if (this.app.playlist.panelVisible) {
+                    this.app.playlist.hidePlaylistPanel();
+                } else if (this.app.exporter.exportDialogVisible) {
+                    this.app.exporter.hideExportDialog();
+                } else if (this.app.timeline.timelinePanelVisible) {
+                    this.app.timeline.hideTimelinePanel();
                 } else if (this.app.audio.advancedMenuVisible) {
                     this.app.audio.hideAdvancedAudioMenu();
                 } else if (this.app.color.advancedColorMenuVisible) {
@@ -199,8 +213,140 @@ export class ControlsManager {
                 }
                 break;
                 
-            case 'KeyO':
+            case 'KeyO':  // PLAYLIST PANEL (Shift+O next track)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.playlist.next();
+                } else {
+                    this.app.playlist.togglePlaylistPanel();
+                }
+                break;
+                
+            case 'KeyB':  // PRESET LIBRARY BROWSER
+                e.preventDefault();
+                this.app.presetBrowser.togglePresetBrowser();
+                break;
+                
+            case 'KeyG':  // PRESET MORPHING (Shift+G cycles the duration)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.morph.cycleDuration();
+                } else {
+                    this.app.morph.toggleEnabled();
+                }
+                break;
+                
+            case 'KeyX':  // CROSSFADER PANEL
+                e.preventDefault();
+                this.app.crossfader.toggleCrossfaderPanel();
+                break;
+                
+            case 'KeyN':  // CROSSFADER TOWARDS DECK A (Shift cuts to A)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.crossfader.setPosition(0);
+                } else {
+                    this.app.crossfader.nudge(-this.app.crossfader.keyStep);
+                }
+                break;
+                
+            case 'KeyM':  // CROSSFADER TOWARDS DECK B (Shift cuts to B)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.crossfader.setPosition(1);
+                } else {
+                    this.app.crossfader.nudge(this.app.crossfader.keyStep);
+                }
+                break;
+                
+            case 'KeyQ':  // MIDI-LEARN FOR THE SELECTED PARAMETER (Shift+Q clears its bindings)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.midi.clearSelectedParameterBindings();
+                } else {
+                    this.app.midi.learnSelectedParameter();
+                }
+                break;
+                
+            case 'KeyJ':  // TAP TEMPO (Shift+J toggles tempo detection)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.tempo.toggleAutoDetect();
+                } else {
+                    this.app.tempo.tap();
+                }
+                break;
+                
+            case 'KeyW':  // TEMPO-LOCK THE SELECTED SPEED (off → 1/4 → 1 bar → 4 bars)
+                e.preventDefault();
+                this.app.tempo.cycleSelectedLock();
+                break;
+                
+            case 'KeyF':  // LFO PANEL (Shift+F adds an LFO on the selected parameter)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.lfo.addLFOForSelectedParameter();
+                } else {
+                    this.app.lfo.toggleLFOPanel();
+                }
+                break;
+                
+            case 'KeyU':  // COPY SHARE LINK
+                e.preventDefault();
+                this.app.fileManager.exportAsURL();
+                break;
+                
+            case 'KeyP':  // HIGH-RES STILL CAPTURE
                 e.preventDefault();
+                // P: 8K poster still, Shift+P: 16K
+                this.app.capture.captureHighResStill({ preset: e.shiftKey ? '16K' : '8K' });
+                break;
+                
+            case 'KeyV':  // OFFLINE EXPORT DIALOG
+                e.preventDefault();
+                this.app.exporter.toggleExportDialog();
+                break;
+                
+            case 'KeyT':  // TIMELINE PANEL / PLAYBACK
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.timeline.togglePlayback();
+                } else {
+                    this.app.timeline.toggleTimelinePanel();
+                }
+                break;
+                
+            case 'KeyK':  // KEYFRAME CURRENT PARAMETER AT PLAYHEAD
+                e.preventDefault();
+                this.handleKeyframeKey(e);
+                break;
+                
+            case 'BracketLeft':  // SLOW DOWN GLOBAL ANIMATION CLOCK
+                e.preventDefault();
+                this.app.adjustTimeScale(-0.1);
+                break;
+                
+            case 'BracketRight':  // SPEED UP GLOBAL ANIMATION CLOCK
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.setTimeScale(1.0);
+                } else {
+                    this.app.adjustTimeScale(0.1);
+                }
+                break;
+                
+            case 'Backslash':  // REAL-TIME / FIXED-STEP CLOCK TOGGLE
+                e.preventDefault();
+                this.app.toggleTimingMode();
+                break;
+                
+            case 'Quote':  // RESOLUTION QUALITY LOCK (Shift+' cycles the locked scale)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.resolution.cycleLockedScale();
+                } else {
+                    this.app.resolution.toggleLock();
+                }
                 break;
                 
             case 'KeyD':  // DEBUG LOGGING CONTROLS (available in normal mode too)
@@ -282,8 +428,8 @@ export class ControlsManager {
                 // Save state for undo before randomizing
                 this.app.saveStateForUndo();
                 
-                // Randomize artistic parameters (same as normal mode)
-                this.app.parameters.randomizeParameters();
+                // Randomize artistic parameters (same as normal mode, morphing when enabled)
+                this.app.morph.transition(() => this.app.parameters.randomizeParameters(), 'random');
                 
                 // Update displays
                 this.app.ui.updateDisplay();
@@ -309,6 +455,142 @@ export class ControlsManager {
                 }
                 break;
                 
+            case 'KeyB':  // PRESET LIBRARY BROWSER IN DEBUG MODE
+                e.preventDefault();
+                this.app.presetBrowser.togglePresetBrowser();
+                break;
+                
+            case 'KeyG':  // PRESET MORPHING IN DEBUG MODE
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.morph.cycleDuration();
+                } else {
+                    this.app.morph.toggleEnabled();
+                }
+                break;
+                
+            case 'KeyX':  // CROSSFADER PANEL IN DEBUG MODE
+                e.preventDefault();
+                this.app.crossfader.toggleCrossfaderPanel();
+                break;
+                
+            case 'KeyN':  // CROSSFADER TOWARDS DECK A (Shift cuts to A)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.crossfader.setPosition(0);
+                } else {
+                    this.app.crossfader.nudge(-this.app.crossfader.keyStep);
+                }
+                break;
+                
+            case 'KeyM':  // CROSSFADER TOWARDS DECK B (Shift cuts to B)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.crossfader.setPosition(1);
+                } else {
+                    this.app.crossfader.nudge(this.app.crossfader.keyStep);
+                }
+                break;
+                
+            case 'KeyQ':  // MIDI-LEARN FOR THE SELECTED PARAMETER IN DEBUG MODE
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.midi.clearSelectedParameterBindings();
+                } else {
+                    this.app.midi.learnSelectedParameter();
+                }
+                break;
+                
+            case 'KeyJ':  // TAP TEMPO IN DEBUG MODE (Shift+J toggles tempo detection)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.tempo.toggleAutoDetect();
+                } else {
+                    this.app.tempo.tap();
+                }
+                break;
+                
+            case 'KeyW':  // TEMPO-LOCK THE SELECTED SPEED IN DEBUG MODE
+                e.preventDefault();
+                this.app.tempo.cycleSelectedLock();
+                break;
+                
+            case 'KeyF':  // LFO PANEL IN DEBUG MODE (Shift+F adds an LFO on the selected parameter)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.lfo.addLFOForSelectedParameter();
+                } else {
+                    this.app.lfo.toggleLFOPanel();
+                }
+                break;
+                
+            case 'KeyO':  // PLAYLIST PANEL IN DEBUG MODE (Shift+O next track)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.playlist.next();
+                } else {
+                    this.app.playlist.togglePlaylistPanel();
+                }
+                break;
+                
+            case 'KeyU':  // COPY SHARE LINK IN DEBUG MODE
+                e.preventDefault();
+                this.app.fileManager.exportAsURL();
+                break;
+                
+            case 'KeyP':  // HIGH-RES STILL CAPTURE IN DEBUG MODE
+                e.preventDefault();
+                // P: 8K poster still, Shift+P: 16K
+                this.app.capture.captureHighResStill({ preset: e.shiftKey ? '16K' : '8K' });
+                break;
+                
+            case 'KeyV':  // OFFLINE EXPORT DIALOG IN DEBUG MODE
+                e.preventDefault();
+                this.app.exporter.toggleExportDialog();
+                break;
+                
+            case 'KeyT':  // TIMELINE PANEL / PLAYBACK IN DEBUG MODE
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.timeline.togglePlayback();
+                } else {
+                    this.app.timeline.toggleTimelinePanel();
+                }
+                break;
+                
+            case 'KeyK':  // KEYFRAME CURRENT DEBUG PARAMETER AT PLAYHEAD
+                e.preventDefault();
+                this.handleKeyframeKey(e);
+                break;
+                
+            case 'BracketLeft':  // SLOW DOWN GLOBAL ANIMATION CLOCK
+                e.preventDefault();
+                this.app.adjustTimeScale(-0.1);
+                break;
+                
+            case 'BracketRight':  // SPEED UP GLOBAL ANIMATION CLOCK
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.setTimeScale(1.0);
+                } else {
+                    this.app.adjustTimeScale(0.1);
+                }
+                break;
+                
+            case 'Backslash':  // REAL-TIME / FIXED-STEP CLOCK TOGGLE
+                e.preventDefault();
+                this.app.toggleTimingMode();
+                break;
+                
+            case 'Quote':  // RESOLUTION QUALITY LOCK (Shift+' cycles the locked scale)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.app.resolution.cycleLockedScale();
+                } else {
+                    this.app.resolution.toggleLock();
+                }
+                break;
+                
             case 'KeyH':  // HELP IN DEBUG MODE
                 e.preventDefault();
                 // Show debug-specific help information
@@ -319,8 +601,22 @@ export class ControlsManager {
             case 'Escape':
                 e.preventDefault();
                 // Check if any advanced menus are open first
-                if (this.app.debugUI.debugLoggingMenuVisible) {
+                if (this.app.midi.learnTarget) {
+                    this.app.midi.cancelLearn();
+                } else if (this.app.debugUI.debugLoggingMenuVisible) {
                     this.app.debugUI.hideDebugLoggingControls();
+                } else if (this.app.presetBrowser.browserVisible) {
+                    this.app.presetBrowser.hidePresetBrowser();
+                } else if (this.app.crossfader.panelVisible) {
+                    this.app.crossfader.hideCrossfaderPanel();
+                } else if (this.app.lfo.panelVisible) {
+                    this.app.lfo.hideLFOPanel();
+                } else if (this.app.playlist.panelVisible) {
+                    this.app.playlist.hidePlaylistPanel();
+                } else if (this.app.exporter.exportDialogVisible) {
+                    this.app.exporter.hideExportDialog();
+                } else if (this.app.timeline.timelinePanelVisible) {
+                    this.app.timeline.hideTimelinePanel();
                 } else if (this.app.audio.advancedMenuVisible) {
                     this.app.audio.hideAdvancedAudioMenu();
                 } else if (this.app.color.advancedColorMenuVisible) {
@@ -477,10 +773,26 @@ export class ControlsManager {
     
     showDebugHelp() {
         // Display context-sensitive help for debug mode
-        const helpMessage = 'Debug Controls: ↑/↓ navigate • ←/→ adjust • R reset • . randomize • E export • D stats • H help';
+        const helpMessage = 'Debug Controls: ↑/↓ navigate • ←/→ adjust • R reset • . randomize • E export • D stats • T timeline • K keyframe • V export • P still • U share • B presets • G morph • X crossfader • Q MIDI learn • J tap tempo • W tempo lock • F LFOs • O playlist • \' resolution lock • H help';
         this.app.ui.updateStatus(helpMessage, 'info');
     }
     
+    // TIMELINE KEYFRAME HANDLING
+    // K records the selected parameter at the playhead, Shift+K removes the nearest keyframe
+    handleKeyframeKey(e) {
+        if (e.shiftKey) {
+            const paramKey = this.app.timeline.getSelectedParameterKey();
+            if (this.app.timeline.removeKeyframeNearPlayhead(paramKey)) {
+                this.app.timeline.updateTimelinePanel();
+                this.app.ui.updateStatus('🔑 Keyframe removed', 'success');
+            } else {
+                this.app.ui.updateStatus('No keyframe near the playhead for this parameter', 'info');
+            }
+        } else {
+            this.app.timeline.keyCurrentParameter();
+        }
+    }
+    
     handleWheelInteraction() {
         // Handle mouse wheel events for potential future enhancement
         // Could be used for fine parameter adjustment in debug mode
@@ -587,7 +899,7 @@ export class ControlsManager {
     randomizeParameters() {
         this.app.saveStateForUndo();
         
-        this.app.parameters.randomizeParameters();
+        this.app.morph.transition(() => this.app.parameters.randomizeParameters(), 'random');
         this.app.ui.updateDisplay();
         this.app.ui.updateStatus('Artistic parameters randomized', 'success');
     }
@@ -0,0 +1,335 @@
+// A/B deck crossfader module
+// Two complete looks are loaded side by side (deck A and deck B) and a fader blends between
+// them continuously, like the crossfader on a DJ mixer. Parameters blend with the same rules as
+// preset morphing (see morph.js) and the palette coefficients a/b/c/d are mixed on the way across.
+//
+// The fader only drives the parameters while it is engaged: moving it engages the mix, and any
+// other edit (a parameter change, preset, randomize, undo) takes the look back off the fader.
+// The next fader move picks the mix up again from the deck states.
+
+import { blendParameterValue, blendPalettes, copyPalette } from './morph.js';
+
+// Fader movement per mouse wheel notch
+const FADER_WHEEL_STEP = 0.02;
+
+// Parameters summarised on each deck in the panel
+const DECK_SUMMARY_PARAMETERS = ['fly_speed', 'kaleidoscope_segments', 'layer_count', 'zoom_level', 'color_mode'];
+
+export class Crossfader {
+    constructor() {
+        this.app = null;
+
+        // Deck state: { name, parameters, palette: {a,b,c,d}, currentPaletteIndex, invertColors, layerPaletteIndex }
+        this.decks = { A: null, B: null };
+
+        // Fader position: 0 = all deck A, 1 = all deck B
+        this.position = 0;
+        this.keyStep = 0.05;              // Movement per N / M key press (key repeat gives a smooth sweep)
+        this.engaged = false;
+        this.blendedPalette = null;
+
+        this.panelVisible = false;
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    isReady() {
+        return this.decks.A !== null && this.decks.B !== null;
+    }
+
+    // DECK LOADING
+    captureDeckState(name) {
+        const app = this.app;
+        return {
+            name,
+            parameters: app.parameters.getState(),
+            palette: copyPalette(app.parameters.getPalette(app.currentPaletteIndex)),
+            currentPaletteIndex: app.currentPaletteIndex,
+            invertColors: app.invertColors,
+            layerPaletteIndex: app.color.currentLayerPaletteIndex
+        };
+    }
+
+    loadDeckFromCurrent(deck) {
+        this.decks[deck] = this.captureDeckState('Live snapshot');
+        this.onDeckChanged(deck);
+    }
+
+    loadDeckFromPreset(deck, presetId) {
+        const browser = this.app.presetBrowser;
+        const preset = browser.getPreset(presetId);
+        if (!preset) {
+            this.app.ui.updateStatus(`❌ Unknown preset ${presetId}`, 'error');
+            return false;
+        }
+
+        let state;
+        try {
+            state = browser.buildPresetState(preset);
+        } catch (error) {
+            this.app.ui.updateStatus(`❌ Could not load preset ${preset.name}: ${error.message}`, 'error');
+            return false;
+        }
+        const paletteIndex = state.palette.currentPaletteIndex;
+        this.decks[deck] = {
+            name: preset.name,
+            parameters: { ...this.app.parameters.getState(), ...state.parameters },
+            palette: copyPalette(this.app.parameters.getPalette(paletteIndex)),
+            currentPaletteIndex: paletteIndex,
+            invertColors: state.palette.invertColors,
+            layerPaletteIndex: this.app.color.currentLayerPaletteIndex
+        };
+        this.onDeckChanged(deck);
+        return true;
+    }
+
+    swapDecks() {
+        [this.decks.A, this.decks.B] = [this.decks.B, this.decks.A];
+        this.position = 1 - this.position;
+        if (this.engaged) this.applyBlend();
+        this.updatePanel();
+    }
+
+    onDeckChanged(deck) {
+        this.app.ui.updateStatus(`🎚️ Deck ${deck}: ${this.decks[deck].name}`, 'success');
+        // Keep the output in step with a live mix
+        if (this.engaged) this.applyBlend();
+        this.updatePanel();
+    }
+
+    // FADER
+    // Entry point for every fader source - keys, wheel, the panel slider and external controllers
+    setPosition(position) {
+        if (!this.isReady()) {
+            this.app.ui.updateStatus('🎚️ Load both decks first (X opens the crossfader)', 'warning');
+            return;
+        }
+
+        this.position = Math.max(0, Math.min(1, position));
+
+        if (!this.engaged) {
+            // One undo step for the whole fader move, not one per notch
+            this.app.saveStateForUndo();
+            this.app.morph.cancel();
+            this.engaged = true;
+        }
+
+        this.applyBlend();
+        this.updatePanel();
+    }
+
+    nudge(delta) {
+        this.setPosition(this.position + delta);
+    }
+
+    // Any edit that doesn't come from the fader takes the look off the mix
+    release() {
+        this.engaged = false;
+        this.blendedPalette = null;
+    }
+
+    applyBlend() {
+        const app = this.app;
+        const { A, B } = this.decks;
+        const position = this.position;
+
+        const blended = {};
+        Object.keys(A.parameters).forEach(key => {
+            if (B.parameters[key] === undefined) return;
+            blended[key] = blendParameterValue(key, A.parameters[key], B.parameters[key], position);
+        });
+        app.parameters.setState(blended);
+
+        // Discrete presentation state follows whichever deck the fader is closer to
+        const nearDeck = position < 0.5 ? A : B;
+        app.currentPaletteIndex = nearDeck.currentPaletteIndex;
+        app.invertColors = nearDeck.invertColors;
+        if (nearDeck.layerPaletteIndex < app.color.layerColorPalettes.length) {
+            app.color.currentLayerPaletteIndex = nearDeck.layerPaletteIndex;
+        }
+
+        this.blendedPalette = blendPalettes(A.palette, B.palette, position);
+        app.ui.updateDisplay();
+    }
+
+    // Mixed palette coefficients for the renderer while the fader is engaged (null otherwise)
+    getPaletteOverride() {
+        return this.engaged ? this.blendedPalette : null;
+    }
+
+    // CROSSFADER PANEL
+    toggleCrossfaderPanel() {
+        if (this.panelVisible) {
+            this.hideCrossfaderPanel();
+        } else {
+            this.showCrossfaderPanel();
+        }
+    }
+
+    showCrossfaderPanel() {
+        if (this.panelVisible) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'crossfaderPanel';
+        // Styles are handled in crossfader-menu.css
+
+        const presetOptions = this.app.presetBrowser.getAllPresets().map(preset =>
+            `<option value="${preset.id}">${preset.name}</option>`
+        ).join('');
+
+        const deckColumn = (deck) => `
+            <div class="crossfader-deck" id="crossfaderDeck${deck}">
+                <div class="crossfader-deck-title">Deck ${deck}</div>
+                <div class="crossfader-deck-name" id="crossfaderDeckName${deck}">Empty</div>
+                <div class="crossfader-swatch" id="crossfaderSwatch${deck}"></div>
+                <div class="crossfader-deck-values" id="crossfaderValues${deck}"></div>
+                <div class="crossfader-deck-controls">
+                    <button class="crossfader-button" data-load-current="${deck}">⬇ Load Current</button>
+                    <select class="crossfader-select" data-load-preset="${deck}">
+                        <option value="">Load preset...</option>
+                        ${presetOptions}
+                    </select>
+                </div>
+            </div>
+        `;
+
+        panel.innerHTML = `
+            <div class="crossfader-header">
+                <h3 class="crossfader-title">🎚️ Crossfader</h3>
+                <button id="crossfaderClose" class="crossfader-button crossfader-button-close">✕ Close</button>
+            </div>
+
+            <div class="crossfader-decks">
+                ${deckColumn('A')}
+                ${deckColumn('B')}
+            </div>
+
+            <div class="crossfader-fader">
+                <button id="crossfaderCutA" class="crossfader-button">A</button>
+                <input type="range" id="crossfaderSlider" class="crossfader-slider" min="0" max="1" step="0.001" value="${this.position}">
+                <button id="crossfaderCutB" class="crossfader-button">B</button>
+                <button id="crossfaderSwap" class="crossfader-button">⇄ Swap</button>
+                <button id="crossfaderMidiLearn" class="crossfader-button" title="Bind a MIDI fader or knob to the crossfader">🎹 Learn</button>
+            </div>
+            <div class="crossfader-hint">N / M or mouse wheel over this panel to fade • Shift+N / Shift+M cut to a deck</div>
+        `;
+
+        document.body.appendChild(panel);
+        this.panelVisible = true;
+
+        this.setupCrossfaderPanelHandlers(panel);
+        this.updatePanel();
+    }
+
+    hideCrossfaderPanel() {
+        const panel = document.getElementById('crossfaderPanel');
+        if (panel) {
+            document.body.removeChild(panel);
+        }
+        this.panelVisible = false;
+    }
+
+    setupCrossfaderPanelHandlers(panel) {
+        const closeBtn = document.getElementById('crossfaderClose');
+        if (closeBtn) {
+            closeBtn.onclick = () => this.hideCrossfaderPanel();
+        }
+
+        panel.querySelectorAll('[data-load-current]').forEach(button => {
+            button.onclick = () => this.loadDeckFromCurrent(button.dataset.loadCurrent);
+        });
+
+        panel.querySelectorAll('[data-load-preset]').forEach(select => {
+            select.onchange = () => {
+                if (select.value) {
+                    this.loadDeckFromPreset(select.dataset.loadPreset, select.value);
+                }
+                select.value = '';
+                select.blur();
+            };
+        });
+
+        const slider = document.getElementById('crossfaderSlider');
+        if (slider) {
+            slider.oninput = () => this.setPosition(parseFloat(slider.value));
+        }
+
+        const cutA = document.getElementById('crossfaderCutA');
+        if (cutA) {
+            cutA.onclick = () => this.setPosition(0);
+        }
+
+        const cutB = document.getElementById('crossfaderCutB');
+        if (cutB) {
+            cutB.onclick = () => this.setPosition(1);
+        }
+
+        const swapBtn = document.getElementById('crossfaderSwap');
+        if (swapBtn) {
+            swapBtn.onclick = () => this.swapDecks();
+        }
+
+        const learnBtn = document.getElementById('crossfaderMidiLearn');
+        if (learnBtn) {
+            learnBtn.onclick = () => this.app.midi.startLearn({ target: 'crossfader' });
+        }
+
+        // Wheel anywhere over the panel moves the fader (down = towards B)
+        panel.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.nudge(Math.sign(e.deltaY) * FADER_WHEEL_STEP);
+        }, { passive: false });
+    }
+
+    updatePanel() {
+        if (!this.panelVisible) return;
+
+        ['A', 'B'].forEach(deck => {
+            const state = this.decks[deck];
+            const nameEl = document.getElementById(`crossfaderDeckName${deck}`);
+            const swatchEl = document.getElementById(`crossfaderSwatch${deck}`);
+            const valuesEl = document.getElementById(`crossfaderValues${deck}`);
+            const deckEl = document.getElementById(`crossfaderDeck${deck}`);
+
+            if (nameEl) nameEl.textContent = state ? state.name : 'Empty';
+            if (swatchEl) swatchEl.style.background = state ? this.getPaletteGradient(state) : '#222';
+            if (valuesEl) {
+                valuesEl.innerHTML = state ? DECK_SUMMARY_PARAMETERS.map(key => {
+                    const param = this.app.parameters.getParameter(key);
+                    const value = state.parameters[key];
+                    return param && value !== undefined ? `<div>${param.name}: ${Number(value).toFixed(2)}</div>` : '';
+                }).join('') : '';
+            }
+
+            // Highlight the deck the fader is leaning towards
+            if (deckEl) {
+                const weight = deck === 'A' ? 1 - this.position : this.position;
+                deckEl.style.opacity = (0.45 + 0.55 * weight).toFixed(2);
+            }
+        });
+
+        const slider = document.getElementById('crossfaderSlider');
+        if (slider && document.activeElement !== slider) {
+            slider.value = this.position;
+        }
+    }
+
+    // Same cosine palette as the shader, sampled into a CSS gradient
+    getPaletteGradient(deckState) {
+        const palette = deckState.palette;
+        if (!palette || deckState.currentPaletteIndex === 0) {
+            return 'linear-gradient(90deg, #000, #fff)';
+        }
+
+        const colors = [];
+        for (let i = 0; i < 12; i++) {
+            const t = i / 11.0;
+            const channel = (c) => Math.round(255 * Math.max(0, Math.min(1,
+                palette.a[c] + palette.b[c] * Math.cos(6.28318 * (palette.c[c] * t + palette.d[c])))));
+            colors.push(`rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`);
+        }
+        return `linear-gradient(90deg, ${colors.join(', ')})`;
+    }
+}
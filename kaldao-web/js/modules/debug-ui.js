@@ -582,6 +582,25 @@ export class DebugUIManager {
             'color_intensity': 'Intensity of colors in the palette. Higher values create more vibrant, saturated colors.',
             'color_speed': 'Speed of color cycling through the palette. Higher values create faster color changes.',
             
+            // Post FX descriptions
+            'bloom_intensity': 'Strength of the glow around bright areas. 0 turns bloom off.',
+            'bloom_threshold': 'Brightness a pixel needs before it glows. Lower values make more of the image glow.',
+            'bloom_radius': 'How far the glow spreads, in pixels at 1080p.',
+            'chromatic_aberration': 'Splits red and blue towards the edges of the image, like a cheap lens.',
+            'film_grain': 'Amount of animated film grain, strongest in the mid-tones.',
+            'scanlines': 'Darkness of CRT-style horizontal scanlines. 0 turns them off.',
+            'scanline_spacing': 'Distance between scanlines, in pixels at 1080p.',
+            'pixelation': 'Size of the pixel blocks, in pixels at 1080p. 1 turns pixelation off.',
+            'vignette_strength': 'Darkening towards the corners. 1 is the original vignette, 0 turns it off.',
+            'vignette_softness': 'Falloff of the vignette. Lower values keep the darkening in the corners.',
+            
+            // Feedback descriptions
+            'feedback_amount': 'How much of the previous frame stays behind as a trail each frame. 0 turns feedback off.',
+            'feedback_zoom': 'Zoom applied to the trail every frame. Above 1 the trails stream outwards, below 1 they fall inwards.',
+            'feedback_rotation': 'Rotation of the trail every frame, in radians. Builds into spirals.',
+            'feedback_hue_shift': 'Hue rotation of the trail every frame, as a fraction of the color wheel.',
+            'feedback_displacement': 'How strongly edges in the new frame push the trail sideways, for a liquid smear.',
+            
             // Layer system descriptions
             'layer_distance': 'Distance between rendered layers. Lower values create tighter, more dense layering.',
             'layer_fade_start': 'Distance at which layers begin fading. Higher values show more distant layers.',
@@ -745,6 +764,7 @@ export class DebugUIManager {
         // Core system metrics
         statusHTML += `<div style="margin-bottom: 4px;">`;
         statusHTML += `⏱️ Frame Time: ${systemStatus.averageFrameTime} (${systemStatus.estimatedFPS} FPS)<br>`;
+        statusHTML += `📐 Resolution: ${systemStatus.resolutionScale}<br>`;
         statusHTML += `🎬 Total Frames: ${systemStatus.totalFramesRendered.toLocaleString()}<br>`;
         statusHTML += `💾 Undo Stack: ${systemStatus.undoStackSize}/${50} steps`;
         statusHTML += `</div>`;
@@ -753,6 +773,7 @@ export class DebugUIManager {
         statusHTML += `<div style="margin-bottom: 4px;"><strong>🎮 Active Systems:</strong><br>`;
         statusHTML += `${systemStatus.debugModeActive ? '🧮' : '🎨'} ${systemStatus.debugModeActive ? 'Debug Mode' : 'Artistic Mode'}<br>`;
         statusHTML += `${systemStatus.animationPaused ? '⏸️' : '▶️'} ${systemStatus.animationPaused ? 'Paused' : 'Animation'}<br>`;
+        statusHTML += `⏱️ Clock: ${systemStatus.timingMode === 'fixed' ? 'Fixed step' : 'Real-time'} @ ${systemStatus.timeScale.toFixed(2)}×<br>`;
         statusHTML += `${systemStatus.audioReactive ? '🎵' : '🔇'} Audio: ${systemStatus.audioReactive ? 'Reactive' : 'Static'}`;
         
         statusHTML += `</div>`;
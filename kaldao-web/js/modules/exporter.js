@@ -0,0 +1,618 @@
+// Offline frame export module
+// Renders the fractal at a fixed timestep and arbitrary resolution, one frame at a time,
+// and writes the result as a PNG sequence or a WebM video. Because every frame advances
+// the animation by exactly 1/fps seconds - and audio is analysed from a decoded file at the
+// matching sample position instead of from the live analyser - the same settings always
+// produce the same frames, no matter how slowly the machine renders them. WebM keeps that
+// timing where WebCodecs exists; the MediaRecorder fallback does not (see createWebMSink).
+
+import { SpectrumAnalyser } from './spectrum.js';
+import { ZipWriter } from './zip.js';
+import { WebMWriter } from './webm.js';
+
+// OFFLINE SPECTRUM ANALYSER
+// Mimics the parts of AnalyserNode that AudioSystem uses (frequencyBinCount, getByteFrequencyData,
+// getFloatTimeDomainData) over a decoded AudioBuffer. The spectrum comes from the same
+// SpectrumAnalyser (Web Audio spec algorithm) the live analysis worklet uses.
+class OfflineAudioAnalyser {
+    constructor(audioBuffer, fftSize = 2048, smoothingTimeConstant = 0.8) {
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+        this.smoothingTimeConstant = smoothingTimeConstant;
+        this.sampleRate = audioBuffer.sampleRate;
+        this.duration = audioBuffer.duration;
+
+        // Down-mix to mono once up front, as the analyser sees the mixed signal
+        this.samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                this.samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+
+        this.spectrum = new SpectrumAnalyser(fftSize, smoothingTimeConstant);
+        this.block = new Float32Array(fftSize);
+    }
+
+    // Analyse the fftSize samples ending at the given time (seconds into the file)
+    seek(time) {
+        const endSample = Math.floor(time * this.sampleRate);
+        const startSample = endSample - this.fftSize;
+
+        for (let i = 0; i < this.fftSize; i++) {
+            const index = startSample + i;
+            this.block[i] = index >= 0 && index < this.samples.length ? this.samples[index] : 0;
+        }
+
+        this.spectrum.analyse(this.block);
+    }
+
+    getByteFrequencyData(array) {
+        const bytes = this.spectrum.bytes;
+        array.set(bytes.subarray(0, Math.min(array.length, bytes.length)));
+    }
+
+    getFloatTimeDomainData(array) {
+        array.set(this.block.subarray(0, Math.min(array.length, this.block.length)));
+    }
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+export class ExportManager {
+    constructor() {
+        this.app = null;
+
+        // Export settings (edited through the export dialog or kaldaoDebug.exportSequence)
+        this.settings = {
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            duration: 10,              // Seconds of animation to render
+            format: 'png',             // 'png' sequence or 'webm' video
+            videoBitrate: 12000000,
+            restartTimeline: true,     // Start timeline automation from 0 when it has tracks
+            restoreAfterExport: true,  // Put the live show back where it was once the export finishes
+            filenamePrefix: 'kaldao'
+        };
+
+        // Decoded audio file driving offline reactivity (null = audio reactivity off during export)
+        this.offlineAudio = null;      // { buffer, name }
+
+        this.exportInProgress = false;
+        this.cancelRequested = false;
+        this.exportDialogVisible = false;
+    }
+
+    init(app) {
+        this.app = app;
+        console.log('Export manager initialized');
+    }
+
+    // OFFLINE AUDIO
+    // Decode a file once so each exported frame can analyse exactly the audio under it
+    async loadOfflineAudio(file) {
+        try {
+            const AudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            const decoder = new AudioContextClass(2, 1, 44100);
+            const arrayBuffer = await file.arrayBuffer();
+            const buffer = await decoder.decodeAudioData(arrayBuffer);
+
+            this.offlineAudio = { buffer, name: file.name };
+            this.app.ui.updateStatus(`🎵 Export audio: ${file.name} (${buffer.duration.toFixed(1)}s)`, 'success');
+            return buffer;
+        } catch (error) {
+            console.error('Failed to decode export audio:', error);
+            this.app.ui.updateStatus(`❌ Could not decode ${file.name}`, 'error');
+            this.offlineAudio = null;
+            return null;
+        }
+    }
+
+    clearOfflineAudio() {
+        this.offlineAudio = null;
+    }
+
+    // MAIN EXPORT LOOP
+    // Each frame: timeline → audio reactivity → time accumulation → render → capture,
+    // the same order as the live loop in main.js but with a constant delta.
+    async startExport(options = {}) {
+        if (this.exportInProgress) {
+            this.app.ui.updateStatus('Export already running', 'info');
+            return false;
+        }
+        if (this.app.capture.captureInProgress) {
+            this.app.ui.updateStatus('Wait for the still capture to finish before exporting', 'info');
+            return false;
+        }
+
+        const settings = { ...this.settings, ...options };
+        if (!isPositiveNumber(settings.fps) || !isPositiveNumber(settings.duration)) {
+            this.app.ui.updateStatus('❌ Export needs a frame rate and a duration above 0', 'error');
+            return false;
+        }
+        const fps = Math.max(1, Math.min(120, Math.round(settings.fps)));
+        const totalFrames = Math.max(1, Math.round(settings.duration * fps));
+        const frameDuration = 1 / fps;
+        const animationDelta = frameDuration * this.app.timing.timeScale;
+
+        this.exportInProgress = true;
+        this.cancelRequested = false;
+
+        // Start from where a running morph was heading, not from a midpoint
+        this.app.morph.finish();
+
+        const liveSnapshot = settings.restoreAfterExport ? this.captureLiveState() : null;
+        let sink = null;
+        let completedFrames = 0;
+
+        try {
+            const size = this.app.renderer.setFixedResolution(settings.width, settings.height);
+            // Trails from the live view would make every export start differently
+            this.app.renderer.clearFeedback();
+            sink = settings.format === 'webm'
+                ? await this.createWebMSink(settings, fps, size)
+                : await this.createPngSinkWithDirectory(settings);
+
+            if (this.offlineAudio) {
+                this.app.audio.attachOfflineAnalyser(new OfflineAudioAnalyser(
+                    this.offlineAudio.buffer,
+                    this.app.audio.analyser ? this.app.audio.analyser.fftSize : 2048,
+                    this.app.audio.analyser ? this.app.audio.analyser.smoothingTimeConstant : 0.8
+                ));
+            } else {
+                // Without an audio file the export is purely parametric - drop any live modulation
+                this.app.parameters.resetAudioModifiers();
+            }
+
+            if (settings.restartTimeline && this.app.timeline.hasTracks()) {
+                this.app.timeline.seek(0);
+                this.app.timeline.playing = true;
+            }
+
+            console.log(`🎬 Exporting ${totalFrames} frames at ${size.width}x${size.height} @ ${fps}fps (${settings.format})`);
+            this.app.ui.updateStatus(`🎬 Exporting ${totalFrames} frames...`, 'info');
+
+            for (let frame = 0; frame < totalFrames; frame++) {
+                // A lost WebGL context would only draw black frames - wait for the renderer to rebuild
+                while (this.app.renderer.contextLost && !this.cancelRequested) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+                if (this.cancelRequested) break;
+
+                const frameStartTime = performance.now();
+                const frameTime = frame * frameDuration;
+
+                this.app.timeline.update(animationDelta);
+                this.app.tempo.update(frameDuration);
+                this.app.lfo.update(animationDelta);
+
+                if (this.offlineAudio) {
+                    this.app.audio.analysisClock = frameTime * 1000;
+                    this.app.audio.analyser.seek(frameTime);
+                    this.app.audio.applyReactivity(this.app.parameters);
+                }
+
+                this.app.parameters.updateTimeAccumulation(animationDelta);
+                this.app.renderer.render(this.app.parameters, this.app.getRenderState(animationDelta));
+
+                // Capture synchronously after drawing - the buffer is only valid until we yield
+                await sink.addFrame(frame, frameStartTime);
+                completedFrames = frame + 1;
+
+                this.updateExportProgress(completedFrames, totalFrames);
+
+                // Let the browser breathe so the dialog stays responsive
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            await sink.finish(completedFrames);
+
+            if (this.cancelRequested) {
+                this.app.ui.updateStatus(`⏹️ Export cancelled after ${completedFrames} frames`, 'info');
+            } else {
+                this.app.ui.updateStatus(`✅ Exported ${completedFrames} frames`, 'success');
+            }
+            return true;
+
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.app.ui.updateStatus(`❌ Export failed: ${error.message}`, 'error');
+            if (sink && sink.abort) sink.abort();
+            return false;
+
+        } finally {
+            this.app.audio.detachOfflineAnalyser();
+            this.app.renderer.clearFixedResolution();
+            if (liveSnapshot) {
+                this.restoreLiveState(liveSnapshot);
+            }
+            this.exportInProgress = false;
+            this.cancelRequested = false;
+            this.updateExportProgress(completedFrames, totalFrames, true);
+        }
+    }
+
+    cancelExport() {
+        if (this.exportInProgress) {
+            this.cancelRequested = true;
+        }
+    }
+
+    // LIVE STATE SNAPSHOT
+    // Exporting advances the animation clock - snapshot it so the show resumes where it was
+    captureLiveState() {
+        return {
+            parameters: this.app.parameters.getState(),
+            timeAccumulation: { ...this.app.parameters.timeAccumulation },
+            timelinePlayhead: this.app.timeline.playhead,
+            timelinePlaying: this.app.timeline.playing,
+            lfoTime: this.app.lfo.time,
+            tempo: this.app.tempo.getSnapshot()
+        };
+    }
+
+    restoreLiveState(snapshot) {
+        this.app.parameters.setState(snapshot.parameters);
+        this.app.parameters.timeAccumulation = { ...snapshot.timeAccumulation };
+        this.app.parameters.resetAudioModifiers();
+        this.app.timeline.playhead = snapshot.timelinePlayhead;
+        this.app.timeline.playing = snapshot.timelinePlaying;
+        this.app.lfo.time = snapshot.lfoTime;
+        this.app.tempo.restoreSnapshot(snapshot.tempo);
+        this.app.ui.updateDisplay();
+    }
+
+    // PNG SEQUENCE OUTPUT
+    // Writes into a user-chosen folder when the File System Access API exists,
+    // otherwise collects the frames into one zip that downloads when the export ends
+    async createPngSinkWithDirectory(settings) {
+        let directory = null;
+        if (window.showDirectoryPicker) {
+            try {
+                directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error('no output folder selected');
+                }
+                console.warn('Directory picker unavailable, falling back to downloads:', error);
+            }
+        }
+
+        const scratchCanvas = document.createElement('canvas');
+        const scratchContext = scratchCanvas.getContext('2d');
+        // Zip fallback - a sequence past the plain-zip limits is split into numbered parts
+        let archive = directory ? null : new ZipWriter();
+        let archivePart = 1;
+        const downloadArchive = () => {
+            const suffix = archivePart > 1 ? `-${archivePart}` : '';
+            this.downloadBlob(archive.finish(), `${settings.filenamePrefix}-frames${suffix}.zip`);
+        };
+
+        return {
+            addFrame: async (frame) => {
+                const imageData = this.app.renderer.readFramePixels();
+                scratchCanvas.width = imageData.width;
+                scratchCanvas.height = imageData.height;
+                scratchContext.putImageData(imageData, 0, 0);
+
+                const blob = await new Promise(resolve => scratchCanvas.toBlob(resolve, 'image/png'));
+                const filename = `${settings.filenamePrefix}-${String(frame).padStart(5, '0')}.png`;
+
+                if (directory) {
+                    const fileHandle = await directory.getFileHandle(filename, { create: true });
+                    const writable = await fileHandle.createWritable();
+                    await writable.write(blob);
+                    await writable.close();
+                } else {
+                    if (!archive.canAdd(filename, blob.size) && archive.entries.length > 0) {
+                        downloadArchive();
+                        archive = new ZipWriter();
+                        archivePart++;
+                    }
+                    await archive.addFile(filename, blob);
+                }
+            },
+            finish: async () => {
+                if (archive && archive.entries.length > 0) {
+                    downloadArchive();
+                }
+            }
+        };
+    }
+
+    // WEBM OUTPUT
+    // With WebCodecs every frame is encoded with the timestamp frame / fps and webm.js writes the
+    // container, so the video is frame-accurate however slowly it renders. Browsers without
+    // VideoEncoder (or without a VP9/VP8 encoder for this size) fall back to MediaRecorder.
+    async createWebMSink(settings, fps, size) {
+        if (window.VideoEncoder && window.VideoFrame) {
+            const sink = await this.createWebCodecsSink(settings, fps, size);
+            if (sink) return sink;
+            console.warn('⚠️ No WebCodecs encoder for this export - falling back to MediaRecorder');
+        }
+        return this.createMediaRecorderSink(settings, fps);
+    }
+
+    // Returns null when no VP9 or VP8 configuration is supported
+    async createWebCodecsSink(settings, fps, size) {
+        const candidates = [
+            { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+            { codec: 'vp8', codecId: 'V_VP8' }
+        ];
+        let chosen = null;
+        for (const candidate of candidates) {
+            const config = {
+                codec: candidate.codec,
+                width: size.width,
+                height: size.height,
+                bitrate: settings.videoBitrate,
+                framerate: fps
+            };
+            const support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+            if (support && support.supported) {
+                chosen = { ...candidate, config };
+                break;
+            }
+        }
+        if (!chosen) return null;
+
+        const writer = new WebMWriter({ width: size.width, height: size.height, fps, codecId: chosen.codecId });
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk) => writer.addChunk(chunk),
+            error: (error) => { encoderError = error; }
+        });
+        encoder.configure(chosen.config);
+
+        const frameDuration = 1000000 / fps;  // WebCodecs timestamps are in microseconds
+        const keyframeInterval = fps * 2;     // A keyframe every two seconds keeps the video seekable
+
+        return {
+            addFrame: async (frame) => {
+                if (encoderError) throw encoderError;
+
+                const imageData = this.app.renderer.readFramePixels();
+                const videoFrame = new VideoFrame(imageData.data, {
+                    format: 'RGBA',
+                    codedWidth: imageData.width,
+                    codedHeight: imageData.height,
+                    timestamp: Math.round(frame * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(videoFrame, { keyFrame: frame % keyframeInterval === 0 });
+                videoFrame.close();
+
+                // Rendering is usually faster than encoding - don't let frames pile up in memory
+                while (encoder.encodeQueueSize > 2 && !encoderError) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                }
+            },
+            finish: async (frameCount) => {
+                await encoder.flush();
+                encoder.close();
+                if (encoderError) throw encoderError;
+
+                if (frameCount > 0) {
+                    this.downloadBlob(writer.finish(), this.getVideoFilename(settings));
+                }
+            },
+            abort: () => {
+                if (encoder.state !== 'closed') encoder.close();
+            }
+        };
+    }
+
+    // MediaRecorder timestamps frames by wall clock, so frames are pushed manually with
+    // requestFrame() and paced to the target frame rate. That only keeps the timing right while
+    // the machine renders in real time - slower frames come out stretched, so this path is not
+    // frame-accurate.
+    createMediaRecorderSink(settings, fps) {
+        if (!window.MediaRecorder || !this.app.renderer.canvas.captureStream) {
+            throw new Error('WebM recording is not supported in this browser');
+        }
+
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        if (!mimeType) {
+            throw new Error('no supported WebM codec');
+        }
+
+        const stream = this.app.renderer.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: settings.videoBitrate });
+        const chunks = [];
+        const frameInterval = 1000 / fps;
+
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        recorder.start();
+
+        return {
+            addFrame: async (frame, frameStartTime) => {
+                track.requestFrame();
+                const remaining = frameInterval - (performance.now() - frameStartTime);
+                if (remaining > 0) {
+                    await new Promise(resolve => setTimeout(resolve, remaining));
+                }
+            },
+            finish: async (frameCount) => {
+                const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+                recorder.stop();
+                await stopped;
+                track.stop();
+
+                if (frameCount > 0) {
+                    const blob = new Blob(chunks, { type: 'video/webm' });
+                    this.downloadBlob(blob, this.getVideoFilename(settings));
+                }
+            },
+            abort: () => {
+                if (recorder.state !== 'inactive') recorder.stop();
+                track.stop();
+            }
+        };
+    }
+
+    getVideoFilename(settings) {
+        return `${settings.filenamePrefix}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.webm`;
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // EXPORT DIALOG
+    toggleExportDialog() {
+        if (this.exportDialogVisible) {
+            this.hideExportDialog();
+        } else {
+            this.showExportDialog();
+        }
+    }
+
+    showExportDialog() {
+        if (this.exportDialogVisible) return;
+
+        const dialog = document.createElement('div');
+        dialog.id = 'exportDialog';
+        // Styles are handled in export-menu.css
+
+        const s = this.settings;
+        dialog.innerHTML = `
+            <div class="export-header">
+                <h3 class="export-title">🎬 Offline Export</h3>
+                <button id="exportClose" class="export-button export-button-close">✕ Close</button>
+            </div>
+
+            <div class="export-grid">
+                <label>Width <input type="number" id="exportWidth" min="16" max="8192" step="1" value="${s.width}"></label>
+                <label>Height <input type="number" id="exportHeight" min="16" max="8192" step="1" value="${s.height}"></label>
+                <label>FPS <input type="number" id="exportFps" min="1" max="120" step="1" value="${s.fps}"></label>
+                <label>Duration (s) <input type="number" id="exportDuration" min="0.1" max="3600" step="0.1" value="${s.duration}"></label>
+                <label>Format
+                    <select id="exportFormat">
+                        <option value="png" ${s.format === 'png' ? 'selected' : ''}>PNG sequence</option>
+                        <option value="webm" ${s.format === 'webm' ? 'selected' : ''}>WebM video</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" id="exportRestartTimeline" ${s.restartTimeline ? 'checked' : ''}> Start timeline from 0</label>
+            </div>
+
+            <div class="export-audio">
+                <label>Audio for reactivity: <input type="file" id="exportAudioFile" accept="audio/*"></label>
+                <span id="exportAudioName" class="export-audio-name">${this.offlineAudio ? this.offlineAudio.name : 'none (parametric only)'}</span>
+            </div>
+
+            <div class="export-progress">
+                <div class="export-progress-bar"><div id="exportProgressFill" class="export-progress-fill"></div></div>
+                <span id="exportProgressText" class="export-progress-text">Ready</span>
+            </div>
+
+            <div class="export-actions">
+                <button id="exportStart" class="export-button export-button-start">▶ Start Export</button>
+                <button id="exportCancel" class="export-button export-button-cancel">⏹ Cancel</button>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+        this.exportDialogVisible = true;
+        this.setupExportDialogHandlers();
+    }
+
+    hideExportDialog() {
+        const dialog = document.getElementById('exportDialog');
+        if (dialog) {
+            document.body.removeChild(dialog);
+        }
+        this.exportDialogVisible = false;
+    }
+
+    setupExportDialogHandlers() {
+        const closeBtn = document.getElementById('exportClose');
+        if (closeBtn) {
+            closeBtn.onclick = () => this.hideExportDialog();
+        }
+
+        const audioInput = document.getElementById('exportAudioFile');
+        if (audioInput) {
+            audioInput.onchange = async () => {
+                const file = audioInput.files[0];
+                if (!file) return;
+                await this.loadOfflineAudio(file);
+                const nameLabel = document.getElementById('exportAudioName');
+                if (nameLabel) {
+                    nameLabel.textContent = this.offlineAudio ? this.offlineAudio.name : 'none (parametric only)';
+                }
+            };
+        }
+
+        const startBtn = document.getElementById('exportStart');
+        if (startBtn) {
+            startBtn.onclick = () => {
+                if (this.readSettingsFromDialog()) {
+                    this.startExport();
+                }
+            };
+        }
+
+        const cancelBtn = document.getElementById('exportCancel');
+        if (cancelBtn) {
+            cancelBtn.onclick = () => this.cancelExport();
+        }
+    }
+
+    readSettingsFromDialog() {
+        const readNumber = (id, fallback) => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            return isNaN(value) ? fallback : value;
+        };
+
+        // An empty or zero frame rate or duration would export nothing - say so instead of guessing
+        const fps = Math.round(readNumber('exportFps', NaN));
+        const duration = readNumber('exportDuration', NaN);
+        if (!isPositiveNumber(fps) || !isPositiveNumber(duration)) {
+            this.app.ui.updateStatus('❌ Enter a frame rate and a duration above 0', 'error');
+            return false;
+        }
+
+        this.settings.width = Math.round(readNumber('exportWidth', this.settings.width));
+        this.settings.height = Math.round(readNumber('exportHeight', this.settings.height));
+        this.settings.fps = fps;
+        this.settings.duration = duration;
+
+        const formatSelect = document.getElementById('exportFormat');
+        if (formatSelect) this.settings.format = formatSelect.value;
+
+        const restartCheckbox = document.getElementById('exportRestartTimeline');
+        if (restartCheckbox) this.settings.restartTimeline = restartCheckbox.checked;
+        return true;
+    }
+
+    updateExportProgress(done, total, finished = false) {
+        const fill = document.getElementById('exportProgressFill');
+        const text = document.getElementById('exportProgressText');
+        const percent = total > 0 ? (done / total) * 100 : 0;
+
+        if (fill) fill.style.width = `${percent}%`;
+        if (text) {
+            text.textContent = finished
+                ? `Done - ${done}/${total} frames`
+                : `Frame ${done}/${total} (${percent.toFixed(0)}%)`;
+        }
+    }
+}
@@ -1,4 +1,15 @@
 // File I/O module for save/load functionality with version support
+import { readPNGTextChunks } from './png.js';
+import { encodeShareState, decodeShareState } from './share-codec.js';
+import { SAVE_FORMAT_VERSION, validateSaveData, hasSchemaIssues, summarizeSchemaReport, logSchemaReport } from './save-schema.js';
+import { MIDI_TARGETS } from './midi.js';
+import { TEMPO_DIVISIONS, TEMPO_SYNC_PARAMETERS } from './tempo.js';
+import { DEFAULT_BAND_LAYOUT, isBuiltInLayout, createBandLayout } from './audio-bands.js';
+import { PARAMETER_GROUPS } from './parameters.js';
+
+// tEXt keyword under which high-res stills carry their save data
+export const PNG_STATE_KEYWORD = 'kaldao-state';
+
 export class FileManager {
     constructor() {
         this.app = null;
@@ -8,21 +19,31 @@ export class FileManager {
         this.app = app;
     }
 
+    // Everything a save file records about the current visual
+    // Shared by JSON saves and the state embedded in high-res PNG stills
+    buildSaveData() {
+        return {
+            parameters: this.app.parameters.getState(),
+            palette: {
+                currentPaletteIndex: this.app.currentPaletteIndex,
+                useColorPalette: this.app.useColorPalette,
+                invertColors: this.app.invertColors
+            },
+            audio: this.app.audio.getState(),
+            timeAccumulation: { ...this.app.parameters.timeAccumulation },
+            timeline: this.app.timeline.hasTracks() ? this.app.timeline.getState() : null,
+            midi: this.app.midi.getState(),
+            tempo: this.app.tempo.getState(),
+            lfo: this.app.lfo.getState(),
+            version: SAVE_FORMAT_VERSION,
+            timestamp: new Date().toISOString(),
+            description: "Kaldao Fractal Visualizer Parameters"
+        };
+    }
+
     saveParameters() {
         try {
-            const saveData = {
-                parameters: this.app.parameters.getState(),
-                palette: {
-                    currentPaletteIndex: this.app.currentPaletteIndex,
-                    useColorPalette: this.app.useColorPalette,
-                    invertColors: this.app.invertColors
-                },
-                audio: this.app.audioSystem ? this.app.audioSystem.getState() : null,
-                timeAccumulation: { ...this.app.parameters.timeAccumulation },
-                version: this.app.VERSION,
-                timestamp: new Date().toISOString(),
-                description: "Kaldao Fractal Visualizer Parameters"
-            };
+            const saveData = this.buildSaveData();
             
             const jsonString = JSON.stringify(saveData, null, 2);
             const blob = new Blob([jsonString], { type: 'application/json' });
@@ -47,63 +68,34 @@ export class FileManager {
         try {
             const input = document.createElement('input');
             input.type = 'file';
-            input.accept = '.json';
+            input.accept = '.json,.png';
             
             input.onchange = (event) => {
                 const file = event.target.files[0];
                 if (!file) return;
                 
+                // High-res stills carry their save data in a PNG text chunk
+                const isPNG = file.type === 'image/png' || file.name.toLowerCase().endsWith('.png');
+                
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     try {
-                        const saveData = JSON.parse(e.target.result);
-                        
-                        // Validate the save data
-                        if (!saveData.parameters || !saveData.palette) {
-                            throw new Error('Invalid save file format');
-                        }
-                        
-                        // Save current state for undo
-                        this.app.saveStateForUndo();
-                        
-                        // Load parameters
-                        this.app.parameters.setState(saveData.parameters);
-                        
-                        // Load palette settings
-                        if (saveData.palette.currentPaletteIndex !== undefined) {
-                            this.app.currentPaletteIndex = saveData.palette.currentPaletteIndex;
-                        }
-                        if (saveData.palette.useColorPalette !== undefined) {
-                            this.app.useColorPalette = saveData.palette.useColorPalette;
-                        }
-                        if (saveData.palette.invertColors !== undefined) {
-                            this.app.invertColors = saveData.palette.invertColors;
-                        }
+                        const saveData = isPNG ?
+                            this.extractSaveDataFromPNG(e.target.result) :
+                            JSON.parse(e.target.result);
                         
-                        // Load audio settings
-                        if (saveData.audio && this.app.audioSystem) {
-                            this.app.audioSystem.setState(saveData.audio);
-                        }
-                        
-                        // Load time accumulation if present
-                        if (saveData.timeAccumulation) {
-                            Object.assign(this.app.parameters.timeAccumulation, saveData.timeAccumulation);
-                        }
-                        
-                        this.app.ui.updateDisplay();
-                        this.app.ui.updateMenuDisplay();
-                        
-                        const timestamp = saveData.timestamp ? 
-                            new Date(saveData.timestamp).toLocaleString() : 'Unknown';
-                        const version = saveData.version || 'Unknown';
-                        this.app.ui.updateStatus(`✅ Parameters loaded! (v${version}, ${timestamp})`, 'success');
+                        this.applySaveData(saveData);
                         
                     } catch (error) {
                         this.app.ui.updateStatus(`❌ Load failed: ${error.message}`, 'error');
                     }
                 };
                 
-                reader.readAsText(file);
+                if (isPNG) {
+                    reader.readAsArrayBuffer(file);
+                } else {
+                    reader.readAsText(file);
+                }
             };
             
             input.click();
@@ -113,6 +105,94 @@ export class FileManager {
         }
     }
 
+    // Pull the embedded save data back out of a still captured by CaptureManager
+    extractSaveDataFromPNG(arrayBuffer) {
+        const texts = readPNGTextChunks(arrayBuffer);
+        if (!texts[PNG_STATE_KEYWORD]) {
+            throw new Error('PNG has no embedded Kaldao parameters');
+        }
+        return JSON.parse(texts[PNG_STATE_KEYWORD]);
+    }
+
+    // What validateSaveData checks a file against - the parameters, sources and targets this build knows
+    getSchemaContext() {
+        return {
+            parameters: this.app.parameters.getAllParameters(),
+            paletteCount: this.app.parameters.getColorPalettes().length,
+            audioControlSources: this.app.audio.getControlSources(),
+            timeAccumulationKeys: Object.keys(this.app.parameters.timeAccumulation),
+            midiTargets: MIDI_TARGETS,
+            tempoDivisions: Object.keys(TEMPO_DIVISIONS),
+            tempoSyncParameters: Object.keys(TEMPO_SYNC_PARAMETERS),
+            parameterGroups: Object.keys(PARAMETER_GROUPS)
+        };
+    }
+
+    // source labels the status message ('Parameters' for files, 'Last session' for autosave restores, ...)
+    applySaveData(rawSaveData, source = 'Parameters') {
+        // Upgrade and validate before anything touches the parameters or shader uniforms
+        const { data: saveData, report } = validateSaveData(rawSaveData, this.getSchemaContext());
+        logSchemaReport(report);
+        
+        // Save current state for undo
+        this.app.saveStateForUndo();
+        
+        // Load parameters
+        this.app.parameters.setState(saveData.parameters);
+        
+        // Load palette settings
+        if (saveData.palette.currentPaletteIndex !== undefined) {
+            this.app.currentPaletteIndex = saveData.palette.currentPaletteIndex;
+        }
+        if (saveData.palette.useColorPalette !== undefined) {
+            this.app.useColorPalette = saveData.palette.useColorPalette;
+        }
+        if (saveData.palette.invertColors !== undefined) {
+            this.app.invertColors = saveData.palette.invertColors;
+        }
+        
+        // Load audio settings
+        if (saveData.audio) {
+            this.app.audio.setState(saveData.audio);
+        }
+        
+        // Load time accumulation if present
+        if (saveData.timeAccumulation) {
+            Object.assign(this.app.parameters.timeAccumulation, saveData.timeAccumulation);
+        }
+        
+        // Load timeline automation if present
+        if (saveData.timeline) {
+            this.app.timeline.setState(saveData.timeline);
+        }
+        
+        // Load MIDI controller bindings if present
+        if (saveData.midi) {
+            this.app.midi.setState(saveData.midi);
+        }
+        
+        // Load tempo and tempo locks if present
+        if (saveData.tempo) {
+            this.app.tempo.setState(saveData.tempo);
+        }
+        
+        // Load LFO modulation if present
+        if (saveData.lfo) {
+            this.app.lfo.setState(saveData.lfo);
+        }
+        
+        this.app.ui.updateDisplay();
+        this.app.ui.updateMenuDisplay();
+        
+        const timestamp = saveData.timestamp ? 
+            new Date(saveData.timestamp).toLocaleString() : 'Unknown';
+        if (hasSchemaIssues(report)) {
+            this.app.ui.updateStatus(`⚠️ ${source} loaded (${timestamp}) - ${summarizeSchemaReport(report)}`, 'warning');
+        } else {
+            this.app.ui.updateStatus(`✅ ${source} loaded! (v${saveData.version}, ${timestamp})`, 'success');
+        }
+    }
+
     // Method to create and download preset files
     createPreset(name, description) {
         const presetData = {
@@ -124,8 +204,9 @@ export class FileManager {
                 useColorPalette: this.app.useColorPalette,
                 invertColors: this.app.invertColors
             },
-            audio: this.app.audioSystem ? this.app.audioSystem.getState() : null,
-            version: this.app.VERSION,
+            audio: this.app.audio.getState(),
+            lfo: this.app.lfo.getState(),
+            version: SAVE_FORMAT_VERSION,
             timestamp: new Date().toISOString(),
             type: "preset"
         };
@@ -169,8 +250,13 @@ export class FileManager {
             }
             
             // Load audio settings
-            if (presetData.audio && this.app.audioSystem) {
-                this.app.audioSystem.setState(presetData.audio);
+            if (presetData.audio) {
+                this.app.audio.setState(presetData.audio);
+            }
+            
+            // Load LFO modulation
+            if (presetData.lfo) {
+                this.app.lfo.setState(presetData.lfo);
             }
             
             this.app.ui.updateDisplay();
@@ -183,92 +269,117 @@ export class FileManager {
         }
     }
 
-    // Export current state as URL parameters (for sharing)
-    exportAsURL() {
+    // Export current state as a compact share link (see share-codec.js for the format)
+    async exportAsURL() {
         try {
-            const state = {
-                p: this.app.parameters.getState(),
-                pi: this.app.currentPaletteIndex,
-                ucp: this.app.useColorPalette ? 1 : 0,
-                ic: this.app.invertColors ? 1 : 0,
-                v: this.app.VERSION
-            };
+            const colorMode = this.app.parameters.getValue('color_mode');
+            const layerPalette = this.app.color.layerColorPalettes[this.app.color.currentLayerPaletteIndex];
+            
+            const encoded = await encodeShareState({
+                parameters: this.app.parameters.getState(),
+                definitions: this.app.parameters.getAllParameters(),
+                palette: {
+                    currentPaletteIndex: this.app.currentPaletteIndex,
+                    useColorPalette: this.app.useColorPalette,
+                    invertColors: this.app.invertColors
+                },
+                // The layer palette only affects the image in layer color mode
+                layerPalette: colorMode > 1.5 && layerPalette ? layerPalette : null,
+                audioMappings: this.app.audio.parameterMappings,
+                bandLayout: this.app.audio.bandLayout
+            });
             
-            const compressed = this.compressState(state);
             const url = new URL(window.location);
-            url.searchParams.set('kaldao', compressed);
+            url.searchParams.set('kaldao', encoded);
             
             // Copy to clipboard
             navigator.clipboard.writeText(url.toString()).then(() => {
-                this.app.ui.updateStatus('🔗 URL copied to clipboard!', 'success');
+                this.app.ui.updateStatus(`🔗 Share URL copied to clipboard! (${url.toString().length} chars)`, 'success');
             }).catch(() => {
                 this.app.ui.updateStatus('🔗 URL generated (copy from address bar)', 'info');
                 window.history.pushState({}, '', url);
             });
             
+            return url.toString();
+            
         } catch (error) {
             this.app.ui.updateStatus(`❌ URL export failed: ${error.message}`, 'error');
+            return null;
         }
     }
 
+    // Decoded share link → the save file shape validateSaveData understands.
+    // Built-in band layouts travel as their id; unknown ids are left for the validator to drop.
+    shareStateToSaveData(state) {
+        const saveData = {
+            version: SAVE_FORMAT_VERSION,
+            parameters: state.parameters,
+            palette: state.palette,
+            layerPalette: state.layerPalette
+        };
+        if (state.audioMappings) {
+            saveData.audio = { parameterMappings: state.audioMappings };
+            if (typeof state.bandLayout === 'string') {
+                saveData.audio.bandLayout = isBuiltInLayout(state.bandLayout) ? createBandLayout(state.bandLayout) : { id: state.bandLayout };
+            } else if (state.bandLayout) {
+                saveData.audio.bandLayout = state.bandLayout;
+            }
+        }
+        return saveData;
+    }
+
     // Import state from URL parameters
-    importFromURL() {
+    async importFromURL() {
         try {
             const url = new URL(window.location);
-            const compressed = url.searchParams.get('kaldao');
+            const encoded = url.searchParams.get('kaldao');
             
-            if (!compressed) return false;
+            if (!encoded) return false;
             
-            const state = this.decompressState(compressed);
-            if (!state) return false;
+            const state = await decodeShareState(encoded);
+            
+            // Links are untrusted input - parameters, palette selection, layer palette, mappings and
+            // the band layout go through the same schema checks as a save file
+            const { data, report } = validateSaveData(this.shareStateToSaveData(state), this.getSchemaContext());
+            logSchemaReport(report);
             
             // Save current state for undo
             this.app.saveStateForUndo();
             
-            // Apply loaded state
-            if (state.p) {
-                this.app.parameters.setState(state.p);
-            }
-            if (state.pi !== undefined) {
-                this.app.currentPaletteIndex = state.pi;
-            }
-            if (state.ucp !== undefined) {
-                this.app.useColorPalette = state.ucp === 1;
+            Object.entries(data.parameters).forEach(([key, value]) => {
+                this.app.parameters.setValue(key, value);
+            });
+            
+            // Fields the validator dropped keep their link defaults
+            const palette = { currentPaletteIndex: 0, useColorPalette: false, invertColors: false, ...data.palette };
+            this.app.currentPaletteIndex = palette.currentPaletteIndex;
+            this.app.useColorPalette = palette.useColorPalette;
+            this.app.invertColors = palette.invertColors;
+            
+            if (data.layerPalette) {
+                this.app.color.selectOrAddLayerPalette(data.layerPalette);
             }
-            if (state.ic !== undefined) {
-                this.app.invertColors = state.ic === 1;
+            
+            if (data.audio) {
+                this.app.audio.setBandLayout(data.audio.bandLayout || DEFAULT_BAND_LAYOUT);
+                this.app.audio.parameterMappings = { ...data.audio.parameterMappings };
             }
             
             this.app.ui.updateDisplay();
             this.app.ui.updateMenuDisplay();
             
-            const version = state.v || 'Unknown';
-            this.app.ui.updateStatus(`✅ Loaded from URL! (v${version})`, 'success');
+            const upgraded = state.migratedFrom < state.version ? `, upgraded from schema ${state.migratedFrom}` : '';
+            if (hasSchemaIssues(report)) {
+                this.app.ui.updateStatus(`⚠️ Loaded from URL (schema ${state.version}${upgraded}) - ${summarizeSchemaReport(report)}`, 'warning');
+            } else {
+                this.app.ui.updateStatus(`✅ Loaded from URL! (schema ${state.version}${upgraded})`, 'success');
+            }
             
             return true;
         } catch (error) {
             console.error('URL import failed:', error);
+            this.app.ui.updateStatus(`❌ Share link could not be loaded: ${error.message}`, 'error');
             return false;
         }
     }
-
-    // Simple state compression for URL sharing
-    compressState(state) {
-        try {
-            return btoa(JSON.stringify(state));
-        } catch (error) {
-            console.error('Compression failed:', error);
-            return null;
-        }
-    }
-
-    // Simple state decompression for URL sharing
-    decompressState(compressed) {
-        try {
-            return JSON.parse(atob(compressed));
-        } catch (error) {
-            console.error('Decompression failed:', error);
-            return null;
-        }
-    }
 }
\ No newline at end of file
@@ -0,0 +1,368 @@
+// LFO modulation matrix module
+// Low-frequency oscillators that move parameters on their own clock, independent of audio.
+// Each LFO targets one artistic or debug parameter and swings it around its current value:
+//   offset = wave (-1..1) × depth × half the parameter's range
+// Offsets from every LFO on a parameter are summed and handed to ParameterManager, which adds
+// them on top of the base value or the audio modifier in getValue() - so LFOs and audio
+// reactivity stack instead of replacing each other, and the base value itself never changes.
+//
+// LFO: { id, target, shape, rate (Hz), depth (0-1), phase (0-1 cycle offset), enabled }
+// The clock is animation time, so LFOs stop with pause and follow the fixed-step export clock.
+
+export const LFO_SHAPES = {
+    sine: 'Sine',
+    triangle: 'Triangle',
+    square: 'Square',
+    saw: 'Saw',
+    random: 'Sample & Hold',
+    noise: 'Smooth Noise'
+};
+
+export const LFO_LIMITS = {
+    rate: { min: 0.01, max: 10 },
+    depth: { min: 0, max: 1 },
+    phase: { min: 0, max: 1 }
+};
+
+export const MAX_LFOS = 16;
+
+const LFO_DEFAULTS = { shape: 'sine', rate: 0.25, depth: 0.25, phase: 0, enabled: true };
+
+// Scope refresh while the panel is open
+const SCOPE_UPDATE_MS = 100;
+
+function fract(value) {
+    return value - Math.floor(value);
+}
+
+// Repeatable pseudo-random value in -1..1 for an integer step (same LFO + step → same value,
+// so random LFOs replay identically in offline export)
+function hashNoise(seed, step) {
+    let h = Math.imul(step ^ 0x9E3779B9, 0x85EBCA6B) ^ Math.imul(seed + 1, 0xC2B2AE35);
+    h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+    h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+    h ^= h >>> 16;
+    return (h >>> 0) / 0xFFFFFFFF * 2 - 1;
+}
+
+// Wave value in -1..1 at a position measured in cycles
+export function lfoWave(shape, cycles, seed = 0) {
+    switch (shape) {
+        case 'triangle':
+            return 1 - 4 * Math.abs(fract(cycles + 0.25) - 0.5);
+        case 'square':
+            return fract(cycles) < 0.5 ? 1 : -1;
+        case 'saw':
+            return 2 * fract(cycles) - 1;
+        case 'random':
+            return hashNoise(seed, Math.floor(cycles));
+        case 'noise': {
+            // One new random point per cycle, eased between
+            const step = Math.floor(cycles);
+            const t = fract(cycles);
+            const eased = t * t * (3 - 2 * t);
+            return hashNoise(seed, step) * (1 - eased) + hashNoise(seed, step + 1) * eased;
+        }
+        case 'sine':
+        default:
+            return Math.sin(2 * Math.PI * cycles);
+    }
+}
+
+export class LFOMatrix {
+    constructor() {
+        this.app = null;
+        this.lfos = [];
+        this.nextId = 1;
+        this.time = 0;                 // Animation seconds the LFOs have run for
+        this.panelVisible = false;
+        this.scopeInterval = null;
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    // MODULATION
+    // Called once per frame with the animation delta (zero while paused)
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        const parameters = this.app.parameters;
+        const offsets = {};
+        this.lfos.forEach(lfo => {
+            if (!lfo.enabled || lfo.depth <= 0) return;
+            const definition = parameters.getParameter(lfo.target);
+            if (!definition) return;
+
+            const offset = this.getWaveValue(lfo) * lfo.depth * (definition.max - definition.min) / 2;
+            offsets[lfo.target] = (offsets[lfo.target] || 0) + offset;
+        });
+        parameters.setLfoOffsets(offsets);
+    }
+
+    getWaveValue(lfo, time = this.time) {
+        return lfoWave(lfo.shape, time * lfo.rate + lfo.phase, lfo.id);
+    }
+
+    // EDITING
+    addLFO(target, settings = {}) {
+        if (!this.app.parameters.getParameter(target)) {
+            this.app.ui.updateStatus(`❌ Unknown parameter ${target}`, 'error');
+            return null;
+        }
+        if (this.lfos.length >= MAX_LFOS) {
+            this.app.ui.updateStatus(`⚠️ At most ${MAX_LFOS} LFOs`, 'warning');
+            return null;
+        }
+
+        const lfo = { id: this.nextId++, target, ...LFO_DEFAULTS, ...settings };
+        this.lfos.push(lfo);
+        this.renderPanel();
+        return lfo;
+    }
+
+    // Shift+F: LFO on whatever is selected in the main or debug menu
+    addLFOForSelectedParameter() {
+        const key = this.app.debugUI.getCurrentSelectedParameterKey();
+        const lfo = key ? this.addLFO(key) : null;
+        if (lfo) {
+            const name = this.app.parameters.getParameter(key).name;
+            this.app.ui.updateStatus(`〰️ ${LFO_SHAPES[lfo.shape]} LFO on ${name} (F to edit)`, 'success');
+        }
+    }
+
+    updateLFO(id, field, value) {
+        const lfo = this.lfos.find(item => item.id === id);
+        if (!lfo) return;
+
+        const limits = LFO_LIMITS[field];
+        lfo[field] = limits ? Math.max(limits.min, Math.min(limits.max, value)) : value;
+    }
+
+    removeLFO(id) {
+        this.lfos = this.lfos.filter(lfo => lfo.id !== id);
+        this.renderPanel();
+    }
+
+    clear() {
+        this.lfos = [];
+        this.app.parameters.setLfoOffsets({});
+        this.renderPanel();
+    }
+
+    // LFO PANEL
+    toggleLFOPanel() {
+        if (this.panelVisible) {
+            this.hideLFOPanel();
+        } else {
+            this.showLFOPanel();
+        }
+    }
+
+    showLFOPanel() {
+        if (this.panelVisible) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'lfoPanel';
+        // Styles are handled in lfo-menu.css
+
+        panel.innerHTML = `
+            <div class="lfo-header">
+                <h3 class="lfo-title">〰️ LFO Modulation</h3>
+                <button id="lfoClose" class="lfo-button lfo-button-close">✕ Close</button>
+            </div>
+            <div id="lfoList" class="lfo-list"></div>
+            <div class="lfo-footer">
+                <select id="lfoAddTarget" class="lfo-select">
+                    <option value="">+ Add LFO on...</option>
+                    ${this.getTargetOptionsHTML('')}
+                </select>
+                <button id="lfoClear" class="lfo-button lfo-button-danger">Clear All</button>
+            </div>
+            <div class="lfo-hint">Depth swings the parameter by up to half its range around its value • Shift+F adds an LFO on the selected parameter</div>
+        `;
+
+        document.body.appendChild(panel);
+        this.panelVisible = true;
+
+        this.setupLFOPanelHandlers();
+        this.renderPanel();
+
+        this.scopeInterval = setInterval(() => this.updateScopes(), SCOPE_UPDATE_MS);
+    }
+
+    hideLFOPanel() {
+        const panel = document.getElementById('lfoPanel');
+        if (panel) {
+            document.body.removeChild(panel);
+        }
+        this.panelVisible = false;
+
+        if (this.scopeInterval) {
+            clearInterval(this.scopeInterval);
+            this.scopeInterval = null;
+        }
+    }
+
+    setupLFOPanelHandlers() {
+        const closeBtn = document.getElementById('lfoClose');
+        if (closeBtn) {
+            closeBtn.onclick = () => this.hideLFOPanel();
+        }
+
+        const addSelect = document.getElementById('lfoAddTarget');
+        if (addSelect) {
+            addSelect.onchange = () => {
+                if (addSelect.value) {
+                    this.addLFO(addSelect.value);
+                }
+                addSelect.value = '';
+                addSelect.blur();
+            };
+        }
+
+        const clearBtn = document.getElementById('lfoClear');
+        if (clearBtn) {
+            clearBtn.onclick = () => {
+                if (this.lfos.length > 0 && confirm('Remove all LFOs?')) {
+                    this.clear();
+                }
+            };
+        }
+    }
+
+    getTargetOptionsHTML(selected) {
+        const parameters = this.app.parameters;
+        const option = key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${parameters.getParameter(key).name}</option>`;
+        return `
+            <optgroup label="Artistic Parameters">${parameters.getParameterKeys().map(option).join('')}</optgroup>
+            <optgroup label="Debug Parameters">${parameters.getAllDebugParameterKeys().map(option).join('')}</optgroup>
+        `;
+    }
+
+    // Rate sliders are logarithmic: 0..1 ↔ 0.01..10 Hz
+    rateToSlider(rate) {
+        return Math.log(rate / LFO_LIMITS.rate.min) / Math.log(LFO_LIMITS.rate.max / LFO_LIMITS.rate.min);
+    }
+
+    sliderToRate(position) {
+        const rate = LFO_LIMITS.rate.min * Math.pow(LFO_LIMITS.rate.max / LFO_LIMITS.rate.min, position);
+        return Math.round(rate * 1000) / 1000;
+    }
+
+    formatRate(rate) {
+        return rate >= 1 ? `${rate.toFixed(2)} Hz` : `${(1 / rate).toFixed(1)} s`;
+    }
+
+    renderPanel() {
+        const list = document.getElementById('lfoList');
+        if (!list) return;
+
+        if (this.lfos.length === 0) {
+            list.innerHTML = '<div class="lfo-empty">No LFOs - pick a parameter below to add one</div>';
+            return;
+        }
+
+        list.innerHTML = this.lfos.map(lfo => `
+            <div class="lfo-row ${lfo.enabled ? '' : 'lfo-row-disabled'}" data-lfo-id="${lfo.id}">
+                <div class="lfo-row-top">
+                    <input type="checkbox" class="lfo-field" data-field="enabled" ${lfo.enabled ? 'checked' : ''} title="On / off">
+                    <select class="lfo-select lfo-field" data-field="target">${this.getTargetOptionsHTML(lfo.target)}</select>
+                    <select class="lfo-select lfo-field" data-field="shape">
+                        ${Object.entries(LFO_SHAPES).map(([id, name]) => `<option value="${id}" ${id === lfo.shape ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    <canvas class="lfo-scope" width="80" height="24" title="Two cycles of the wave, line at the current position"></canvas>
+                    <button class="lfo-button lfo-button-danger lfo-remove">×</button>
+                </div>
+                <div class="lfo-row-controls">
+                    <label>Rate <input type="range" class="lfo-field" data-field="rate" min="0" max="1" step="0.001" value="${this.rateToSlider(lfo.rate)}"></label>
+                    <span class="lfo-value" data-value="rate">${this.formatRate(lfo.rate)}</span>
+                    <label>Depth <input type="range" class="lfo-field" data-field="depth" min="0" max="1" step="0.01" value="${lfo.depth}"></label>
+                    <span class="lfo-value" data-value="depth">${Math.round(lfo.depth * 100)}%</span>
+                    <label>Phase <input type="range" class="lfo-field" data-field="phase" min="0" max="1" step="0.01" value="${lfo.phase}"></label>
+                    <span class="lfo-value" data-value="phase">${Math.round(lfo.phase * 360)}°</span>
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.lfo-row').forEach(row => {
+            const id = parseInt(row.dataset.lfoId, 10);
+
+            row.querySelectorAll('.lfo-field').forEach(field => {
+                const handler = () => {
+                    const name = field.dataset.field;
+                    if (name === 'enabled') {
+                        this.updateLFO(id, name, field.checked);
+                        row.classList.toggle('lfo-row-disabled', !field.checked);
+                    } else if (name === 'target' || name === 'shape') {
+                        this.updateLFO(id, name, field.value);
+                        field.blur();
+                    } else {
+                        const value = name === 'rate' ? this.sliderToRate(parseFloat(field.value)) : parseFloat(field.value);
+                        this.updateLFO(id, name, value);
+                        const label = row.querySelector(`[data-value="${name}"]`);
+                        if (label) {
+                            label.textContent = name === 'rate' ? this.formatRate(value)
+                                : name === 'depth' ? `${Math.round(value * 100)}%` : `${Math.round(value * 360)}°`;
+                        }
+                    }
+                    this.drawScope(row, this.lfos.find(lfo => lfo.id === id));
+                };
+                field.addEventListener(field.type === 'range' ? 'input' : 'change', handler);
+            });
+
+            row.querySelector('.lfo-remove').onclick = () => this.removeLFO(id);
+        });
+
+        this.updateScopes();
+    }
+
+    updateScopes() {
+        if (!this.panelVisible) return;
+        document.querySelectorAll('#lfoList .lfo-row').forEach(row => {
+            this.drawScope(row, this.lfos.find(lfo => lfo.id === parseInt(row.dataset.lfoId, 10)));
+        });
+    }
+
+    // Two cycles of the wave from the current position, so the line on the left is "now"
+    drawScope(row, lfo) {
+        const canvas = row.querySelector('.lfo-scope');
+        if (!canvas || !lfo) return;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const start = this.time * lfo.rate + lfo.phase;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = lfo.enabled ? '#00BCD4' : '#555';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const value = lfoWave(lfo.shape, start + 2 * x / width, lfo.id);
+            const y = height / 2 - value * (height / 2 - 2);
+            if (x === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, 2, height);
+    }
+
+    // STATE (saved with parameter files and presets)
+    getState() {
+        return { lfos: this.lfos.map(lfo => ({ ...lfo })) };
+    }
+
+    setState(state) {
+        if (!state || !Array.isArray(state.lfos)) return;
+
+        // Built-in preset files skip the save schema, so unknown targets and shapes are dropped here too
+        this.lfos = state.lfos
+            .filter(lfo => lfo && this.app.parameters.getParameter(lfo.target) && LFO_SHAPES[lfo.shape] && Number.isInteger(lfo.id))
+            .slice(0, MAX_LFOS)
+            .map(lfo => ({ ...LFO_DEFAULTS, ...lfo }));
+        this.nextId = this.lfos.reduce((max, lfo) => Math.max(max, lfo.id), 0) + 1;
+        this.renderPanel();
+    }
+}
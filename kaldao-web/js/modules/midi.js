@@ -0,0 +1,273 @@
+// MIDI input module
+// Listens to every connected MIDI input through the Web MIDI API and routes control changes,
+// notes and pitch bend to bound targets. MIDI-learn binds whichever control moves next to the
+// parameter selected in the main or debug menu (or to the crossfader, a preset, randomize).
+//
+// Binding ids:  <type>:<channel>:<number>   e.g. 'cc:0:21', 'note:9:36', 'bend:0:0'
+// Targets:      { target: 'parameter', key }   - scaled to the parameter's min/max, snapped to its step
+//               { target: 'crossfader' }       - 0..1 fader position
+//               { target: 'preset', id }       - note on applies (morphs to) the preset
+//               { target: 'randomize' }        - note on randomizes
+//
+// connect() takes an optional MIDIAccess-like object, so a virtual port or a hand-made mock
+// ({ inputs: Map, onstatechange }) can stand in for hardware.
+
+// A pause this long between moves of the same control starts a new undo step
+const MIDI_GESTURE_GAP_MS = 1000;
+
+export const MIDI_TARGETS = ['parameter', 'crossfader', 'preset', 'randomize'];
+
+// Decode a raw MIDI message into { type, channel, number, value (0..1), pressed }
+// Returns null for messages we don't map (clock, sysex, aftertouch...)
+export function parseMIDIMessage(data) {
+    if (!data || data.length < 2) return null;
+
+    const status = data[0] & 0xF0;
+    const channel = data[0] & 0x0F;
+
+    switch (status) {
+        case 0xB0:  // Control change
+            return { type: 'cc', channel, number: data[1], value: data[2] / 127, pressed: data[2] > 0 };
+        case 0x90:  // Note on (velocity 0 is a note off)
+            return { type: 'note', channel, number: data[1], value: data[2] / 127, pressed: data[2] > 0 };
+        case 0x80:  // Note off
+            return { type: 'note', channel, number: data[1], value: 0, pressed: false };
+        case 0xE0:  // Pitch bend (14-bit)
+            return { type: 'bend', channel, number: 0, value: ((data[2] << 7) | data[1]) / 16383, pressed: true };
+        default:
+            return null;
+    }
+}
+
+export function getBindingId(message) {
+    return `${message.type}:${message.channel}:${message.number}`;
+}
+
+// 'cc:0:21' → 'CC 21 (ch 1)'
+export function describeBindingId(id) {
+    const [type, channel, number] = id.split(':');
+    const channelLabel = `ch ${parseInt(channel, 10) + 1}`;
+    if (type === 'bend') return `Pitch bend (${channelLabel})`;
+    return `${type === 'cc' ? 'CC' : 'Note'} ${number} (${channelLabel})`;
+}
+
+export class MidiController {
+    constructor() {
+        this.app = null;
+
+        this.midiAccess = null;
+        this.connected = false;
+        this.inputNames = [];
+
+        // bindingId -> target (see header)
+        this.bindings = {};
+
+        // MIDI-learn: the target waiting for the next control to move
+        this.learnTarget = null;
+
+        // Undo gesture tracking per binding
+        this.lastMoveTime = {};
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    // CONNECTION
+    async connect(midiAccess = null) {
+        try {
+            if (!midiAccess) {
+                if (!this.isSupported()) {
+                    throw new Error('Web MIDI is not supported in this browser');
+                }
+                midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+            }
+
+            this.midiAccess = midiAccess;
+            this.midiAccess.onstatechange = () => this.attachInputs();
+            this.attachInputs();
+            this.connected = true;
+
+            this.app.ui.updateStatus(
+                this.inputNames.length > 0
+                    ? `🎹 MIDI: ${this.inputNames.join(', ')}`
+                    : '🎹 MIDI ready - no inputs connected yet',
+                'success'
+            );
+            return true;
+        } catch (error) {
+            this.app.ui.updateStatus(`❌ MIDI unavailable: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    // (Re)attach to every input - called on connect and whenever a device is plugged or unplugged
+    attachInputs() {
+        this.inputNames = [];
+        this.midiAccess.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data);
+            this.inputNames.push(input.name || input.id || 'MIDI input');
+        });
+    }
+
+    async ensureConnected() {
+        return this.connected || this.connect();
+    }
+
+    // MESSAGE HANDLING
+    handleMessage(data) {
+        const message = parseMIDIMessage(data);
+        if (!message) return;
+
+        const id = getBindingId(message);
+
+        if (this.learnTarget) {
+            // Ignore note offs so releasing a pad doesn't bind it a second time
+            if (message.type === 'note' && !message.pressed) return;
+            this.completeLearn(id);
+            return;
+        }
+
+        const binding = this.bindings[id];
+        if (binding) {
+            this.applyBinding(id, binding, message);
+        }
+    }
+
+    applyBinding(id, binding, message) {
+        const app = this.app;
+
+        switch (binding.target) {
+            case 'parameter': {
+                const param = app.parameters.getParameter(binding.key);
+                if (!param) return;
+
+                // Notes only act on press; knobs and faders act on every move
+                if (message.type === 'note' && !message.pressed) return;
+
+                const now = performance.now();
+                if (!this.lastMoveTime[id] || now - this.lastMoveTime[id] > MIDI_GESTURE_GAP_MS) {
+                    app.saveStateForUndo();
+                }
+                this.lastMoveTime[id] = now;
+
+                app.parameters.setValue(binding.key, this.scaleToParameter(message.value, param));
+                app.ui.updateDisplay();
+                if (app.debugMenuVisible) {
+                    app.debugUI.updateDebugMenuDisplay();
+                }
+                break;
+            }
+
+            case 'crossfader':
+                app.crossfader.setPosition(message.value);
+                break;
+
+            case 'preset':
+                if (message.pressed) app.presetBrowser.applyPreset(binding.id);
+                break;
+
+            case 'randomize':
+                if (message.pressed) app.controls.randomizeParameters();
+                break;
+        }
+    }
+
+    // 0..1 controller value → parameter range, snapped to the parameter's step
+    scaleToParameter(normalized, param) {
+        const raw = param.min + normalized * (param.max - param.min);
+        const stepped = param.min + Math.round((raw - param.min) / param.step) * param.step;
+        return Math.max(param.min, Math.min(param.max, stepped));
+    }
+
+    // MIDI-LEARN
+    // target: a binding target object, or a parameter key as shorthand
+    async startLearn(target) {
+        if (typeof target === 'string') {
+            target = { target: 'parameter', key: target };
+        }
+        if (!target || !MIDI_TARGETS.includes(target.target)) {
+            this.app.ui.updateStatus('❌ Nothing to MIDI-learn', 'error');
+            return;
+        }
+
+        if (!(await this.ensureConnected())) return;
+
+        this.learnTarget = target;
+        this.app.ui.updateStatus(`🎹 MIDI learn: move a control for ${this.describeTarget(target)} (Esc cancels)`, 'info');
+    }
+
+    // Learn for whatever is selected in the main or debug menu
+    learnSelectedParameter() {
+        const key = this.app.debugUI.getCurrentSelectedParameterKey();
+        return this.startLearn(key);
+    }
+
+    cancelLearn() {
+        if (!this.learnTarget) return;
+        this.learnTarget = null;
+        this.app.ui.updateStatus('🎹 MIDI learn cancelled', 'info');
+    }
+
+    completeLearn(id) {
+        const target = this.learnTarget;
+        this.learnTarget = null;
+
+        this.bindings[id] = { ...target };
+        this.app.ui.updateStatus(`🎹 ${describeBindingId(id)} → ${this.describeTarget(target)}`, 'success');
+    }
+
+    // Remove every control bound to the selected parameter
+    clearSelectedParameterBindings() {
+        const key = this.app.debugUI.getCurrentSelectedParameterKey();
+        const removed = Object.keys(this.bindings).filter(id => {
+            const binding = this.bindings[id];
+            return binding.target === 'parameter' && binding.key === key;
+        });
+
+        removed.forEach(id => delete this.bindings[id]);
+        this.app.ui.updateStatus(
+            removed.length > 0 ? `🎹 Cleared ${removed.length} MIDI binding(s) for ${this.describeTarget({ target: 'parameter', key })}` : '🎹 No MIDI bindings on this parameter',
+            'info'
+        );
+    }
+
+    clearAllBindings() {
+        this.bindings = {};
+        this.lastMoveTime = {};
+    }
+
+    describeTarget(target) {
+        switch (target.target) {
+            case 'parameter': {
+                const param = this.app.parameters.getParameter(target.key);
+                return param ? param.name : target.key;
+            }
+            case 'crossfader': return 'Crossfader';
+            case 'preset': return `Preset ${target.id}`;
+            case 'randomize': return 'Randomize';
+            default: return target.target;
+        }
+    }
+
+    // STATE (saved with parameter files and the session autosave)
+    getState() {
+        return { bindings: JSON.parse(JSON.stringify(this.bindings)) };
+    }
+
+    setState(state) {
+        if (!state || !state.bindings) return;
+
+        this.bindings = JSON.parse(JSON.stringify(state.bindings));
+        this.lastMoveTime = {};
+
+        // Bindings are no use without a connection - connect if the browser already allows it
+        if (Object.keys(this.bindings).length > 0 && !this.connected && this.isSupported()) {
+            this.connect();
+        }
+    }
+}
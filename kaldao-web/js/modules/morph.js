@@ -0,0 +1,242 @@
+// Preset morphing module
+// Turns instant state changes (presets, randomize) into timed transitions. The change is applied
+// as usual, the result becomes the morph target, and the values are wound back to where they were
+// and eased towards the target over the configured duration - so anything that can set state
+// can be morphed without knowing about this module.
+//
+// Continuous parameters are interpolated, parameters that only make sense at certain values are
+// stepped or switched (see below), and the cosine palette coefficients a/b/c/d are blended on
+// the way to the target palette.
+
+// Easing curves over t in 0..1
+export const MORPH_EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    smooth: (t) => t * t * t * (t * (t * 6 - 15) + 10)
+};
+
+// Durations the keyboard shortcut cycles through (seconds)
+const MORPH_DURATION_STEPS = [0.5, 1.0, 2.0, 4.0, 8.0];
+
+// Interpolated, but only ever written at valid steps - layers are added/removed one at a time,
+// kaleidoscope segments stay even for proper symmetry and pixel sizes stay whole
+const STEPPED_PARAMETERS = {
+    layer_count: 1,
+    kaleidoscope_segments: 2,
+    scanline_spacing: 1,
+    pixelation: 1
+};
+
+// Modes and hash seeds have no meaningful in-between values - they switch at the halfway point
+const SWITCHED_PARAMETERS = [
+    'color_mode', 'use_layer_colors',
+    'hash_seed_rotation', 'hash_seed_offset', 'hash_seed_speed'
+];
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function lerpVec3(a, b, t) {
+    return [lerp(a[0], b[0], t), lerp(a[1], b[1], t), lerp(a[2], b[2], t)];
+}
+
+export function copyPalette(palette) {
+    return palette ? { a: [...palette.a], b: [...palette.b], c: [...palette.c], d: [...palette.d] } : null;
+}
+
+// BLENDING RULES
+// Shared with the crossfader so a morph and a fader sweep treat every parameter the same way.
+// t is the eased blend amount, position the raw 0..1 position (switches flip at 0.5 of it).
+export function blendParameterValue(key, from, to, t, position = t) {
+    if (position >= 1) return to;
+    if (position <= 0) return from;
+
+    if (SWITCHED_PARAMETERS.includes(key)) {
+        return position < 0.5 ? from : to;
+    }
+    if (STEPPED_PARAMETERS[key]) {
+        const step = STEPPED_PARAMETERS[key];
+        return Math.round(lerp(from, to, t) / step) * step;
+    }
+    return lerp(from, to, t);
+}
+
+export function blendPalettes(from, to, t) {
+    if (!from || !to) return copyPalette(to || from);
+    return {
+        a: lerpVec3(from.a, to.a, t),
+        b: lerpVec3(from.b, to.b, t),
+        c: lerpVec3(from.c, to.c, t),
+        d: lerpVec3(from.d, to.d, t)
+    };
+}
+
+export class MorphEngine {
+    constructor() {
+        this.app = null;
+
+        // Settings
+        this.enabled = true;
+        this.duration = 2.0;              // Seconds
+        this.easing = 'easeInOut';
+
+        // Active morph
+        this.active = null;               // { elapsed, duration, easing, from, to, written, label }
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    isMorphing() {
+        return this.active !== null;
+    }
+
+    // STATE CAPTURE
+    captureState() {
+        const app = this.app;
+        return {
+            parameters: app.parameters.getState(),
+            palette: copyPalette(app.parameters.getPalette(app.currentPaletteIndex)),
+            currentPaletteIndex: app.currentPaletteIndex,
+            useColorPalette: app.useColorPalette,
+            invertColors: app.invertColors
+        };
+    }
+
+    // Run applyChange (which sets the new state instantly, e.g. FileManager.loadPreset) and morph
+    // into the result. With morphing disabled this is just applyChange().
+    transition(applyChange, label = '') {
+        if (!this.enabled || this.duration <= 0) {
+            return applyChange();
+        }
+
+        // A morph already in flight continues from wherever it has got to
+        const from = this.captureState();
+        if (this.active && this.active.palette) {
+            from.palette = copyPalette(this.active.palette);
+        }
+
+        const result = applyChange();
+        if (result === false) return result;
+
+        const to = this.captureState();
+        this.start(from, to, label);
+        return result;
+    }
+
+    start(from, to, label = '') {
+        const app = this.app;
+
+        // Wind back to the starting point; update() walks from here to the target
+        app.parameters.setState(from.parameters);
+        app.useColorPalette = from.useColorPalette;
+        app.invertColors = from.invertColors;
+
+        this.active = {
+            elapsed: 0,
+            duration: this.duration,
+            easing: MORPH_EASINGS[this.easing] || MORPH_EASINGS.easeInOut,
+            from,
+            to,
+            written: { ...from.parameters },
+            palette: copyPalette(from.palette),
+            label
+        };
+
+        console.log(`🌀 Morphing${label ? ` to ${label}` : ''} over ${this.duration}s (${this.easing})`);
+    }
+
+    // Advance the active morph by deltaTime seconds of real time
+    update(deltaTime) {
+        if (!this.active) return;
+
+        const morph = this.active;
+        morph.elapsed += deltaTime;
+
+        const progress = Math.min(1, morph.elapsed / morph.duration);
+        this.applyProgress(progress);
+
+        if (progress >= 1) {
+            this.active = null;
+            this.app.ui.updateDisplay();
+        }
+    }
+
+    applyProgress(progress) {
+        const app = this.app;
+        const morph = this.active;
+        const t = morph.easing(progress);
+        const parameters = app.parameters;
+
+        Object.keys(morph.to.parameters).forEach(key => {
+            const param = parameters.getParameter(key);
+            if (!param) return;
+
+            // Someone else (the user, the timeline) changed this value mid-morph - let them have it
+            if (param.value !== morph.written[key]) {
+                delete morph.to.parameters[key];
+                return;
+            }
+
+            const value = blendParameterValue(key, morph.from.parameters[key], morph.to.parameters[key], t, progress);
+            param.value = value;
+            morph.written[key] = value;
+        });
+
+        morph.palette = blendPalettes(morph.from.palette, morph.to.palette, t);
+
+        const switched = progress < 0.5 ? morph.from : morph.to;
+        app.useColorPalette = switched.useColorPalette;
+        app.invertColors = switched.invertColors;
+    }
+
+    // Blended palette coefficients for the renderer while a morph is running (null otherwise)
+    getPaletteOverride() {
+        if (!this.active || this.app.currentPaletteIndex !== this.active.to.currentPaletteIndex) return null;
+        return this.active.palette;
+    }
+
+    // Jump straight to the target (undo/redo, export start)
+    finish() {
+        if (!this.active) return;
+        this.applyProgress(1);
+        this.active = null;
+    }
+
+    // Stop where we are
+    cancel() {
+        this.active = null;
+    }
+
+    // SETTINGS
+    setDuration(seconds) {
+        this.duration = Math.max(0, Math.min(30, Number(seconds) || 0));
+    }
+
+    setEasing(name) {
+        if (!MORPH_EASINGS[name]) {
+            throw new Error(`Unknown easing '${name}' (${Object.keys(MORPH_EASINGS).join(', ')})`);
+        }
+        this.easing = name;
+    }
+
+    toggleEnabled() {
+        this.enabled = !this.enabled;
+        if (!this.enabled) this.finish();
+        this.app.ui.updateStatus(
+            this.enabled ? `🌀 Morphing on (${this.duration}s ${this.easing})` : '🌀 Morphing off - changes apply instantly',
+            'info'
+        );
+    }
+
+    cycleDuration() {
+        const nextIndex = MORPH_DURATION_STEPS.findIndex(step => step > this.duration);
+        this.setDuration(MORPH_DURATION_STEPS[nextIndex === -1 ? 0 : nextIndex]);
+        this.enabled = true;
+        this.app.ui.updateStatus(`🌀 Morph duration: ${this.duration}s (${this.easing})`, 'info');
+    }
+}
@@ -0,0 +1,151 @@
+// Onset detection module
+// Spectral flux per frequency band: the summed rise of every analyser bin since the previous frame.
+// A band fires an onset when its flux jumps above an adaptive threshold (recent mean plus
+// `sensitivity` standard deviations), so snares and hi-hats register in their own bands the way
+// kicks do in the bass. Onset triggers turn a band's onsets into discrete visual actions.
+//
+// Trigger: { band, action, cooldown, group }
+//   band     - a band key of the current layout, or 'all' for the whole spectrum
+//   action   - a key of TRIGGER_ACTIONS
+//   cooldown - minimum ms between firings of this trigger
+//   group    - PARAMETER_GROUPS key, only used by 'randomizeGroup'
+
+export const ALL_BANDS_KEY = 'all';
+
+export const TRIGGER_ACTIONS = {
+    paletteStep: { name: 'Palette step', description: 'Next color palette (layer palette in layer color mode)' },
+    randomizeGroup: { name: 'Randomize group', description: 'Randomize one group of artistic parameters' },
+    invertPulse: { name: 'Invert pulse', description: 'Flip color inversion for a moment' },
+    segmentsJump: { name: 'Segments jump', description: 'Jump kaleidoscope segments to a new even count' }
+};
+
+export const ONSET_DEFAULTS = {
+    enabled: false,
+    sensitivity: 1.5,          // Standard deviations above the recent mean
+    minInterval: 100           // ms - a band never fires faster than this
+};
+
+export const TRIGGER_DEFAULTS = {
+    cooldown: 250,
+    group: 'pattern'
+};
+
+export const ONSET_LIMITS = {
+    sensitivity: { min: 0.5, max: 4 },
+    minInterval: { min: 30, max: 1000 },
+    cooldown: { min: 0, max: 10000 }
+};
+
+// Longest trigger list a file may carry
+export const MAX_TRIGGERS = 32;
+
+const HISTORY_SIZE = 40;         // Flux frames behind the adaptive threshold (~0.7s at 60fps)
+const FLUX_FLOOR = 0.01;         // Flux below this never counts, however quiet the history
+
+export class OnsetDetector {
+    constructor() {
+        this.previousSpectrum = null;
+        this.bands = {};           // bandKey → { history, flux, lastOnset, onset }
+    }
+
+    reset() {
+        this.previousSpectrum = null;
+        this.bands = {};
+    }
+
+    // spectrum: 0-255 analyser data; bandRanges: { key: { start, end } } bin ranges; time in ms.
+    // Returns the keys of the bands (and ALL_BANDS_KEY) that fired this frame.
+    process(spectrum, bandRanges, time, settings) {
+        const previous = this.previousSpectrum;
+        if (!previous || previous.length !== spectrum.length) {
+            this.previousSpectrum = new Uint8Array(spectrum);
+            return [];
+        }
+
+        const fired = [];
+        const ranges = { ...bandRanges, [ALL_BANDS_KEY]: { start: 0, end: spectrum.length } };
+
+        Object.entries(ranges).forEach(([key, range]) => {
+            let rise = 0;
+            for (let i = range.start; i < range.end; i++) {
+                const delta = spectrum[i] - previous[i];
+                if (delta > 0) rise += delta;
+            }
+            const flux = range.end > range.start ? rise / ((range.end - range.start) * 255) : 0;
+
+            if (this.detect(key, flux, time, settings)) {
+                fired.push(key);
+            }
+        });
+
+        previous.set(spectrum);
+        return fired;
+    }
+
+    detect(key, flux, time, settings) {
+        const band = this.bands[key] || (this.bands[key] = { history: [], flux: 0, lastOnset: -Infinity, onset: false });
+        const history = band.history;
+
+        let onset = false;
+        if (history.length >= HISTORY_SIZE / 2) {
+            const mean = history.reduce((sum, value) => sum + value, 0) / history.length;
+            const variance = history.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / history.length;
+            const threshold = Math.max(FLUX_FLOOR, mean + settings.sensitivity * Math.sqrt(variance));
+            onset = flux > threshold && time - band.lastOnset >= settings.minInterval;
+        }
+
+        history.push(flux);
+        if (history.length > HISTORY_SIZE) history.shift();
+
+        band.flux = flux;
+        band.onset = onset;
+        if (onset) band.lastOnset = time;
+        return onset;
+    }
+
+    // Record an onset found by another detector (the analysis worklet runs its own OnsetDetector
+    // on the audio thread) so the menu's activity lights still see it
+    markOnset(key, time) {
+        const band = this.bands[key] || (this.bands[key] = { history: [], flux: 0, lastOnset: -Infinity, onset: false });
+        band.lastOnset = time;
+    }
+
+    // Time of the last onset in a band (for the menu's activity lights)
+    getLastOnset(key) {
+        return this.bands[key] ? this.bands[key].lastOnset : -Infinity;
+    }
+}
+
+// Check triggers from a file or saved state against the band keys and parameter groups in use.
+// Returns { triggers, problems } - unusable triggers are dropped, a bad cooldown or group falls back to the default.
+export function sanitizeTriggers(triggers, bandKeys, groupKeys) {
+    if (!Array.isArray(triggers)) {
+        return { triggers: [], problems: ['not a list'] };
+    }
+
+    const problems = [];
+    const valid = [];
+    triggers.slice(0, MAX_TRIGGERS).forEach((trigger, index) => {
+        const label = `#${index + 1}`;
+        if (!trigger || typeof trigger !== 'object') {
+            problems.push(`${label}: not an object`);
+        } else if (trigger.band !== ALL_BANDS_KEY && !bandKeys.includes(trigger.band)) {
+            problems.push(`${label}: unknown band ${trigger.band}`);
+        } else if (!Object.prototype.hasOwnProperty.call(TRIGGER_ACTIONS, trigger.action)) {
+            problems.push(`${label}: unknown action ${trigger.action}`);
+        } else {
+            const limits = ONSET_LIMITS.cooldown;
+            valid.push({
+                band: trigger.band,
+                action: trigger.action,
+                cooldown: Number.isFinite(trigger.cooldown) ? Math.max(limits.min, Math.min(limits.max, trigger.cooldown)) : TRIGGER_DEFAULTS.cooldown,
+                group: groupKeys.includes(trigger.group) ? trigger.group : TRIGGER_DEFAULTS.group
+            });
+        }
+    });
+    if (triggers.length > MAX_TRIGGERS) {
+        problems.push(`only the first ${MAX_TRIGGERS} triggers are kept`);
+    }
+
+    return { triggers: valid, problems };
+}
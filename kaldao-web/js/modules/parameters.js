@@ -2,6 +2,19 @@
 // This module now handles both user-facing artistic controls and low-level mathematical debug controls
 // Think of it as managing two layers: the "artist's palette" and the "mathematician's toolbox"
 
+// Artistic parameters by menu category, for randomizing one group at a time (audio onset triggers)
+// Color & Speed is left out - randomizeParameters() never touches it
+export const PARAMETER_GROUPS = {
+    movement: { name: 'Movement', keys: ['fly_speed', 'rotation_speed', 'plane_rotation_speed', 'zoom_level'] },
+    pattern: { name: 'Pattern', keys: ['kaleidoscope_segments', 'truchet_radius', 'center_fill_radius', 'layer_count', 'contrast'] },
+    camera: { name: 'Camera & Path', keys: ['camera_tilt_x', 'camera_tilt_y', 'camera_roll', 'path_stability', 'path_scale'] },
+    post: { name: 'Post FX', keys: ['bloom_intensity', 'bloom_threshold', 'bloom_radius', 'chromatic_aberration', 'film_grain', 'scanlines', 'scanline_spacing', 'pixelation', 'vignette_strength', 'vignette_softness'] },
+    feedback: { name: 'Feedback', keys: ['feedback_amount', 'feedback_zoom', 'feedback_rotation', 'feedback_hue_shift', 'feedback_displacement'] }
+};
+
+// Parameters that only make sense on their step grid (modulation is snapped back onto it)
+const DISCRETE_PARAMETERS = ['kaleidoscope_segments', 'layer_count', 'use_layer_colors', 'color_mode', 'scanline_spacing', 'pixelation'];
+
 export class ParameterManager {
     constructor() {
         // EXISTING USER-FACING PARAMETERS (completely unchanged)
@@ -23,7 +36,26 @@ export class ParameterManager {
             camera_roll: { value: 0.0, min: -3.14, max: 3.14, step: 0.1, name: "Camera Roll" },
             path_stability: { value: 1.0, min: -1.0, max: 1.0, step: 0.05, name: "Path Stability" },
             path_scale: { value: 1.0, min: -3.0, max: 3.0, step: 0.1, name: "Path Scale" },
-            color_speed: { value: 0.5, min: 0.0, max: 2.0, step: 0.1, name: "Color Speed" }
+            color_speed: { value: 0.5, min: 0.0, max: 2.0, step: 0.1, name: "Color Speed" },
+            
+            // Post-processing passes (post-process.js) - sizes are pixels at 1080p
+            bloom_intensity: { value: 0.0, min: 0.0, max: 2.0, step: 0.05, name: "Bloom Intensity" },
+            bloom_threshold: { value: 0.6, min: 0.0, max: 1.0, step: 0.05, name: "Bloom Threshold" },
+            bloom_radius: { value: 2.0, min: 0.5, max: 8.0, step: 0.5, name: "Bloom Radius" },
+            chromatic_aberration: { value: 0.0, min: 0.0, max: 1.0, step: 0.01, name: "Chromatic Aberration" },
+            film_grain: { value: 0.0, min: 0.0, max: 1.0, step: 0.01, name: "Film Grain" },
+            scanlines: { value: 0.0, min: 0.0, max: 1.0, step: 0.05, name: "Scanlines" },
+            scanline_spacing: { value: 4, min: 2, max: 16, step: 1, name: "Scanline Spacing" },
+            pixelation: { value: 1, min: 1, max: 64, step: 1, name: "Pixelation" },
+            vignette_strength: { value: 1.0, min: 0.0, max: 2.0, step: 0.05, name: "Vignette Strength" },
+            vignette_softness: { value: 0.7, min: 0.1, max: 2.0, step: 0.05, name: "Vignette Softness" },
+            
+            // Feedback trails (post-process.js) - per-frame amounts at 60fps, rescaled to the real frame time
+            feedback_amount: { value: 0.0, min: 0.0, max: 0.99, step: 0.01, name: "Feedback Amount" },
+            feedback_zoom: { value: 1.02, min: 0.9, max: 1.1, step: 0.005, name: "Feedback Zoom" },
+            feedback_rotation: { value: 0.0, min: -0.1, max: 0.1, step: 0.005, name: "Feedback Rotation" },
+            feedback_hue_shift: { value: 0.0, min: -0.1, max: 0.1, step: 0.005, name: "Feedback Hue Shift" },
+            feedback_displacement: { value: 0.0, min: 0.0, max: 1.0, step: 0.01, name: "Feedback Displacement" }
         };
 
         // NEW: DEBUG PARAMETERS - Mathematical controls for shader internals
@@ -217,6 +249,9 @@ export class ParameterManager {
         // These store temporary audio-reactive adjustments that are applied on top of base parameter values
         this.audioModifiers = {};
 
+        // LFO offsets - summed oscillator swings added on top of the base or audio-modified value
+        this.lfoOffsets = {};
+
         // Parameter navigation arrays (existing system unchanged)
         this.parameterKeys = [
             // MOVEMENT & ANIMATION category
@@ -226,7 +261,11 @@ export class ParameterManager {
             // CAMERA & PATH category
             'camera_tilt_x', 'camera_tilt_y', 'camera_roll', 'path_stability', 'path_scale',
             // COLOR & SPEED category
-            'color_speed'
+            'color_speed',
+            // POST FX category
+            ...PARAMETER_GROUPS.post.keys,
+            // FEEDBACK category
+            ...PARAMETER_GROUPS.feedback.keys
         ];
 
         // NEW: Debug parameter organization by logical categories
@@ -265,9 +304,13 @@ export class ParameterManager {
     }
 
     // Enhanced parameter access methods
-    // These methods now check both regular and debug parameters seamlessly
+    // These methods now check both regular and debug parameters seamlessly.
+    // Own properties only - keys arrive from remotes and files, and '__proto__' must not
+    // resolve to Object.prototype
     getParameter(key) {
-        return this.parameters[key] || this.debugParameters[key];
+        if (Object.prototype.hasOwnProperty.call(this.parameters, key)) return this.parameters[key];
+        if (Object.prototype.hasOwnProperty.call(this.debugParameters, key)) return this.debugParameters[key];
+        return undefined;
     }
 
     getValue(key) {
@@ -276,11 +319,17 @@ export class ParameterManager {
         
         // Apply audio modifier if present (non-destructive)
         const audioModifier = this.audioModifiers[key];
-        if (audioModifier !== undefined) {
-            return audioModifier;
+        const value = audioModifier !== undefined ? audioModifier : baseValue;
+
+        // LFOs stack on top of audio instead of replacing it; the result stays inside the
+        // parameter's range, and counts and modes stay on their step (even segments, whole layers)
+        const lfoOffset = this.lfoOffsets[key];
+        if (lfoOffset !== undefined && param) {
+            const modulated = Math.max(param.min, Math.min(param.max, value + lfoOffset));
+            return DISCRETE_PARAMETERS.includes(key) ? param.min + Math.round((modulated - param.min) / param.step) * param.step : modulated;
         }
         
-        return baseValue;
+        return value;
     }
 
     getBaseValue(key) {
@@ -345,22 +394,33 @@ export class ParameterManager {
     // Time accumulation system (unchanged)
     // This drives the continuous animation of the fractal tunnel
     updateTimeAccumulation(deltaTime) {
-        this.timeAccumulation.camera_position += this.getValue('fly_speed') * deltaTime;
-        this.timeAccumulation.rotation_time += this.getValue('rotation_speed') * deltaTime;
+        this.timeAccumulation.camera_position += this.getTimeAdvance('fly_speed', deltaTime);
+        this.timeAccumulation.rotation_time += this.getTimeAdvance('rotation_speed', deltaTime);
         this.timeAccumulation.plane_rotation_time += this.getValue('plane_rotation_speed') * deltaTime;
-        this.timeAccumulation.color_time += this.getValue('color_speed') * deltaTime;
+        this.timeAccumulation.color_time += this.getTimeAdvance('color_speed', deltaTime);
     }
 
-    // Enhanced reset functionality that handles both parameter types
-    resetParameter(key) {
-        // Comprehensive default values for ALL parameters (regular + debug)
-        const defaults = {
+    // Speeds locked to the music advance with the tempo clock instead of their own value
+    getTimeAdvance(key, deltaTime) {
+        const synced = this.app && this.app.tempo ? this.app.tempo.getSyncedAdvance(key, deltaTime) : null;
+        return synced !== null ? synced : this.getValue(key) * deltaTime;
+    }
+
+    // Comprehensive default values for ALL parameters (regular + debug)
+    // Shared by reset and anything that needs to apply a partial state over a clean slate
+    getDefaultValues() {
+        return {
             // Regular parameter defaults (unchanged)
             fly_speed: 0.25, contrast: 1.0, kaleidoscope_segments: 10.0,
             truchet_radius: 0.35, center_fill_radius: 0.0, layer_count: 6,
             rotation_speed: 0.025, zoom_level: 0.3, color_intensity: 1.0,
             plane_rotation_speed: 0.5, camera_tilt_x: 0.0, camera_tilt_y: 0.0,
             camera_roll: 0.0, path_stability: 1.0, path_scale: 1.0, color_speed: 0.5,
+            bloom_intensity: 0.0, bloom_threshold: 0.6, bloom_radius: 2.0, chromatic_aberration: 0.0,
+            film_grain: 0.0, scanlines: 0.0, scanline_spacing: 4, pixelation: 1,
+            vignette_strength: 1.0, vignette_softness: 0.7,
+            feedback_amount: 0.0, feedback_zoom: 1.02, feedback_rotation: 0.0,
+            feedback_hue_shift: 0.0, feedback_displacement: 0.0,
             
             // Debug parameter defaults - these restore the original shader mathematics
             layer_distance: 0.75, layer_fade_start: 5.0, layer_fade_near: 0.1,
@@ -374,6 +434,11 @@ export class ParameterManager {
             aa_multiplier: 3.0, line_width_base: 0.025, detail_frequency: 100.0,
             truchet_diagonal_threshold: 0.707, use_layer_colors: 0.0, color_mode: 0.0
         };
+    }
+
+    // Enhanced reset functionality that handles both parameter types
+    resetParameter(key) {
+        const defaults = this.getDefaultValues();
         
         if (defaults[key] !== undefined) {
             this.setValue(key, defaults[key]);
@@ -401,7 +466,8 @@ export class ParameterManager {
     setState(state) {
         Object.keys(state).forEach(key => {
             // Only set values for parameters that actually exist in our system
-            if (this.parameters[key] || this.debugParameters[key]) {
+            if (Object.prototype.hasOwnProperty.call(this.parameters, key) ||
+                Object.prototype.hasOwnProperty.call(this.debugParameters, key)) {
                 const param = this.getParameter(key);
                 if (param) {
                     param.value = state[key];
@@ -423,7 +489,8 @@ export class ParameterManager {
 
     // Enhanced randomization that only affects user-facing parameters by default
     // Debug parameters are generally not randomized to avoid breaking the mathematical foundations
-    randomizeParameters() {
+    // keys limits it to a subset (e.g. PARAMETER_GROUPS.pattern.keys)
+    randomizeParameters(keys = null) {
         const excludeParams = ['color_intensity', 'color_speed'];
         
         // Define reasonable randomization ranges that create interesting but stable results
@@ -441,12 +508,29 @@ export class ParameterManager {
             camera_tilt_y: { min: -3.0, max: 3.0 },
             camera_roll: { min: -1.0, max: 1.0 },
             path_stability: { min: -0.5, max: 1.0 },
-            path_scale: { min: 0.5, max: 2.0 }
+            path_scale: { min: 0.5, max: 2.0 },
+            // Post FX stay subtle - a full randomize shouldn't bury the pattern
+            bloom_intensity: { min: 0.0, max: 0.8 },
+            bloom_threshold: { min: 0.4, max: 0.8 },
+            bloom_radius: { min: 1.0, max: 4.0 },
+            chromatic_aberration: { min: 0.0, max: 0.3 },
+            film_grain: { min: 0.0, max: 0.2 },
+            scanlines: { min: 0.0, max: 0.3 },
+            scanline_spacing: { min: 2, max: 6 },
+            pixelation: { min: 1, max: 3 },
+            vignette_strength: { min: 0.5, max: 1.5 },
+            vignette_softness: { min: 0.4, max: 1.0 },
+            // Short trails at most - long feedback smears the pattern away
+            feedback_amount: { min: 0.0, max: 0.6 },
+            feedback_zoom: { min: 0.98, max: 1.04 },
+            feedback_rotation: { min: -0.02, max: 0.02 },
+            feedback_hue_shift: { min: -0.02, max: 0.02 },
+            feedback_displacement: { min: 0.0, max: 0.3 }
         };
         
         // Only randomize regular parameters, leaving debug parameters at their carefully chosen defaults
         Object.keys(this.parameters).forEach(key => {
-            if (excludeParams.includes(key)) return;
+            if (excludeParams.includes(key) || (keys && !keys.includes(key))) return;
             
             const param = this.parameters[key];
             const range = randomRanges[key];
@@ -518,4 +602,9 @@ export class ParameterManager {
     hasAudioModifier(key) {
         return this.audioModifiers[key] !== undefined;
     }
+
+    // LFO offsets - replaced as a whole by the LFO matrix every frame
+    setLfoOffsets(offsets) {
+        this.lfoOffsets = offsets;
+    }
 }
\ No newline at end of file
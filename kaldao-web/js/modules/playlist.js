@@ -0,0 +1,652 @@
+// Audio playlist module
+// A set list of local audio files on top of AudioSystem's single media element: next/previous,
+// a seek bar drawn as the track's waveform, an A-B loop region, playback rate and what to do at
+// the end of each track. A track can also recall a mapping set from the local library and a
+// preset from the preset browser when it starts, so a whole set can run unattended.
+//
+// Track: { id, name, file, url, duration, peaks, loop: { a, b, enabled }, mappingSet, preset }
+//   peaks      - Float32Array of min/max pairs per waveform column (null until decoded)
+//   mappingSet - name of a stored mapping set (StorageManager) or null to keep the current mappings
+//   preset     - preset browser id (built-in or 'local:name') or null to keep the current look
+// Files only live for the session - browsers do not let a page reopen local files by itself.
+
+export const REPEAT_MODES = {
+    off: 'Stop at end',
+    all: 'Repeat list',
+    one: 'Repeat track'
+};
+
+export const PLAYBACK_RATE_LIMITS = { min: 0.25, max: 2 };
+
+const WAVEFORM_COLUMNS = 450;        // Matches the waveform canvas width
+const PANEL_UPDATE_MS = 100;         // Playhead / clock refresh while the panel is open
+const RESTART_THRESHOLD = 3;         // Seconds into a track after which "previous" restarts it instead
+
+export function formatTrackTime(seconds) {
+    if (!Number.isFinite(seconds)) return '--:--';
+    const whole = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Min/max per column across all channels - enough for an overview, a fraction of the decoded size
+export function computeWaveformPeaks(buffer, columns = WAVEFORM_COLUMNS) {
+    const peaks = new Float32Array(columns * 2);
+    const samplesPerColumn = Math.max(1, Math.floor(buffer.length / columns));
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let column = 0; column < columns; column++) {
+            const start = column * samplesPerColumn;
+            const end = Math.min(data.length, start + samplesPerColumn);
+            let min = peaks[column * 2];
+            let max = peaks[column * 2 + 1];
+            for (let i = start; i < end; i++) {
+                if (data[i] < min) min = data[i];
+                if (data[i] > max) max = data[i];
+            }
+            peaks[column * 2] = min;
+            peaks[column * 2 + 1] = max;
+        }
+    }
+    return peaks;
+}
+
+export class AudioPlaylist {
+    constructor() {
+        this.app = null;
+        this.tracks = [];
+        this.nextId = 1;
+        this.currentIndex = -1;
+        this.repeatMode = 'all';           // A single file keeps looping, as before the playlist existed
+        this.playbackRate = 1.0;
+        this.decodeChain = Promise.resolve();  // Waveforms decode one file at a time to bound memory use
+        this.mappingSetNames = [];         // Local library mapping sets, refreshed when the panel opens
+        this.panelVisible = false;
+        this.panelInterval = null;
+        this.seeking = false;
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    getCurrentTrack() {
+        return this.tracks[this.currentIndex] || null;
+    }
+
+    getElement() {
+        return this.app.audio.audioElement;
+    }
+
+    // TRACK LIST
+    // play: start the first added file right away (the A key / Load Audio button)
+    async addFiles(files, { play = false } = {}) {
+        const added = files.filter(file => file.type.startsWith('audio/') || /\.(wav|mp3|ogg|m4a|aac|flac)$/i.test(file.name))
+            .map(file => ({
+                id: this.nextId++,
+                name: file.name,
+                file,
+                url: URL.createObjectURL(file),
+                duration: null,
+                peaks: null,
+                loop: { a: null, b: null, enabled: false },
+                mappingSet: null,
+                preset: null
+            }));
+
+        if (added.length === 0) {
+            this.app.ui.updateStatus('❌ No audio files to add', 'error');
+            return;
+        }
+
+        const firstIndex = this.tracks.length;
+        this.tracks.push(...added);
+        added.forEach(track => {
+            this.decodeChain = this.decodeChain.then(() => this.decodeTrack(track));
+        });
+        this.renderTrackList();
+
+        if (play || this.currentIndex < 0) {
+            await this.playTrack(firstIndex);
+        } else {
+            this.app.ui.updateStatus(`🎶 Added ${added.length} track${added.length === 1 ? '' : 's'} to the playlist`, 'success');
+        }
+    }
+
+    removeTrack(index) {
+        const track = this.tracks[index];
+        if (!track) return;
+
+        const wasCurrent = index === this.currentIndex;
+        this.tracks.splice(index, 1);
+        URL.revokeObjectURL(track.url);
+
+        if (wasCurrent) {
+            this.app.audio.stopFilePlayback();
+            this.currentIndex = -1;
+        } else if (index < this.currentIndex) {
+            this.currentIndex--;
+        }
+        this.renderPanel();
+    }
+
+    moveTrack(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.tracks.length) return;
+
+        const [track] = this.tracks.splice(index, 1);
+        this.tracks.splice(target, 0, track);
+        if (this.currentIndex === index) {
+            this.currentIndex = target;
+        } else if (this.currentIndex === target) {
+            this.currentIndex = index;
+        }
+        this.renderTrackList();
+    }
+
+    clear() {
+        this.app.audio.stopFilePlayback();
+        this.tracks.forEach(track => URL.revokeObjectURL(track.url));
+        this.tracks = [];
+        this.currentIndex = -1;
+        this.renderPanel();
+    }
+
+    // Decode once for the waveform overview and the exact duration; the buffer itself is dropped
+    async decodeTrack(track) {
+        try {
+            const AudioContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            const decoder = new AudioContextClass(1, 1, 44100);
+            const buffer = await decoder.decodeAudioData(await track.file.arrayBuffer());
+            track.duration = buffer.duration;
+            track.peaks = computeWaveformPeaks(buffer);
+        } catch (error) {
+            console.warn(`Could not decode waveform for ${track.name}:`, error);
+        }
+        if (this.panelVisible) {
+            this.renderTrackList();
+            this.drawWaveform();
+        }
+    }
+
+    // TRANSPORT
+    async playTrack(index) {
+        const track = this.tracks[index];
+        if (!track) return false;
+
+        this.currentIndex = index;
+        this.app.ui.updateStatus(`🎵 Loading audio: ${track.name}...`, 'info');
+
+        try {
+            await this.app.audio.loadAudioURL(track.url);
+        } catch (error) {
+            console.error('Audio loading error:', error);
+            this.app.ui.updateStatus(`❌ Failed to load audio: ${error.message}`, 'error');
+            this.renderPanel();
+            return false;
+        }
+
+        const element = this.getElement();
+        element.playbackRate = this.playbackRate;
+        element.loop = this.repeatMode === 'one' && !track.loop.enabled;
+        if (track.duration === null && Number.isFinite(element.duration)) {
+            track.duration = element.duration;
+        }
+
+        await this.applyTrackRecall(track);
+        await this.app.audio.startFilePlayback(track.name);
+        this.renderPanel();
+        return true;
+    }
+
+    // The track's own mapping set and preset, when it has them
+    async applyTrackRecall(track) {
+        if (track.mappingSet) {
+            try {
+                await this.app.storage.loadMappingSet(track.mappingSet);
+            } catch (error) {
+                this.app.ui.updateStatus(`⚠️ ${track.name}: ${error.message}`, 'warning');
+            }
+        }
+        if (track.preset && !this.app.presetBrowser.applyPreset(track.preset)) {
+            this.app.ui.updateStatus(`⚠️ ${track.name}: preset ${track.preset} not found`, 'warning');
+        }
+    }
+
+    async next() {
+        if (this.tracks.length === 0) return;
+        const index = this.currentIndex + 1;
+        await this.playTrack(index < this.tracks.length ? index : 0);
+    }
+
+    // Restarts the current track when it has been playing for a few seconds, like a CD player
+    async previous() {
+        if (this.tracks.length === 0) return;
+        const element = this.getElement();
+        if (element && element.currentTime > RESTART_THRESHOLD) {
+            this.seek(0);
+            return;
+        }
+        const index = this.currentIndex - 1;
+        await this.playTrack(index >= 0 ? index : this.tracks.length - 1);
+    }
+
+    async togglePlayback() {
+        if (this.tracks.length === 0) {
+            this.app.audio.uploadAudioFile();
+        } else if (!this.getElement()) {
+            await this.playTrack(Math.max(0, this.currentIndex));
+        } else {
+            await this.app.audio.toggleAudio();
+        }
+        this.updateTransportDisplay();
+    }
+
+    seek(seconds) {
+        const element = this.getElement();
+        if (!element || !Number.isFinite(element.duration)) return;
+        element.currentTime = Math.max(0, Math.min(element.duration, seconds));
+        this.drawWaveform();
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = Math.max(PLAYBACK_RATE_LIMITS.min, Math.min(PLAYBACK_RATE_LIMITS.max, rate));
+        const element = this.getElement();
+        if (element) {
+            element.playbackRate = this.playbackRate;
+        }
+    }
+
+    setRepeatMode(mode) {
+        if (!REPEAT_MODES[mode]) return;
+        this.repeatMode = mode;
+        const element = this.getElement();
+        const track = this.getCurrentTrack();
+        if (element && track) {
+            element.loop = mode === 'one' && !track.loop.enabled;
+        }
+    }
+
+    // Media element 'ended' (never fires while element.loop is set)
+    async handleTrackEnded() {
+        const track = this.getCurrentTrack();
+        if (track && track.loop.enabled) {
+            this.seek(track.loop.a);
+            this.getElement().play().catch(() => {});
+            return;
+        }
+
+        const isLast = this.currentIndex >= this.tracks.length - 1;
+        if (this.repeatMode === 'off' && isLast) {
+            this.app.audio.stopFilePlayback();
+            this.app.ui.updateStatus('🎶 Playlist finished', 'info');
+            this.updateTransportDisplay();
+            return;
+        }
+        await this.next();
+    }
+
+    // A-B LOOP
+    setLoopPoint(point) {
+        const track = this.getCurrentTrack();
+        const element = this.getElement();
+        if (!track || !element) return;
+
+        track.loop[point] = element.currentTime;
+        const { a, b } = track.loop;
+        if (a !== null && b !== null && b < a) {
+            track.loop.a = b;
+            track.loop.b = a;
+        }
+        this.updateLoopDisplay();
+    }
+
+    setLoop(a, b) {
+        const track = this.getCurrentTrack();
+        if (!track) return false;
+        if (!Number.isFinite(a) || !Number.isFinite(b) || b - a < 0.05) {
+            this.app.ui.updateStatus('❌ Loop end must come after its start', 'error');
+            return false;
+        }
+
+        track.loop = { a: Math.max(0, a), b, enabled: true };
+        this.setRepeatMode(this.repeatMode);
+        this.updateLoopDisplay();
+        return true;
+    }
+
+    toggleLoop() {
+        const track = this.getCurrentTrack();
+        if (!track) return;
+
+        const { a, b } = track.loop;
+        if (!track.loop.enabled && (a === null || b === null || b - a < 0.05)) {
+            this.app.ui.updateStatus('⚠️ Set loop points A and B first', 'warning');
+            return;
+        }
+        track.loop.enabled = !track.loop.enabled;
+        this.setRepeatMode(this.repeatMode);
+        this.updateLoopDisplay();
+    }
+
+    clearLoop() {
+        const track = this.getCurrentTrack();
+        if (!track) return;
+        track.loop = { a: null, b: null, enabled: false };
+        this.setRepeatMode(this.repeatMode);
+        this.updateLoopDisplay();
+    }
+
+    // Called every frame from the render loop - the media element's own timeupdate is too coarse
+    update() {
+        const track = this.getCurrentTrack();
+        const element = this.getElement();
+        if (!track || !element || !track.loop.enabled || element.paused) return;
+
+        if (element.currentTime >= track.loop.b) {
+            element.currentTime = track.loop.a;
+        }
+    }
+
+    // PLAYLIST PANEL
+    togglePlaylistPanel() {
+        if (this.panelVisible) {
+            this.hidePlaylistPanel();
+        } else {
+            this.showPlaylistPanel();
+        }
+    }
+
+    async showPlaylistPanel() {
+        if (this.panelVisible) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'playlistPanel';
+        // Styles are handled in playlist-menu.css
+
+        panel.innerHTML = `
+            <div class="playlist-header">
+                <h3 class="playlist-title">🎶 Playlist</h3>
+                <button id="playlistClose" class="playlist-button playlist-button-close">✕ Close</button>
+            </div>
+            <div class="playlist-now">
+                <span id="playlistNowName" class="playlist-now-name"></span>
+                <span id="playlistClock" class="playlist-clock"></span>
+            </div>
+            <canvas id="playlistWaveform" class="playlist-waveform" width="${WAVEFORM_COLUMNS}" height="60" title="Click or drag to seek"></canvas>
+            <div class="playlist-transport">
+                <button id="playlistPrev" class="playlist-button" title="Previous (restarts after ${RESTART_THRESHOLD}s)">⏮</button>
+                <button id="playlistPlay" class="playlist-button">▶</button>
+                <button id="playlistNext" class="playlist-button" title="Next (Shift+O)">⏭</button>
+                <select id="playlistRepeat" class="playlist-select">
+                    ${Object.entries(REPEAT_MODES).map(([id, name]) => `<option value="${id}" ${id === this.repeatMode ? 'selected' : ''}>${name}</option>`).join('')}
+                </select>
+                <label class="playlist-rate">Rate
+                    <input type="range" id="playlistRate" min="${PLAYBACK_RATE_LIMITS.min}" max="${PLAYBACK_RATE_LIMITS.max}" step="0.05" value="${this.playbackRate}">
+                    <span id="playlistRateValue">${this.playbackRate.toFixed(2)}×</span>
+                </label>
+            </div>
+            <div class="playlist-loop">
+                <button id="playlistLoopA" class="playlist-button">Set A</button>
+                <button id="playlistLoopB" class="playlist-button">Set B</button>
+                <button id="playlistLoopToggle" class="playlist-button">Loop A-B</button>
+                <button id="playlistLoopClear" class="playlist-button playlist-button-close">Clear</button>
+                <span id="playlistLoopInfo" class="playlist-loop-info"></span>
+            </div>
+            <div id="playlistTracks" class="playlist-tracks"></div>
+            <div class="playlist-footer">
+                <button id="playlistAdd" class="playlist-button">+ Add Files</button>
+                <button id="playlistClear" class="playlist-button playlist-button-danger">Clear List</button>
+            </div>
+            <div class="playlist-hint">Drop audio files here • Mappings and Look are recalled when a track starts</div>
+        `;
+
+        document.body.appendChild(panel);
+        this.panelVisible = true;
+
+        this.setupPlaylistPanelHandlers(panel);
+        this.renderPanel();
+        this.panelInterval = setInterval(() => {
+            this.drawWaveform();
+            this.updateTransportDisplay();
+        }, PANEL_UPDATE_MS);
+
+        // Mapping sets come from IndexedDB - fill their menus once the list arrives
+        try {
+            this.mappingSetNames = (await this.app.storage.listMappingSets()).map(record => record.name);
+        } catch (error) {
+            this.mappingSetNames = [];
+        }
+        this.renderTrackList();
+    }
+
+    hidePlaylistPanel() {
+        const panel = document.getElementById('playlistPanel');
+        if (panel) {
+            document.body.removeChild(panel);
+        }
+        this.panelVisible = false;
+
+        if (this.panelInterval) {
+            clearInterval(this.panelInterval);
+            this.panelInterval = null;
+        }
+    }
+
+    setupPlaylistPanelHandlers(panel) {
+        const bind = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.onclick = handler;
+        };
+
+        bind('playlistClose', () => this.hidePlaylistPanel());
+        bind('playlistPrev', () => this.previous());
+        bind('playlistPlay', () => this.togglePlayback());
+        bind('playlistNext', () => this.next());
+        bind('playlistLoopA', () => this.setLoopPoint('a'));
+        bind('playlistLoopB', () => this.setLoopPoint('b'));
+        bind('playlistLoopToggle', () => this.toggleLoop());
+        bind('playlistLoopClear', () => this.clearLoop());
+        bind('playlistAdd', () => this.pickFiles());
+        bind('playlistClear', () => {
+            if (this.tracks.length > 0 && confirm('Remove all tracks from the playlist?')) {
+                this.clear();
+            }
+        });
+
+        const repeatSelect = document.getElementById('playlistRepeat');
+        if (repeatSelect) {
+            repeatSelect.onchange = () => {
+                this.setRepeatMode(repeatSelect.value);
+                repeatSelect.blur();
+            };
+        }
+
+        const rateSlider = document.getElementById('playlistRate');
+        if (rateSlider) {
+            rateSlider.oninput = () => {
+                this.setPlaybackRate(parseFloat(rateSlider.value));
+                document.getElementById('playlistRateValue').textContent = `${this.playbackRate.toFixed(2)}×`;
+            };
+            rateSlider.ondblclick = () => {
+                rateSlider.value = 1;
+                rateSlider.oninput();
+            };
+        }
+
+        // Seek bar: click or drag across the waveform
+        const canvas = document.getElementById('playlistWaveform');
+        if (canvas) {
+            const seekTo = (event) => {
+                const element = this.getElement();
+                if (!element || !Number.isFinite(element.duration)) return;
+                const rect = canvas.getBoundingClientRect();
+                const position = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+                this.seek(position * element.duration);
+            };
+            canvas.onpointerdown = (event) => {
+                this.seeking = true;
+                canvas.setPointerCapture(event.pointerId);
+                seekTo(event);
+            };
+            canvas.onpointermove = (event) => {
+                if (this.seeking) seekTo(event);
+            };
+            canvas.onpointerup = () => {
+                this.seeking = false;
+            };
+        }
+
+        // Files dropped anywhere on the panel are appended
+        panel.ondragover = (event) => event.preventDefault();
+        panel.ondrop = (event) => {
+            event.preventDefault();
+            this.addFiles(Array.from(event.dataTransfer.files));
+        };
+    }
+
+    pickFiles() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'audio/*,.wav,.mp3,.ogg,.m4a,.aac';
+        input.multiple = true;
+        input.onchange = (event) => this.addFiles(Array.from(event.target.files));
+        input.click();
+    }
+
+    renderPanel() {
+        if (!this.panelVisible) return;
+        this.renderTrackList();
+        this.updateTransportDisplay();
+        this.updateLoopDisplay();
+        this.drawWaveform();
+    }
+
+    renderTrackList() {
+        const list = document.getElementById('playlistTracks');
+        if (!list) return;
+
+        if (this.tracks.length === 0) {
+            list.innerHTML = '<div class="playlist-empty">No tracks - add or drop audio files</div>';
+            return;
+        }
+
+        const mappingOptions = (selected) => [
+            `<option value="">Mappings: keep</option>`,
+            ...this.mappingSetNames.map(name => `<option value="${name}" ${name === selected ? 'selected' : ''}>🎛️ ${name}</option>`)
+        ].join('');
+        const presetOptions = (selected) => [
+            `<option value="">Look: keep</option>`,
+            ...this.app.presetBrowser.getAllPresets().map(preset => `<option value="${preset.id}" ${preset.id === selected ? 'selected' : ''}>🎨 ${preset.name}</option>`)
+        ].join('');
+
+        list.innerHTML = this.tracks.map((track, index) => `
+            <div class="playlist-track ${index === this.currentIndex ? 'playlist-track-current' : ''}" data-index="${index}">
+                <span class="playlist-track-number">${index === this.currentIndex ? '▶' : index + 1}</span>
+                <span class="playlist-track-name"></span>
+                <span class="playlist-track-duration">${formatTrackTime(track.duration)}</span>
+                <select class="playlist-select playlist-track-field" data-field="mappingSet">${mappingOptions(track.mappingSet)}</select>
+                <select class="playlist-select playlist-track-field" data-field="preset">${presetOptions(track.preset)}</select>
+                <button class="playlist-button playlist-track-up" title="Move up">↑</button>
+                <button class="playlist-button playlist-button-danger playlist-track-remove" title="Remove">×</button>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('.playlist-track').forEach(row => {
+            const index = parseInt(row.dataset.index, 10);
+            const name = row.querySelector('.playlist-track-name');
+            // File names go in as text - they can contain anything
+            name.textContent = this.tracks[index].name;
+            name.title = `${this.tracks[index].name} (click to play)`;
+            name.onclick = () => this.playTrack(index);
+            row.querySelector('.playlist-track-up').onclick = () => this.moveTrack(index, -1);
+            row.querySelector('.playlist-track-remove').onclick = () => this.removeTrack(index);
+            row.querySelectorAll('.playlist-track-field').forEach(select => {
+                select.onchange = () => {
+                    this.tracks[index][select.dataset.field] = select.value || null;
+                    select.blur();
+                };
+            });
+        });
+    }
+
+    updateTransportDisplay() {
+        const track = this.getCurrentTrack();
+        const element = this.getElement();
+
+        const name = document.getElementById('playlistNowName');
+        if (name) {
+            name.textContent = track ? track.name : 'Nothing loaded';
+        }
+
+        const clock = document.getElementById('playlistClock');
+        if (clock) {
+            clock.textContent = element ? `${formatTrackTime(element.currentTime)} / ${formatTrackTime(element.duration)}` : '';
+        }
+
+        const playBtn = document.getElementById('playlistPlay');
+        if (playBtn) {
+            playBtn.textContent = this.app.audio.audioPlaying ? '⏸' : '▶';
+        }
+    }
+
+    updateLoopDisplay() {
+        const track = this.getCurrentTrack();
+        const info = document.getElementById('playlistLoopInfo');
+        if (info) {
+            const loop = track ? track.loop : { a: null, b: null, enabled: false };
+            const a = loop.a !== null ? formatTrackTime(loop.a) : '-';
+            const b = loop.b !== null ? formatTrackTime(loop.b) : '-';
+            info.textContent = `A ${a} • B ${b}${loop.enabled ? ' • looping' : ''}`;
+        }
+
+        const toggle = document.getElementById('playlistLoopToggle');
+        if (toggle) {
+            toggle.classList.toggle('playlist-button-active', !!(track && track.loop.enabled));
+        }
+        this.drawWaveform();
+    }
+
+    // Waveform overview with the loop region, the played part and the playhead
+    drawWaveform() {
+        const canvas = document.getElementById('playlistWaveform');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const track = this.getCurrentTrack();
+        const element = this.getElement();
+        const duration = track && track.duration ? track.duration : (element ? element.duration : NaN);
+        const progress = element && Number.isFinite(duration) && duration > 0 ? element.currentTime / duration : 0;
+
+        ctx.clearRect(0, 0, width, height);
+        if (!track) return;
+
+        if (Number.isFinite(duration) && duration > 0 && track.loop.a !== null) {
+            const a = track.loop.a / duration * width;
+            const b = track.loop.b !== null ? track.loop.b / duration * width : a + 1;
+            ctx.fillStyle = track.loop.enabled ? 'rgba(255, 152, 0, 0.3)' : 'rgba(255, 152, 0, 0.12)';
+            ctx.fillRect(a, 0, Math.max(1, b - a), height);
+        }
+
+        const middle = height / 2;
+        if (track.peaks) {
+            const columns = track.peaks.length / 2;
+            for (let x = 0; x < columns; x++) {
+                ctx.fillStyle = x / columns < progress ? '#8BC34A' : '#555';
+                const top = middle - track.peaks[x * 2 + 1] * middle;
+                const bottom = middle - track.peaks[x * 2] * middle;
+                ctx.fillRect(x * width / columns, top, Math.max(1, width / columns), Math.max(1, bottom - top));
+            }
+        } else {
+            // Still decoding - a plain progress bar
+            ctx.fillStyle = '#333';
+            ctx.fillRect(0, middle - 2, width, 4);
+            ctx.fillStyle = '#8BC34A';
+            ctx.fillRect(0, middle - 2, progress * width, 4);
+        }
+
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(progress * width - 1, 0, 2, height);
+    }
+}
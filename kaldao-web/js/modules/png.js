@@ -0,0 +1,179 @@
+// PNG encoding and metadata module
+// Canvas.toBlob cannot produce images larger than the browser's canvas limit, so very large
+// stills are encoded here row-strip by row-strip: scanlines are filtered and fed straight into
+// a deflate CompressionStream, so the whole image never has to exist in memory at once.
+// Also reads tEXt chunks back out so a saved still can carry the parameter state that made it.
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// CRC-32 lookup table (polynomial 0xEDB88320) as required by the PNG chunk format (and zip.js)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// Running CRC - pass the result back in to continue, XOR with 0xFFFFFFFF when done
+export function crc32(bytes, crc = 0xFFFFFFFF) {
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+function asciiBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+// Builds one length + type + data + CRC chunk
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(asciiBytes(type), 4);
+    chunk.set(data, 8);
+    const crc = crc32(chunk.subarray(4, 8 + data.length)) ^ 0xFFFFFFFF;
+    view.setUint32(8 + data.length, crc >>> 0);
+    return chunk;
+}
+
+// tEXt is Latin-1 only - JSON keeps anything outside ASCII as \u escapes so it survives the trip
+function createTextChunk(keyword, text) {
+    const safeText = text.replace(/[^\x20-\x7E\n\t]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    const keywordBytes = asciiBytes(keyword);
+    const textBytes = asciiBytes(safeText);
+    const data = new Uint8Array(keywordBytes.length + 1 + textBytes.length);
+    data.set(keywordBytes, 0);
+    data.set(textBytes, keywordBytes.length + 1); // Null separator between keyword and text
+    return createChunk('tEXt', data);
+}
+
+// STREAMING PNG WRITER
+// Usage: start() → writeRows(rgba, rowCount) top to bottom → finish() returns a Blob
+export class PNGStreamWriter {
+    constructor(width, height, textChunks = {}) {
+        this.width = width;
+        this.height = height;
+        this.textChunks = textChunks;    // { keyword: text } written as tEXt before the image data
+        this.rowsWritten = 0;
+        this.compressedParts = [];
+        this.writer = null;
+        this.readingDone = null;
+    }
+
+    start() {
+        if (typeof CompressionStream === 'undefined') {
+            throw new Error('CompressionStream is not supported in this browser');
+        }
+
+        const compressor = new CompressionStream('deflate');
+        this.writer = compressor.writable.getWriter();
+
+        // Drain the compressed side concurrently, otherwise back-pressure stalls the writes
+        const reader = compressor.readable.getReader();
+        this.readingDone = (async () => {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                this.compressedParts.push(value);
+            }
+        })();
+    }
+
+    // Writes rowCount RGBA scanlines using the Sub filter (cheap and compresses gradients well)
+    async writeRows(rgba, rowCount) {
+        const rowBytes = this.width * 4;
+        const filtered = new Uint8Array(rowCount * (rowBytes + 1));
+
+        for (let y = 0; y < rowCount; y++) {
+            const source = y * rowBytes;
+            const target = y * (rowBytes + 1);
+            filtered[target] = 1; // Filter type: Sub
+            for (let x = 0; x < rowBytes; x++) {
+                const left = x >= 4 ? rgba[source + x - 4] : 0;
+                filtered[target + 1 + x] = (rgba[source + x] - left) & 0xFF;
+            }
+        }
+
+        this.rowsWritten += rowCount;
+        await this.writer.write(filtered);
+    }
+
+    async finish() {
+        if (this.rowsWritten !== this.height) {
+            throw new Error(`PNG expected ${this.height} rows but received ${this.rowsWritten}`);
+        }
+
+        await this.writer.close();
+        await this.readingDone;
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, this.width);
+        headerView.setUint32(4, this.height);
+        header[8] = 8;  // Bit depth
+        header[9] = 6;  // Colour type: RGBA
+        header[10] = 0; // Compression: deflate
+        header[11] = 0; // Filter method: adaptive
+        header[12] = 0; // No interlace
+
+        const parts = [PNG_SIGNATURE, createChunk('IHDR', header)];
+        Object.entries(this.textChunks).forEach(([keyword, text]) => {
+            parts.push(createTextChunk(keyword, text));
+        });
+        this.compressedParts.forEach(part => {
+            parts.push(createChunk('IDAT', part));
+        });
+        parts.push(createChunk('IEND', new Uint8Array(0)));
+
+        return new Blob(parts, { type: 'image/png' });
+    }
+}
+
+// Returns { keyword: text } for every tEXt chunk in a PNG file
+export function readPNGTextChunks(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+        if (bytes[i] !== PNG_SIGNATURE[i]) {
+            throw new Error('Not a PNG file');
+        }
+    }
+
+    const view = new DataView(arrayBuffer);
+    const texts = {};
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const dataStart = offset + 8;
+
+        if (type === 'tEXt') {
+            const data = bytes.subarray(dataStart, dataStart + length);
+            const separator = data.indexOf(0);
+            if (separator > 0) {
+                const keyword = String.fromCharCode(...data.subarray(0, separator));
+                let text = '';
+                for (let i = separator + 1; i < data.length; i++) {
+                    text += String.fromCharCode(data[i]);
+                }
+                texts[keyword] = text;
+            }
+        }
+
+        if (type === 'IEND') break;
+        offset = dataStart + length + 4; // Skip data and CRC
+    }
+
+    return texts;
+}
@@ -0,0 +1,544 @@
+// Post-processing chain
+// The scene is rendered into an offscreen framebuffer and then run through a chain of
+// full-screen passes - each reads the previous pass's texture and writes the next - before the
+// output pass (color inversion) draws to the canvas. A pass whose parameters leave it with
+// nothing to do is skipped, so the default look costs the vignette and the output copy.
+//
+// Ahead of the chain sits the feedback stage: the previous frame, zoomed, rotated, hue-shifted
+// and decayed, is blended under the new one. Its history lives in two textures that swap roles
+// every frame (ping-pong), so the trails survive from one frame to the next.
+//
+// Every pass reads its settings through ParameterManager.getValue, so audio mappings, LFOs,
+// keyframes and randomize reach them like any other parameter. Sizes (pixel blocks, scanline
+// spacing, bloom spread, grain) are given for a 1080-pixel-high image and scale with the output,
+// so exports and tiled captures look like the preview. Tiles are processed one at a time, so
+// passes that read neighbouring pixels (pixelate, bloom, chromatic aberration) would see a cut-off
+// image at tile edges - getTileMargin() says how much overlap a tile needs to hide that.
+
+// Shared by every pass: draws the full-screen quad with texture coordinates
+const POST_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    varying vec2 v_uv;
+    void main() {
+        v_uv = a_position * 0.5 + 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+`;
+
+const POST_HEADER = `
+    precision highp float;
+    uniform sampler2D u_source;          // Output of the previous pass
+    uniform vec2 u_source_size;          // Size of that texture in pixels (the canvas)
+    uniform vec2 u_resolution;           // Size of the whole image - larger than the canvas in tiled captures
+    uniform vec2 u_tile_offset;          // Pixel offset of this tile within the whole image
+    uniform float u_scale;               // u_resolution.y / 1080 - pass sizes are given for a 1080p image
+    varying vec2 v_uv;
+`;
+
+const PIXELATE_SHADER = `${POST_HEADER}
+    uniform float u_pixelation;          // Block size in pixels
+
+    void main() {
+        float size = max(1.0, floor(u_pixelation * u_scale + 0.5));
+        // Blocks are laid out over the whole image so tiles line up
+        vec2 pixel = gl_FragCoord.xy + u_tile_offset;
+        vec2 center = (floor(pixel / size) + 0.5) * size;
+        vec2 uv = clamp((center - u_tile_offset) / u_source_size, 0.0, 1.0);
+        gl_FragColor = texture2D(u_source, uv);
+    }
+`;
+
+const BLOOM_BRIGHT_SHADER = `${POST_HEADER}
+    uniform float u_bloom_threshold;     // Brightness a pixel needs before it glows
+
+    void main() {
+        // Four taps, one per source pixel this half-resolution pixel covers
+        vec2 texel = 0.5 / u_source_size;
+        vec3 col = 0.25 * (
+            texture2D(u_source, v_uv + vec2(-texel.x, -texel.y)).rgb +
+            texture2D(u_source, v_uv + vec2( texel.x, -texel.y)).rgb +
+            texture2D(u_source, v_uv + vec2(-texel.x,  texel.y)).rgb +
+            texture2D(u_source, v_uv + vec2( texel.x,  texel.y)).rgb
+        );
+        float luma = dot(col, vec3(0.299, 0.587, 0.114));
+        float glow = max(luma - u_bloom_threshold, 0.0) / max(1.0 - u_bloom_threshold, 0.001);
+        gl_FragColor = vec4(col * glow, 1.0);
+    }
+`;
+
+const BLOOM_BLUR_SHADER = `${POST_HEADER}
+    uniform vec2 u_direction;            // Distance between taps in texture coordinates
+
+    void main() {
+        // 9-tap Gaussian, run once across and once down
+        vec3 col = texture2D(u_source, v_uv).rgb * 0.227027;
+        col += (texture2D(u_source, v_uv + u_direction).rgb + texture2D(u_source, v_uv - u_direction).rgb) * 0.1945946;
+        col += (texture2D(u_source, v_uv + u_direction * 2.0).rgb + texture2D(u_source, v_uv - u_direction * 2.0).rgb) * 0.1216216;
+        col += (texture2D(u_source, v_uv + u_direction * 3.0).rgb + texture2D(u_source, v_uv - u_direction * 3.0).rgb) * 0.054054;
+        col += (texture2D(u_source, v_uv + u_direction * 4.0).rgb + texture2D(u_source, v_uv - u_direction * 4.0).rgb) * 0.016216;
+        gl_FragColor = vec4(col, 1.0);
+    }
+`;
+
+const BLOOM_COMBINE_SHADER = `${POST_HEADER}
+    uniform sampler2D u_bloom;           // Blurred bright areas (half resolution)
+    uniform float u_bloom_intensity;
+
+    void main() {
+        vec3 col = texture2D(u_source, v_uv).rgb + texture2D(u_bloom, v_uv).rgb * u_bloom_intensity;
+        gl_FragColor = vec4(min(col, 1.0), 1.0);
+    }
+`;
+
+const CHROMATIC_SHADER = `${POST_HEADER}
+    uniform float u_chromatic_aberration;
+
+    void main() {
+        // Red spreads outwards and blue inwards, more towards the edges like a cheap lens:
+        // at 1.0 the channels part by 2% of the distance from the center
+        vec2 pixel = gl_FragCoord.xy + u_tile_offset;
+        vec2 shift = (pixel - 0.5 * u_resolution) * u_chromatic_aberration * 0.02 / u_source_size;
+        float r = texture2D(u_source, v_uv + shift).r;
+        float g = texture2D(u_source, v_uv).g;
+        float b = texture2D(u_source, v_uv - shift).b;
+        gl_FragColor = vec4(r, g, b, 1.0);
+    }
+`;
+
+const VIGNETTE_SHADER = `${POST_HEADER}
+    uniform float u_vignette_strength;   // 1.0 is the original Kaldao vignette
+    uniform float u_vignette_softness;   // Exponent of the falloff - lower keeps the dark to the corners
+
+    void main() {
+        vec2 q = (gl_FragCoord.xy + u_tile_offset) / u_resolution;
+        float shape = 0.5 + 0.5 * pow(19.0 * q.x * q.y * (1.0 - q.x) * (1.0 - q.y), u_vignette_softness);
+        float factor = max(mix(1.0, shape, u_vignette_strength), 0.0);
+        gl_FragColor = vec4(texture2D(u_source, v_uv).rgb * factor, 1.0);
+    }
+`;
+
+const SCANLINES_SHADER = `${POST_HEADER}
+    uniform float u_scanlines;           // How dark the lines get
+    uniform float u_scanline_spacing;    // Pixels from one line to the next
+
+    void main() {
+        float period = max(1.0, u_scanline_spacing * u_scale);
+        float phase = fract((gl_FragCoord.y + u_tile_offset.y) / period);
+        float shade = 1.0 - u_scanlines * (0.5 - 0.5 * cos(6.28318 * phase));
+        gl_FragColor = vec4(texture2D(u_source, v_uv).rgb * shade, 1.0);
+    }
+`;
+
+const GRAIN_SHADER = `${POST_HEADER}
+    uniform float u_film_grain;
+    uniform float u_frame;               // Changes the grain every frame
+
+    float hash(vec2 p) {
+        p = fract(p * vec2(443.897, 441.423));
+        p += dot(p, p.yx + 19.19);
+        return fract((p.x + p.y) * p.x);
+    }
+
+    void main() {
+        vec3 col = texture2D(u_source, v_uv).rgb;
+        vec2 grain = floor((gl_FragCoord.xy + u_tile_offset) / max(1.0, floor(u_scale + 0.5)));
+        float noise = hash(grain + u_frame * vec2(12.9898, 78.233)) - 0.5;
+        // Strongest in the mid-tones, like film
+        float luma = dot(col, vec3(0.299, 0.587, 0.114));
+        col += noise * u_film_grain * (1.0 - 0.5 * abs(luma * 2.0 - 1.0));
+        gl_FragColor = vec4(clamp(col, 0.0, 1.0), 1.0);
+    }
+`;
+
+const FEEDBACK_SHADER = `${POST_HEADER}
+    uniform sampler2D u_history;         // Previous frame's feedback result
+    uniform float u_decay;               // Brightness the history keeps this frame
+    uniform float u_zoom;                // Growth of the history this frame (> 1 streams outwards)
+    uniform float u_rotation;            // Radians the history turns this frame
+    uniform float u_hue_shift;           // Hue rotation of the history this frame (1.0 = full circle)
+    uniform float u_feedback_displacement; // How far edges in the new frame push the history around
+
+    float luma(vec3 col) {
+        return dot(col, vec3(0.299, 0.587, 0.114));
+    }
+
+    // Rotate around the gray axis - shifts hue, keeps brightness
+    vec3 shiftHue(vec3 col, float turns) {
+        const vec3 axis = vec3(0.57735);
+        float angle = turns * 6.28318;
+        return col * cos(angle) + cross(axis, col) * sin(angle) + axis * dot(axis, col) * (1.0 - cos(angle));
+    }
+
+    void main() {
+        vec3 current = texture2D(u_source, v_uv).rgb;
+
+        // Where this pixel was in the previous frame: undo this frame's zoom and rotation
+        float aspect = u_source_size.x / u_source_size.y;
+        vec2 centered = (v_uv - 0.5) * vec2(aspect, 1.0);
+        float c = cos(-u_rotation);
+        float s = sin(-u_rotation);
+        centered = mat2(c, s, -s, c) * centered / u_zoom;
+        vec2 historyUV = centered / vec2(aspect, 1.0) + 0.5;
+
+        // Displacement: the new frame's brightness gradient pushes the history along the edges
+        vec2 reach = 4.0 * max(u_scale, 1.0) / u_source_size;
+        vec2 gradient = vec2(
+            luma(texture2D(u_source, v_uv + vec2(reach.x, 0.0)).rgb) - luma(texture2D(u_source, v_uv - vec2(reach.x, 0.0)).rgb),
+            luma(texture2D(u_source, v_uv + vec2(0.0, reach.y)).rgb) - luma(texture2D(u_source, v_uv - vec2(0.0, reach.y)).rgb)
+        );
+        historyUV += gradient * u_feedback_displacement * 0.05;
+
+        // Nothing flows in from beyond the edges
+        vec2 inside = step(vec2(0.0), historyUV) * step(historyUV, vec2(1.0));
+        vec3 history = texture2D(u_history, historyUV).rgb * inside.x * inside.y;
+        history = clamp(shiftHue(history, u_hue_shift), 0.0, 1.0) * u_decay;
+        // The history is 8-bit: without a last step down, dim trails would round back up and never fade
+        history = max(history - step(u_decay, 0.999) / 255.0, 0.0);
+
+        // Lighten: the new frame sits on top, the trails show wherever they are brighter
+        gl_FragColor = vec4(max(current, history), 1.0);
+    }
+`;
+
+const OUTPUT_SHADER = `${POST_HEADER}
+    uniform float u_invert_colors;
+
+    void main() {
+        vec3 col = texture2D(u_source, v_uv).rgb;
+        if (u_invert_colors > 0.5) {
+            col = vec3(1.0) - col;
+        }
+        gl_FragColor = vec4(col, 1.0);
+    }
+`;
+
+// The passes, in their default order. parameters become u_<key> uniforms in the pass's shader;
+// isActive(getValue) says whether the pass changes anything at the current values.
+export const POST_PASSES = {
+    pixelate: {
+        name: 'Pixelate',
+        parameters: ['pixelation'],
+        isActive: (getValue) => getValue('pixelation') > 1
+    },
+    bloom: {
+        name: 'Bloom',
+        parameters: ['bloom_intensity', 'bloom_threshold', 'bloom_radius'],
+        isActive: (getValue) => getValue('bloom_intensity') > 0 && getValue('bloom_threshold') < 1
+    },
+    chromatic: {
+        name: 'Chromatic Aberration',
+        parameters: ['chromatic_aberration'],
+        isActive: (getValue) => getValue('chromatic_aberration') > 0
+    },
+    vignette: {
+        name: 'Vignette',
+        parameters: ['vignette_strength', 'vignette_softness'],
+        isActive: (getValue) => getValue('vignette_strength') > 0
+    },
+    scanlines: {
+        name: 'Scanlines',
+        parameters: ['scanlines', 'scanline_spacing'],
+        isActive: (getValue) => getValue('scanlines') > 0
+    },
+    grain: {
+        name: 'Film Grain',
+        parameters: ['film_grain'],
+        isActive: (getValue) => getValue('film_grain') > 0
+    }
+};
+
+export const DEFAULT_POST_CHAIN = Object.keys(POST_PASSES);
+
+// Every parameter a post pass reads
+export const POST_PARAMETERS = Object.values(POST_PASSES).flatMap(pass => pass.parameters);
+
+// Feedback settings are per frame at this rate and rescaled to the actual frame time, so trails
+// last as long at 144 Hz as at 60 Hz and in fixed-step export
+const FEEDBACK_REFERENCE_FPS = 60;
+
+const PASS_SHADERS = {
+    pixelate: PIXELATE_SHADER,
+    bloomBright: BLOOM_BRIGHT_SHADER,
+    bloomBlur: BLOOM_BLUR_SHADER,
+    bloom: BLOOM_COMBINE_SHADER,
+    chromatic: CHROMATIC_SHADER,
+    vignette: VIGNETTE_SHADER,
+    scanlines: SCANLINES_SHADER,
+    grain: GRAIN_SHADER,
+    feedback: FEEDBACK_SHADER,
+    output: OUTPUT_SHADER
+};
+
+// Reference image height that pass sizes are given for
+const REFERENCE_HEIGHT = 1080;
+
+// Texture-backed framebuffer - { texture, framebuffer, width, height }. Also used by the
+// renderer for frames that must not touch the canvas (see Renderer.renderOffscreen).
+export function createRenderTarget(gl, width, height) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    // Non-power-of-two sizes need clamping and no mipmaps in WebGL1
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error(`Framebuffer incomplete (${width}x${height}, status ${status})`);
+    }
+    return { texture, framebuffer, width, height };
+}
+
+export class PostProcessor {
+    // renderer: the Renderer whose context, shader compiler and quad geometry the passes share
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.gl = renderer.gl;
+        this.programs = {};                // shader id → { program, uniforms: { name → location } }
+        this.targets = {};                 // scene, ping, pong, historyA, historyB (full size), bloomA, bloomB (half size)
+        this.width = 0;
+        this.height = 0;
+        this.chain = [...DEFAULT_POST_CHAIN];
+        this.outputTarget = null;          // Where the output pass draws - null is the canvas
+        
+        // Feedback history - which of historyA/historyB holds the last frame, and whether it is worth reading
+        this.historyIsA = true;
+        this.historyValid = false;
+    }
+
+    init() {
+        const vertexShader = this.renderer.createShader(this.gl.VERTEX_SHADER, POST_VERTEX_SHADER);
+        Object.entries(PASS_SHADERS).forEach(([id, source]) => {
+            const fragmentShader = this.renderer.createShader(this.gl.FRAGMENT_SHADER, source);
+            const program = this.renderer.createProgram(vertexShader, fragmentShader);
+            this.programs[id] = { program, uniforms: {} };
+        });
+    }
+
+    // A chain with framebuffers of its own that reuses these compiled shaders. Offscreen frames
+    // run through it, so the live targets keep their size and the feedback history survives.
+    createSibling(outputTarget) {
+        const sibling = new PostProcessor(this.renderer);
+        sibling.programs = this.programs;
+        sibling.chain = [...this.chain];
+        sibling.outputTarget = outputTarget;
+        return sibling;
+    }
+
+    // Pass ids in the order they run; passes left out are switched off
+    setChain(ids) {
+        const chain = ids.filter((id, index) => POST_PASSES[id] && ids.indexOf(id) === index);
+        this.chain = chain;
+        return [...chain];
+    }
+
+    // FRAMEBUFFERS
+    // Recreated whenever the canvas changes size
+    ensureTargets(width, height) {
+        if (width === this.width && height === this.height && this.targets.scene) return;
+
+        this.deleteTargets();
+        const halfWidth = Math.max(1, Math.floor(width / 2));
+        const halfHeight = Math.max(1, Math.floor(height / 2));
+        this.targets = {
+            scene: this.createTarget(width, height),
+            ping: this.createTarget(width, height),
+            pong: this.createTarget(width, height),
+            historyA: this.createTarget(width, height),
+            historyB: this.createTarget(width, height),
+            bloomA: this.createTarget(halfWidth, halfHeight),
+            bloomB: this.createTarget(halfWidth, halfHeight)
+        };
+        this.width = width;
+        this.height = height;
+        this.historyValid = false;
+    }
+
+    createTarget(width, height) {
+        return createRenderTarget(this.gl, width, height);
+    }
+
+    deleteTargets() {
+        Object.values(this.targets).forEach(target => {
+            this.gl.deleteFramebuffer(target.framebuffer);
+            this.gl.deleteTexture(target.texture);
+        });
+        this.targets = {};
+    }
+
+    // Point scene rendering at the offscreen target (call before drawing the scene)
+    beginScene(width, height) {
+        this.ensureTargets(width, height);
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.targets.scene.framebuffer);
+    }
+
+    // PASS CHAIN
+    // frame: { parameters, invertColors, resolution: [w, h], tileOffset: [x, y], frameIndex,
+    //          frameDelta: animation seconds since the last frame, or null for a frame outside the
+    //          live sequence (stills, thumbnails) - those skip feedback and leave the history alone }
+    run(frame) {
+        const getValue = (key) => frame.parameters.getValue(key);
+        const common = {
+            resolution: frame.resolution,
+            tileOffset: frame.tileOffset,
+            scale: frame.resolution[1] / REFERENCE_HEIGHT
+        };
+
+        let source = this.targets.scene;
+        if (frame.frameDelta !== null && frame.frameDelta !== undefined) {
+            source = this.runFeedback(source, getValue, common, frame.frameDelta);
+        }
+        
+        let next = this.targets.ping;
+        const swap = () => {
+            source = next;
+            next = next === this.targets.ping ? this.targets.pong : this.targets.ping;
+        };
+
+        this.chain.forEach(id => {
+            if (!POST_PASSES[id].isActive(getValue)) return;
+
+            if (id === 'bloom') {
+                this.runBloom(source, next, getValue, common);
+            } else {
+                const values = {};
+                POST_PASSES[id].parameters.forEach(key => { values[`u_${key}`] = getValue(key); });
+                if (id === 'grain') values.u_frame = frame.frameIndex % 1000;
+                this.drawPass(id, source, next, common, values);
+            }
+            swap();
+        });
+
+        // Output - always last, straight to the canvas (or the offscreen output target)
+        this.drawPass('output', source, null, common, { u_invert_colors: frame.invertColors ? 1.0 : 0.0 });
+    }
+
+    // TILE OVERLAP
+    // Pixels a tile must extend past the area it keeps so every pass still sees the true
+    // neighbourhood there. Passes feed each other, so their reaches add up.
+    getTileMargin(parameters, resolution) {
+        const getValue = (key) => parameters.getValue(key);
+        const scale = resolution[1] / REFERENCE_HEIGHT;
+        let margin = 0;
+
+        this.chain.forEach(id => {
+            if (!POST_PASSES[id].isActive(getValue)) return;
+
+            if (id === 'pixelate') {
+                // A block samples its center, up to half a block away
+                margin += Math.ceil(getValue('pixelation') * scale / 2) + 1;
+            } else if (id === 'bloom') {
+                // 4 blur taps each way at bloom_radius spacing, plus the half-resolution downsample
+                margin += Math.ceil(4 * getValue('bloom_radius') * scale) + 4;
+            } else if (id === 'chromatic') {
+                // Channels part by up to 1% of the image size at the edges
+                margin += Math.ceil(0.01 * Math.max(resolution[0], resolution[1]) * getValue('chromatic_aberration')) + 1;
+            }
+        });
+
+        return margin;
+    }
+
+    // FEEDBACK
+    // Blends the decayed history under the scene into the other history texture, which becomes
+    // both the chain's input and next frame's history. Returns the texture the chain starts from.
+    runFeedback(scene, getValue, common, frameDelta) {
+        const amount = getValue('feedback_amount');
+        if (amount <= 0) {
+            this.historyValid = false;
+            return scene;
+        }
+
+        const previous = this.historyIsA ? this.targets.historyA : this.targets.historyB;
+        const destination = this.historyIsA ? this.targets.historyB : this.targets.historyA;
+
+        // Switched on (or resized) since the last frame - start the trails from black
+        if (!this.historyValid) {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, previous.framebuffer);
+            this.gl.clearColor(0, 0, 0, 1);
+            this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+        }
+
+        const frames = Math.max(0, frameDelta) * FEEDBACK_REFERENCE_FPS;
+        this.drawPass('feedback', scene, destination, common, {
+            u_decay: Math.pow(amount, frames),
+            u_zoom: Math.pow(getValue('feedback_zoom'), frames),
+            u_rotation: getValue('feedback_rotation') * frames,
+            u_hue_shift: getValue('feedback_hue_shift') * frames,
+            u_feedback_displacement: getValue('feedback_displacement')
+        }, { u_history: previous });
+
+        this.historyIsA = !this.historyIsA;
+        this.historyValid = true;
+        return destination;
+    }
+
+    // Forget the trails (export start, so every run begins from the same black history)
+    clearFeedback() {
+        this.historyValid = false;
+    }
+
+    // Bright areas at half resolution, blurred across and down, then added back on top
+    runBloom(source, destination, getValue, common) {
+        const { bloomA, bloomB } = this.targets;
+        const spread = getValue('bloom_radius') * common.scale;
+
+        this.drawPass('bloomBright', source, bloomA, common, { u_bloom_threshold: getValue('bloom_threshold') });
+        this.drawPass('bloomBlur', bloomA, bloomB, common, { u_direction: [spread / this.width, 0] });
+        this.drawPass('bloomBlur', bloomB, bloomA, common, { u_direction: [0, spread / this.height] });
+        this.drawPass('bloom', source, destination, common, { u_bloom_intensity: getValue('bloom_intensity') }, { u_bloom: bloomA });
+    }
+
+    // One full-screen draw of a pass shader; destination null draws to the output target (the canvas).
+    // textures: extra { samplerName: target } inputs, bound from texture unit 1 up
+    drawPass(id, source, destination, common, values, textures = {}) {
+        const gl = this.gl;
+        const pass = this.programs[id];
+
+        const target = destination || this.outputTarget;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, target ? target.width : this.width, target ? target.height : this.height);
+        gl.useProgram(pass.program);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, source.texture);
+        gl.uniform1i(this.getUniform(pass, 'u_source'), 0);
+        Object.entries(textures).forEach(([name, target], index) => {
+            gl.activeTexture(gl.TEXTURE1 + index);
+            gl.bindTexture(gl.TEXTURE_2D, target.texture);
+            gl.uniform1i(this.getUniform(pass, name), 1 + index);
+        });
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.uniform2f(this.getUniform(pass, 'u_source_size'), source.width, source.height);
+        gl.uniform2f(this.getUniform(pass, 'u_resolution'), common.resolution[0], common.resolution[1]);
+        gl.uniform2f(this.getUniform(pass, 'u_tile_offset'), common.tileOffset[0], common.tileOffset[1]);
+        gl.uniform1f(this.getUniform(pass, 'u_scale'), common.scale);
+
+        Object.entries(values).forEach(([name, value]) => {
+            const location = this.getUniform(pass, name);
+            if (Array.isArray(value)) {
+                gl.uniform2f(location, value[0], value[1]);
+            } else {
+                gl.uniform1f(location, value);
+            }
+        });
+
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    // Uniform locations are looked up on first use (unused ones come back null, which WebGL ignores)
+    getUniform(pass, name) {
+        if (!(name in pass.uniforms)) {
+            pass.uniforms[name] = this.gl.getUniformLocation(pass.program, name);
+        }
+        return pass.uniforms[name];
+    }
+}
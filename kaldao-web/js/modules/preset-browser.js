@@ -0,0 +1,478 @@
+// Preset Library Browser
+// Lists the settings presets in presets/settings/ (via presets/settings/index.json, the same way
+// ColorManager reads presets/colors/index.json), renders a live shader thumbnail for each one on
+// demand, filters by search text and tags, and applies a preset with one click (undoable).
+// Presets saved to the local library (StorageManager) are listed alongside with a 'local' tag.
+
+import { validateSaveData, hasSchemaIssues, summarizeSchemaReport } from './save-schema.js';
+
+export class PresetBrowser {
+    constructor() {
+        this.app = null;
+
+        // Loaded presets: { id, name, description, tags, data }
+        this.presets = [];
+        this.presetsLoaded = false;
+        
+        // Presets from the local library - same shape, ids prefixed with 'local:'
+        this.localPresets = [];
+
+        // Browser state
+        this.browserVisible = false;
+        this.searchQuery = '';
+        this.activeTags = new Set();
+
+        // Thumbnail cache - rendered one per frame from the live render loop
+        this.thumbnails = new Map();       // preset id -> data URL
+        this.thumbnailQueue = [];
+        this.thumbnailSize = { width: 192, height: 108 };
+        this.thumbnailCanvas = null;
+
+        // A fixed moment in the animation so thumbnails are comparable and stable
+        this.thumbnailTime = {
+            camera_position: 8.0,
+            rotation_time: 0.5,
+            plane_rotation_time: 4.0,
+            color_time: 4.0
+        };
+    }
+
+    async init(app) {
+        this.app = app;
+        await this.loadPresets();
+    }
+
+    // Load settings presets from JSON files
+    async loadPresets() {
+        console.log('🎛️ Loading settings presets from JSON files...');
+        this.presets = [];
+
+        let filenames = [];
+        try {
+            const indexResponse = await fetch('presets/settings/index.json');
+            if (indexResponse.ok) {
+                const index = await indexResponse.json();
+                filenames = index.settings?.presets || [];
+            }
+        } catch (error) {
+            console.warn('Failed to load settings preset index, using fallback list:', error);
+        }
+
+        if (filenames.length === 0) {
+            filenames = ['default'];
+        }
+
+        for (const filename of filenames) {
+            try {
+                const response = await fetch(`presets/settings/${filename}.json`);
+                if (response.ok) {
+                    const data = await response.json();
+                    this.presets.push({
+                        id: filename,
+                        name: data.name || filename,
+                        description: data.description || '',
+                        tags: Array.isArray(data.tags) ? data.tags : [],
+                        data: data
+                    });
+                }
+            } catch (error) {
+                console.warn(`Failed to load settings preset ${filename}:`, error);
+            }
+        }
+
+        this.presetsLoaded = true;
+        console.log(`✅ Loaded ${this.presets.length} settings presets`);
+    }
+
+    // Re-read the local library (after saving, deleting or importing a bundle)
+    async loadLocalPresets() {
+        if (!this.app.storage) return;
+
+        const records = await this.app.storage.listPresets();
+        this.localPresets = records.map(record => ({
+            id: `local:${record.name}`,
+            name: record.name,
+            description: `Saved ${new Date(record.savedAt).toLocaleString()}`,
+            tags: ['local'],
+            local: true,
+            data: record.data
+        }));
+    }
+
+    getAllPresets() {
+        return [...this.localPresets, ...this.presets];
+    }
+
+    getPreset(id) {
+        return this.getAllPresets().find(preset => preset.id === id) || null;
+    }
+
+    getAllTags() {
+        const tags = new Set();
+        this.getAllPresets().forEach(preset => preset.tags.forEach(tag => tags.add(tag)));
+        return [...tags].sort();
+    }
+
+    // Presets matching the search text (name, description or tag) and carrying every active tag
+    getFilteredPresets() {
+        const query = this.searchQuery.trim().toLowerCase();
+
+        return this.getAllPresets().filter(preset => {
+            for (const tag of this.activeTags) {
+                if (!preset.tags.includes(tag)) return false;
+            }
+            if (!query) return true;
+
+            return preset.name.toLowerCase().includes(query) ||
+                preset.description.toLowerCase().includes(query) ||
+                preset.tags.some(tag => tag.toLowerCase().includes(query));
+        });
+    }
+
+    // Presets may list only the values they change - fill the rest from the defaults
+    // so applying one always gives the same result regardless of the current state.
+    // Library presets are user files and are validated first (throws if one has no parameters).
+    buildPresetState(preset) {
+        const data = preset.local ? this.validateLocalPreset(preset) : preset.data;
+        return {
+            name: preset.name,
+            description: preset.description,
+            parameters: {
+                ...this.app.parameters.getDefaultValues(),
+                ...(data.parameters || {})
+            },
+            palette: {
+                currentPaletteIndex: 0,
+                useColorPalette: false,
+                invertColors: false,
+                ...(data.palette || {})
+            },
+            // Presets that carry LFOs replace the running ones; others leave them alone
+            ...(data.lfo ? { lfo: data.lfo } : {})
+        };
+    }
+
+    validateLocalPreset(preset) {
+        const { data, report } = validateSaveData(preset.data, this.app.fileManager.getSchemaContext());
+        if (hasSchemaIssues(report)) {
+            console.warn(`Preset "${preset.name}": ${summarizeSchemaReport(report)}`);
+        }
+        return data;
+    }
+
+    // APPLY
+    applyPreset(id) {
+        const preset = this.getPreset(id);
+        if (!preset) return false;
+
+        // Library presets are full save files - they go through schema validation like any file
+        if (preset.local) {
+            try {
+                this.app.morph.transition(() => this.app.fileManager.applySaveData(preset.data, `Preset "${preset.name}"`), preset.name);
+                return true;
+            } catch (error) {
+                this.app.ui.updateStatus(`❌ Could not apply preset ${preset.name}: ${error.message}`, 'error');
+                return false;
+            }
+        }
+
+        // FileManager.loadPreset saves the undo state before applying; the morph engine then
+        // eases from the previous look into the result (or it simply snaps with morphing off)
+        const loaded = this.app.morph.transition(() => this.app.fileManager.loadPreset(this.buildPresetState(preset)), preset.name);
+        if (loaded) {
+            this.app.ui.updateStatus(`🎛️ Preset: ${preset.name} (Ctrl+Z to undo)`, 'success');
+        } else {
+            this.app.ui.updateStatus(`❌ Could not apply preset ${preset.name}`, 'error');
+        }
+        return loaded;
+    }
+
+    // THUMBNAILS
+    requestThumbnail(id) {
+        if (this.thumbnails.has(id) || this.thumbnailQueue.includes(id)) return;
+        this.thumbnailQueue.push(id);
+    }
+
+    // Called from the render loop just before the live frame is drawn, so the temporary
+    // resize is immediately overwritten and never reaches the screen
+    renderPendingThumbnail() {
+        if (this.thumbnailQueue.length === 0) return;
+
+        const id = this.thumbnailQueue.shift();
+        const preset = this.getPreset(id);
+        if (!preset) return;
+
+        try {
+            const dataURL = this.renderThumbnail(preset);
+            this.thumbnails.set(id, dataURL);
+
+            const image = document.querySelector(`.preset-card[data-preset-id="${CSS.escape(id)}"] .preset-thumb`);
+            if (image) {
+                image.src = dataURL;
+            }
+        } catch (error) {
+            console.warn(`Thumbnail render failed for preset ${id}:`, error);
+        }
+    }
+
+    renderThumbnail(preset) {
+        const parameters = this.app.parameters;
+        const renderer = this.app.renderer;
+        const state = this.buildPresetState(preset);
+
+        // Stash everything the thumbnail render touches
+        const savedState = parameters.getState();
+        const savedTime = { ...parameters.timeAccumulation };
+        const savedModifiers = parameters.audioModifiers;
+
+        try {
+            parameters.setState(state.parameters);
+            parameters.timeAccumulation = { ...this.thumbnailTime };
+            parameters.audioModifiers = {};
+
+            // Drawn off the canvas - the live frame size, post targets and feedback trails stay as they are
+            const imageData = renderer.renderOffscreen(parameters, {
+                ...this.app.getRenderState(),
+                useColorPalette: state.palette.useColorPalette,
+                invertColors: state.palette.invertColors,
+                currentPaletteIndex: state.palette.currentPaletteIndex
+            }, this.thumbnailSize.width, this.thumbnailSize.height);
+            if (!this.thumbnailCanvas) {
+                this.thumbnailCanvas = document.createElement('canvas');
+            }
+            this.thumbnailCanvas.width = imageData.width;
+            this.thumbnailCanvas.height = imageData.height;
+            this.thumbnailCanvas.getContext('2d').putImageData(imageData, 0, 0);
+
+            return this.thumbnailCanvas.toDataURL('image/png');
+
+        } finally {
+            parameters.setState(savedState);
+            parameters.timeAccumulation = savedTime;
+            parameters.audioModifiers = savedModifiers;
+        }
+    }
+
+    // BROWSER INTERFACE
+    togglePresetBrowser() {
+        if (this.browserVisible) {
+            this.hidePresetBrowser();
+        } else {
+            this.showPresetBrowser();
+        }
+    }
+
+    showPresetBrowser() {
+        if (this.browserVisible) return;
+
+        const dialog = document.createElement('div');
+        dialog.id = 'presetBrowserOverlay';
+        // Styles are handled in preset-menu.css
+
+        dialog.innerHTML = `
+            <div class="preset-header">
+                <h2 class="preset-title">🎛️ Preset Library</h2>
+                <div class="preset-header-buttons">
+                    <button id="presetSaveCurrent" class="preset-button">💾 Save Current</button>
+                    <button id="presetExportLibrary" class="preset-button">⬇ Export Library</button>
+                    <button id="presetImportLibrary" class="preset-button">⬆ Import Library</button>
+                    <button id="presetBrowserClose" class="preset-button preset-button-close">✕ Close</button>
+                </div>
+            </div>
+
+            <div class="preset-toolbar">
+                <input type="text" id="presetSearch" class="preset-search" placeholder="Search presets..." value="${this.searchQuery}">
+                <select id="presetMorph" class="preset-morph" title="Transition when applying a preset (G / Shift+G)">
+                    <option value="0">Morph: off</option>
+                    ${[0.5, 1, 2, 4, 8].map(seconds => `<option value="${seconds}">Morph: ${seconds}s</option>`).join('')}
+                </select>
+            </div>
+
+            <div id="presetTags" class="preset-tags">
+                <!-- Tag filters are populated by JavaScript -->
+            </div>
+
+            <div id="presetGrid" class="preset-grid">
+                <!-- Preset cards are populated by JavaScript -->
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+        this.browserVisible = true;
+
+        this.setupPresetBrowserHandlers();
+        this.updateTagFilters();
+        this.updatePresetGrid();
+
+        this.refreshLocalPresets();
+    }
+
+    async refreshLocalPresets() {
+        try {
+            await this.loadLocalPresets();
+        } catch (error) {
+            console.warn('Failed to read local presets:', error);
+        }
+        this.updateTagFilters();
+        this.updatePresetGrid();
+    }
+
+    hidePresetBrowser() {
+        const dialog = document.getElementById('presetBrowserOverlay');
+        if (dialog) {
+            document.body.removeChild(dialog);
+        }
+
+        // Nothing left to show thumbnails in
+        this.thumbnailQueue = [];
+        this.browserVisible = false;
+    }
+
+    setupPresetBrowserHandlers() {
+        const closeBtn = document.getElementById('presetBrowserClose');
+        if (closeBtn) {
+            closeBtn.onclick = () => this.hidePresetBrowser();
+        }
+
+        const saveBtn = document.getElementById('presetSaveCurrent');
+        if (saveBtn) {
+            saveBtn.disabled = !this.app.storage.available;
+            saveBtn.onclick = async () => {
+                const name = prompt('Name for this preset:', 'My Preset');
+                if (!name) return;
+                try {
+                    await this.app.storage.savePreset(name);
+                    // Saving under an existing name replaces the record, so drop its stale thumbnail
+                    this.thumbnails.delete(`local:${name}`);
+                    await this.refreshLocalPresets();
+                } catch (error) {
+                    this.app.ui.updateStatus(`❌ Could not save preset: ${error.message}`, 'error');
+                }
+            };
+        }
+
+        const exportBtn = document.getElementById('presetExportLibrary');
+        if (exportBtn) {
+            exportBtn.disabled = !this.app.storage.available;
+            exportBtn.onclick = () => this.app.storage.exportBundle();
+        }
+
+        const importBtn = document.getElementById('presetImportLibrary');
+        if (importBtn) {
+            importBtn.disabled = !this.app.storage.available;
+            importBtn.onclick = async () => {
+                if (await this.app.storage.importBundle()) {
+                    await this.refreshLocalPresets();
+                }
+            };
+        }
+
+        const morphSelect = document.getElementById('presetMorph');
+        if (morphSelect) {
+            morphSelect.value = this.app.morph.enabled ? String(this.app.morph.duration) : '0';
+            morphSelect.onchange = () => {
+                const seconds = parseFloat(morphSelect.value);
+                this.app.morph.enabled = seconds > 0;
+                if (seconds > 0) this.app.morph.setDuration(seconds);
+            };
+        }
+
+        const searchInput = document.getElementById('presetSearch');
+        if (searchInput) {
+            searchInput.oninput = () => {
+                this.searchQuery = searchInput.value;
+                this.updatePresetGrid();
+            };
+        }
+    }
+
+    updateTagFilters() {
+        const container = document.getElementById('presetTags');
+        if (!container) return;
+
+        // Built with textContent - tags and names can come from imported library files
+        container.innerHTML = '';
+        this.getAllTags().forEach(tag => {
+            const button = document.createElement('button');
+            button.className = this.activeTags.has(tag) ? 'preset-tag preset-tag-active' : 'preset-tag';
+            button.textContent = tag;
+            button.onclick = () => {
+                if (this.activeTags.has(tag)) {
+                    this.activeTags.delete(tag);
+                } else {
+                    this.activeTags.add(tag);
+                }
+                this.updateTagFilters();
+                this.updatePresetGrid();
+            };
+            container.appendChild(button);
+        });
+    }
+
+    updatePresetGrid() {
+        const grid = document.getElementById('presetGrid');
+        if (!grid) return;
+
+        const presets = this.getFilteredPresets();
+
+        if (presets.length === 0) {
+            grid.innerHTML = `<div class="preset-empty">${this.presetsLoaded ? 'No presets match' : 'Loading presets...'}</div>`;
+            return;
+        }
+
+        grid.innerHTML = '';
+        presets.forEach(preset => grid.appendChild(this.createPresetCard(preset)));
+
+        // Only render thumbnails for the cards actually on screen
+        presets.forEach(preset => this.requestThumbnail(preset.id));
+    }
+
+    // Names, descriptions and tags go in as text - library presets can come from imported bundles
+    createPresetCard(preset) {
+        const card = document.createElement('div');
+        card.className = 'preset-card';
+        card.dataset.presetId = preset.id;
+        card.title = preset.description;
+        card.onclick = () => this.applyPreset(preset.id);
+
+        const image = document.createElement('img');
+        image.className = 'preset-thumb';
+        image.alt = '';
+        image.width = this.thumbnailSize.width;
+        image.height = this.thumbnailSize.height;
+        if (this.thumbnails.has(preset.id)) {
+            image.src = this.thumbnails.get(preset.id);
+        }
+
+        const name = document.createElement('div');
+        name.className = 'preset-name';
+        name.textContent = preset.name;
+
+        const tags = document.createElement('div');
+        tags.className = 'preset-card-tags';
+        tags.textContent = preset.tags.join(' · ');
+
+        card.append(image, name, tags);
+
+        if (preset.local) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'preset-delete';
+            deleteBtn.title = 'Delete from library';
+            deleteBtn.textContent = '✕';
+            deleteBtn.onclick = async (event) => {
+                event.stopPropagation();
+                if (!confirm(`Delete preset "${preset.name}" from the library?`)) return;
+                try {
+                    await this.app.storage.deletePreset(preset.name);
+                    this.thumbnails.delete(preset.id);
+                    await this.refreshLocalPresets();
+                } catch (error) {
+                    this.app.ui.updateStatus(`❌ ${error.message}`, 'error');
+                }
+            };
+            card.appendChild(deleteBtn);
+        }
+
+        return card;
+    }
+}
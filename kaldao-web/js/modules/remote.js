@@ -0,0 +1,444 @@
+// Remote control module (OSC over a WebSocket bridge)
+// Browsers can't speak OSC/UDP, so control surfaces (TouchOSC, Max/MSP, lighting desks) talk to a
+// small local bridge (tools/remote-bridge.js) which relays each OSC message to us as JSON:
+//     { "address": "/kaldao/param/fly_speed", "args": [0.5] }
+// Changes made here - by keyboard, MIDI, presets, the crossfader - are broadcast back the same
+// way so faders and labels on the surfaces stay in sync.
+//
+// The same messages also travel over a BroadcastChannel, which is how the companion phone page
+// (remote.html) talks to a visualizer running in the same browser. From another device the page
+// uses the bridge as a WebSocket relay instead.
+//
+// Addresses:
+//   /kaldao/param/<key> <value>             set a parameter (clamped to its range)
+//   /kaldao/param/<key>/normalized <0..1>   set a parameter across its full min/max range
+//   /kaldao/palette/<index>  or  /kaldao/palette <index>           select a color palette
+//   /kaldao/layerpalette/<index>  or  /kaldao/layerpalette <index> select a layer palette
+//   /kaldao/preset/load <id>  or  /kaldao/preset/load/<id>          apply (morph to) a preset
+//   /kaldao/crossfader <0..1>               move the A/B crossfader
+//   /kaldao/randomize                       randomize the artistic parameters
+//   /kaldao/invert <0|1>                    color inversion
+//   /kaldao/undo, /kaldao/redo              same undo history as the keyboard
+//   /kaldao/state/request                   send the full state back
+//   /kaldao/describe                        reply with /kaldao/description <json>: parameter
+//                                           definitions, palette names and presets (for remote.html)
+//
+// On startup and on every connection the visualizer sends /kaldao/ready, so an open remote page
+// can pair (again) after the visualizer reloads.
+//
+// Pairing code: remote pages send { code } with every message and are only obeyed when it
+// matches the one this visualizer shows - anything else gets /kaldao/pairing/refused and the code
+// is shown on screen for the person holding the phone. That goes for every BroadcastChannel
+// message and every WebSocket message except OSC traffic, which can't carry a code - the bridge
+// marks that itself with source: 'osc' (and strips the mark from its WebSocket clients). We
+// identify to the bridge with source: 'visualizer', and page messages are relayed to us alone.
+// The code survives reloads of the tab, so a paired page stays paired.
+//
+// Button-style messages (palette, preset, randomize) ignore a 0 argument, so the release of a
+// TouchOSC push button doesn't trigger twice.
+
+export const REMOTE_DEFAULT_URL = 'ws://localhost:8765';
+export const REMOTE_CHANNEL_NAME = 'kaldao-remote';
+const REMOTE_ADDRESS_PREFIX = '/kaldao';
+const REMOTE_OSC_SOURCE = 'osc';
+const REMOTE_VISUALIZER_SOURCE = 'visualizer';
+const PAIRING_CODE_STORAGE_KEY = 'kaldao-remote-code';
+
+// A pause this long between remote moves of the same parameter starts a new undo step
+const REMOTE_GESTURE_GAP_MS = 1000;
+
+export class RemoteControl {
+    constructor() {
+        this.app = null;
+
+        this.url = REMOTE_DEFAULT_URL;
+        this.socket = null;
+        this.connected = false;
+
+        // Same-browser transport for remote.html - active once a page has said something
+        this.channel = null;
+        this.channelActive = false;
+
+        // Reconnect with backoff while the user wants a connection
+        this.autoReconnect = false;
+        this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 10000;
+        this.reconnectTimer = null;
+
+        // Outgoing state sync - only changed values are sent
+        this.broadcastIntervalMs = 100;
+        this.broadcastTimer = null;
+        this.lastSent = {};
+
+        this.lastMoveTime = {};
+
+        // Remote pages must send this code with every message
+        this.pairingCode = null;
+
+        // Injectable for tests
+        this.WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null;
+    }
+
+    init(app) {
+        this.app = app;
+        this.pairingCode = this.loadPairingCode();
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(REMOTE_CHANNEL_NAME);
+            this.channel.onmessage = (event) => {
+                // Another Kaldao window's broadcasts are state, not commands
+                if (!event.data || event.data.source === REMOTE_VISUALIZER_SOURCE) return;
+                if (!this.checkPairingCode(event.data)) {
+                    this.channel.postMessage({ address: `${REMOTE_ADDRESS_PREFIX}/pairing/refused`, args: [], source: REMOTE_VISUALIZER_SOURCE });
+                    return;
+                }
+
+                if (!this.channelActive) {
+                    this.channelActive = true;
+                    this.app.ui.updateStatus('📱 Remote page connected', 'success');
+                    this.startBroadcast();
+                }
+                this.handleEnvelope(event.data);
+            };
+            this.channel.postMessage({ address: `${REMOTE_ADDRESS_PREFIX}/ready`, args: [], source: REMOTE_VISUALIZER_SOURCE });
+        }
+
+        // ?remote or ?remote=ws://host:port connects on startup
+        const remoteParam = new URLSearchParams(window.location.search).get('remote');
+        if (remoteParam !== null) {
+            this.connect(remoteParam || REMOTE_DEFAULT_URL);
+        }
+    }
+
+    // PAIRING
+    // Four digits, kept for the life of the tab (sessionStorage) so reloads don't unpair the phone
+    loadPairingCode() {
+        try {
+            const stored = sessionStorage.getItem(PAIRING_CODE_STORAGE_KEY);
+            if (/^\d{4}$/.test(stored)) return stored;
+        } catch (error) {
+            // Storage blocked - a new code per load
+        }
+
+        const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 10000).padStart(4, '0');
+        try {
+            sessionStorage.setItem(PAIRING_CODE_STORAGE_KEY, code);
+        } catch (error) {
+            // Not kept - fine
+        }
+        return code;
+    }
+
+    // Everything but the bridge's own OSC traffic needs the code
+    checkPairingCode(message, fromBridge = false) {
+        if (fromBridge && message.source === REMOTE_OSC_SOURCE) return true;
+        if (message.code === this.pairingCode) return true;
+
+        this.app.ui.updateStatus(`📱 A remote page wants to pair - enter code ${this.pairingCode} on it`, 'warning');
+        return false;
+    }
+
+    // CONNECTION
+    connect(url = this.url) {
+        if (!this.WebSocketImpl) {
+            this.app.ui.updateStatus('❌ WebSockets are not available in this browser', 'error');
+            return;
+        }
+
+        this.disconnect(false);
+        this.url = url;
+        this.autoReconnect = true;
+
+        let socket;
+        try {
+            socket = new this.WebSocketImpl(url);
+        } catch (error) {
+            this.app.ui.updateStatus(`❌ Remote: ${error.message}`, 'error');
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.connected = true;
+            this.reconnectDelay = 1000;
+            this.lastSent = {};
+            this.app.ui.updateStatus(`📡 Remote connected: ${url} (remote page code ${this.pairingCode})`, 'success');
+
+            this.send(`${REMOTE_ADDRESS_PREFIX}/ready`);
+            this.broadcastState(true);
+            this.startBroadcast();
+        };
+
+        socket.onmessage = (event) => this.handleRawMessage(event.data);
+
+        socket.onclose = () => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            if (!this.channelActive) this.stopBroadcast();
+
+            if (wasConnected) {
+                this.app.ui.updateStatus('📡 Remote disconnected', 'warning');
+            }
+            if (this.autoReconnect && this.socket === socket) {
+                this.scheduleReconnect();
+            }
+        };
+
+        socket.onerror = () => {
+            // onclose follows - just log, the reconnect loop handles the rest
+            console.warn(`📡 Remote connection error (${url})`);
+        };
+    }
+
+    disconnect(showStatus = true) {
+        this.autoReconnect = false;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (!this.channelActive) this.stopBroadcast();
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.connected = false;
+
+        if (showStatus) {
+            this.app.ui.updateStatus('📡 Remote control off', 'info');
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.autoReconnect) this.connect(this.url);
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2);
+    }
+
+    startBroadcast() {
+        if (this.broadcastTimer) return;
+        this.broadcastTimer = setInterval(() => this.broadcastState(false), this.broadcastIntervalMs);
+    }
+
+    stopBroadcast() {
+        if (this.broadcastTimer) {
+            clearInterval(this.broadcastTimer);
+            this.broadcastTimer = null;
+        }
+    }
+
+    isActive() {
+        return this.connected || this.channelActive;
+    }
+
+    send(address, args = []) {
+        if (this.connected && this.socket) {
+            this.socket.send(JSON.stringify({ address, args, source: REMOTE_VISUALIZER_SOURCE }));
+        }
+        if (this.channelActive) {
+            this.channel.postMessage({ address, args, source: REMOTE_VISUALIZER_SOURCE });
+        }
+    }
+
+    // INCOMING
+    handleRawMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn('📡 Ignoring malformed remote message:', raw);
+            return;
+        }
+
+        if (!message || !this.checkPairingCode(message, true)) {
+            if (message) this.send(`${REMOTE_ADDRESS_PREFIX}/pairing/refused`);
+            return;
+        }
+        this.handleEnvelope(message);
+    }
+
+    // The bridge may pass OSC bundles through as { bundle: [...] }
+    handleEnvelope(message) {
+        if (!message) return;
+        const messages = Array.isArray(message.bundle) ? message.bundle : [message];
+        messages.forEach(item => {
+            if (item && typeof item.address === 'string') {
+                this.handleMessage(item.address, Array.isArray(item.args) ? item.args : []);
+            }
+        });
+    }
+
+    handleMessage(address, args) {
+        if (!address.startsWith(`${REMOTE_ADDRESS_PREFIX}/`)) return;
+
+        const parts = address.slice(REMOTE_ADDRESS_PREFIX.length + 1).split('/');
+        const app = this.app;
+        const first = args[0];
+        const buttonReleased = first === 0 || first === false;
+
+        switch (parts[0]) {
+            case 'param': {
+                const key = parts[1];
+                const param = app.parameters.getParameter(key);
+                // OSC floats can be NaN or Infinity - never let those reach a parameter
+                if (!param || !Number.isFinite(first)) break;
+
+                const value = parts[2] === 'normalized'
+                    ? param.min + Math.max(0, Math.min(1, first)) * (param.max - param.min)
+                    : first;
+                this.applyParameter(key, value);
+                return;
+            }
+
+            case 'palette': {
+                if (buttonReleased && parts[1] !== undefined) return;
+                const index = parseInt(parts[1] ?? first, 10);
+                if (!Number.isInteger(index) || !app.color.getPalette(index)) break;
+                app.saveStateForUndo();
+                app.color.selectPalette(index);
+                return;
+            }
+
+            case 'layerpalette': {
+                if (buttonReleased && parts[1] !== undefined) return;
+                const index = parseInt(parts[1] ?? first, 10);
+                if (!Number.isInteger(index) || !app.color.selectLayerPalette(index)) break;
+                return;
+            }
+
+            case 'preset':
+                if (parts[1] === 'load') {
+                    const id = parts[2] ?? first;
+                    if (parts[2] !== undefined && buttonReleased) return;
+                    if (typeof id === 'string' && app.presetBrowser.applyPreset(id)) return;
+                }
+                break;
+
+            case 'crossfader':
+                if (Number.isFinite(first)) {
+                    app.crossfader.setPosition(first);
+                    this.lastSent.crossfader = app.crossfader.position;
+                    return;
+                }
+                break;
+
+            case 'randomize':
+                if (!buttonReleased) app.controls.randomizeParameters();
+                return;
+
+            case 'invert':
+                app.saveStateForUndo();
+                app.invertColors = first === undefined ? !app.invertColors : !!first;
+                app.ui.updateDisplay();
+                return;
+
+            case 'undo':
+                if (!buttonReleased) app.undo();
+                return;
+
+            case 'redo':
+                if (!buttonReleased) app.redo();
+                return;
+
+            case 'state':
+                if (parts[1] === 'request') {
+                    this.broadcastState(true);
+                    return;
+                }
+                break;
+
+            case 'describe':
+                this.send(`${REMOTE_ADDRESS_PREFIX}/description`, [JSON.stringify(this.describe())]);
+                return;
+        }
+
+        console.warn(`📡 Unhandled remote message ${address}`, args);
+    }
+
+    applyParameter(key, value) {
+        const app = this.app;
+
+        const now = performance.now();
+        if (!this.lastMoveTime[key] || now - this.lastMoveTime[key] > REMOTE_GESTURE_GAP_MS) {
+            app.saveStateForUndo();
+        }
+        this.lastMoveTime[key] = now;
+
+        app.parameters.setValue(key, value);
+
+        // Don't echo the value straight back to the surface that sent it - a fader being
+        // dragged would otherwise fight its own delayed feedback
+        this.lastSent[`param/${key}`] = app.parameters.getBaseValue(key);
+
+        app.ui.updateDisplay();
+        if (app.debugMenuVisible) {
+            app.debugUI.updateDebugMenuDisplay();
+        }
+    }
+
+    // Everything a remote page needs to build its controls
+    describe() {
+        const app = this.app;
+        const debugKeys = app.parameters.getAllDebugParameterKeys();
+        const allParameters = app.parameters.getAllParameters();
+
+        const parameters = {};
+        Object.keys(allParameters).forEach(key => {
+            const { name, min, max, step, value } = allParameters[key];
+            parameters[key] = { name, min, max, step, value, debug: debugKeys.includes(key) };
+        });
+
+        return {
+            parameters,
+            // Coefficients and colors come along so the page can draw swatches
+            palettes: app.color.colorPalettes.map(({ name, a, b, c, d }) => ({ name, a, b, c, d })),
+            layerPalettes: app.color.layerColorPalettes.map(({ name, colors }) => ({ name, colors })),
+            presets: app.presetBrowser.getAllPresets().map(preset => ({ id: preset.id, name: preset.name }))
+        };
+    }
+
+    // OUTGOING
+    // Sends every value that changed since the last broadcast (everything when full is true)
+    broadcastState(full = false) {
+        if (!this.isActive()) return;
+
+        const app = this.app;
+        const changed = (id, value) => {
+            if (!full && this.lastSent[id] === value) return false;
+            this.lastSent[id] = value;
+            return true;
+        };
+
+        const allParameters = app.parameters.getAllParameters();
+        Object.keys(allParameters).forEach(key => {
+            const param = allParameters[key];
+            if (!changed(`param/${key}`, param.value)) return;
+
+            this.send(`${REMOTE_ADDRESS_PREFIX}/param/${key}`, [param.value]);
+            const range = param.max - param.min;
+            this.send(`${REMOTE_ADDRESS_PREFIX}/param/${key}/normalized`, [range > 0 ? (param.value - param.min) / range : 0]);
+        });
+
+        if (changed('palette', app.currentPaletteIndex)) {
+            const palette = app.color.getPalette(app.currentPaletteIndex);
+            this.send(`${REMOTE_ADDRESS_PREFIX}/palette`, [app.currentPaletteIndex, palette ? palette.name : '']);
+        }
+
+        if (changed('layerpalette', app.color.currentLayerPaletteIndex)) {
+            const palette = app.color.layerColorPalettes[app.color.currentLayerPaletteIndex];
+            this.send(`${REMOTE_ADDRESS_PREFIX}/layerpalette`, [app.color.currentLayerPaletteIndex, palette ? palette.name : '']);
+        }
+
+        if (changed('invert', app.invertColors)) {
+            this.send(`${REMOTE_ADDRESS_PREFIX}/invert`, [app.invertColors ? 1 : 0]);
+        }
+
+        if (changed('crossfader', app.crossfader.position)) {
+            this.send(`${REMOTE_ADDRESS_PREFIX}/crossfader`, [app.crossfader.position]);
+        }
+    }
+}
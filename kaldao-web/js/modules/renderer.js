@@ -13,6 +13,23 @@
 //
 // This renderer bridges these two computational worlds intelligently and efficiently.
 
+import { PostProcessor, createRenderTarget } from './post-process.js';
+
+// LAYER LOOP VARIANTS
+// The layer loop in fragment.glsl needs a compile-time bound, and GPUs unroll it to that bound
+// whatever u_layer_count says. The shader is therefore compiled once per bucket, with MAX_LAYERS
+// set to the bucket, and the smallest bucket holding layer_count is drawn with. The last bucket
+// is layer_count's maximum in ParameterManager.
+export const LAYER_BUCKETS = [8, 16, 32, 50];
+
+export function getLayerBucket(layerCount) {
+    return LAYER_BUCKETS.find(bucket => layerCount <= bucket) || LAYER_BUCKETS[LAYER_BUCKETS.length - 1];
+}
+
+// Range of the drawing buffer size relative to the display's physical pixels (see resolution.js)
+export const RESOLUTION_SCALE_MIN = 0.25;
+export const RESOLUTION_SCALE_MAX = 2.0;
+
 export class Renderer {
     constructor() {
         // Core WebGL infrastructure
@@ -20,7 +37,23 @@ export class Renderer {
         this.canvas = null;                // The HTML canvas where visuals appear
         this.program = null;               // The compiled shader program (vertex + fragment shaders)
         this.uniforms = {};                // Our "directory" of uniform locations - like phone numbers for GPU variables
+        this.uniformNames = [];            // Every uniform we look up, for each new shader variant
+        
+        // Layer loop variants (see LAYER_BUCKETS) - compiled on first use and kept
+        this.vertexShader = null;          // Compiled once, shared by every variant
+        this.fragmentShaderSource = null;  // GLSL without MAX_LAYERS; null when running the fallback shaders
+        this.shaderVariants = new Map();   // bucket → { program, uniforms }, or null if it failed to compile
+        this.layerBucket = null;           // Bucket of the program in use
+        
+        // Post-processing chain (see post-process.js) - the scene renders offscreen, then through the passes
+        this.postProcessor = null;
         this.app = null;                   // Reference to main app for accessing color manager
+        this.fixedResolution = null;       // {width, height} when export/capture pins the drawing buffer size
+        this.resolutionScale = 1.0;        // Drawing buffer size relative to window × devicePixelRatio
+        this.tileRegion = null;            // {width, height, offsetX, offsetY} while rendering one tile of a larger image
+        this.offscreen = null;             // {width, height, target, postProcessor} for frames kept off the canvas (thumbnails)
+        this.offscreenActive = false;      // True while renderOffscreen() is drawing into this.offscreen
+        this.contextLost = false;          // True from webglcontextlost until the rebuild after webglcontextrestored
         
         // Enhanced tracking for debug system
         this.uniformStats = {              // Statistics about uniform usage for optimization and debugging
@@ -48,6 +81,7 @@ export class Renderer {
             // PHASE 1: Establish basic WebGL infrastructure
             this.setupCanvas();
             this.setupWebGLContext();
+            this.setupContextLossHandling();
             
             // PHASE 2: Load and compile shaders (vertex + fragment)
             // This is where we bridge from JavaScript to GPU mathematics
@@ -61,7 +95,10 @@ export class Renderer {
             // This is the heart of our parameter system - creating channels for data flow
             this.setupUniforms();
             
-            // PHASE 5: Development and debugging aids
+            // PHASE 5: Offscreen targets and the post-processing passes
+            this.setupPostProcessing();
+            
+            // PHASE 6: Development and debugging aids
             this.setupDevelopmentFeatures();
             
             console.log(`✅ Renderer initialized successfully with ${this.uniformStats.totalUniforms} uniforms`);
@@ -81,8 +118,12 @@ export class Renderer {
         }
         
         // Set canvas to fill the viewport for immersive fractal experience
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+        // (unless an export has pinned the drawing buffer to a fixed resolution)
+        const size = this.getTargetCanvasSize();
+        this.canvas.style.width = `${window.innerWidth}px`;
+        this.canvas.style.height = `${window.innerHeight}px`;
+        this.canvas.width = size.width;
+        this.canvas.height = size.height;
         
         console.log(`📐 Canvas initialized: ${this.canvas.width}x${this.canvas.height}`);
     }
@@ -103,6 +144,65 @@ export class Renderer {
         this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
     }
 
+    // CONTEXT LOSS RECOVERY
+    // A GPU driver reset, or a mobile browser reclaiming a background tab, destroys every GL object
+    // and the canvas goes black. Cancelling the lost event asks the browser to restore the context;
+    // the programs, quad, uniform table and post-processing targets are then rebuilt. Parameters
+    // live in ParameterManager rather than on the GPU, so the show resumes exactly where it was.
+    setupContextLossHandling() {
+        this.canvas.addEventListener('webglcontextlost', (event) => {
+            event.preventDefault(); // Without this the browser never restores the context
+            this.contextLost = true;
+            console.warn('⚠️ WebGL context lost - rendering paused');
+            if (this.app && this.app.ui) {
+                this.app.ui.updateStatus('⚠️ Graphics reset by the browser or GPU driver - paused until it comes back', 'warning');
+            }
+        });
+        
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            this.restoreContext();
+        });
+    }
+    
+    async restoreContext() {
+        console.log('🔄 WebGL context restored - rebuilding GPU resources...');
+        const postChain = this.postProcessor ? [...this.postProcessor.chain] : null;
+        
+        try {
+            // Nothing from the old context survives - start the program and uniform tables afresh
+            this.program = null;
+            this.uniforms = {};
+            this.shaderVariants.clear();
+            this.layerBucket = null;
+            this.offscreen = null;
+            this.uniformStats.missingUniforms = [];
+            
+            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+            await this.setupShaders();
+            
+            // Lost again while the shaders loaded - the next restored event starts over
+            if (this.gl.isContextLost()) return;
+            
+            this.setupGeometry();
+            this.setupUniforms();
+            this.setupPostProcessing();
+            if (this.postProcessor && postChain) {
+                this.postProcessor.setChain(postChain);
+            }
+            
+            this.contextLost = false;
+            console.log('✅ GPU resources rebuilt - rendering resumed');
+            if (this.app && this.app.ui) {
+                this.app.ui.updateStatus('✅ Graphics restored - carrying on where you left off', 'success');
+            }
+        } catch (error) {
+            console.error('❌ Rebuilding after context loss failed:', error);
+            if (this.app && this.app.ui) {
+                this.app.ui.updateStatus('❌ Graphics could not be restored - save your work (S) and reload the page', 'error');
+            }
+        }
+    }
+
     // SHADER LOADING AND COMPILATION SYSTEM
     // This is where we bridge from external GLSL files to executable GPU code
     async setupShaders() {
@@ -112,20 +212,76 @@ export class Renderer {
             const vertexShaderSource = await this.loadShader('../shaders/vertex.glsl');
             const fragmentShaderSource = await this.loadShader('../shaders/fragment.glsl');
             
-            // Compile individual shaders
-            const vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
-            const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, fragmentShaderSource);
+            // Compile the vertex shader once; the fragment shader is compiled per layer bucket
+            this.vertexShader = this.createShader(this.gl.VERTEX_SHADER, vertexShaderSource);
+            this.fragmentShaderSource = fragmentShaderSource;
             
-            // Link shaders into a complete program
-            this.program = this.createProgram(vertexShader, fragmentShader);
+            // Start with the smallest bucket - render() switches as soon as layer_count needs more
+            const bucket = LAYER_BUCKETS[0];
+            this.program = this.compileLayerVariant(bucket);
+            this.shaderVariants.set(bucket, { program: this.program, uniforms: this.uniforms });
+            this.layerBucket = bucket;
             
             console.log('✅ Shaders compiled and linked successfully');
             
         } catch (error) {
             console.warn('⚠️ External shader loading failed, using fallback shaders');
+            this.fragmentShaderSource = null;
+            this.shaderVariants.clear();
+            this.layerBucket = null;
             this.setupFallbackShaders();
         }
     }
+    
+    // Fragment shader with the layer loop bounded at `bucket`, linked with the shared vertex shader
+    compileLayerVariant(bucket) {
+        const source = `#define MAX_LAYERS ${bucket.toFixed(1)}\n${this.fragmentShaderSource}`;
+        const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, source);
+        return this.createProgram(this.vertexShader, fragmentShader);
+    }
+    
+    // Switch to the program whose layer loop fits layerCount, compiling it the first time.
+    // A variant that fails to compile (too big for this GPU) is remembered, and the current one stays.
+    selectLayerVariant(layerCount) {
+        if (!this.fragmentShaderSource) return; // Fallback shaders have no layer loop
+        
+        const bucket = getLayerBucket(layerCount);
+        if (bucket === this.layerBucket) return;
+        
+        if (!this.shaderVariants.has(bucket)) {
+            try {
+                const compileStart = performance.now();
+                const program = this.compileLayerVariant(bucket);
+                this.shaderVariants.set(bucket, { program, uniforms: this.lookupUniforms(program) });
+                console.log(`🔧 Compiled ${bucket}-layer shader variant in ${(performance.now() - compileStart).toFixed(1)}ms`);
+            } catch (error) {
+                this.shaderVariants.set(bucket, null);
+                console.warn(`⚠️ ${bucket}-layer shader variant failed to compile - staying at ${this.layerBucket} layers:`, error.message);
+                if (this.app && this.app.ui) {
+                    this.app.ui.updateStatus(`⚠️ This GPU can't render more than ${this.layerBucket} layers`, 'warning');
+                }
+            }
+        }
+        
+        const variant = this.shaderVariants.get(bucket);
+        if (!variant) return;
+        
+        this.program = variant.program;
+        this.uniforms = variant.uniforms;
+        this.layerBucket = bucket;
+    }
+    
+    // Uniform locations in a newly linked variant - the same names setupUniforms() connected
+    lookupUniforms(program) {
+        const uniforms = {};
+        this.uniformNames.forEach(uniformName => {
+            const location = this.gl.getUniformLocation(program, uniformName);
+            if (location !== null) {
+                uniforms[uniformName] = location;
+            }
+        });
+        return uniforms;
+    }
 
     // SHADER FILE LOADING WITH INTELLIGENT FALLBACK
     // This handles loading GLSL code from external files with graceful degradation
@@ -188,6 +344,7 @@ export class Renderer {
             // CORE SYSTEM UNIFORMS
             // These drive the basic fractal mathematics and are essential for any visualization
             uniform vec2 u_resolution;           // Screen resolution for aspect ratio correction
+            uniform vec2 u_tile_offset;          // Pixel offset of this tile within a tiled capture
             // u_time removed - not used in shader
             uniform float u_camera_position;     // Position along the tunnel path
             uniform float u_rotation_time;       // Accumulated rotation for pattern spinning
@@ -257,7 +414,7 @@ export class Renderer {
             // COLOR SYSTEM UNIFORMS
             // These control the mathematical color generation and post-processing
             // u_use_color_palette and u_use_layer_colors removed - replaced by u_color_mode  
-            uniform float u_invert_colors;       // Apply color inversion post-processing
+            uniform float u_invert_colors;       // Color inversion when there is no post-processing
             uniform float u_color_mode;          // Color mode: 0=B&W, 1=Original/Palette, 2=Layer
             uniform vec3 u_palette_a;            // Color palette coefficient A
             uniform vec3 u_palette_b;            // Color palette coefficient B
@@ -325,7 +482,7 @@ export class Renderer {
             
             void main() {
                 // Normalize screen coordinates to standard range
-                vec2 q = gl_FragCoord.xy / u_resolution.xy;
+                vec2 q = (gl_FragCoord.xy + u_tile_offset) / u_resolution.xy;
                 vec2 p = -1.0 + 2.0 * q;
                 p.x *= u_resolution.x / u_resolution.y; // Correct aspect ratio
                 
@@ -338,7 +495,7 @@ export class Renderer {
                     col = palette(t) * length(col);
                 }
                 
-                // Apply color intensity and inversion
+                // Apply color intensity and inversion (without post-processing)
                 col *= u_color_intensity;
                 if (u_invert_colors > 0.5) {
                     col = vec3(1.0) - col;
@@ -375,6 +532,8 @@ export class Renderer {
         const program = this.gl.createProgram();
         this.gl.attachShader(program, vertexShader);
         this.gl.attachShader(program, fragmentShader);
+        // Same attribute slot in every program, so the quad stays bound across shader variants
+        this.gl.bindAttribLocation(program, 0, 'a_position');
         this.gl.linkProgram(program);
         
         // Check for linking errors with detailed feedback
@@ -423,6 +582,7 @@ export class Renderer {
         // CORE SYSTEM UNIFORMS - Essential for basic operation
         const coreUniforms = [
             'u_resolution',                    // Screen dimensions for aspect ratio
+            'u_tile_offset',                   // Pixel offset of the current tile in tiled captures
             // 'u_time' removed - not used in shader
             'u_camera_position',              // Position along tunnel path
             'u_rotation_time',                // Accumulated rotation time
@@ -472,7 +632,7 @@ export class Renderer {
         // COLOR SYSTEM UNIFORMS - Mathematical color generation
         const colorUniforms = [
             // 'u_use_color_palette', 'u_use_layer_colors' removed - replaced by u_color_mode
-            'u_invert_colors', 'u_color_mode',
+            'u_invert_colors', 'u_vignette', 'u_color_mode',
             'u_palette_a', 'u_palette_b', 'u_palette_c', 'u_palette_d',
             'u_layer_color_0', 'u_layer_color_1', 'u_layer_color_2', 'u_layer_color_3',
             'u_layer_color_4', 'u_layer_color_5', 'u_layer_color_6', 'u_layer_color_7',
@@ -487,6 +647,7 @@ export class Renderer {
             ...debugUniforms,
             ...colorUniforms
         ];
+        this.uniformNames = allUniforms;
         
         // Establish communication channels for each uniform
         // This is like getting the "phone number" for each mathematical function in the shader
@@ -527,6 +688,20 @@ export class Renderer {
         }
     }
 
+    // POST-PROCESSING SETUP
+    // Without working framebuffers the scene is drawn straight to the canvas, without the passes
+    setupPostProcessing() {
+        try {
+            this.postProcessor = new PostProcessor(this);
+            this.postProcessor.init();
+            this.postProcessor.ensureTargets(this.canvas.width, this.canvas.height);
+            console.log(`✨ Post-processing chain ready: ${this.postProcessor.chain.join(' → ')}`);
+        } catch (error) {
+            console.warn('⚠️ Post-processing unavailable - rendering without it:', error.message);
+            this.postProcessor = null;
+        }
+    }
+
     // DEVELOPMENT FEATURES SETUP
     // This adds helpful development and debugging capabilities
     setupDevelopmentFeatures() {
@@ -539,7 +714,20 @@ export class Renderer {
                 getUniformStats: () => this.uniformStats,
                 getRenderingMetrics: () => this.renderingMetrics,
                 listActiveUniforms: () => Object.keys(this.uniforms),
-                listMissingUniforms: () => this.uniformStats.missingUniforms
+                listMissingUniforms: () => this.uniformStats.missingUniforms,
+                getPostChain: () => this.postProcessor ? [...this.postProcessor.chain] : null,
+                getResolutionScale: () => this.resolutionScale,
+                // Exercise context-loss recovery: kaldaoDebug.renderer.simulateContextLoss(2000)
+                simulateContextLoss: (restoreAfterMs = 1000) => {
+                    const extension = this.gl.getExtension('WEBGL_lose_context');
+                    if (!extension) return false;
+                    extension.loseContext();
+                    setTimeout(() => extension.restoreContext(), restoreAfterMs);
+                    return true;
+                },
+                listShaderVariants: () => [...this.shaderVariants.entries()].map(([bucket, variant]) => ({
+                    maxLayers: bucket, compiled: !!variant, active: bucket === this.layerBucket
+                }))
             };
             
             console.log('🔧 Renderer debug interface available at window.kaldaoDebug.renderer');
@@ -547,25 +735,210 @@ export class Renderer {
     }
 
     // WINDOW RESIZE HANDLING
-    // Maintains proper aspect ratio when the browser window changes size
+    // Maintains proper aspect ratio when the browser window changes size.
+    // The canvas always fills the window on screen; its drawing buffer may be smaller or larger
+    // (resolution scale, devicePixelRatio, fixed export sizes) and the browser scales it to fit.
     handleResize() {
         if (this.canvas && this.gl) {
-            this.canvas.width = window.innerWidth;
-            this.canvas.height = window.innerHeight;
+            const size = this.getTargetCanvasSize();
+            this.canvas.style.width = `${window.innerWidth}px`;
+            this.canvas.style.height = `${window.innerHeight}px`;
+            this.canvas.width = size.width;
+            this.canvas.height = size.height;
             this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
             
             console.log(`📐 Renderer resized to ${this.canvas.width}x${this.canvas.height}`);
         }
     }
+    
+    // The drawing buffer follows the window (in physical pixels, times the resolution scale)
+    // unless a fixed resolution has been requested
+    getTargetCanvasSize() {
+        if (this.fixedResolution) {
+            return { ...this.fixedResolution };
+        }
+        
+        const pixelRatio = (window.devicePixelRatio || 1) * this.resolutionScale;
+        let width = Math.max(1, Math.round(window.innerWidth * pixelRatio));
+        let height = Math.max(1, Math.round(window.innerHeight * pixelRatio));
+        
+        // Shrink to the GPU's limit, keeping the aspect ratio
+        if (this.gl) {
+            const maxSize = this.getMaxRenderSize();
+            const fit = Math.min(1, maxSize / width, maxSize / height);
+            width = Math.max(1, Math.floor(width * fit));
+            height = Math.max(1, Math.floor(height * fit));
+        }
+        return { width, height };
+    }
+    
+    // RESOLUTION SCALE
+    // Resizes the drawing buffer to scale × the display's physical pixels. Returns the scale in use.
+    setResolutionScale(scale) {
+        const clamped = Math.max(RESOLUTION_SCALE_MIN, Math.min(RESOLUTION_SCALE_MAX, scale));
+        this.resolutionScale = Math.round(clamped * 100) / 100;
+        this.handleResize();
+        return this.resolutionScale;
+    }
+    
+    // FIXED RESOLUTION RENDERING
+    // Export needs a drawing buffer of an exact size regardless of the window.
+    // The canvas keeps its on-screen CSS size, so a 4K export is shown scaled down while it renders.
+    setFixedResolution(width, height) {
+        const maxSize = this.getMaxRenderSize();
+        const clampedWidth = Math.max(1, Math.min(Math.round(width), maxSize));
+        const clampedHeight = Math.max(1, Math.min(Math.round(height), maxSize));
+        
+        if (clampedWidth !== Math.round(width) || clampedHeight !== Math.round(height)) {
+            console.warn(`⚠️ Requested ${width}x${height} exceeds GPU limit ${maxSize}px - clamped to ${clampedWidth}x${clampedHeight}`);
+        }
+        
+        this.fixedResolution = { width: clampedWidth, height: clampedHeight };
+        this.handleResize();
+        
+        return { ...this.fixedResolution };
+    }
+    
+    clearFixedResolution() {
+        this.fixedResolution = null;
+        this.handleResize();
+    }
+    
+    // Drop the feedback trails so the next frame starts from a clean history
+    clearFeedback() {
+        if (this.postProcessor) {
+            this.postProcessor.clearFeedback();
+        }
+    }
+    
+    // Largest drawing buffer dimension this GPU will accept
+    getMaxRenderSize() {
+        const viewportDims = this.gl.getParameter(this.gl.MAX_VIEWPORT_DIMS);
+        const renderbufferSize = this.gl.getParameter(this.gl.MAX_RENDERBUFFER_SIZE);
+        return Math.min(viewportDims[0], viewportDims[1], renderbufferSize);
+    }
+    
+    // FRAME READBACK
+    // Reads the frame that was just drawn as top-down RGBA ImageData.
+    // Must be called in the same task as render() - without preserveDrawingBuffer the
+    // browser is free to clear the buffer once control returns to the event loop.
+    readFramePixels() {
+        const { width, height } = this.getFrameSize();
+        const pixels = new Uint8Array(width * height * 4);
+        
+        this.gl.readPixels(0, 0, width, height, this.gl.RGBA, this.gl.UNSIGNED_BYTE, pixels);
+        
+        // WebGL rows start at the bottom - flip them for image encoders
+        const imageData = new ImageData(width, height);
+        const rowSize = width * 4;
+        for (let y = 0; y < height; y++) {
+            const sourceStart = (height - 1 - y) * rowSize;
+            imageData.data.set(pixels.subarray(sourceStart, sourceStart + rowSize), y * rowSize);
+        }
+        
+        return imageData;
+    }
+
+    // OFFSCREEN RENDERING
+    // Thumbnails need a small frame, but resizing the canvas for one would make the post chain
+    // reallocate its framebuffers and lose the feedback trails. Instead the frame is drawn into
+    // a framebuffer of its own (with a sibling post chain) and read back - the canvas, the live
+    // targets and the feedback history are never touched. Returns top-down RGBA ImageData.
+    renderOffscreen(parameters, renderState, width, height) {
+        if (this.contextLost) {
+            throw new Error('WebGL context lost');
+        }
+        
+        const maxSize = this.getMaxRenderSize();
+        const offscreen = this.ensureOffscreen(
+            Math.max(1, Math.min(Math.round(width), maxSize)),
+            Math.max(1, Math.min(Math.round(height), maxSize))
+        );
+        if (offscreen.postProcessor) {
+            offscreen.postProcessor.setChain(this.postProcessor.chain);
+        }
+        
+        this.offscreenActive = true;
+        try {
+            // Outside the live sequence - no feedback, no frame delta
+            this.render(parameters, { ...renderState, frameDelta: null });
+            return this.readFramePixels();
+        } finally {
+            this.offscreenActive = false;
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+    
+    // The offscreen framebuffer (and its post chain targets), recreated only when the size changes
+    ensureOffscreen(width, height) {
+        if (this.offscreen && this.offscreen.width === width && this.offscreen.height === height) {
+            return this.offscreen;
+        }
+        
+        this.deleteOffscreen();
+        const target = createRenderTarget(this.gl, width, height);
+        const postProcessor = this.postProcessor ? this.postProcessor.createSibling(target) : null;
+        this.offscreen = { width, height, target, postProcessor };
+        return this.offscreen;
+    }
+    
+    deleteOffscreen() {
+        if (!this.offscreen) return;
+        if (this.offscreen.postProcessor) {
+            this.offscreen.postProcessor.deleteTargets();
+        }
+        this.gl.deleteFramebuffer(this.offscreen.target.framebuffer);
+        this.gl.deleteTexture(this.offscreen.target.texture);
+        this.offscreen = null;
+    }
+    
+    // Size of the frame being drawn - the offscreen target during renderOffscreen(), else the canvas
+    getFrameSize() {
+        if (this.offscreenActive) {
+            return { width: this.offscreen.width, height: this.offscreen.height };
+        }
+        return { width: this.canvas.width, height: this.canvas.height };
+    }
+
+    // TILED RENDERING
+    // Draws the part of a width x height image that starts at (offsetX, offsetY) in GL
+    // coordinates (origin bottom-left) into the current canvas. Stitching the tiles together
+    // reproduces a frame far larger than the GPU could allocate in one go.
+    // Overlap each capture tile needs so post-processing shows no seams (0 without post-processing)
+    getTileMargin(parameters, width, height) {
+        return this.postProcessor ? this.postProcessor.getTileMargin(parameters, [width, height]) : 0;
+    }
+    
+    renderTile(parameters, renderState, tileRegion) {
+        this.tileRegion = tileRegion;
+        try {
+            this.render(parameters, renderState);
+        } finally {
+            this.tileRegion = null;
+        }
+    }
 
     // MAIN RENDERING METHOD - WHERE MATHEMATICS BECOMES VISUAL ART
     // This is the culmination of our entire system - where JavaScript parameters
     // transform into GPU mathematics that generates beautiful fractal visualizations
     render(parameters, renderState) {
+        // Nothing can be drawn until the context has been restored and rebuilt
+        if (this.contextLost) return;
+        
         const renderStartTime = performance.now();
         
         // Prepare the rendering context
-        this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        // The layer count (after audio and LFO modulation) picks the shader variant
+        this.selectLayerVariant(parameters.getValue('layer_count'));
+        const { width, height } = this.getFrameSize();
+        const postProcessor = this.offscreenActive ? this.offscreen.postProcessor : this.postProcessor;
+        if (postProcessor) {
+            postProcessor.beginScene(width, height);
+        } else {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.offscreenActive ? this.offscreen.target.framebuffer : null);
+        }
+        this.gl.viewport(0, 0, width, height);
         this.gl.useProgram(this.program);
         
         // PHASE 1: Set core system uniforms that drive basic fractal mathematics
@@ -582,14 +955,35 @@ export class Renderer {
         // This triggers the GPU to process our fractal mathematics and generate the visual output
         this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
         
-        // PHASE 5: Performance tracking for optimization feedback
+        // PHASE 5: Post-processing passes, ending on the canvas
+        if (postProcessor) {
+            const region = this.tileRegion;
+            postProcessor.run({
+                parameters,
+                invertColors: renderState.invertColors,
+                resolution: region ? [region.width, region.height] : [width, height],
+                tileOffset: region ? [region.offsetX, region.offsetY] : [0, 0],
+                frameIndex: this.renderingMetrics.totalFramesRendered,
+                frameDelta: region ? null : renderState.frameDelta
+            });
+        }
+        
+        // PHASE 6: Performance tracking for optimization feedback
         this.updateRenderingMetrics(renderStartTime);
     }
     
     // CORE UNIFORM SETTING - Essential mathematical drivers
     setCoreUniforms(parameters) {
         // These uniforms drive the fundamental mathematical evolution of the fractal
-        this.gl.uniform2f(this.uniforms.u_resolution, this.canvas.width, this.canvas.height);
+        // A tiled capture renders a window onto a virtual image larger than the canvas
+        if (this.tileRegion) {
+            this.gl.uniform2f(this.uniforms.u_resolution, this.tileRegion.width, this.tileRegion.height);
+            this.gl.uniform2f(this.uniforms.u_tile_offset, this.tileRegion.offsetX, this.tileRegion.offsetY);
+        } else {
+            const { width, height } = this.getFrameSize();
+            this.gl.uniform2f(this.uniforms.u_resolution, width, height);
+            this.gl.uniform2f(this.uniforms.u_tile_offset, 0, 0);
+        }
         // u_time removed from shader - JavaScript handles time accumulation
         this.gl.uniform1f(this.uniforms.u_camera_position, parameters.timeAccumulation.camera_position);
         this.gl.uniform1f(this.uniforms.u_rotation_time, parameters.timeAccumulation.rotation_time);
@@ -634,8 +1028,13 @@ export class Renderer {
     setRenderStateUniforms(renderState, parameters) {
         // Color system state  
         // u_use_color_palette removed - replaced by color_mode
+        // Inversion belongs to the post-processing output pass; the scene only inverts without it
         if (this.uniforms.u_invert_colors) {
-            this.gl.uniform1f(this.uniforms.u_invert_colors, renderState.invertColors ? 1.0 : 0.0);
+            this.gl.uniform1f(this.uniforms.u_invert_colors, renderState.invertColors && !this.postProcessor ? 1.0 : 0.0);
+        }
+        // Likewise the vignette - a pass of its own in the chain, built into the scene without it
+        if (this.uniforms.u_vignette) {
+            this.gl.uniform1f(this.uniforms.u_vignette, this.postProcessor ? 0.0 : 1.0);
         }
         
         // New unified color mode system
@@ -647,7 +1046,7 @@ export class Renderer {
         this.setLayerColorUniforms();
         
         // Color palette coefficients for mathematical color generation
-        const palette = parameters.getPalette(renderState.currentPaletteIndex);
+        const palette = renderState.paletteOverride || parameters.getPalette(renderState.currentPaletteIndex);
         if (palette && this.uniforms.u_palette_a) {
             this.gl.uniform3f(this.uniforms.u_palette_a, palette.a[0], palette.a[1], palette.a[2]);
             this.gl.uniform3f(this.uniforms.u_palette_b, palette.b[0], palette.b[1], palette.b[2]);
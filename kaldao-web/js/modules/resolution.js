@@ -0,0 +1,168 @@
+// Adaptive resolution module
+// Holds the frame rate by changing the size the Renderer draws at. The drawing buffer is a
+// fraction (0.25×) to a multiple (2×) of the display's physical pixels - window size times
+// devicePixelRatio - and the browser scales it to fill the window.
+//
+// Measured frame times are smoothed, and the scale only moves after they have stayed over or
+// under budget for a while (hysteresis): down quickly when frames run long, up slowly and in
+// smaller steps when there is headroom. A scale that had to be abandoned is not retried for a
+// while, so the resolution doesn't bounce between two steps. Each change reallocates the
+// post-processing targets (and clears feedback trails), which is one more reason to change rarely.
+//
+// Locking holds the current scale - for screen recording, where a resolution that changes
+// mid-take is worse than a dropped frame. Offline export and stills pin their own resolution
+// and are not affected.
+
+import { RESOLUTION_SCALE_MIN, RESOLUTION_SCALE_MAX } from './renderer.js';
+
+// Scales Shift+' steps through while locked
+export const RESOLUTION_PRESETS = [0.5, 0.75, 1.0, 1.5, 2.0];
+
+const TARGET_FRAME_TIME = 1000 / 60;     // ms - the 60 FPS budget
+const OVER_BUDGET = 1.25;                // Average frame time above this × budget counts as too slow
+const UNDER_BUDGET = 1.1;                // ...and below this × budget as keeping up
+const DOWNGRADE_DELAY = 0.5;             // Seconds too slow before the scale drops
+const UPGRADE_DELAY = 4.0;               // Seconds keeping up before the scale rises
+const DOWNGRADE_FACTOR = 0.8;
+const UPGRADE_FACTOR = 1.1;
+const CEILING_HOLD = 30.0;               // Seconds a scale that was too slow stays off limits
+const MAX_MEASURED_FRAME = 250;          // ms - longer gaps are tab switches and stalls, not load
+const SMOOTHING = 0.1;                   // Weight of each new frame in the running average
+
+export class AdaptiveResolution {
+    constructor() {
+        this.app = null;
+        this.locked = false;                     // Manual quality lock - the scale stays where it is
+        this.minScale = RESOLUTION_SCALE_MIN;    // Range the automatic scaling moves in
+        this.maxScale = 1.0;                     // Native resolution - supersampling only on request
+
+        this.averageFrameTime = TARGET_FRAME_TIME;
+        this.overBudgetTime = 0;                 // Seconds the average has been over budget
+        this.underBudgetTime = 0;                // Seconds it has been under
+        this.ceiling = null;                     // { scale, expires } - scale that proved too slow
+        this.clock = 0;                          // Seconds of measured frames, for the ceiling
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    // FRAME MEASUREMENT
+    // Called once per live frame with the time since the previous one in ms
+    update(frameTime) {
+        const renderer = this.app.renderer;
+        if (this.locked || renderer.fixedResolution) return;
+
+        if (!(frameTime > 0) || frameTime > MAX_MEASURED_FRAME) {
+            this.resetMeasurement();
+            return;
+        }
+
+        const seconds = frameTime / 1000;
+        this.clock += seconds;
+        this.averageFrameTime = SMOOTHING * frameTime + (1 - SMOOTHING) * this.averageFrameTime;
+
+        if (this.averageFrameTime > TARGET_FRAME_TIME * OVER_BUDGET) {
+            this.overBudgetTime += seconds;
+            this.underBudgetTime = 0;
+        } else if (this.averageFrameTime < TARGET_FRAME_TIME * UNDER_BUDGET) {
+            this.underBudgetTime += seconds;
+            this.overBudgetTime = 0;
+        } else {
+            // Dead band - neither direction builds up
+            this.overBudgetTime = 0;
+            this.underBudgetTime = 0;
+        }
+
+        const scale = renderer.resolutionScale;
+        if (this.overBudgetTime >= DOWNGRADE_DELAY && scale > this.minScale) {
+            this.ceiling = { scale, expires: this.clock + CEILING_HOLD };
+            this.applyScale(Math.max(this.minScale, scale * DOWNGRADE_FACTOR));
+        } else if (this.underBudgetTime >= UPGRADE_DELAY && scale < this.maxScale) {
+            if (this.ceiling && this.clock >= this.ceiling.expires) {
+                this.ceiling = null;
+            }
+            const limit = this.ceiling ? this.ceiling.scale * DOWNGRADE_FACTOR : this.maxScale;
+            const next = Math.min(this.maxScale, limit, scale * UPGRADE_FACTOR);
+            if (next > scale + 0.01) {
+                this.applyScale(next);
+            } else {
+                this.underBudgetTime = 0;
+            }
+        }
+    }
+
+    applyScale(scale) {
+        const previous = this.app.renderer.resolutionScale;
+        const applied = this.app.renderer.setResolutionScale(scale);
+        this.resetMeasurement();
+
+        if (applied !== previous && this.app.debugUI && this.app.debugUI.shouldLog('performanceFrames')) {
+            console.log(`📐 Adaptive resolution: ${previous.toFixed(2)}× → ${applied.toFixed(2)}× (${this.app.renderer.canvas.width}x${this.app.renderer.canvas.height})`);
+        }
+    }
+
+    // A new scale needs its own measurements - the old average belongs to the old size
+    resetMeasurement() {
+        this.averageFrameTime = TARGET_FRAME_TIME;
+        this.overBudgetTime = 0;
+        this.underBudgetTime = 0;
+    }
+
+    // QUALITY LOCK
+    toggleLock() {
+        this.locked = !this.locked;
+        this.resetMeasurement();
+
+        const scale = this.app.renderer.resolutionScale.toFixed(2);
+        if (this.locked) {
+            this.app.ui.updateStatus(`🔒 Resolution locked at ${scale}× - Shift+' to change`, 'info');
+        } else {
+            this.app.ui.updateStatus(`📐 Adaptive resolution on (now ${scale}×)`, 'info');
+        }
+    }
+
+    // Lock at the next preset above the current scale, wrapping round to the smallest
+    cycleLockedScale() {
+        const current = this.app.renderer.resolutionScale;
+        const next = RESOLUTION_PRESETS.find(scale => scale > current + 0.01) || RESOLUTION_PRESETS[0];
+        this.setScale(next);
+    }
+
+    // Lock at an explicit scale
+    setScale(scale) {
+        this.locked = true;
+        this.resetMeasurement();
+        const applied = this.app.renderer.setResolutionScale(scale);
+        const canvas = this.app.renderer.canvas;
+        this.app.ui.updateStatus(`🔒 Resolution locked at ${applied.toFixed(2)}× (${canvas.width}x${canvas.height})`, 'info');
+        return applied;
+    }
+
+    // Range the automatic scaling may use, e.g. (0.5, 2.0) to allow supersampling
+    setRange(minScale, maxScale) {
+        this.minScale = Math.max(RESOLUTION_SCALE_MIN, Math.min(minScale, RESOLUTION_SCALE_MAX));
+        this.maxScale = Math.max(this.minScale, Math.min(maxScale, RESOLUTION_SCALE_MAX));
+        this.ceiling = null;
+        this.resetMeasurement();
+        return { minScale: this.minScale, maxScale: this.maxScale };
+    }
+
+    // Whether a slow frame rate is still being dealt with by lowering the resolution
+    canScaleDown() {
+        return !this.locked && this.app.renderer.resolutionScale > this.minScale;
+    }
+
+    getStatus() {
+        const renderer = this.app.renderer;
+        return {
+            scale: renderer.resolutionScale,
+            locked: this.locked,
+            range: [this.minScale, this.maxScale],
+            drawingBuffer: `${renderer.canvas.width}x${renderer.canvas.height}`,
+            devicePixelRatio: window.devicePixelRatio || 1,
+            averageFrameTime: Number(this.averageFrameTime.toFixed(2)),
+            ceiling: this.ceiling ? this.ceiling.scale : null
+        };
+    }
+}
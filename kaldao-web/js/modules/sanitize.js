@@ -0,0 +1,18 @@
+// Plain text and color checks
+// Names and colors from share links, save files and library bundles end up in labels, option
+// lists, style values and shader uniforms - several of them built as HTML strings. Anything
+// that stores such a value checks it here first: names are plain text (no markup or control
+// characters) and colors are #rrggbb, the form the renderer converts.
+
+export const MAX_NAME_LENGTH = 100;
+
+const UNSAFE_CHARACTERS = /[<>"\u0000-\u001f\u007f]/;
+
+export function isPlainName(name, maxLength = MAX_NAME_LENGTH) {
+    return typeof name === 'string' && name.trim().length > 0 && name.length <= maxLength &&
+        !UNSAFE_CHARACTERS.test(name);
+}
+
+export function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+}
@@ -0,0 +1,555 @@
+// Save file schema module
+// Describes the JSON save format, upgrades older files through a chain of migrations and
+// validates every field against the running app before anything reaches ParameterManager
+// or the shader uniforms. Each fix is recorded in a report so the user can see what changed.
+//
+// Format (version 2):
+//   version          - integer format version (files written before versioning count as 1)
+//   parameters       - { paramKey: number } clamped to each parameter's min/max
+//   palette          - { currentPaletteIndex, useColorPalette, invertColors }
+//   layerPalette     - { name, colors: ['#rrggbb', ...] } or absent (share links carry the active one)
+//   audio            - AudioSystem.getState() or null (bandLayout: { id, bands: [{ key, name, label, low, high }] },
+//                      absent in older files, which used the 10-band keys)
+//   timeAccumulation - { camera_position, rotation_time, plane_rotation_time, color_time }
+//   timeline         - { duration, loop, defaultEasing, tracks: { paramKey: [{ time, value, easing }] } } or null
+//                      (TimelineManager.getState())
+//   midi             - { bindings: { 'cc:0:21': { target, key | id } } } or absent (MidiController.getState())
+//   tempo            - { bpm, autoDetect, locks: { paramKey: division } } or absent (TempoTracker.getState())
+//   lfo              - { lfos: [{ id, target, shape, rate, depth, phase, enabled }] } or absent (LFOMatrix.getState())
+//   timestamp, description - informational only
+
+import { DEFAULT_BAND_LAYOUT, createBandLayout, sanitizeBandLayout } from './audio-bands.js';
+import { MAPPING_RESPONSE_LIMITS, RESPONSE_CURVES, RESPONSE_BLENDS } from './audio-response.js';
+import { ONSET_LIMITS, sanitizeTriggers } from './onsets.js';
+import { LFO_SHAPES, LFO_LIMITS, MAX_LFOS } from './lfo.js';
+import { isPlainName, isHexColor } from './sanitize.js';
+import { isTimelineEasing } from './timeline.js';
+
+export const SAVE_FORMAT_VERSION = 2;
+
+// MIGRATIONS
+// SAVE_MIGRATIONS[n] upgrades a version n file to version n + 1 in place.
+// Each returns a short description of what it changed (or null when nothing needed changing).
+const SAVE_MIGRATIONS = {
+    // 1 → 2: files from before color_mode existed only had the use_layer_colors / useColorPalette flags
+    1: (data) => {
+        data.version = 2;
+        if (data.parameters && data.parameters.color_mode === undefined) {
+            const legacyLayerColors = Number(data.parameters.use_layer_colors) > 0.5;
+            const legacyPalette = data.palette && data.palette.useColorPalette === true;
+            data.parameters.color_mode = legacyLayerColors ? 2.0 : (legacyPalette ? 1.0 : 0.0);
+            return `color_mode derived from legacy flags (${data.parameters.color_mode})`;
+        }
+        return null;
+    }
+};
+
+// Files saved before versioning carried app.VERSION (usually missing) - anything that is not a
+// positive integer is treated as the first format
+export function getSaveFormatVersion(saveData) {
+    return Number.isInteger(saveData.version) && saveData.version >= 1 ? saveData.version : 1;
+}
+
+export function createSchemaReport() {
+    return {
+        fromVersion: null,
+        toVersion: SAVE_FORMAT_VERSION,
+        upgraded: [],
+        clamped: [],
+        dropped: []
+    };
+}
+
+export function migrateSaveData(saveData, report = createSchemaReport()) {
+    let version = getSaveFormatVersion(saveData);
+    report.fromVersion = version;
+
+    if (version > SAVE_FORMAT_VERSION) {
+        throw new Error(`File is from a newer format (v${version}) - update Kaldao to load it`);
+    }
+
+    while (version < SAVE_FORMAT_VERSION) {
+        const note = SAVE_MIGRATIONS[version](saveData);
+        report.upgraded.push(`v${version}→v${version + 1}${note ? `: ${note}` : ''}`);
+        version++;
+    }
+
+    saveData.version = SAVE_FORMAT_VERSION;
+    return saveData;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Parameter definition for a key, or null - own properties only, so names inherited from
+// Object.prototype ('constructor', 'toString') count as unknown rather than as definitions
+function getDefinition(context, key) {
+    return Object.prototype.hasOwnProperty.call(context.parameters, key) ? context.parameters[key] : null;
+}
+
+// Report entries are { field, detail } so the status line can list just the field names
+function dropField(report, field, reason) {
+    report.dropped.push({ field, detail: `(${reason})` });
+}
+
+function clampToDefinition(path, value, definition, report) {
+    const clamped = Math.max(definition.min, Math.min(definition.max, value));
+    if (clamped !== value) {
+        report.clamped.push({ field: path, detail: `${value} → ${clamped}` });
+    }
+    return clamped;
+}
+
+// VALIDATION
+// context: { parameters: getAllParameters(), paletteCount, audioControlSources: [...] (mapping sources that are
+//            not bands - band keys come from the file's own band layout), timeAccumulationKeys: [...],
+//            midiTargets: [...], tempoDivisions: [...], tempoSyncParameters: [...], parameterGroups: [...] }
+// Returns { data, report } where data only holds fields that are safe to apply
+export function validateSaveData(rawData, context) {
+    if (!isPlainObject(rawData)) {
+        throw new Error('Save file is not a JSON object');
+    }
+
+    const report = createSchemaReport();
+    const saveData = migrateSaveData(JSON.parse(JSON.stringify(rawData)), report);
+
+    if (!isPlainObject(saveData.parameters)) {
+        throw new Error('Save file has no parameters section');
+    }
+
+    const data = {
+        version: saveData.version,
+        parameters: validateParameters(saveData.parameters, context, report),
+        palette: validatePalette(saveData.palette, context, report),
+        layerPalette: validateLayerPalette(saveData.layerPalette, report),
+        audio: validateAudio(saveData.audio, context, report),
+        timeAccumulation: validateTimeAccumulation(saveData.timeAccumulation, context, report),
+        timeline: validateTimeline(saveData.timeline, context, report),
+        midi: validateMidi(saveData.midi, context, report),
+        tempo: validateTempo(saveData.tempo, context, report),
+        lfo: validateLFO(saveData.lfo, context, report),
+        timestamp: typeof saveData.timestamp === 'string' ? saveData.timestamp : null
+    };
+
+    return { data, report };
+}
+
+function validateParameters(parameters, context, report) {
+    const valid = {};
+
+    Object.entries(parameters).forEach(([key, value]) => {
+        const definition = getDefinition(context, key);
+        if (!definition) {
+            dropField(report, key, 'unknown parameter');
+            return;
+        }
+        if (!isFiniteNumber(value)) {
+            dropField(report, key, 'not a number');
+            return;
+        }
+        valid[key] = clampToDefinition(key, value, definition, report);
+    });
+
+    return valid;
+}
+
+function validatePalette(palette, context, report) {
+    const valid = {};
+    if (palette === undefined) return valid;
+    if (!isPlainObject(palette)) {
+        dropField(report, 'palette', 'not an object');
+        return valid;
+    }
+
+    if (palette.currentPaletteIndex !== undefined) {
+        const index = palette.currentPaletteIndex;
+        if (!Number.isInteger(index)) {
+            dropField(report, 'palette.currentPaletteIndex', 'not an integer');
+        } else {
+            const lastIndex = Math.max(0, context.paletteCount - 1);
+            valid.currentPaletteIndex = Math.max(0, Math.min(lastIndex, index));
+            if (valid.currentPaletteIndex !== index) {
+                report.clamped.push({ field: 'palette.currentPaletteIndex', detail: `${index} → ${valid.currentPaletteIndex}` });
+            }
+        }
+    }
+
+    ['useColorPalette', 'invertColors'].forEach(field => {
+        if (palette[field] === undefined) return;
+        if (typeof palette[field] === 'boolean') {
+            valid[field] = palette[field];
+        } else {
+            dropField(report, `palette.${field}`, 'not true/false');
+        }
+    });
+
+    return valid;
+}
+
+// All or nothing - a layer palette with colors missing would color the layers differently
+function validateLayerPalette(layerPalette, report) {
+    if (layerPalette === undefined || layerPalette === null) return null;
+    if (!isPlainObject(layerPalette)) {
+        dropField(report, 'layerPalette', 'not an object');
+        return null;
+    }
+    if (!isPlainName(layerPalette.name)) {
+        dropField(report, 'layerPalette', 'name is not plain text');
+        return null;
+    }
+    if (!Array.isArray(layerPalette.colors) || layerPalette.colors.length === 0 || !layerPalette.colors.every(isHexColor)) {
+        dropField(report, 'layerPalette', 'colors are not #rrggbb');
+        return null;
+    }
+    return { name: layerPalette.name, colors: [...layerPalette.colors] };
+}
+
+function validateAudio(audio, context, report) {
+    if (audio === undefined || audio === null) return null;
+    if (!isPlainObject(audio)) {
+        dropField(report, 'audio', 'not an object');
+        return null;
+    }
+
+    const valid = { ...audio };
+
+    if (audio.beatDetection !== undefined) {
+        if (isPlainObject(audio.beatDetection)) {
+            valid.beatDetection = {};
+            Object.entries(audio.beatDetection).forEach(([field, value]) => {
+                if (field === 'enabled' ? typeof value === 'boolean' : isFiniteNumber(value)) {
+                    valid.beatDetection[field] = value;
+                } else {
+                    dropField(report, `audio.beatDetection.${field}`, 'invalid value');
+                }
+            });
+        } else {
+            delete valid.beatDetection;
+            dropField(report, 'audio.beatDetection', 'not an object');
+        }
+    }
+
+    // The band layout decides which band keys the mappings below may use (absent: the original 10 bands)
+    let bandLayout = createBandLayout(DEFAULT_BAND_LAYOUT);
+    if (audio.bandLayout !== undefined) {
+        const { layout, problems } = sanitizeBandLayout(audio.bandLayout);
+        problems.forEach(problem => dropField(report, 'audio.bandLayout', problem));
+        if (layout) {
+            valid.bandLayout = bandLayout = layout;
+        } else {
+            delete valid.bandLayout;
+        }
+    }
+    const bandKeys = bandLayout.bands.map(band => band.key);
+    const audioSources = [...bandKeys, ...context.audioControlSources];
+
+    if (audio.onsetDetection !== undefined) {
+        if (isPlainObject(audio.onsetDetection)) {
+            valid.onsetDetection = {};
+            Object.entries(audio.onsetDetection).forEach(([field, value]) => {
+                if (field === 'enabled' ? typeof value === 'boolean' : (['sensitivity', 'minInterval'].includes(field) && isFiniteNumber(value))) {
+                    valid.onsetDetection[field] = field === 'enabled' ? value
+                        : clampToDefinition(`audio.onsetDetection.${field}`, value, ONSET_LIMITS[field], report);
+                } else {
+                    dropField(report, `audio.onsetDetection.${field}`, 'invalid value');
+                }
+            });
+        } else {
+            delete valid.onsetDetection;
+            dropField(report, 'audio.onsetDetection', 'not an object');
+        }
+    }
+
+    if (audio.onsetTriggers !== undefined) {
+        const { triggers, problems } = sanitizeTriggers(audio.onsetTriggers, bandKeys, context.parameterGroups);
+        problems.forEach(problem => dropField(report, 'audio.onsetTriggers', problem));
+        valid.onsetTriggers = triggers;
+    }
+
+    if (audio.parameterMappings !== undefined) {
+        valid.parameterMappings = {};
+        if (!isPlainObject(audio.parameterMappings)) {
+            dropField(report, 'audio.parameterMappings', 'not an object');
+        } else {
+            // Mapping keys are 'paramKey_source' (older files keyed by the parameter alone)
+            Object.entries(audio.parameterMappings).forEach(([mappingKey, mapping]) => {
+                const path = `audio.${mappingKey}`;
+                const paramKey = isPlainObject(mapping) && mapping.paramKey !== undefined ? mapping.paramKey : mappingKey;
+                if (!getDefinition(context, paramKey)) {
+                    dropField(report, path, 'unknown parameter');
+                } else if (!isPlainObject(mapping) || !audioSources.includes(mapping.source)) {
+                    dropField(report, path, `unknown source ${isPlainObject(mapping) ? mapping.source : ''}`);
+                } else if (!isFiniteNumber(mapping.sensitivity)) {
+                    dropField(report, path, 'sensitivity not a number');
+                } else {
+                    valid.parameterMappings[mappingKey] = validateMappingResponse(path, {
+                        ...mapping,
+                        sensitivity: clampToDefinition(`${path} sensitivity`, mapping.sensitivity, { min: 0, max: 3 }, report)
+                    }, report);
+                }
+            });
+        }
+    }
+
+    return valid;
+}
+
+// Envelope, gate, range, curve, invert and blend fields of one mapping (audio-response.js).
+// A bad field is dropped and the mapping falls back to that field's default.
+function validateMappingResponse(path, mapping, report) {
+    const valid = { ...mapping };
+
+    Object.entries(MAPPING_RESPONSE_LIMITS).forEach(([field, limits]) => {
+        if (mapping[field] === undefined) return;
+        if (isFiniteNumber(mapping[field])) {
+            valid[field] = clampToDefinition(`${path} ${field}`, mapping[field], limits, report);
+        } else {
+            delete valid[field];
+            dropField(report, `${path}.${field}`, 'not a number');
+        }
+    });
+
+    const choices = { curve: RESPONSE_CURVES, blend: RESPONSE_BLENDS };
+    Object.entries(choices).forEach(([field, allowed]) => {
+        if (mapping[field] !== undefined && !Object.prototype.hasOwnProperty.call(allowed, mapping[field])) {
+            delete valid[field];
+            dropField(report, `${path}.${field}`, `unknown ${field} ${mapping[field]}`);
+        }
+    });
+
+    if (mapping.invert !== undefined && typeof mapping.invert !== 'boolean') {
+        delete valid.invert;
+        dropField(report, `${path}.invert`, 'not a boolean');
+    }
+
+    return valid;
+}
+
+function validateTimeAccumulation(timeAccumulation, context, report) {
+    if (timeAccumulation === undefined || timeAccumulation === null) return null;
+    if (!isPlainObject(timeAccumulation)) {
+        dropField(report, 'timeAccumulation', 'not an object');
+        return null;
+    }
+
+    const valid = {};
+    Object.entries(timeAccumulation).forEach(([key, value]) => {
+        if (!context.timeAccumulationKeys.includes(key)) {
+            dropField(report, `timeAccumulation.${key}`, 'unknown');
+        } else if (!isFiniteNumber(value)) {
+            dropField(report, `timeAccumulation.${key}`, 'not a number');
+        } else {
+            valid[key] = value;
+        }
+    });
+
+    return valid;
+}
+
+function validateTimeline(timeline, context, report) {
+    if (timeline === undefined || timeline === null) return null;
+    if (!isPlainObject(timeline)) {
+        dropField(report, 'timeline', 'not an object');
+        return null;
+    }
+
+    // Only the fields TimelineManager.getState() writes - anything else in the file is dropped
+    const valid = { tracks: {} };
+    Object.keys(timeline).forEach(field => {
+        if (!['duration', 'loop', 'defaultEasing', 'tracks'].includes(field)) {
+            dropField(report, `timeline.${field}`, 'unknown');
+        }
+    });
+
+    if (timeline.duration !== undefined) {
+        if (isFiniteNumber(timeline.duration)) {
+            valid.duration = timeline.duration;
+        } else {
+            dropField(report, 'timeline.duration', 'not a number');
+        }
+    }
+    if (timeline.loop !== undefined) {
+        if (typeof timeline.loop === 'boolean') {
+            valid.loop = timeline.loop;
+        } else {
+            dropField(report, 'timeline.loop', 'not a boolean');
+        }
+    }
+    if (timeline.defaultEasing !== undefined) {
+        if (isTimelineEasing(timeline.defaultEasing)) {
+            valid.defaultEasing = timeline.defaultEasing;
+        } else {
+            dropField(report, 'timeline.defaultEasing', `unknown easing ${timeline.defaultEasing}`);
+        }
+    }
+
+    Object.entries(isPlainObject(timeline.tracks) ? timeline.tracks : {}).forEach(([paramKey, keyframes]) => {
+        const definition = getDefinition(context, paramKey);
+        if (!definition || !Array.isArray(keyframes)) {
+            dropField(report, `timeline.${paramKey}`, 'unknown parameter');
+            return;
+        }
+
+        valid.tracks[paramKey] = keyframes
+            .filter(keyframe => {
+                const ok = isPlainObject(keyframe) && isFiniteNumber(keyframe.time) && isFiniteNumber(keyframe.value);
+                if (!ok) dropField(report, `timeline.${paramKey}`, 'invalid time/value');
+                return ok;
+            })
+            .map(keyframe => {
+                const path = `timeline.${paramKey}@${keyframe.time}s`;
+                const entry = {
+                    time: keyframe.time,
+                    value: clampToDefinition(path, keyframe.value, definition, report)
+                };
+                // A keyframe without a usable easing falls back to the timeline's default on load
+                if (keyframe.easing !== undefined) {
+                    if (isTimelineEasing(keyframe.easing)) {
+                        entry.easing = keyframe.easing;
+                    } else {
+                        dropField(report, `${path}.easing`, `unknown easing ${keyframe.easing}`);
+                    }
+                }
+                return entry;
+            });
+    });
+
+    return valid;
+}
+
+const MIDI_BINDING_ID = /^(cc|note|bend):([0-9]|1[0-5]):([0-9]|[1-9][0-9]|1[01][0-9]|12[0-7])$/;
+
+function validateMidi(midi, context, report) {
+    if (midi === undefined || midi === null) return null;
+    if (!isPlainObject(midi) || !isPlainObject(midi.bindings)) {
+        dropField(report, 'midi', 'not an object');
+        return null;
+    }
+
+    const bindings = {};
+    Object.entries(midi.bindings).forEach(([id, binding]) => {
+        const path = `midi.${id}`;
+        if (!MIDI_BINDING_ID.test(id)) {
+            dropField(report, path, 'invalid control id');
+        } else if (!isPlainObject(binding) || !context.midiTargets.includes(binding.target)) {
+            dropField(report, path, 'unknown target');
+        } else if (binding.target === 'parameter' && !getDefinition(context, binding.key)) {
+            dropField(report, path, `unknown parameter ${binding.key}`);
+        } else if (binding.target === 'preset' && typeof binding.id !== 'string') {
+            dropField(report, path, 'preset id missing');
+        } else {
+            bindings[id] = binding;
+        }
+    });
+
+    return { bindings };
+}
+
+function validateTempo(tempo, context, report) {
+    if (tempo === undefined || tempo === null) return null;
+    if (!isPlainObject(tempo)) {
+        dropField(report, 'tempo', 'not an object');
+        return null;
+    }
+
+    const valid = { locks: {} };
+    if (tempo.bpm !== undefined) {
+        if (isFiniteNumber(tempo.bpm)) {
+            valid.bpm = clampToDefinition('tempo.bpm', tempo.bpm, { min: 30, max: 300 }, report);
+        } else {
+            dropField(report, 'tempo.bpm', 'not a number');
+        }
+    }
+    if (tempo.autoDetect !== undefined) {
+        if (typeof tempo.autoDetect === 'boolean') {
+            valid.autoDetect = tempo.autoDetect;
+        } else {
+            dropField(report, 'tempo.autoDetect', 'not a boolean');
+        }
+    }
+
+    Object.entries(isPlainObject(tempo.locks) ? tempo.locks : {}).forEach(([paramKey, division]) => {
+        if (!context.tempoSyncParameters.includes(paramKey)) {
+            dropField(report, `tempo.${paramKey}`, 'cannot be tempo-locked');
+        } else if (!context.tempoDivisions.includes(division)) {
+            dropField(report, `tempo.${paramKey}`, `unknown division ${division}`);
+        } else {
+            valid.locks[paramKey] = division;
+        }
+    });
+
+    return valid;
+}
+
+function validateLFO(lfo, context, report) {
+    if (lfo === undefined || lfo === null) return null;
+    if (!isPlainObject(lfo) || !Array.isArray(lfo.lfos)) {
+        dropField(report, 'lfo', 'not an LFO list');
+        return null;
+    }
+
+    const lfos = [];
+    const ids = new Set();
+    lfo.lfos.slice(0, MAX_LFOS).forEach((item, index) => {
+        const path = `lfo.${index + 1}`;
+        if (!isPlainObject(item)) {
+            dropField(report, path, 'not an object');
+        } else if (!getDefinition(context, item.target)) {
+            dropField(report, path, `unknown parameter ${item.target}`);
+        } else if (!Object.prototype.hasOwnProperty.call(LFO_SHAPES, item.shape)) {
+            dropField(report, path, `unknown shape ${item.shape}`);
+        } else if (!Number.isInteger(item.id) || item.id < 1 || ids.has(item.id)) {
+            dropField(report, path, 'missing or duplicate id');
+        } else {
+            ids.add(item.id);
+            const valid = { id: item.id, target: item.target, shape: item.shape, enabled: item.enabled !== false };
+            Object.entries(LFO_LIMITS).forEach(([field, limits]) => {
+                if (isFiniteNumber(item[field])) {
+                    valid[field] = clampToDefinition(`${path}.${field}`, item[field], limits, report);
+                } else if (item[field] !== undefined) {
+                    dropField(report, `${path}.${field}`, 'not a number');
+                }
+            });
+            lfos.push(valid);
+        }
+    });
+    if (lfo.lfos.length > MAX_LFOS) {
+        dropField(report, 'lfo', `only the first ${MAX_LFOS} LFOs are kept`);
+    }
+
+    return { lfos };
+}
+
+// REPORTING
+export function hasSchemaIssues(report) {
+    return report.upgraded.length > 0 || report.clamped.length > 0 || report.dropped.length > 0;
+}
+
+// One status-bar line: "upgraded v1→v2 · clamped fly_speed, zoom_level · dropped old_param"
+export function summarizeSchemaReport(report, maxItems = 3) {
+    const list = (items) => {
+        const names = items.slice(0, maxItems).map(item => item.field);
+        return items.length > maxItems ? `${names.join(', ')} +${items.length - maxItems} more` : names.join(', ');
+    };
+
+    const parts = [];
+    if (report.upgraded.length > 0) parts.push(`upgraded v${report.fromVersion}→v${report.toVersion}`);
+    if (report.clamped.length > 0) parts.push(`clamped ${list(report.clamped)}`);
+    if (report.dropped.length > 0) parts.push(`dropped ${list(report.dropped)}`);
+    return parts.join(' · ');
+}
+
+export function logSchemaReport(report) {
+    if (!hasSchemaIssues(report)) return;
+
+    console.group(`📋 Save file schema report (v${report.fromVersion} → v${report.toVersion})`);
+    report.upgraded.forEach(item => console.log(`⬆️ Upgraded: ${item}`));
+    report.clamped.forEach(item => console.log(`📏 Clamped: ${item.field} ${item.detail}`));
+    report.dropped.forEach(item => console.log(`🗑️ Dropped: ${item.field} ${item.detail}`));
+    console.groupEnd();
+}
@@ -0,0 +1,213 @@
+// Share link codec
+// Encodes the visible state into a short, versioned string for ?kaldao= URLs.
+// Only values that differ from the schema defaults are written, each quantized to its
+// parameter's step, and the JSON payload is deflate-compressed and base64url-encoded.
+//
+// Wire format:  <schemaVersion>[r].<base64url payload>
+//   'r' marks an uncompressed payload (browsers without CompressionStream)
+//   Strings without a '.' are the original btoa(JSON) links and decode as schema version 0
+//
+// Payload (schema 3):
+//   p  - { paramKey: value } for parameters that differ from SHARE_SCHEMA_DEFAULTS[3]
+//   c  - { pi: currentPaletteIndex, ucp: useColorPalette, ic: invertColors } (non-default fields only)
+//   lp - { n: name, c: [hex colors] } active layer palette, present while layer color mode is in use
+//   a  - { paramKey: mapping } audio parameter mappings
+
+export const SHARE_SCHEMA_VERSION = 3;
+
+// Defaults each schema version diffs against. Links encoded under a version must always
+// decode the same way, so these tables are frozen - change defaults by adding a new version.
+const SHARE_SCHEMA_DEFAULTS = {
+    1: {
+        fly_speed: 0.25, contrast: 1.0, kaleidoscope_segments: 10.0,
+        truchet_radius: 0.35, center_fill_radius: 0.0, layer_count: 6,
+        rotation_speed: 0.025, zoom_level: 0.3, color_intensity: 1.0,
+        plane_rotation_speed: 0.5, camera_tilt_x: 0.0, camera_tilt_y: 0.0,
+        camera_roll: 0.0, path_stability: 1.0, path_scale: 1.0, color_speed: 0.5,
+        layer_distance: 0.75, layer_fade_start: 5.0, layer_fade_near: 0.1,
+        layer_alpha_base: 0.5, layer_alpha_range: 0.5, layer_cutoff: 0.95,
+        path_freq_primary: 1.414, path_freq_secondary: 0.866, path_freq_tertiary: 0.707,
+        path_amplitude: 0.075, kaleidoscope_smoothing: 0.05, kaleidoscope_smooth_scale: 20.0,
+        pattern_threshold_full: 0.85, pattern_threshold_partial_a: 0.5, pattern_threshold_partial_b: 0.15,
+        pattern_offset_scale: 1000.0, pattern_base_offset: 0.5,
+        hash_seed_rotation: 1777.0, hash_seed_offset: 2087.0, hash_seed_speed: 3499.0,
+        fov_base: 2.0, fov_distortion: 1.0, perspective_curve: 0.33,
+        aa_multiplier: 3.0, line_width_base: 0.025, detail_frequency: 100.0,
+        truchet_diagonal_threshold: 0.707, use_layer_colors: 0.0, color_mode: 0.0
+    }
+};
+// Schema 2 adds the post-processing parameters
+SHARE_SCHEMA_DEFAULTS[2] = {
+    ...SHARE_SCHEMA_DEFAULTS[1],
+    bloom_intensity: 0.0, bloom_threshold: 0.6, bloom_radius: 2.0, chromatic_aberration: 0.0,
+    film_grain: 0.0, scanlines: 0.0, scanline_spacing: 4, pixelation: 1,
+    vignette_strength: 1.0, vignette_softness: 0.7
+};
+// Schema 3 adds the feedback trails
+SHARE_SCHEMA_DEFAULTS[3] = {
+    ...SHARE_SCHEMA_DEFAULTS[2],
+    feedback_amount: 0.0, feedback_zoom: 1.02, feedback_rotation: 0.0,
+    feedback_hue_shift: 0.0, feedback_displacement: 0.0
+};
+
+const SHARE_PALETTE_DEFAULTS = { pi: 0, ucp: false, ic: false };
+
+// MIGRATIONS
+// SHARE_MIGRATIONS[n] upgrades a schema n payload to schema n + 1.
+// Renamed parameters, changed defaults and new fields are handled here so old links keep loading.
+const SHARE_MIGRATIONS = {
+    // 0 → 1: original exportAsURL links held every parameter plus flat palette flags
+    0: (legacy) => {
+        const payload = { p: { ...(legacy.p || {}) }, c: {} };
+        if (legacy.pi !== undefined) payload.c.pi = legacy.pi;
+        if (legacy.ucp !== undefined) payload.c.ucp = legacy.ucp === 1;
+        if (legacy.ic !== undefined) payload.c.ic = legacy.ic === 1;
+        return payload;
+    },
+    // 1 → 2: same payload - links from before post-processing decode with it at its defaults
+    1: (payload) => payload,
+    // 2 → 3: same again for the feedback trails
+    2: (payload) => payload
+};
+
+// Round to the parameter's step and trim float noise (0.30000000000000004 → 0.3)
+function quantize(value, step) {
+    if (!step || step <= 0) return value;
+    const decimals = Math.max(0, Math.ceil(-Math.log10(step)) + 1);
+    return Number((Math.round(value / step) * step).toFixed(decimals));
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function pipeThrough(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ENCODING
+// snapshot: { parameters: {key: value}, definitions: getAllParameters(), palette: {currentPaletteIndex,
+//             useColorPalette, invertColors}, layerPalette: {name, colors} | null, audioMappings: {},
+//             bandLayout: {id, bands} - only sent with mappings, and only when it isn't the 10-band default }
+export async function encodeShareState(snapshot) {
+    const defaults = SHARE_SCHEMA_DEFAULTS[SHARE_SCHEMA_VERSION];
+    const payload = {};
+
+    const changed = {};
+    Object.entries(snapshot.parameters).forEach(([key, value]) => {
+        const definition = snapshot.definitions[key];
+        if (!definition || typeof value !== 'number') return;
+
+        const defaultValue = defaults[key];
+        if (defaultValue !== undefined && Math.abs(value - defaultValue) < definition.step / 2) return;
+
+        changed[key] = quantize(value, definition.step);
+    });
+    if (Object.keys(changed).length > 0) payload.p = changed;
+
+    const palette = {
+        pi: snapshot.palette.currentPaletteIndex,
+        ucp: !!snapshot.palette.useColorPalette,
+        ic: !!snapshot.palette.invertColors
+    };
+    const paletteChanges = {};
+    Object.keys(palette).forEach(field => {
+        if (palette[field] !== SHARE_PALETTE_DEFAULTS[field]) paletteChanges[field] = palette[field];
+    });
+    if (Object.keys(paletteChanges).length > 0) payload.c = paletteChanges;
+
+    if (snapshot.layerPalette) {
+        payload.lp = { n: snapshot.layerPalette.name, c: [...snapshot.layerPalette.colors] };
+    }
+
+    if (snapshot.audioMappings && Object.keys(snapshot.audioMappings).length > 0) {
+        payload.a = snapshot.audioMappings;
+        if (snapshot.bandLayout && snapshot.bandLayout.id !== 'tenBand') {
+            // Built-in layouts travel by id, edited ones in full
+            payload.b = snapshot.bandLayout.id === 'custom' ? snapshot.bandLayout : snapshot.bandLayout.id;
+        }
+    }
+
+    const json = new TextEncoder().encode(JSON.stringify(payload));
+
+    if (typeof CompressionStream === 'undefined') {
+        return `${SHARE_SCHEMA_VERSION}r.${bytesToBase64Url(json)}`;
+    }
+
+    const compressed = await pipeThrough(json, new CompressionStream('deflate-raw'));
+    return `${SHARE_SCHEMA_VERSION}.${bytesToBase64Url(compressed)}`;
+}
+
+// DECODING
+// Returns { version, migratedFrom, parameters (full set over the current defaults), palette,
+//           layerPalette, audioMappings, bandLayout (id, {id, bands} or null for the 10-band default) }
+//           - or throws if the string cannot be read
+export async function decodeShareState(encoded) {
+    let version;
+    let payload;
+
+    const separator = encoded.indexOf('.');
+    if (separator === -1) {
+        // Schema 0: the original uncompressed btoa(JSON.stringify(state)) links
+        version = 0;
+        payload = JSON.parse(atob(encoded));
+    } else {
+        const header = encoded.slice(0, separator);
+        const match = /^(\d+)(r?)$/.exec(header);
+        if (!match) {
+            throw new Error(`Unrecognised share link header '${header}'`);
+        }
+
+        version = parseInt(match[1], 10);
+        if (version > SHARE_SCHEMA_VERSION) {
+            throw new Error(`Share link is from a newer version (schema ${version})`);
+        }
+
+        let bytes = base64UrlToBytes(encoded.slice(separator + 1));
+        if (!match[2]) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot decompress share links');
+            }
+            bytes = await pipeThrough(bytes, new DecompressionStream('deflate-raw'));
+        }
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    const migratedFrom = version;
+    while (version < SHARE_SCHEMA_VERSION) {
+        payload = SHARE_MIGRATIONS[version](payload);
+        version++;
+    }
+
+    const palette = { ...SHARE_PALETTE_DEFAULTS, ...(payload.c || {}) };
+
+    return {
+        version,
+        migratedFrom,
+        parameters: { ...SHARE_SCHEMA_DEFAULTS[SHARE_SCHEMA_VERSION], ...(payload.p || {}) },
+        palette: {
+            currentPaletteIndex: palette.pi,
+            useColorPalette: palette.ucp,
+            invertColors: palette.ic
+        },
+        layerPalette: payload.lp ? { name: payload.lp.n, colors: payload.lp.c } : null,
+        // Schema 0 links never carried mappings - leave the receiver's own mappings alone
+        audioMappings: payload.a || (migratedFrom === 0 ? null : {}),
+        bandLayout: payload.b || null
+    };
+}
@@ -0,0 +1,163 @@
+// Spectrum analysis core
+// The AnalyserNode algorithm from the Web Audio spec - Blackman window, FFT magnitude / N,
+// temporal smoothing, then dB mapped onto 0-255 between minDecibels and maxDecibels - and the
+// features derived from a spectrum or a block of samples. Shared by the analysis AudioWorklet
+// and the offline export analyser, so live and exported reactivity see the same numbers.
+// Nothing in here touches the DOM or Web Audio: it also runs inside AudioWorkletGlobalScope.
+
+// Layout of the feature frames the analysis worklet posts (a Float32Array): these fixed slots,
+// then one level per band of the current layout, in layout order
+export const FEATURE_INDEX = {
+    level: 0,       // Meter level: max and average of the 0-255 spectrum, as the microphone meter always showed
+    rms: 1,         // Root mean square of the samples since the last frame (0-1)
+    peak: 2,        // Largest absolute sample since the last frame (0-1)
+    centroid: 3,    // Spectral centroid in Hz
+    bass: 4,        // Fixed legacy bands (LEGACY_BANDS)
+    mid: 5,
+    treble: 6,
+    tempoFlux: 7    // Low-bin spectral flux for the tempo tracker
+};
+export const FEATURE_COUNT = 8;
+
+// Centroid mapping source range - log scale, 20 Hz → 0, 20 kHz → 1
+const CENTROID_MIN_HZ = 20;
+const CENTROID_MAX_HZ = 20000;
+
+export function createBlackmanWindow(size) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        const x = i / size;
+        window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * x) + 0.08 * Math.cos(4 * Math.PI * x);
+    }
+    return window;
+}
+
+export class SpectrumAnalyser {
+    constructor(fftSize = 2048, smoothingTimeConstant = 0.8, minDecibels = -100, maxDecibels = -30) {
+        this.fftSize = fftSize;
+        this.frequencyBinCount = fftSize / 2;
+        this.smoothingTimeConstant = smoothingTimeConstant;
+        this.minDecibels = minDecibels;
+        this.maxDecibels = maxDecibels;
+
+        this.window = createBlackmanWindow(fftSize);
+        this.real = new Float32Array(fftSize);
+        this.imag = new Float32Array(fftSize);
+        this.smoothed = new Float32Array(this.frequencyBinCount);
+        this.bytes = new Uint8Array(this.frequencyBinCount);
+    }
+
+    // samples: the fftSize most recent samples, oldest first. Leaves the 0-255 spectrum in this.bytes
+    analyse(samples) {
+        for (let i = 0; i < this.fftSize; i++) {
+            this.real[i] = samples[i] * this.window[i];
+            this.imag[i] = 0;
+        }
+
+        fft(this.real, this.imag);
+
+        const range = this.maxDecibels - this.minDecibels;
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            const magnitude = Math.hypot(this.real[k], this.imag[k]) / this.fftSize;
+            this.smoothed[k] = this.smoothingTimeConstant * this.smoothed[k] + (1 - this.smoothingTimeConstant) * magnitude;
+
+            const decibels = this.smoothed[k] > 0 ? 20 * Math.log10(this.smoothed[k]) : -Infinity;
+            const scaled = Math.floor(255 / range * (decibels - this.minDecibels));
+            this.bytes[k] = Math.max(0, Math.min(255, scaled));
+        }
+    }
+}
+
+// Twiddle factors per FFT size - the analysis worklet runs ~80 FFTs a second, so no trig in the loop
+const twiddleCache = new Map();
+
+function getTwiddles(n) {
+    let twiddles = twiddleCache.get(n);
+    if (!twiddles) {
+        twiddles = { cos: new Float64Array(n / 2), sin: new Float64Array(n / 2) };
+        for (let k = 0; k < n / 2; k++) {
+            twiddles.cos[k] = Math.cos(-2 * Math.PI * k / n);
+            twiddles.sin[k] = Math.sin(-2 * Math.PI * k / n);
+        }
+        twiddleCache.set(n, twiddles);
+    }
+    return twiddles;
+}
+
+// In-place iterative radix-2 FFT
+export function fft(real, imag) {
+    const n = real.length;
+    const twiddles = getTwiddles(n);
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const halfSize = size >> 1;
+        const stride = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < halfSize; k++) {
+                const cos = twiddles.cos[k * stride];
+                const sin = twiddles.sin[k * stride];
+                const evenIndex = start + k;
+                const oddIndex = evenIndex + halfSize;
+                const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+                const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+                real[oddIndex] = real[evenIndex] - oddReal;
+                imag[oddIndex] = imag[evenIndex] - oddImag;
+                real[evenIndex] += oddReal;
+                imag[evenIndex] += oddImag;
+            }
+        }
+    }
+}
+
+// RMS and peak of a block of samples (-1..1)
+export function measureWaveform(samples) {
+    let sumSquares = 0;
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const sample = samples[i];
+        sumSquares += sample * sample;
+        const magnitude = Math.abs(sample);
+        if (magnitude > peak) peak = magnitude;
+    }
+    return {
+        rms: samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0,
+        peak: Math.min(1, peak)
+    };
+}
+
+// Meter level and spectral centroid (Hz) of a 0-255 spectrum, in one pass
+export function measureSpectrum(spectrum, binHz) {
+    let max = 0;
+    let sum = 0;
+    let weightedSum = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+        const value = spectrum[i];
+        if (value > max) max = value;
+        sum += value;
+        weightedSum += value * (i + 0.5) * binHz;
+    }
+    const average = spectrum.length > 0 ? sum / spectrum.length : 0;
+    return {
+        level: Math.min(1, (max * 0.7 + average * 0.3) / 255),
+        centroid: sum > 0 ? weightedSum / sum : 0
+    };
+}
+
+// Centroid in Hz → 0-1 mapping source value (brightness of the sound)
+export function normalizeCentroid(hz) {
+    if (hz <= CENTROID_MIN_HZ) return 0;
+    return Math.min(1, Math.log(hz / CENTROID_MIN_HZ) / Math.log(CENTROID_MAX_HZ / CENTROID_MIN_HZ));
+}
@@ -0,0 +1,437 @@
+// Local persistence module (IndexedDB)
+// Keeps a library of named parameter presets, user-created color and layer palettes and
+// audio mapping sets in the browser, auto-saves a snapshot of the session so a crash or reload
+// comes back where it left off, and moves the whole library in and out as one bundle file.
+// Every record is keyed by name - saving under an existing name replaces it.
+
+import { DEFAULT_BAND_LAYOUT } from './audio-bands.js';
+import { isPlainName, isHexColor } from './sanitize.js';
+import { SAVE_FORMAT_VERSION, validateSaveData, hasSchemaIssues, summarizeSchemaReport } from './save-schema.js';
+
+const DB_NAME = 'kaldao';
+const DB_VERSION = 1;
+const SESSION_KEY = 'autosave';
+const BUNDLE_FORMAT = 'kaldao-library';
+const BUNDLE_VERSION = 1;
+
+// Object stores and what they hold
+const STORES = {
+    presets: 'presets',               // { name, savedAt, data: FileManager.buildSaveData() }
+    palettes: 'palettes',             // { name, savedAt, palette: {name, a, b, c, d} }
+    layerPalettes: 'layerPalettes',   // { name, savedAt, palette: {name, colors} }
+    audioMappings: 'audioMappings',   // { name, savedAt, mappings: AudioSystem.parameterMappings, bandLayout }
+    session: 'session'                // { name: 'autosave', savedAt, data, extras }
+};
+
+// Palettes from bundles (and records stored before these checks) are shown and sent to the
+// shader as they are - cosine coefficients must be three numbers, layer colors #rrggbb
+function isCoefficients(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+function isColorPalette(palette) {
+    return !!palette && isPlainName(palette.name) && ['a', 'b', 'c', 'd'].every(field => isCoefficients(palette[field]));
+}
+
+function isLayerPalette(palette) {
+    return !!palette && isPlainName(palette.name) && Array.isArray(palette.colors) &&
+        palette.colors.length > 0 && palette.colors.every(isHexColor);
+}
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class StorageManager {
+    constructor() {
+        this.app = null;
+        this.db = null;
+        this.available = false;
+
+        // Session autosave
+        this.autosaveEnabled = true;
+        this.autosaveIntervalMs = 5000;
+        this.autosaveTimer = null;
+        this.lastSessionSignature = null;
+        this.lastPaletteSignature = null;
+    }
+
+    async init(app) {
+        this.app = app;
+
+        try {
+            this.db = await this.openDatabase();
+            this.available = true;
+            await this.loadCustomPalettes();
+            console.log('💾 Local storage initialized (IndexedDB)');
+        } catch (error) {
+            // Private browsing or disabled storage - everything else keeps working without persistence
+            console.warn('IndexedDB unavailable, local library disabled:', error);
+            this.available = false;
+        }
+    }
+
+    openDatabase() {
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not supported'));
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.values(STORES).forEach(storeName => {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.createObjectStore(storeName, { keyPath: 'name' });
+                }
+            });
+        };
+        return requestToPromise(request);
+    }
+
+    // LOW-LEVEL RECORD ACCESS
+    async put(storeName, record) {
+        this.ensureAvailable();
+        const transaction = this.db.transaction(storeName, 'readwrite');
+        await requestToPromise(transaction.objectStore(storeName).put({ savedAt: new Date().toISOString(), ...record }));
+    }
+
+    async get(storeName, name) {
+        this.ensureAvailable();
+        const transaction = this.db.transaction(storeName, 'readonly');
+        return requestToPromise(transaction.objectStore(storeName).get(name));
+    }
+
+    async getAll(storeName) {
+        this.ensureAvailable();
+        const transaction = this.db.transaction(storeName, 'readonly');
+        const records = await requestToPromise(transaction.objectStore(storeName).getAll());
+        return records.sort((a, b) => (a.savedAt || '').localeCompare(b.savedAt || ''));
+    }
+
+    async remove(storeName, name) {
+        this.ensureAvailable();
+        const transaction = this.db.transaction(storeName, 'readwrite');
+        await requestToPromise(transaction.objectStore(storeName).delete(name));
+    }
+
+    ensureAvailable() {
+        if (!this.available) {
+            throw new Error('Local storage is not available in this browser');
+        }
+    }
+
+    // PARAMETER PRESETS
+    async savePreset(name) {
+        await this.put(STORES.presets, { name, data: this.app.fileManager.buildSaveData() });
+        this.app.ui.updateStatus(`💾 Saved preset "${name}" to library`, 'success');
+    }
+
+    async listPresets() {
+        return this.available ? this.getAll(STORES.presets) : [];
+    }
+
+    async loadPreset(name) {
+        const record = await this.get(STORES.presets, name);
+        if (!record) {
+            throw new Error(`No preset named "${name}"`);
+        }
+        // Goes through the same schema validation as files
+        this.app.fileManager.applySaveData(record.data, `Preset "${name}"`);
+    }
+
+    async deletePreset(name) {
+        await this.remove(STORES.presets, name);
+        this.app.ui.updateStatus(`🗑️ Deleted preset "${name}"`, 'info');
+    }
+
+    // USER PALETTES
+    // ColorManager marks palettes it creates as custom; those are mirrored here
+    async saveCustomPalettes() {
+        if (!this.available) return;
+
+        const color = this.app.color;
+        const palettes = color.colorPalettes.filter(palette => palette.custom);
+        const layerPalettes = color.layerColorPalettes.filter(palette => palette.custom);
+
+        for (const palette of palettes) {
+            await this.put(STORES.palettes, { name: palette.name, palette: { ...palette } });
+        }
+        for (const palette of layerPalettes) {
+            await this.put(STORES.layerPalettes, { name: palette.name, palette: { ...palette, colors: [...palette.colors] } });
+        }
+    }
+
+    // Append stored palettes after the built-in presets so existing palette indices stay valid
+    async loadCustomPalettes() {
+        const color = this.app.color;
+
+        (await this.getAll(STORES.palettes)).filter(record => isColorPalette(record.palette)).forEach(record => {
+            if (!color.colorPalettes.some(palette => palette.name === record.name)) {
+                color.colorPalettes.push({ ...record.palette, custom: true });
+            }
+        });
+
+        (await this.getAll(STORES.layerPalettes)).filter(record => isLayerPalette(record.palette)).forEach(record => {
+            if (!color.layerColorPalettes.some(palette => palette.name === record.name)) {
+                color.layerColorPalettes.push({ ...record.palette, colors: [...record.palette.colors], custom: true });
+            }
+        });
+
+        this.lastPaletteSignature = this.getPaletteSignature();
+    }
+
+    async deleteCustomPalette(name, layer = false) {
+        await this.remove(layer ? STORES.layerPalettes : STORES.palettes, name);
+    }
+
+    getPaletteSignature() {
+        const color = this.app.color;
+        return JSON.stringify([
+            color.colorPalettes.filter(palette => palette.custom),
+            color.layerColorPalettes.filter(palette => palette.custom)
+        ]);
+    }
+
+    // AUDIO MAPPING SETS
+    async saveMappingSet(name) {
+        await this.put(STORES.audioMappings, {
+            name,
+            mappings: JSON.parse(JSON.stringify(this.app.audio.parameterMappings)),
+            bandLayout: JSON.parse(JSON.stringify(this.app.audio.bandLayout))
+        });
+        this.app.ui.updateStatus(`💾 Saved mapping set "${name}"`, 'success');
+    }
+
+    async listMappingSets() {
+        return this.available ? this.getAll(STORES.audioMappings) : [];
+    }
+
+    async loadMappingSet(name) {
+        const record = await this.get(STORES.audioMappings, name);
+        if (!record) {
+            throw new Error(`No mapping set named "${name}"`);
+        }
+        const { audio, report } = this.validateMappingSet(record);
+        // Sets stored before band layouts existed were made with the 10-band keys
+        this.app.audio.setBandLayout(audio.bandLayout || DEFAULT_BAND_LAYOUT);
+        this.app.audio.parameterMappings = { ...audio.parameterMappings };
+        if (this.app.audio.advancedMenuVisible) {
+            this.app.audio.populateFrequencyMappings();
+        }
+        if (hasSchemaIssues(report)) {
+            this.app.ui.updateStatus(`⚠️ Loaded mapping set "${name}" - ${summarizeSchemaReport(report)}`, 'warning');
+        } else {
+            this.app.ui.updateStatus(`🎵 Loaded mapping set "${name}"`, 'success');
+        }
+    }
+
+    // Mappings and band layout get the same checks as the audio section of a save file.
+    // Returns { audio: { parameterMappings, bandLayout? }, report }; throws if the set is not usable.
+    validateMappingSet(record) {
+        const audio = { parameterMappings: record.mappings };
+        if (record.bandLayout) audio.bandLayout = record.bandLayout;
+
+        const { data, report } = validateSaveData({ version: SAVE_FORMAT_VERSION, parameters: {}, audio }, this.app.fileManager.getSchemaContext());
+        if (!data.audio || !data.audio.parameterMappings) {
+            throw new Error('mapping set has no usable mappings');
+        }
+        return { audio: data.audio, report };
+    }
+
+    async deleteMappingSet(name) {
+        await this.remove(STORES.audioMappings, name);
+        this.app.ui.updateStatus(`🗑️ Deleted mapping set "${name}"`, 'info');
+    }
+
+    // SESSION AUTOSAVE
+    startAutosave() {
+        if (!this.available || this.autosaveTimer) return;
+
+        this.autosaveTimer = setInterval(() => {
+            this.saveSession().catch(error => console.warn('Session autosave failed:', error));
+        }, this.autosaveIntervalMs);
+
+        // Catch the last changes when the tab is hidden or closed
+        const flush = () => {
+            this.saveSession(true).catch(() => {});
+        };
+        window.addEventListener('pagehide', flush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush();
+        });
+    }
+
+    stopAutosave() {
+        if (this.autosaveTimer) {
+            clearInterval(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+    }
+
+    createSessionSnapshot() {
+        return {
+            data: this.app.fileManager.buildSaveData(),
+            extras: {
+                palettes: this.app.parameters.getPalettesState(),
+                currentLayerPaletteIndex: this.app.color.currentLayerPaletteIndex
+            }
+        };
+    }
+
+    // Only writes when something other than the animation clock has changed (unless forced)
+    async saveSession(force = false) {
+        if (!this.available || !this.autosaveEnabled || this.app.exporter.exportInProgress) return;
+
+        const snapshot = this.createSessionSnapshot();
+        const { timestamp, timeAccumulation, ...comparable } = snapshot.data;
+        const signature = JSON.stringify([comparable, snapshot.extras]);
+
+        if (force || signature !== this.lastSessionSignature) {
+            await this.put(STORES.session, { name: SESSION_KEY, ...snapshot });
+            this.lastSessionSignature = signature;
+        }
+
+        const paletteSignature = this.getPaletteSignature();
+        if (paletteSignature !== this.lastPaletteSignature) {
+            await this.saveCustomPalettes();
+            this.lastPaletteSignature = paletteSignature;
+        }
+    }
+
+    async restoreSession() {
+        if (!this.available || !this.autosaveEnabled) return false;
+
+        try {
+            const record = await this.get(STORES.session, SESSION_KEY);
+            if (!record) return false;
+
+            if (record.extras) {
+                // Edited palette colors - only where the palette at that index is still the same one
+                if (Array.isArray(record.extras.palettes)) {
+                    const current = this.app.color.colorPalettes;
+                    this.app.parameters.setPalettesState(record.extras.palettes.map((palette, index) =>
+                        current[index] && current[index].name === palette.name ? palette : current[index]
+                    ).filter(Boolean));
+                }
+                const layerIndex = record.extras.currentLayerPaletteIndex;
+                if (Number.isInteger(layerIndex) && layerIndex >= 0 && layerIndex < this.app.color.layerColorPalettes.length) {
+                    this.app.color.currentLayerPaletteIndex = layerIndex;
+                }
+            }
+
+            this.app.fileManager.applySaveData(record.data, 'Last session');
+            return true;
+        } catch (error) {
+            console.warn('Session restore failed:', error);
+            return false;
+        }
+    }
+
+    async clearSession() {
+        if (!this.available) return;
+        await this.remove(STORES.session, SESSION_KEY);
+        this.lastSessionSignature = null;
+    }
+
+    // LIBRARY BUNDLES
+    // The whole library as one JSON file for backup or moving between browsers
+    async exportBundle() {
+        try {
+            const bundle = {
+                format: BUNDLE_FORMAT,
+                version: BUNDLE_VERSION,
+                exportedAt: new Date().toISOString(),
+                presets: await this.getAll(STORES.presets),
+                palettes: await this.getAll(STORES.palettes),
+                layerPalettes: await this.getAll(STORES.layerPalettes),
+                audioMappings: await this.getAll(STORES.audioMappings)
+            };
+
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `kaldao-library-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+
+            const total = bundle.presets.length + bundle.palettes.length + bundle.layerPalettes.length + bundle.audioMappings.length;
+            this.app.ui.updateStatus(`📦 Exported library (${total} items)`, 'success');
+        } catch (error) {
+            this.app.ui.updateStatus(`❌ Library export failed: ${error.message}`, 'error');
+        }
+    }
+
+    importBundle() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        return new Promise(resolve => {
+            input.onchange = async (event) => {
+                const file = event.target.files[0];
+                if (!file) return resolve(false);
+
+                try {
+                    const bundle = JSON.parse(await file.text());
+                    const counts = await this.importBundleData(bundle);
+                    this.app.ui.updateStatus(
+                        `📦 Imported ${counts.presets} presets, ${counts.palettes} palettes, ${counts.layerPalettes} layer palettes, ${counts.audioMappings} mapping sets`,
+                        'success'
+                    );
+                    resolve(true);
+                } catch (error) {
+                    this.app.ui.updateStatus(`❌ Library import failed: ${error.message}`, 'error');
+                    resolve(false);
+                }
+            };
+            input.click();
+        });
+    }
+
+    async importBundleData(bundle) {
+        if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+            throw new Error('Not a Kaldao library bundle');
+        }
+        if (bundle.version > BUNDLE_VERSION) {
+            throw new Error(`Bundle is from a newer version (v${bundle.version})`);
+        }
+
+        const counts = { presets: 0, palettes: 0, layerPalettes: 0, audioMappings: 0 };
+        const isNamed = record => record && isPlainName(record.name);
+
+        for (const record of (bundle.presets || []).filter(r => isNamed(r) && r.data)) {
+            await this.put(STORES.presets, record);
+            counts.presets++;
+        }
+        for (const record of (bundle.palettes || []).filter(r => isNamed(r) && isColorPalette(r.palette))) {
+            await this.put(STORES.palettes, record);
+            counts.palettes++;
+        }
+        for (const record of (bundle.layerPalettes || []).filter(r => isNamed(r) && isLayerPalette(r.palette))) {
+            await this.put(STORES.layerPalettes, record);
+            counts.layerPalettes++;
+        }
+        for (const record of (bundle.audioMappings || []).filter(isNamed)) {
+            let audio;
+            try {
+                ({ audio } = this.validateMappingSet(record));
+            } catch (error) {
+                console.warn(`Skipping mapping set "${record.name}": ${error.message}`);
+                continue;
+            }
+            await this.put(STORES.audioMappings, { ...record, mappings: audio.parameterMappings, bandLayout: audio.bandLayout });
+            counts.audioMappings++;
+        }
+
+        await this.loadCustomPalettes();
+        return counts;
+    }
+}
@@ -0,0 +1,523 @@
+// Tempo tracking module
+// Estimates the tempo (BPM) and beat phase of the music from the audio analyser, and keeps a
+// running beat clock from them. The clock drives:
+//   - beat / bar / phrase phase as audio mapping sources (0→1 ramps, see TEMPO_SOURCES)
+//   - tempo-locked speeds: fly_speed, rotation_speed and color_speed can move one "cycle"
+//     per musical division (1/4 note, 1 bar, 4 bars) instead of at their own rate
+//
+// Detection: spectral flux of the low bins (kick and bass) forms an onset envelope. Every second
+// the last few seconds of it are autocorrelated to find the beat period, and individual onset
+// peaks nudge the clock's phase onto the beat. When detection fails (ambient, live rooms),
+// tap tempo takes over until detection is switched back on.
+
+// Musical divisions in beats (4/4 time)
+export const TEMPO_DIVISIONS = {
+    beat:   { beats: 1,  label: '1/4' },
+    bar:    { beats: 4,  label: '1 bar' },
+    phrase: { beats: 16, label: '4 bars' }
+};
+
+// Phase ramps exposed to the audio mapping system, by division
+export const TEMPO_SOURCES = {
+    beatPhase: 'beat',
+    barPhase: 'bar',
+    phrasePhase: 'phrase'
+};
+
+// What one tempo-locked "cycle" means for each speed, and which accumulator it drives
+//   fly_speed      - one tunnel layer passes the camera
+//   rotation_speed - one kaleidoscope segment, so the pattern lands back on itself
+//   color_speed    - once through the palette
+export const TEMPO_SYNC_PARAMETERS = {
+    fly_speed: {
+        accumulator: 'camera_position',
+        cycle: (parameters) => parameters.getValue('layer_distance')
+    },
+    rotation_speed: {
+        accumulator: 'rotation_time',
+        cycle: (parameters) => 2 * Math.PI / Math.max(2, parameters.getValue('kaleidoscope_segments'))
+    },
+    color_speed: {
+        accumulator: 'color_time',
+        cycle: () => 1.0
+    }
+};
+
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const ONSET_MAX_HZ = 200;                 // Flux is measured below this - kick drum and bass
+const ENVELOPE_RATE = 100;                // Onset envelope resampled to this rate (Hz) for autocorrelation
+const ENVELOPE_SECONDS = 8;               // Window the tempo is estimated over
+const MIN_ENVELOPE_SECONDS = 4;           // Don't guess from less than this
+const ESTIMATE_INTERVAL_MS = 1000;
+const MIN_CONFIDENCE = 0.1;               // Autocorrelation peak / energy below this is ignored
+const TEMPO_AGREEMENT = 0.04;             // Estimates within 4% count as the same tempo
+const PHASE_GAIN = 0.15;                  // How hard one onset pulls the clock onto the beat
+const LOCK_PULL_RATE = 2.0;               // Per second - how fast locked speeds fall into phase
+const TAP_RESET_MS = 2000;                // A pause this long starts a new tap sequence
+const MAX_TAPS = 8;
+
+// Spectral flux of the low bins: how much they rose since the previous spectrum (0-1).
+// Shared with the analysis worklet, which measures it at audio rate.
+// Returns { flux, lowBins } - pass lowBins back in as `previous` next time.
+export function measureLowBandFlux(spectrum, previous, binHz) {
+    const binCount = Math.max(1, Math.min(spectrum.length, Math.ceil(ONSET_MAX_HZ / binHz)));
+
+    let flux = 0;
+    if (previous && previous.length === binCount) {
+        for (let i = 0; i < binCount; i++) {
+            flux += Math.max(0, spectrum[i] - previous[i]);
+        }
+        flux /= binCount * 255;
+    }
+    return { flux, lowBins: Uint8Array.from(spectrum.subarray(0, binCount)) };
+}
+
+function fract(value) {
+    return value - Math.floor(value);
+}
+
+// Phase difference wrapped into -0.5..0.5
+function wrapPhase(value) {
+    return value - Math.round(value);
+}
+
+// Autocorrelate an onset envelope sampled at `rate` Hz and return the most likely tempo
+// Returns { bpm, confidence } or null when there is nothing periodic in it
+export function estimateTempo(envelope, rate = ENVELOPE_RATE, minBpm = MIN_BPM, maxBpm = MAX_BPM) {
+    const n = envelope.length;
+    const mean = envelope.reduce((sum, value) => sum + value, 0) / n;
+    const signal = envelope.map(value => value - mean);
+
+    let energy = 0;
+    for (let i = 0; i < n; i++) energy += signal[i] * signal[i];
+    if (energy <= 0) return null;
+
+    const minLag = Math.floor(rate * 60 / maxBpm);
+    const maxLag = Math.min(n - 1, Math.ceil(rate * 60 / minBpm));
+    const correlation = {};
+
+    let bestLag = -1;
+    let bestScore = -Infinity;
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < n; i++) sum += signal[i] * signal[i + lag];
+        // Normalise for the shrinking overlap so long lags aren't penalised
+        correlation[lag] = sum * n / (n - lag);
+
+        if (lag < minLag || lag > maxLag) continue;
+
+        // Gentle preference for tempos near 120 BPM settles octave ambiguity (60 vs 120 vs 240)
+        const octaves = Math.log2((rate * 60 / lag) / 120);
+        const score = correlation[lag] * Math.exp(-0.5 * octaves * octaves);
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+
+    if (bestLag < 0 || correlation[bestLag] <= 0) return null;
+
+    // Parabolic interpolation between neighbouring lags for sub-sample precision
+    const before = correlation[bestLag - 1];
+    const peak = correlation[bestLag];
+    const after = correlation[bestLag + 1];
+    const curvature = before - 2 * peak + after;
+    const offset = curvature < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (before - after) / curvature)) : 0;
+
+    return {
+        bpm: rate * 60 / (bestLag + offset),
+        confidence: Math.max(0, Math.min(1, peak / energy))
+    };
+}
+
+export class TempoTracker {
+    constructor() {
+        this.app = null;
+
+        // Tempo estimate
+        this.bpm = 120;
+        this.confidence = 0;
+        this.source = 'default';          // 'default' | 'detected' | 'tap'
+        this.autoDetect = true;
+
+        // Beat clock - beats since start; beat/bar/phrase phases are derived from it
+        this.beatPosition = 0;
+
+        // paramKey -> division name for tempo-locked speeds
+        this.locks = {};
+
+        // Detection state
+        this.onsetSamples = [];           // { time, value } over the last ENVELOPE_SECONDS
+        this.previousSpectrum = null;
+        this.fluxMean = 0;
+        this.fluxVariance = 0;
+        this.lastOnsetTime = -Infinity;
+        this.lastEstimateTime = -Infinity;
+        this.candidateBpm = null;
+
+        // Tap tempo
+        this.taps = [];
+        this.tapDownbeat = 0;
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    // BEAT CLOCK
+    // Advance by deltaTime seconds of real (music) time
+    update(deltaTime) {
+        this.beatPosition += deltaTime * this.bpm / 60;
+    }
+
+    getPhase(division) {
+        return fract(this.beatPosition / TEMPO_DIVISIONS[division].beats);
+    }
+
+    // Value of a tempo mapping source ('beatPhase', 'barPhase', 'phrasePhase')
+    getModulation(source) {
+        const division = TEMPO_SOURCES[source];
+        return division ? this.getPhase(division) : 0;
+    }
+
+    // DETECTION
+    // Called by AudioSystem.analyzeAudio with each fresh spectrum (0-255 bytes)
+    // when the spectrum is read on the main thread
+    analyzeSpectrum(spectrum, binHz, time) {
+        const { flux, lowBins } = measureLowBandFlux(spectrum, this.previousSpectrum, binHz);
+        this.previousSpectrum = lowBins;
+        this.analyzeFlux(flux, time);
+    }
+
+    // One onset envelope sample. The analysis worklet measures several per video frame, each
+    // stamped with the moment it was heard (time) - earlier than the current clock (now) - so
+    // the phase correction compares the onset with where the beat clock stood at that moment
+    analyzeFlux(flux, time, now = time) {
+        this.onsetSamples.push({ time, value: flux });
+        while (this.onsetSamples.length > 0 && this.onsetSamples[0].time < time - ENVELOPE_SECONDS * 1000) {
+            this.onsetSamples.shift();
+        }
+
+        if (!this.autoDetect) return;
+
+        // Onset peaks pull the beat clock's phase onto the beat
+        const deviation = flux - this.fluxMean;
+        const isOnset = deviation > 1.5 * Math.sqrt(this.fluxVariance) && flux > 0.01;
+        this.fluxMean += 0.05 * deviation;
+        this.fluxVariance += 0.05 * (deviation * deviation - this.fluxVariance);
+
+        if (isOnset && time - this.lastOnsetTime > 30000 / this.bpm) {
+            this.lastOnsetTime = time;
+            if (this.confidence >= MIN_CONFIDENCE) {
+                const heardBeatsAgo = Math.max(0, now - time) / 1000 * this.bpm / 60;
+                const error = wrapPhase(this.beatPosition - heardBeatsAgo);
+                if (Math.abs(error) < 0.3) {
+                    this.beatPosition -= error * PHASE_GAIN;
+                }
+            }
+        }
+
+        if (time - this.lastEstimateTime >= ESTIMATE_INTERVAL_MS) {
+            this.lastEstimateTime = time;
+            this.updateEstimate(time);
+        }
+    }
+
+    updateEstimate(time) {
+        const envelope = this.getEnvelope(time);
+        if (!envelope) return;
+
+        const estimate = estimateTempo(envelope);
+        if (!estimate) return;
+
+        this.confidence = estimate.confidence;
+        if (estimate.confidence < MIN_CONFIDENCE) return;
+
+        const agrees = (a, b) => Math.abs(a - b) / b < TEMPO_AGREEMENT;
+        if (this.source === 'detected' && agrees(estimate.bpm, this.bpm)) {
+            // Same tempo - refine
+            this.bpm += 0.3 * (estimate.bpm - this.bpm);
+        } else if (this.source !== 'detected' || (this.candidateBpm && agrees(estimate.bpm, this.candidateBpm))) {
+            // A new tempo has to be seen twice in a row before the clock jumps to it
+            this.bpm = estimate.bpm;
+            this.source = 'detected';
+            this.candidateBpm = null;
+        } else {
+            this.candidateBpm = estimate.bpm;
+        }
+    }
+
+    // Resample the irregular per-frame onset samples onto a fixed ENVELOPE_RATE grid
+    getEnvelope(time) {
+        if (this.onsetSamples.length < 2) return null;
+
+        const start = Math.max(this.onsetSamples[0].time, time - ENVELOPE_SECONDS * 1000);
+        const length = Math.floor((time - start) * ENVELOPE_RATE / 1000);
+        if (length < MIN_ENVELOPE_SECONDS * ENVELOPE_RATE) return null;
+
+        const envelope = new Array(length).fill(0);
+        this.onsetSamples.forEach(sample => {
+            const slot = Math.floor((sample.time - start) * ENVELOPE_RATE / 1000);
+            if (slot >= 0 && slot < length) {
+                envelope[slot] = Math.max(envelope[slot], sample.value);
+            }
+        });
+        return envelope;
+    }
+
+    // Forget the onset history (a new audio source, or an offline export starting)
+    resetDetection() {
+        this.onsetSamples = [];
+        this.previousSpectrum = null;
+        this.fluxMean = 0;
+        this.fluxVariance = 0;
+        this.lastOnsetTime = -Infinity;
+        this.lastEstimateTime = -Infinity;
+        this.candidateBpm = null;
+    }
+
+    // TAP TEMPO
+    // The first tap of a sequence marks a downbeat; each following tap lands on the next beat
+    tap(now = performance.now()) {
+        if (this.taps.length > 0 && now - this.taps[this.taps.length - 1] > TAP_RESET_MS) {
+            this.taps = [];
+        }
+        this.taps.push(now);
+        if (this.taps.length > MAX_TAPS) {
+            this.taps.shift();
+            this.tapDownbeat++;
+        }
+
+        if (this.taps.length === 1) {
+            this.tapDownbeat = Math.round(this.beatPosition / TEMPO_DIVISIONS.bar.beats) * TEMPO_DIVISIONS.bar.beats;
+            this.beatPosition = this.tapDownbeat;
+            this.app.ui.updateStatus(`🥁 Tap... (${this.bpm.toFixed(1)} BPM)`, 'info');
+            return;
+        }
+
+        const averageInterval = (now - this.taps[0]) / (this.taps.length - 1);
+        this.bpm = Math.max(30, Math.min(300, 60000 / averageInterval));
+        this.beatPosition = this.tapDownbeat + this.taps.length - 1;
+        this.source = 'tap';
+        this.autoDetect = false;
+
+        this.app.ui.updateStatus(`🥁 ${this.bpm.toFixed(1)} BPM (tapped) - Shift+J returns to detection`, 'info');
+    }
+
+    toggleAutoDetect() {
+        this.autoDetect = !this.autoDetect;
+        if (this.autoDetect) {
+            this.resetDetection();
+            this.source = 'default';
+        }
+        this.app.ui.updateStatus(
+            this.autoDetect ? '🥁 Tempo detection on' : `🥁 Tempo detection off - holding ${this.bpm.toFixed(1)} BPM`,
+            'info'
+        );
+    }
+
+    setBPM(bpm) {
+        this.bpm = Math.max(30, Math.min(300, Number(bpm) || 120));
+        this.source = 'tap';
+        this.autoDetect = false;
+    }
+
+    // TEMPO-LOCKED SPEEDS
+    setLock(key, division) {
+        if (!TEMPO_SYNC_PARAMETERS[key]) {
+            throw new Error(`Tempo lock works on ${Object.keys(TEMPO_SYNC_PARAMETERS).join(', ')}`);
+        }
+        if (division && !TEMPO_DIVISIONS[division]) {
+            throw new Error(`Unknown division '${division}' (${Object.keys(TEMPO_DIVISIONS).join(', ')})`);
+        }
+
+        if (division) {
+            this.locks[key] = division;
+        } else {
+            delete this.locks[key];
+        }
+    }
+
+    // Off → 1/4 → 1 bar → 4 bars → off, for the parameter selected in the main or debug menu
+    cycleSelectedLock() {
+        const key = this.app.debugUI.getCurrentSelectedParameterKey();
+        const param = this.app.parameters.getParameter(key);
+
+        if (!TEMPO_SYNC_PARAMETERS[key]) {
+            const names = Object.keys(TEMPO_SYNC_PARAMETERS).map(syncKey => this.app.parameters.getParameter(syncKey).name);
+            this.app.ui.updateStatus(`🥁 Tempo lock works on ${names.join(', ')}`, 'warning');
+            return;
+        }
+
+        const order = [null, ...Object.keys(TEMPO_DIVISIONS)];
+        const next = order[(order.indexOf(this.locks[key] || null) + 1) % order.length];
+        this.setLock(key, next);
+
+        this.app.ui.updateStatus(
+            next ? `🥁 ${param.name} locked to ${TEMPO_DIVISIONS[next].label} (${this.bpm.toFixed(1)} BPM)` : `🥁 ${param.name} unlocked`,
+            'info'
+        );
+        this.updateMenuSection();
+    }
+
+    // Accumulator advance for a locked speed this frame, or null when it isn't locked.
+    // Moves one cycle per division at the current tempo (in the direction of the speed's sign)
+    // and eases the accumulator's phase onto the beat clock so cycles land on the beat.
+    getSyncedAdvance(key, deltaTime) {
+        const division = this.locks[key];
+        if (!division) return null;
+
+        const parameters = this.app.parameters;
+        const sync = TEMPO_SYNC_PARAMETERS[key];
+        const cycle = sync.cycle(parameters);
+        if (!(cycle > 0)) return null;
+
+        const direction = parameters.getBaseValue(key) < 0 ? -1 : 1;
+        const beats = TEMPO_DIVISIONS[division].beats;
+
+        // The clock has already moved on this frame - compare against where this advance lands
+        const cycles = deltaTime * this.bpm / 60 / beats;
+        const cyclesDone = direction * parameters.timeAccumulation[sync.accumulator] / cycle + cycles;
+        const phaseError = wrapPhase(this.getPhase(division) - fract(cyclesDone));
+
+        return direction * cycle * (cycles + phaseError * Math.min(1, deltaTime * LOCK_PULL_RATE));
+    }
+
+    // ADVANCED AUDIO MENU SECTION
+    getMenuSectionHTML() {
+        const lockSelects = Object.keys(TEMPO_SYNC_PARAMETERS).map(key => {
+            const param = this.app.parameters.getParameter(key);
+            const options = [`<option value="">Free</option>`, ...Object.entries(TEMPO_DIVISIONS).map(([division, info]) =>
+                `<option value="${division}" ${this.locks[key] === division ? 'selected' : ''}>${info.label}</option>`
+            )].join('');
+            return `
+                <label style="display: flex; justify-content: space-between; align-items: center; font-size: 10px; gap: 6px;">
+                    ${param.name}
+                    <select class="tempo-lock-select" data-param="${key}" style="padding: 2px; background: #333; border: 1px solid #555; color: #fff; border-radius: 2px; font-size: 9px;">${options}</select>
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div style="background: rgba(40, 40, 40, 0.2); border-radius: 6px; padding: 12px; border: 1px solid #444;">
+                <h3 style="color: #E91E63; margin-bottom: 10px; font-size: 14px;">🥁 Tempo</h3>
+
+                <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                    <span id="tempoReadout" style="flex: 1; font-size: 12px;"></span>
+                    <span id="tempoBeatDots" style="display: flex; gap: 3px;">
+                        ${[0, 1, 2, 3].map(() => '<span style="width: 8px; height: 8px; border-radius: 50%; background: #333;"></span>').join('')}
+                    </span>
+                </div>
+
+                <div style="display: flex; gap: 6px; align-items: center; margin-bottom: 8px;">
+                    <button id="tempoTap" style="flex: 1; padding: 6px; background: #E91E63; color: #fff; border: none; border-radius: 4px; cursor: pointer; font-family: 'Courier New', monospace; font-size: 10px;">Tap (J)</button>
+                    <label style="display: flex; align-items: center; font-size: 10px;">
+                        <input type="checkbox" id="tempoAutoToggle" ${this.autoDetect ? 'checked' : ''} style="margin-right: 4px;">
+                        Detect
+                    </label>
+                </div>
+
+                <div style="display: flex; flex-direction: column; gap: 4px;">
+                    ${lockSelects}
+                </div>
+            </div>
+        `;
+    }
+
+    setupMenuSectionHandlers() {
+        const tapBtn = document.getElementById('tempoTap');
+        if (tapBtn) {
+            tapBtn.onclick = () => this.tap();
+        }
+
+        const autoToggle = document.getElementById('tempoAutoToggle');
+        if (autoToggle) {
+            autoToggle.onchange = () => {
+                if (autoToggle.checked !== this.autoDetect) this.toggleAutoDetect();
+            };
+        }
+
+        document.querySelectorAll('.tempo-lock-select').forEach(select => {
+            select.onchange = () => {
+                this.setLock(select.dataset.param, select.value || null);
+                select.blur();
+            };
+        });
+
+        this.updateMenuSection();
+    }
+
+    updateMenuSection() {
+        const readout = document.getElementById('tempoReadout');
+        if (!readout) return;
+
+        const sourceLabel = this.source === 'detected'
+            ? `detected ${Math.round(this.confidence * 100)}%`
+            : (this.source === 'tap' ? 'tapped' : 'default');
+        readout.textContent = `${this.bpm.toFixed(1)} BPM • ${sourceLabel}`;
+
+        const beatInBar = Math.floor(this.getPhase('bar') * TEMPO_DIVISIONS.bar.beats);
+        const dots = document.getElementById('tempoBeatDots');
+        if (dots) {
+            Array.from(dots.children).forEach((dot, index) => {
+                dot.style.background = index === beatInBar ? (index === 0 ? '#E91E63' : '#4CAF50') : '#333';
+            });
+        }
+
+        const autoToggle = document.getElementById('tempoAutoToggle');
+        if (autoToggle) autoToggle.checked = this.autoDetect;
+
+        document.querySelectorAll('.tempo-lock-select').forEach(select => {
+            if (document.activeElement !== select) select.value = this.locks[select.dataset.param] || '';
+        });
+    }
+
+    // STATE (saved with parameter files and the session autosave)
+    getState() {
+        return {
+            bpm: this.bpm,
+            autoDetect: this.autoDetect,
+            locks: { ...this.locks }
+        };
+    }
+
+    setState(state) {
+        if (!state) return;
+
+        if (state.bpm !== undefined) {
+            this.bpm = state.bpm;
+        }
+        if (state.autoDetect !== undefined) {
+            this.autoDetect = state.autoDetect;
+            this.source = state.autoDetect ? 'default' : 'tap';
+        }
+        if (state.locks) {
+            this.locks = { ...state.locks };
+        }
+    }
+
+    // SNAPSHOT (offline export runs the tracker on the export clock and its own audio -
+    // the exporter puts the live estimate, beat clock and detection history back afterwards)
+    getSnapshot() {
+        return {
+            bpm: this.bpm,
+            confidence: this.confidence,
+            source: this.source,
+            autoDetect: this.autoDetect,
+            beatPosition: this.beatPosition,
+            onsetSamples: [...this.onsetSamples],
+            previousSpectrum: this.previousSpectrum,
+            fluxMean: this.fluxMean,
+            fluxVariance: this.fluxVariance,
+            lastOnsetTime: this.lastOnsetTime,
+            lastEstimateTime: this.lastEstimateTime,
+            candidateBpm: this.candidateBpm
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        Object.assign(this, snapshot, { onsetSamples: [...snapshot.onsetSamples] });
+        this.updateMenuSection();
+    }
+}
@@ -0,0 +1,550 @@
+// Timeline and Keyframe Automation Module
+// This module lets any parameter (artistic or debug) follow a recorded curve over time
+// instead of being driven by hand from the arrow keys.
+//
+// CONCEPTUAL FRAMEWORK:
+// Think of the timeline as a multitrack tape machine. Each parameter gets its own "track",
+// and each track holds keyframes (time, value, easing). While the tape rolls, the playhead
+// moves forward and every track writes its interpolated value into the ParameterManager.
+// Audio modifiers still sit on top of those values, so automation and reactivity combine.
+
+// EASING CURVES
+// Each easing function maps normalized progress (0-1) between two keyframes to a blend factor
+// The easing belongs to the keyframe the curve is travelling TOWARDS
+export const TIMELINE_EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    smooth: (t) => t * t * (3 - 2 * t),
+    step: (t) => t < 1 ? 0 : 1
+};
+
+// Own keys only - 'toString' or 'constructor' from a file must not pass for an easing
+export function isTimelineEasing(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(TIMELINE_EASINGS, name);
+}
+
+export class TimelineManager {
+    constructor() {
+        this.app = null;
+
+        // Track storage - one sorted keyframe array per parameter key
+        // Example: { fly_speed: [{ time: 0, value: 0.25, easing: 'linear' }, ...] }
+        this.tracks = {};
+
+        // Transport state
+        this.duration = 30.0;              // Timeline length in seconds
+        this.playhead = 0.0;               // Current position in seconds
+        this.playing = false;              // Whether the playhead advances each frame
+        this.loop = true;                  // Wrap to the start when reaching the end
+        this.defaultEasing = 'easeInOut';  // Easing used for newly recorded keyframes
+
+        // Panel state
+        this.timelinePanelVisible = false;
+        this.panelUpdateInterval = null;
+    }
+
+    init(app) {
+        this.app = app;
+    }
+
+    // KEYFRAME EDITING
+    // Keyframes are kept sorted by time so evaluation can walk each track in order.
+    // Keyframes past the end of the timeline are kept as they are - they are skipped while the
+    // timeline is shorter and come back when it is lengthened again.
+
+    addKeyframe(paramKey, time = this.playhead, value = null, easing = this.defaultEasing) {
+        const param = this.app.parameters.getParameter(paramKey);
+        if (!param) return null;
+
+        const keyTime = Math.max(0, time);
+        const keyValue = value !== null ? value : this.app.parameters.getBaseValue(paramKey);
+        const keyEasing = isTimelineEasing(easing) ? easing : 'linear';
+
+        if (!this.tracks[paramKey]) {
+            this.tracks[paramKey] = [];
+        }
+
+        const track = this.tracks[paramKey];
+
+        // Replace an existing keyframe at (almost) the same time instead of stacking duplicates
+        const existing = track.find(keyframe => Math.abs(keyframe.time - keyTime) < 0.01);
+        if (existing) {
+            existing.value = keyValue;
+            existing.easing = keyEasing;
+            return existing;
+        }
+
+        const keyframe = { time: keyTime, value: keyValue, easing: keyEasing };
+        track.push(keyframe);
+        track.sort((a, b) => a.time - b.time);
+
+        return keyframe;
+    }
+
+    removeKeyframe(paramKey, index) {
+        const track = this.tracks[paramKey];
+        if (!track || !track[index]) return;
+
+        track.splice(index, 1);
+        if (track.length === 0) {
+            delete this.tracks[paramKey];
+        }
+    }
+
+    // Remove the keyframe closest to the playhead on the given track (within half a second)
+    removeKeyframeNearPlayhead(paramKey) {
+        const track = this.tracks[paramKey];
+        if (!track) return false;
+
+        let closestIndex = -1;
+        let closestDistance = 0.5;
+        track.forEach((keyframe, index) => {
+            const distance = Math.abs(keyframe.time - this.playhead);
+            if (distance <= closestDistance) {
+                closestDistance = distance;
+                closestIndex = index;
+            }
+        });
+
+        if (closestIndex === -1) return false;
+
+        this.removeKeyframe(paramKey, closestIndex);
+        return true;
+    }
+
+    clearTrack(paramKey) {
+        delete this.tracks[paramKey];
+    }
+
+    clearAllTracks() {
+        this.tracks = {};
+    }
+
+    hasTracks() {
+        return Object.keys(this.tracks).length > 0;
+    }
+
+    // TRACK EVALUATION
+    // Returns the interpolated value of a track at the given time, from the keyframes
+    // within the timeline's length
+    evaluate(paramKey, time) {
+        const track = (this.tracks[paramKey] || []).filter(keyframe => keyframe.time <= this.duration);
+        if (track.length === 0) return null;
+
+        // Hold the first/last value outside the keyed range
+        if (time <= track[0].time) return track[0].value;
+        const last = track[track.length - 1];
+        if (time >= last.time) return last.value;
+
+        for (let i = 0; i < track.length - 1; i++) {
+            const from = track[i];
+            const to = track[i + 1];
+
+            if (time >= from.time && time <= to.time) {
+                const span = to.time - from.time;
+                const progress = span > 0 ? (time - from.time) / span : 1;
+                const ease = isTimelineEasing(to.easing) ? TIMELINE_EASINGS[to.easing] : TIMELINE_EASINGS.linear;
+                return from.value + (to.value - from.value) * ease(progress);
+            }
+        }
+
+        return last.value;
+    }
+
+    // Write every track's value at the current playhead into the parameter system
+    // setValue handles clamping and special constraints (even kaleidoscope segments, etc.)
+    applyAtPlayhead() {
+        Object.keys(this.tracks).forEach(paramKey => {
+            const value = this.evaluate(paramKey, this.playhead);
+            if (value !== null) {
+                this.app.parameters.setValue(paramKey, value);
+            }
+        });
+    }
+
+    // MAIN LOOP HOOK
+    // Called once per frame from KaldaoApp.startRenderLoop before audio reactivity
+    update(deltaTime) {
+        if (!this.playing || !this.hasTracks()) return;
+
+        this.playhead += deltaTime;
+
+        if (this.playhead >= this.duration) {
+            if (this.loop) {
+                this.playhead = this.playhead % this.duration;
+            } else {
+                this.playhead = this.duration;
+                this.playing = false;
+                this.app.ui.updateStatus('⏹️ Timeline finished', 'info');
+            }
+        }
+
+        this.applyAtPlayhead();
+    }
+
+    // TRANSPORT CONTROLS
+
+    togglePlayback() {
+        if (!this.hasTracks()) {
+            this.app.ui.updateStatus('Timeline is empty - press K to add a keyframe', 'info');
+            return;
+        }
+
+        this.playing = !this.playing;
+
+        // Restart from the top if playback was left parked at the end
+        if (this.playing && !this.loop && this.playhead >= this.duration) {
+            this.playhead = 0;
+        }
+
+        this.app.ui.updateStatus(this.playing ? '▶️ Timeline playing' : '⏸️ Timeline paused', 'info');
+        this.updateTimelinePanel();
+    }
+
+    stop() {
+        this.playing = false;
+        this.seek(0);
+    }
+
+    // Move the playhead and immediately apply the automated values (scrubbing)
+    seek(time) {
+        this.playhead = Math.max(0, Math.min(this.duration, time));
+        this.applyAtPlayhead();
+        this.app.ui.updateDisplay();
+        this.app.debugUI.updateSelectionOnly();
+    }
+
+    setDuration(seconds) {
+        this.duration = Math.max(1, seconds);
+        this.playhead = Math.min(this.playhead, this.duration);
+
+        // Keyframes past the new end keep their times - say so rather than letting them vanish
+        const hidden = this.countKeyframesPastEnd();
+        if (hidden > 0) {
+            this.app.ui.updateStatus(`⏱️ ${hidden} keyframe${hidden === 1 ? '' : 's'} past ${this.duration}s - kept, and back when the timeline is longer`, 'info');
+        }
+    }
+
+    countKeyframesPastEnd() {
+        return Object.values(this.tracks).reduce((count, track) =>
+            count + track.filter(keyframe => keyframe.time > this.duration).length, 0);
+    }
+
+    // Record the currently selected parameter (artistic or debug) at the playhead
+    keyCurrentParameter() {
+        const paramKey = this.getSelectedParameterKey();
+        if (!paramKey) return;
+
+        const param = this.app.parameters.getParameter(paramKey);
+        const keyframe = this.addKeyframe(paramKey);
+
+        if (keyframe) {
+            this.app.ui.updateStatus(`🔑 Keyed ${param.name} = ${keyframe.value.toFixed(3)} @ ${keyframe.time.toFixed(2)}s`, 'success');
+            this.updateTimelinePanel();
+        }
+    }
+
+    getSelectedParameterKey() {
+        if (this.app.debugMode) {
+            const keys = this.app.debugUI.allDebugKeys;
+            return keys[this.app.debugUI.currentDebugParameterIndex] || null;
+        }
+
+        const paramKeys = this.app.parameters.getParameterKeys();
+        return paramKeys[this.app.currentParameterIndex] || null;
+    }
+
+    // STATE MANAGEMENT
+    // Timelines are saved alongside the parameter JSON written by FileManager.saveParameters
+    getState() {
+        return {
+            duration: this.duration,
+            loop: this.loop,
+            defaultEasing: this.defaultEasing,
+            tracks: JSON.parse(JSON.stringify(this.tracks))
+        };
+    }
+
+    setState(state) {
+        if (!state) return;
+
+        this.playing = false;
+
+        if (state.duration !== undefined) {
+            this.duration = Math.max(1, state.duration);
+        }
+        if (state.loop !== undefined) {
+            this.loop = state.loop;
+        }
+        if (isTimelineEasing(state.defaultEasing)) {
+            this.defaultEasing = state.defaultEasing;
+        }
+
+        this.tracks = {};
+        if (state.tracks) {
+            Object.entries(state.tracks).forEach(([paramKey, keyframes]) => {
+                // Drop tracks for parameters this version no longer knows about
+                if (!this.app.parameters.getParameter(paramKey) || !Array.isArray(keyframes)) return;
+
+                keyframes.forEach(keyframe => {
+                    this.addKeyframe(paramKey, keyframe.time, keyframe.value, keyframe.easing);
+                });
+            });
+        }
+
+        this.playhead = Math.min(this.playhead, this.duration);
+        this.updateTimelinePanel();
+    }
+
+    // TIMELINE PANEL
+    // A docked panel along the bottom of the screen so the visuals stay visible while scrubbing
+
+    toggleTimelinePanel() {
+        if (this.timelinePanelVisible) {
+            this.hideTimelinePanel();
+        } else {
+            this.showTimelinePanel();
+        }
+    }
+
+    showTimelinePanel() {
+        if (this.timelinePanelVisible) return;
+
+        const panel = document.createElement('div');
+        panel.id = 'timelinePanel';
+        // Styles are handled in timeline-menu.css
+
+        const easingOptions = Object.keys(TIMELINE_EASINGS).map(easing =>
+            `<option value="${easing}" ${easing === this.defaultEasing ? 'selected' : ''}>${easing}</option>`
+        ).join('');
+
+        panel.innerHTML = `
+            <div class="timeline-header">
+                <h3 class="timeline-title">🎞️ Timeline Automation</h3>
+                <button id="timelineClose" class="timeline-button timeline-button-close">✕ Close</button>
+            </div>
+
+            <div class="timeline-transport">
+                <button id="timelinePlay" class="timeline-button">▶ Play</button>
+                <button id="timelineStop" class="timeline-button">⏹ Stop</button>
+                <button id="timelineKey" class="timeline-button timeline-button-key">🔑 Key Selected</button>
+                <input type="range" id="timelineScrub" class="timeline-scrub" min="0" max="${this.duration}" step="0.01" value="${this.playhead}">
+                <span id="timelineTime" class="timeline-time">0.00s</span>
+            </div>
+
+            <div class="timeline-options">
+                <label>Length (s): <input type="number" id="timelineDuration" min="1" max="3600" step="1" value="${this.duration}"></label>
+                <label><input type="checkbox" id="timelineLoop" ${this.loop ? 'checked' : ''}> Loop</label>
+                <label>Easing: <select id="timelineEasing">${easingOptions}</select></label>
+                <button id="timelineClearAll" class="timeline-button timeline-button-danger">Clear All</button>
+            </div>
+
+            <div id="timelineTracks" class="timeline-tracks">
+                <!-- Track rows are populated by JavaScript -->
+            </div>
+        `;
+
+        document.body.appendChild(panel);
+        this.timelinePanelVisible = true;
+
+        this.setupTimelinePanelHandlers();
+        this.updateTimelinePanel();
+
+        // Keep the scrubber following the playhead during playback
+        this.panelUpdateInterval = setInterval(() => {
+            if (this.timelinePanelVisible && this.playing) {
+                this.updatePlayheadDisplay();
+            }
+        }, 100); // 10 FPS update rate
+    }
+
+    hideTimelinePanel() {
+        const panel = document.getElementById('timelinePanel');
+        if (panel) {
+            document.body.removeChild(panel);
+        }
+
+        if (this.panelUpdateInterval) {
+            clearInterval(this.panelUpdateInterval);
+            this.panelUpdateInterval = null;
+        }
+
+        this.timelinePanelVisible = false;
+    }
+
+    setupTimelinePanelHandlers() {
+        const closeBtn = document.getElementById('timelineClose');
+        if (closeBtn) {
+            closeBtn.onclick = () => this.hideTimelinePanel();
+        }
+
+        const playBtn = document.getElementById('timelinePlay');
+        if (playBtn) {
+            playBtn.onclick = () => this.togglePlayback();
+        }
+
+        const stopBtn = document.getElementById('timelineStop');
+        if (stopBtn) {
+            stopBtn.onclick = () => {
+                this.stop();
+                this.updateTimelinePanel();
+            };
+        }
+
+        const keyBtn = document.getElementById('timelineKey');
+        if (keyBtn) {
+            keyBtn.onclick = () => this.keyCurrentParameter();
+        }
+
+        // Scrubbing pauses playback so the user stays in control of the playhead
+        const scrub = document.getElementById('timelineScrub');
+        if (scrub) {
+            scrub.oninput = () => {
+                this.playing = false;
+                this.seek(parseFloat(scrub.value));
+                this.updatePlayheadDisplay();
+            };
+        }
+
+        const durationInput = document.getElementById('timelineDuration');
+        if (durationInput) {
+            durationInput.onchange = () => {
+                const seconds = parseFloat(durationInput.value);
+                if (!isNaN(seconds)) {
+                    this.setDuration(seconds);
+                }
+                this.updateTimelinePanel();
+            };
+        }
+
+        const loopCheckbox = document.getElementById('timelineLoop');
+        if (loopCheckbox) {
+            loopCheckbox.onchange = () => {
+                this.loop = loopCheckbox.checked;
+            };
+        }
+
+        const easingSelect = document.getElementById('timelineEasing');
+        if (easingSelect) {
+            easingSelect.onchange = () => {
+                this.defaultEasing = easingSelect.value;
+            };
+        }
+
+        const clearAllBtn = document.getElementById('timelineClearAll');
+        if (clearAllBtn) {
+            clearAllBtn.onclick = () => {
+                if (confirm('Remove all keyframes from the timeline?')) {
+                    this.clearAllTracks();
+                    this.playing = false;
+                    this.updateTimelinePanel();
+                }
+            };
+        }
+    }
+
+    updatePlayheadDisplay() {
+        const scrub = document.getElementById('timelineScrub');
+        const timeLabel = document.getElementById('timelineTime');
+        const playBtn = document.getElementById('timelinePlay');
+
+        if (scrub) {
+            scrub.max = this.duration;
+            scrub.value = this.playhead;
+        }
+        if (timeLabel) {
+            timeLabel.textContent = `${this.playhead.toFixed(2)}s / ${this.duration.toFixed(0)}s`;
+        }
+        if (playBtn) {
+            playBtn.textContent = this.playing ? '⏸ Pause' : '▶ Play';
+        }
+
+        // Move the playhead line on every track row
+        const percent = (this.playhead / this.duration) * 100;
+        document.querySelectorAll('.timeline-track-playhead').forEach(line => {
+            line.style.left = `${percent}%`;
+        });
+    }
+
+    updateTimelinePanel() {
+        if (!this.timelinePanelVisible) return;
+
+        const container = document.getElementById('timelineTracks');
+        if (!container) return;
+
+        const trackKeys = Object.keys(this.tracks);
+
+        if (trackKeys.length === 0) {
+            container.innerHTML = `<div class="timeline-empty">No automation yet - select a parameter and press K (or 🔑) to key it at the playhead</div>`;
+        } else {
+            container.innerHTML = trackKeys.map(paramKey => {
+                const param = this.app.parameters.getParameter(paramKey);
+                const pastEnd = this.tracks[paramKey].filter(keyframe => keyframe.time > this.duration).length;
+                const markers = this.tracks[paramKey].map((keyframe, index) => {
+                    if (keyframe.time > this.duration) return '';
+                    const left = (keyframe.time / this.duration) * 100;
+                    return `<div class="timeline-keyframe" data-param-key="${paramKey}" data-index="${index}" style="left: ${left}%;" title="${keyframe.time.toFixed(2)}s → ${keyframe.value.toFixed(3)} (${keyframe.easing}) - right-click to delete"></div>`;
+                }).join('');
+
+                return `
+                    <div class="timeline-track">
+                        <span class="timeline-track-name" ${pastEnd ? `title="${pastEnd} keyframe(s) past the end"` : ''}>${param ? param.name : paramKey}${pastEnd ? ` (+${pastEnd})` : ''}</span>
+                        <div class="timeline-track-lane" data-param-key="${paramKey}">
+                            ${markers}
+                            <div class="timeline-track-playhead"></div>
+                        </div>
+                        <button class="timeline-track-clear" data-param-key="${paramKey}" title="Clear track">×</button>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        this.setupTrackHandlers();
+        this.updatePlayheadDisplay();
+    }
+
+    setupTrackHandlers() {
+        // Click a keyframe marker to jump to it, right-click to delete it
+        document.querySelectorAll('.timeline-keyframe').forEach(marker => {
+            const paramKey = marker.dataset.paramKey;
+            const index = parseInt(marker.dataset.index);
+
+            marker.onclick = (e) => {
+                e.stopPropagation();
+                const keyframe = this.tracks[paramKey]?.[index];
+                if (keyframe) {
+                    this.playing = false;
+                    this.seek(keyframe.time);
+                    this.updatePlayheadDisplay();
+                }
+            };
+
+            marker.oncontextmenu = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.removeKeyframe(paramKey, index);
+                this.updateTimelinePanel();
+            };
+        });
+
+        // Click an empty spot in a lane to scrub there
+        document.querySelectorAll('.timeline-track-lane').forEach(lane => {
+            lane.onclick = (e) => {
+                const rect = lane.getBoundingClientRect();
+                const fraction = (e.clientX - rect.left) / rect.width;
+                this.playing = false;
+                this.seek(fraction * this.duration);
+                this.updatePlayheadDisplay();
+            };
+        });
+
+        document.querySelectorAll('.timeline-track-clear').forEach(button => {
+            button.onclick = () => {
+                this.clearTrack(button.dataset.paramKey);
+                this.updateTimelinePanel();
+            };
+        });
+    }
+}
@@ -1,4 +1,6 @@
 // UI management and display updates with mobile support
+import { PARAMETER_GROUPS } from './parameters.js';
+
 export class UIManager {
     constructor() {
         this.app = null;
@@ -187,6 +189,32 @@ export class UIManager {
                 paramsHTML += `<div class="artistic-param-line ${selectionClass}" data-param-key="${key}">${param.name}: ${param.value.toFixed(3)}</div>`;
             });
             
+            paramsHTML += '<br>';
+            
+            // Post FX
+            paramsHTML += '<div style="color: #00BCD4; font-weight: bold; margin-bottom: 5px;">POST FX</div>';
+            PARAMETER_GROUPS.post.keys.forEach(key => {
+                const param = this.app.parameters.getParameter(key);
+                const index = this.app.parameters.getParameterKeys().indexOf(key);
+                const isCurrent = index === this.app.currentParameterIndex;
+                const selectionClass = isCurrent ? 'selected' : 'unselected';
+                const value = key === 'pixelation' || key === 'scanline_spacing' ?
+                    param.value.toFixed(0) : param.value.toFixed(3);
+                paramsHTML += `<div class="artistic-param-line ${selectionClass}" data-param-key="${key}">${param.name}: ${value}</div>`;
+            });
+            
+            paramsHTML += '<br>';
+            
+            // Feedback
+            paramsHTML += '<div style="color: #00BCD4; font-weight: bold; margin-bottom: 5px;">FEEDBACK</div>';
+            PARAMETER_GROUPS.feedback.keys.forEach(key => {
+                const param = this.app.parameters.getParameter(key);
+                const index = this.app.parameters.getParameterKeys().indexOf(key);
+                const isCurrent = index === this.app.currentParameterIndex;
+                const selectionClass = isCurrent ? 'selected' : 'unselected';
+                paramsHTML += `<div class="artistic-param-line ${selectionClass}" data-param-key="${key}">${param.name}: ${param.value.toFixed(3)}</div>`;
+            });
+            
             return paramsHTML;
         };
         
@@ -0,0 +1,205 @@
+// WebM container module
+// Wraps the encoded chunks from a WebCodecs VideoEncoder into a playable .webm file. Each block
+// keeps the timestamp its frame was encoded with, so the video plays at exactly the export frame
+// rate no matter how long rendering took (MediaRecorder stamps frames by wall clock instead).
+// One video track, no audio. Chunks stay in memory until finish() lays the file out, so every
+// element size is known up front and the file ends with Cues for seeking.
+
+// Matroska element ids (each already carries its length marker)
+const ID = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    DefaultDuration: 0x23E383,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+// Block timecodes are 16-bit offsets from their cluster's timecode (in ms)
+const MAX_CLUSTER_SPAN = 30000;
+
+// Big-endian unsigned integer - shortest form, or exactly `length` bytes
+function encodeUint(value, length = 0) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0 || bytes.length < length);
+    return new Uint8Array(bytes);
+}
+
+// Element size as an EBML variable-length integer (all ones is reserved for "unknown")
+function encodeSize(size) {
+    let length = 1;
+    while (size >= Math.pow(2, 7 * length) - 1) length++;
+
+    const bytes = encodeUint(size, length);
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function encodeFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function byteLength(parts) {
+    return parts.reduce((total, part) => total + part.length, 0);
+}
+
+// An element as a list of byte arrays - large payloads are never copied into one buffer
+function element(id, parts) {
+    return [encodeUint(id), encodeSize(byteLength(parts)), ...parts];
+}
+
+function uintElement(id, value, length = 0) {
+    return element(id, [encodeUint(value, length)]);
+}
+
+function stringElement(id, value) {
+    return element(id, [new TextEncoder().encode(value)]);
+}
+
+export class WebMWriter {
+    // codecId: Matroska codec id of the chunks ('V_VP9' or 'V_VP8')
+    constructor({ width, height, fps, codecId }) {
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.codecId = codecId;
+        this.clusters = [];                // { timecode (ms), keyframe, parts: [SimpleBlock bytes] }
+        this.duration = 0;                 // End of the last frame, in ms
+    }
+
+    // chunk: EncodedVideoChunk from VideoEncoder's output callback (timestamps in microseconds)
+    addChunk(chunk) {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+
+        const timecode = Math.round(chunk.timestamp / 1000);
+        const keyframe = chunk.type === 'key';
+
+        // Every keyframe opens a cluster, so seeking can land on any of them
+        let cluster = this.clusters[this.clusters.length - 1];
+        if (!cluster || keyframe || timecode - cluster.timecode > MAX_CLUSTER_SPAN) {
+            cluster = { timecode, keyframe, parts: [] };
+            this.clusters.push(cluster);
+        }
+
+        // Track number (as a variable-length integer), relative timecode, flags
+        const header = new Uint8Array(4);
+        header[0] = 0x81;
+        new DataView(header.buffer).setInt16(1, timecode - cluster.timecode);
+        header[3] = keyframe ? 0x80 : 0x00;
+
+        cluster.parts.push(...element(ID.SimpleBlock, [header, data]));
+        this.duration = Math.max(this.duration, timecode + 1000 / this.fps);
+    }
+
+    // The finished file as a Blob
+    finish() {
+        const header = element(ID.EBML, [
+            ...uintElement(ID.EBMLVersion, 1),
+            ...uintElement(ID.EBMLReadVersion, 1),
+            ...uintElement(ID.EBMLMaxIDLength, 4),
+            ...uintElement(ID.EBMLMaxSizeLength, 8),
+            ...stringElement(ID.DocType, 'webm'),
+            ...uintElement(ID.DocTypeVersion, 4),
+            ...uintElement(ID.DocTypeReadVersion, 2)
+        ]);
+
+        const info = element(ID.Info, [
+            ...uintElement(ID.TimecodeScale, 1000000),     // Timecodes in milliseconds
+            ...element(ID.Duration, [encodeFloat(this.duration)]),
+            ...stringElement(ID.MuxingApp, 'Kaldao'),
+            ...stringElement(ID.WritingApp, 'Kaldao')
+        ]);
+
+        const tracks = element(ID.Tracks, element(ID.TrackEntry, [
+            ...uintElement(ID.TrackNumber, 1),
+            ...uintElement(ID.TrackUID, 1),
+            ...uintElement(ID.TrackType, 1),               // Video
+            ...stringElement(ID.CodecID, this.codecId),
+            ...uintElement(ID.DefaultDuration, Math.round(1e9 / this.fps)),
+            ...element(ID.Video, [
+                ...uintElement(ID.PixelWidth, this.width),
+                ...uintElement(ID.PixelHeight, this.height)
+            ])
+        ]));
+
+        const clusters = this.clusters.map(cluster => element(ID.Cluster, [
+            ...uintElement(ID.Timecode, cluster.timecode),
+            ...cluster.parts
+        ]));
+
+        // Positions count from the start of the segment's payload. The seek head uses fixed-width
+        // positions, so its size is known before anything it points at is placed.
+        const seekEntry = (id, position) => element(ID.Seek, [
+            ...element(ID.SeekID, [encodeUint(id)]),
+            ...uintElement(ID.SeekPosition, position, 8)
+        ]);
+        const seekHeadSize = byteLength(element(ID.SeekHead, [
+            ...seekEntry(ID.Info, 0), ...seekEntry(ID.Tracks, 0), ...seekEntry(ID.Cues, 0)
+        ]));
+
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + byteLength(info);
+        let position = tracksPosition + byteLength(tracks);
+
+        const cuePoints = [];
+        clusters.forEach((cluster, index) => {
+            if (this.clusters[index].keyframe) {
+                cuePoints.push(...element(ID.CuePoint, [
+                    ...uintElement(ID.CueTime, this.clusters[index].timecode),
+                    ...element(ID.CueTrackPositions, [
+                        ...uintElement(ID.CueTrack, 1),
+                        ...uintElement(ID.CueClusterPosition, position)
+                    ])
+                ]));
+            }
+            position += byteLength(cluster);
+        });
+        const cues = element(ID.Cues, cuePoints);
+
+        const seekHead = element(ID.SeekHead, [
+            ...seekEntry(ID.Info, infoPosition),
+            ...seekEntry(ID.Tracks, tracksPosition),
+            ...seekEntry(ID.Cues, position)
+        ]);
+
+        const segment = element(ID.Segment, [...seekHead, ...info, ...tracks, ...clusters.flat(), ...cues]);
+        return new Blob([...header, ...segment], { type: 'video/webm' });
+    }
+}
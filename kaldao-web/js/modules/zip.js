@@ -0,0 +1,96 @@
+// Zip archive module
+// Bundles an exported PNG sequence into one download for browsers without the File System
+// Access API - one download per frame gets blocked after the first few. Entries are stored
+// uncompressed (PNGs are already deflated), and each frame is kept as a Blob so the browser
+// can page the archive out of memory. Plain zip, not zip64: at most 65535 entries and 4 GiB.
+
+import { crc32 } from './png.js';
+
+export const ZIP_MAX_ENTRIES = 0xFFFF;
+export const ZIP_MAX_BYTES = 0xFFFFFFFF;
+
+// MS-DOS date and time fields used by the zip headers
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];                   // Local headers and file data, in archive order
+        this.entries = [];                 // { name, crc, size, offset } for the central directory
+        this.offset = 0;                   // Bytes written so far
+        this.stamp = dosDateTime(new Date());
+    }
+
+    // Would adding `size` more bytes (plus headers) break the plain-zip limits?
+    canAdd(name, size) {
+        const headers = 30 + 46 + 2 * new TextEncoder().encode(name).length + 22;
+        return this.entries.length < ZIP_MAX_ENTRIES && this.offset + size + headers <= ZIP_MAX_BYTES;
+    }
+
+    async addFile(name, blob) {
+        if (!this.canAdd(name, blob.size)) {
+            throw new Error('zip archive limit reached (65535 files or 4 GiB)');
+        }
+
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = (crc32(new Uint8Array(await blob.arrayBuffer())) ^ 0xFFFFFFFF) >>> 0;
+
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034B50, true);          // Local file header signature
+        view.setUint16(4, 20, true);                  // Version needed (2.0)
+        view.setUint16(6, 0x0800, true);              // Flags: UTF-8 names
+        view.setUint16(8, 0, true);                   // Method: stored
+        view.setUint16(10, this.stamp.time, true);
+        view.setUint16(12, this.stamp.date, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, blob.size, true);          // Compressed size
+        view.setUint32(22, blob.size, true);          // Uncompressed size
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true);                  // Extra field length
+        header.set(nameBytes, 30);
+
+        this.entries.push({ nameBytes, crc, size: blob.size, offset: this.offset });
+        this.parts.push(header, blob);
+        this.offset += header.length + blob.size;
+    }
+
+    // Central directory and end record - returns the finished archive
+    finish() {
+        const directoryStart = this.offset;
+        const directory = this.entries.map(entry => {
+            const record = new Uint8Array(46 + entry.nameBytes.length);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, 0x02014B50, true);      // Central directory header signature
+            view.setUint16(4, 20, true);              // Version made by
+            view.setUint16(6, 20, true);              // Version needed
+            view.setUint16(8, 0x0800, true);
+            view.setUint16(10, 0, true);
+            view.setUint16(12, this.stamp.time, true);
+            view.setUint16(14, this.stamp.date, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.nameBytes.length, true);
+            // Extra, comment, disk number, internal and external attributes stay zero
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.nameBytes, 46);
+            return record;
+        });
+        const directorySize = directory.reduce((total, record) => total + record.length, 0);
+
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054B50, true);          // End of central directory signature
+        view.setUint16(8, this.entries.length, true);
+        view.setUint16(10, this.entries.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, directoryStart, true);
+
+        return new Blob([...this.parts, ...directory, end], { type: 'application/zip' });
+    }
+}
@@ -0,0 +1,424 @@
+// Kaldao Remote - companion control page (remote.html)
+// Runs on a phone or tablet while the visualizer runs on the projector machine. It speaks the same
+// { address, args } messages as OSC control surfaces (see modules/remote.js), over one of:
+//   - a BroadcastChannel, when the page is open in the same browser as the visualizer
+//   - the WebSocket relay in tools/remote-bridge.js, from any other device on the network
+//     (remote.html?relay=ws://laptop-ip:8765, with the visualizer opened with ?remote)
+//
+// Every message carries the four-digit pairing code the visualizer shows (?code=1234 or the code
+// field) - without it the visualizer answers /kaldao/pairing/refused and ignores the page.
+//
+// Nothing about the visualizer is hard-coded here: once paired it describes its parameters,
+// palettes and presets, and the controls are generated from that. Every change is applied by the
+// visualizer's remote module, so it lands in the same undo history as keyboard edits.
+
+import { REMOTE_CHANNEL_NAME } from './modules/remote.js';
+
+const ADDRESS_PREFIX = '/kaldao';
+const PAGE_SOURCE = 'remote-page';
+
+// Ask again this often until the visualizer answers
+const PAIRING_RETRY_MS = 2000;
+
+// Incoming values for a slider are ignored this long after the user last moved it,
+// so a drag doesn't fight the visualizer's delayed echo
+const LOCAL_MOVE_HOLD_MS = 600;
+
+class RemotePage {
+    constructor() {
+        // Transport
+        this.channel = null;
+        this.socket = null;
+        this.relayUrl = null;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+
+        // Pairing
+        this.paired = false;
+        this.pairingTimer = null;
+        this.pairingCode = '';
+
+        // Generated controls
+        this.description = null;
+        this.sliders = {};               // key -> { input, label, param }
+        this.lastLocalMove = {};
+        this.pendingValues = {};
+        this.flushScheduled = false;
+
+        this.currentPaletteIndex = -1;
+        this.currentLayerPaletteIndex = -1;
+    }
+
+    init() {
+        this.setupStaticHandlers();
+
+        // ?relay=ws://host:port pairs through the bridge, otherwise through this browser
+        const query = new URLSearchParams(window.location.search);
+        const relay = query.get('relay');
+        this.pairingCode = (query.get('code') || '').trim();
+        document.getElementById('remoteRelayInput').value = relay || '';
+        document.getElementById('remoteCodeInput').value = this.pairingCode;
+        this.connect(relay || null);
+    }
+
+    // CONNECTION
+    connect(relayUrl) {
+        this.disconnect();
+        this.relayUrl = relayUrl;
+
+        if (relayUrl) {
+            this.openSocket();
+        } else if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(REMOTE_CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.handleEnvelope(event.data);
+            this.requestPairing();
+        } else {
+            this.setStatus('This browser cannot pair locally - enter the relay address', 'error');
+        }
+    }
+
+    openSocket() {
+        let socket;
+        try {
+            socket = new WebSocket(this.relayUrl);
+        } catch (error) {
+            this.setStatus(`Bad relay address: ${error.message}`, 'error');
+            return;
+        }
+        this.socket = socket;
+        this.setStatus(`Connecting to ${this.relayUrl}...`, 'waiting');
+
+        socket.onopen = () => {
+            this.reconnectDelay = 1000;
+            this.requestPairing();
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                this.handleEnvelope(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('📱 Ignoring malformed message:', event.data);
+            }
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.paired = false;
+            this.setStatus('Relay disconnected - retrying...', 'error');
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.openSocket();
+            }, this.reconnectDelay);
+            this.reconnectDelay = Math.min(10000, this.reconnectDelay * 2);
+        };
+    }
+
+    disconnect() {
+        this.paired = false;
+        if (this.pairingTimer) {
+            clearInterval(this.pairingTimer);
+            this.pairingTimer = null;
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+
+    send(address, args = []) {
+        const message = { address: `${ADDRESS_PREFIX}${address}`, args, source: PAGE_SOURCE, code: this.pairingCode };
+        if (this.channel) {
+            this.channel.postMessage(message);
+        } else if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    // Keep asking for a description until the visualizer answers
+    requestPairing() {
+        this.paired = false;
+        this.setStatus(this.pairingCode ? 'Waiting for Kaldao...' : 'Enter the code shown on Kaldao', 'waiting');
+
+        const ask = () => this.send('/describe');
+        ask();
+        if (!this.pairingTimer) {
+            this.pairingTimer = setInterval(() => {
+                if (this.paired) {
+                    clearInterval(this.pairingTimer);
+                    this.pairingTimer = null;
+                    return;
+                }
+                ask();
+            }, PAIRING_RETRY_MS);
+        }
+    }
+
+    // INCOMING
+    handleEnvelope(message) {
+        if (!message) return;
+        const messages = Array.isArray(message.bundle) ? message.bundle : [message];
+        messages.forEach(item => {
+            if (item && typeof item.address === 'string') {
+                this.handleMessage(item.address, Array.isArray(item.args) ? item.args : []);
+            }
+        });
+    }
+
+    handleMessage(address, args) {
+        if (!address.startsWith(`${ADDRESS_PREFIX}/`)) return;
+        const parts = address.slice(ADDRESS_PREFIX.length + 1).split('/');
+
+        switch (parts[0]) {
+            case 'ready':
+                // The visualizer (re)started - pair again
+                this.requestPairing();
+                break;
+
+            case 'pairing':
+                // Refusals go to every page on the relay - only an unpaired page is asking
+                if (parts[1] === 'refused' && !this.paired) {
+                    this.setStatus(this.pairingCode ? 'Wrong code - check the code shown on Kaldao' : 'Enter the code shown on Kaldao', 'error');
+                }
+                break;
+
+            case 'description':
+                try {
+                    this.applyDescription(JSON.parse(args[0]));
+                } catch (error) {
+                    console.warn('📱 Bad description from visualizer:', error);
+                }
+                break;
+
+            case 'param':
+                if (parts[2] === undefined) this.updateSlider(parts[1], args[0]);
+                break;
+
+            case 'palette':
+                this.currentPaletteIndex = args[0];
+                this.highlightSelection('remotePalettes', args[0]);
+                break;
+
+            case 'layerpalette':
+                this.currentLayerPaletteIndex = args[0];
+                this.highlightSelection('remoteLayerPalettes', args[0]);
+                break;
+
+            case 'invert':
+                document.getElementById('remoteInvert').classList.toggle('remote-button-active', !!args[0]);
+                break;
+
+            case 'crossfader': {
+                const fader = document.getElementById('remoteCrossfader');
+                if (!this.isHeld('crossfader')) fader.value = args[0];
+                break;
+            }
+        }
+    }
+
+    applyDescription(description) {
+        this.description = description;
+        this.paired = true;
+        this.setStatus(this.relayUrl ? 'Paired via relay' : 'Paired', 'paired');
+
+        this.buildParameterSliders(description.parameters);
+        this.buildPaletteButtons(description.palettes, description.layerPalettes);
+        this.buildPresetButtons(description.presets);
+
+        // Values, palette and fader positions follow as regular state messages
+        this.send('/state/request');
+    }
+
+    // GENERATED CONTROLS
+    buildParameterSliders(parameters) {
+        const artistic = document.getElementById('remoteParameters');
+        const debug = document.getElementById('remoteDebugParameters');
+        artistic.innerHTML = '';
+        debug.innerHTML = '';
+        this.sliders = {};
+
+        Object.keys(parameters).forEach(key => {
+            const param = parameters[key];
+
+            const row = document.createElement('div');
+            row.className = 'remote-parameter';
+
+            const header = document.createElement('div');
+            header.className = 'remote-parameter-header';
+            const name = document.createElement('span');
+            name.textContent = param.name;
+            const label = document.createElement('span');
+            label.className = 'remote-parameter-value';
+            header.append(name, label);
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'remote-slider';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = param.value;
+            input.oninput = () => this.queueParameter(key, parseFloat(input.value));
+
+            row.append(header, input);
+            (param.debug ? debug : artistic).appendChild(row);
+
+            this.sliders[key] = { input, label, param };
+            label.textContent = this.formatValue(param.value, param.step);
+        });
+    }
+
+    buildPaletteButtons(palettes, layerPalettes) {
+        const paletteGrid = document.getElementById('remotePalettes');
+        paletteGrid.innerHTML = '';
+        palettes.forEach((palette, index) => {
+            const button = this.createSwatchButton(palette.name, this.getPaletteGradient(palette, index));
+            button.dataset.index = index;
+            button.onclick = () => this.send('/palette', [index]);
+            paletteGrid.appendChild(button);
+        });
+
+        const layerGrid = document.getElementById('remoteLayerPalettes');
+        layerGrid.innerHTML = '';
+        layerPalettes.forEach((palette, index) => {
+            const colors = palette.colors && palette.colors.length > 0 ? palette.colors : ['#222'];
+            const button = this.createSwatchButton(palette.name, `linear-gradient(90deg, ${colors.join(', ')}, ${colors[colors.length - 1]})`);
+            button.dataset.index = index;
+            button.onclick = () => this.send('/layerpalette', [index]);
+            layerGrid.appendChild(button);
+        });
+
+        this.highlightSelection('remotePalettes', this.currentPaletteIndex);
+        this.highlightSelection('remoteLayerPalettes', this.currentLayerPaletteIndex);
+    }
+
+    buildPresetButtons(presets) {
+        const grid = document.getElementById('remotePresets');
+        grid.innerHTML = '';
+
+        if (presets.length === 0) {
+            grid.textContent = 'No presets loaded';
+            return;
+        }
+
+        presets.forEach(preset => {
+            const button = document.createElement('button');
+            button.className = 'remote-button remote-preset';
+            button.textContent = preset.name;
+            button.onclick = () => this.send('/preset/load', [preset.id]);
+            grid.appendChild(button);
+        });
+    }
+
+    createSwatchButton(name, background) {
+        const button = document.createElement('button');
+        button.className = 'remote-button remote-swatch';
+
+        const swatch = document.createElement('span');
+        swatch.className = 'remote-swatch-color';
+        swatch.style.background = background;
+        const label = document.createElement('span');
+        label.textContent = name;
+
+        button.append(swatch, label);
+        return button;
+    }
+
+    // Same cosine palette as the shader, sampled into a CSS gradient
+    getPaletteGradient(palette, index) {
+        if (index === 0 || !palette.a) {
+            return 'linear-gradient(90deg, #000, #fff)';
+        }
+
+        const colors = [];
+        for (let i = 0; i < 8; i++) {
+            const t = i / 7.0;
+            const channel = (c) => Math.round(255 * Math.max(0, Math.min(1,
+                palette.a[c] + palette.b[c] * Math.cos(6.28318 * (palette.c[c] * t + palette.d[c])))));
+            colors.push(`rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`);
+        }
+        return `linear-gradient(90deg, ${colors.join(', ')})`;
+    }
+
+    highlightSelection(gridId, index) {
+        document.querySelectorAll(`#${gridId} [data-index]`).forEach(button => {
+            button.classList.toggle('remote-button-active', parseInt(button.dataset.index, 10) === index);
+        });
+    }
+
+    updateSlider(key, value) {
+        const slider = this.sliders[key];
+        if (!slider || typeof value !== 'number' || this.isHeld(key)) return;
+        slider.input.value = value;
+        slider.label.textContent = this.formatValue(value, slider.param.step);
+    }
+
+    // OUTGOING
+    // Slider moves are sent at most once per frame
+    queueParameter(key, value) {
+        this.lastLocalMove[key] = performance.now();
+        this.pendingValues[key] = value;
+
+        const slider = this.sliders[key];
+        if (slider) slider.label.textContent = this.formatValue(value, slider.param.step);
+
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+        requestAnimationFrame(() => {
+            this.flushScheduled = false;
+            Object.keys(this.pendingValues).forEach(pendingKey => {
+                this.send(`/param/${pendingKey}`, [this.pendingValues[pendingKey]]);
+            });
+            this.pendingValues = {};
+        });
+    }
+
+    isHeld(key) {
+        return this.lastLocalMove[key] !== undefined && performance.now() - this.lastLocalMove[key] < LOCAL_MOVE_HOLD_MS;
+    }
+
+    setupStaticHandlers() {
+        document.getElementById('remoteUndo').onclick = () => this.send('/undo');
+        document.getElementById('remoteRedo').onclick = () => this.send('/redo');
+        document.getElementById('remoteRandomize').onclick = () => this.send('/randomize');
+        document.getElementById('remoteInvert').onclick = () => this.send('/invert');
+
+        const fader = document.getElementById('remoteCrossfader');
+        fader.oninput = () => {
+            this.lastLocalMove.crossfader = performance.now();
+            this.send('/crossfader', [parseFloat(fader.value)]);
+        };
+
+        document.getElementById('remoteRelayForm').onsubmit = (e) => {
+            e.preventDefault();
+            const relay = document.getElementById('remoteRelayInput').value.trim();
+            this.pairingCode = document.getElementById('remoteCodeInput').value.trim();
+            this.connect(relay || null);
+        };
+    }
+
+    // HELPERS
+    formatValue(value, step) {
+        const decimals = step >= 1 ? 0 : Math.min(3, Math.ceil(-Math.log10(step)));
+        return Number(value).toFixed(decimals);
+    }
+
+    setStatus(text, state) {
+        const status = document.getElementById('remoteStatus');
+        status.textContent = text;
+        status.className = `remote-status remote-status-${state}`;
+    }
+}
+
+// Start once the page is loaded
+const page = new RemotePage();
+window.addEventListener('load', () => page.init());
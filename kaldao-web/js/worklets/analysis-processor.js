@@ -0,0 +1,141 @@
+// Audio analysis worklet
+// Runs on the audio rendering thread. Keeps a ring buffer of the mono input and, every hop
+// (fftSize / 4 samples - about 12 ms at 44.1 kHz), computes the spectrum, the band levels,
+// RMS, peak, spectral centroid, the tempo tracker's flux and onsets, and posts them to
+// AudioSystem as one compact frame stamped with its audio-clock time. The main thread never
+// reads the AnalyserNode while this runs, and onsets carry their own time instead of the
+// video frame they happen to be noticed on.
+//
+// Messages in:  { type: 'bands', bands: [{ key, low, high }], version }
+//               { type: 'onsets', settings: { enabled, sensitivity, minInterval } }
+//               { type: 'reset' }
+// Messages out: { time (audio clock, seconds), version, features: Float32Array, onsets: [key] }
+//               features follow FEATURE_INDEX in spectrum.js, then one level per band
+
+import { SpectrumAnalyser, FEATURE_INDEX, FEATURE_COUNT, measureSpectrum } from '../modules/spectrum.js';
+import { LEGACY_BANDS, getBandBins, getSpectrumLevel } from '../modules/audio-bands.js';
+import { OnsetDetector, ONSET_DEFAULTS } from '../modules/onsets.js';
+import { measureLowBandFlux } from '../modules/tempo.js';
+
+// AnalyserNode smooths once per read, i.e. about this many times a second
+const READS_PER_SECOND = 60;
+
+class AnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { fftSize = 2048, smoothingTimeConstant = 0.8 } = options.processorOptions || {};
+
+        this.fftSize = fftSize;
+        this.hopSize = fftSize / 4;
+        this.binHz = sampleRate / fftSize;
+
+        // Same time constant as the AnalyserNode's smoothing, at the hop rate instead of the read rate
+        const smoothing = Math.pow(smoothingTimeConstant, this.hopSize / sampleRate * READS_PER_SECOND);
+        this.spectrum = new SpectrumAnalyser(fftSize, smoothing);
+
+        this.ring = new Float32Array(fftSize);
+        this.block = new Float32Array(fftSize);
+        this.writeIndex = 0;
+        this.hopSamples = 0;
+        this.hopSumSquares = 0;
+        this.hopPeak = 0;
+
+        this.bandKeys = [];
+        this.bandRanges = {};
+        this.bandsVersion = 0;
+        this.onsetSettings = { ...ONSET_DEFAULTS };
+        this.onsetDetector = new OnsetDetector();
+        this.previousLowBins = null;
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'bands':
+                this.bandKeys = message.bands.map(band => band.key);
+                this.bandRanges = {};
+                message.bands.forEach(band => {
+                    this.bandRanges[band.key] = getBandBins(band, this.binHz, this.spectrum.frequencyBinCount);
+                });
+                this.bandsVersion = message.version;
+                this.onsetDetector.reset();
+                break;
+            case 'onsets':
+                this.onsetSettings = { ...this.onsetSettings, ...message.settings };
+                break;
+            case 'reset':
+                this.onsetDetector.reset();
+                this.previousLowBins = null;
+                break;
+        }
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        const channels = input.length;
+        const length = input[0].length;
+        for (let i = 0; i < length; i++) {
+            let sample = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                sample += input[channel][i];
+            }
+            sample /= channels;
+
+            this.ring[this.writeIndex] = sample;
+            this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+            this.hopSumSquares += sample * sample;
+            const magnitude = Math.abs(sample);
+            if (magnitude > this.hopPeak) this.hopPeak = magnitude;
+
+            if (++this.hopSamples >= this.hopSize) {
+                this.analyseHop(currentTime + (i + 1) / sampleRate);
+            }
+        }
+        return true;
+    }
+
+    analyseHop(time) {
+        // Unroll the ring buffer, oldest sample first
+        const tail = this.fftSize - this.writeIndex;
+        this.block.set(this.ring.subarray(this.writeIndex), 0);
+        this.block.set(this.ring.subarray(0, this.writeIndex), tail);
+        this.spectrum.analyse(this.block);
+        const bytes = this.spectrum.bytes;
+
+        const features = new Float32Array(FEATURE_COUNT + this.bandKeys.length);
+        const { level, centroid } = measureSpectrum(bytes, this.binHz);
+        features[FEATURE_INDEX.level] = level;
+        features[FEATURE_INDEX.rms] = Math.sqrt(this.hopSumSquares / this.hopSamples);
+        features[FEATURE_INDEX.peak] = Math.min(1, this.hopPeak);
+        features[FEATURE_INDEX.centroid] = centroid;
+        features[FEATURE_INDEX.bass] = getSpectrumLevel(bytes, this.binHz, ...LEGACY_BANDS.bass);
+        features[FEATURE_INDEX.mid] = getSpectrumLevel(bytes, this.binHz, ...LEGACY_BANDS.mid);
+        features[FEATURE_INDEX.treble] = getSpectrumLevel(bytes, this.binHz, ...LEGACY_BANDS.treble);
+
+        const { flux, lowBins } = measureLowBandFlux(bytes, this.previousLowBins, this.binHz);
+        this.previousLowBins = lowBins;
+        features[FEATURE_INDEX.tempoFlux] = flux;
+
+        this.bandKeys.forEach((key, index) => {
+            const { start, end } = this.bandRanges[key];
+            let sum = 0;
+            for (let i = start; i < end; i++) sum += bytes[i];
+            features[FEATURE_COUNT + index] = end > start ? sum / (end - start) / 255 : 0;
+        });
+
+        const onsets = this.onsetSettings.enabled
+            ? this.onsetDetector.process(bytes, this.bandRanges, time * 1000, this.onsetSettings)
+            : [];
+
+        this.port.postMessage({ time, version: this.bandsVersion, features, onsets }, [features.buffer]);
+
+        this.hopSamples = 0;
+        this.hopSumSquares = 0;
+        this.hopPeak = 0;
+    }
+}
+
+registerProcessor('kaldao-analysis', AnalysisProcessor);
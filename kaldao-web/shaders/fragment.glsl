@@ -11,10 +11,17 @@
 
 precision highp float;
 
+// Compile-time bound of the layer loop (GLSL ES 1.0 loops need a constant bound).
+// The renderer prepends its own value for each shader variant - see LAYER_BUCKETS in renderer.js
+#ifndef MAX_LAYERS
+#define MAX_LAYERS 10.0
+#endif
+
 // ====================
 // CORE SYSTEM UNIFORMS - Drive basic fractal animation and structure
 // ====================
 uniform vec2 u_resolution;                 // Screen resolution for aspect ratio correction
+uniform vec2 u_tile_offset;                // Pixel offset of this tile within a tiled high-res capture (0 normally)
 // u_time removed - not used in shader, JavaScript handles time accumulation
 uniform float u_camera_position;           // Position along tunnel path (JavaScript-controlled)
 uniform float u_rotation_time;             // Accumulated rotation time (JavaScript-controlled)
@@ -94,7 +101,8 @@ uniform float u_truchet_diagonal_threshold; // Replaces hardcoded: sqrt(0.5) ≈
 
 // COLOR SYSTEM UNIFORMS
 // u_use_color_palette and u_use_layer_colors removed - replaced by u_color_mode
-uniform float u_invert_colors;             // Apply color inversion post-processing
+uniform float u_invert_colors;             // Color inversion when the post-processing chain is unavailable
+uniform float u_vignette;                  // Built-in vignette when the post-processing chain is unavailable
 uniform float u_color_mode;                // Color mode: 0=B&W, 1=Original/Palette, 2=Layer
 uniform vec3 u_palette_a;                  // Color palette coefficient A
 uniform vec3 u_palette_b;                  // Color palette coefficient B
@@ -467,7 +475,8 @@ vec3 color(vec3 ww, vec3 uu, vec3 vv, vec3 ro, vec2 p) {
     float cutOff = u_layer_cutoff; // Was hardcoded 0.95
     
     // Enhanced layer rendering loop with configurable parameters
-    for (float i = 1.0; i <= 10.0; i += 1.0) {
+    // Unrolled up to this variant's MAX_LAYERS; u_layer_count stops it earlier
+    for (float i = 1.0; i <= MAX_LAYERS; i += 1.0) {
         if (i > furthest) break;
         
         float pz = planeDist * nz + planeDist * i;
@@ -544,11 +553,15 @@ vec3 postProcess(vec3 col, vec2 q) {
     col = col * 0.6 + 0.4 * col * col * (3.0 - 2.0 * col);
     col = mix(col, vec3(dot(col, vec3(0.33))), -0.4);
 
-    // Vignette effect (unchanged)
-    col *= 0.5 + 0.5 * pow(19.0 * q.x * q.y * (1.0 - q.x) * (1.0 - q.y), 0.7);
+    // Vignette, bloom, grain and the rest run afterwards as post-processing passes
+    // (js/modules/post-process.js), which also handle inversion. Without them the
+    // original vignette stays here
+    if (u_vignette > 0.5) {
+        col *= 0.5 + 0.5 * pow(19.0 * q.x * q.y * (1.0 - q.x) * (1.0 - q.y), 0.7);
+    }
     col *= u_color_intensity;
 
-    // Color inversion
+    // Color inversion - only set when the post-processing chain isn't running
     if (u_invert_colors > 0.5) {
         col = vec3(1.0) - col;
     }
@@ -561,7 +574,7 @@ vec3 postProcess(vec3 col, vec2 q) {
 // ====================
 
 void main() {
-    vec2 q = gl_FragCoord.xy / u_resolution.xy;
+    vec2 q = (gl_FragCoord.xy + u_tile_offset) / u_resolution.xy;
     vec2 p = -1.0 + 2.0 * q;
     p.x *= u_resolution.x / u_resolution.y;
     
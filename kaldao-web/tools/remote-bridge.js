@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+// Kaldao remote-control bridge
+// A stand-in for a real OSC router, with no dependencies beyond Node itself:
+//   - OSC over UDP in (TouchOSC, Max/MSP, lighting desks) → JSON over WebSocket to Kaldao
+//   - JSON from Kaldao (state broadcasts) → OSC over UDP back out to the control surface, and to
+//     every other WebSocket client (phone remote pages)
+//   - Messages from other WebSocket clients (remote pages, scripts) → Kaldao only
+//   - Lines typed on stdin ("/kaldao/param/fly_speed 0.5") are sent to Kaldao as messages
+//
+// Usage:
+//   node tools/remote-bridge.js [--ws-port 8765] [--host 127.0.0.1] [--allow-origin http://host:port]
+//                               [--osc-in 9000] [--osc-out 127.0.0.1:9001] [--quiet]
+// Then open Kaldao with ?remote (or ?remote=ws://host:port) or run kaldaoDebug.remoteConnect().
+//
+// The WebSocket and the OSC port only listen on this machine unless --host says otherwise
+// (--host 0.0.0.0 for a phone or a control surface on the LAN). Browsers may only connect from
+// localhost pages or an origin passed with --allow-origin (repeatable; 'null' for pages opened
+// from file://) - otherwise any web page open on the network could drive the visualizer.
+// Clients that send no Origin (scripts) are allowed.
+//
+// Kaldao identifies itself with source: 'visualizer' and must connect from this machine. Remote
+// pages send the visualizer's pairing code with every message, so their messages go to Kaldao
+// alone and are never shown to other clients. The bridge marks OSC and stdin traffic with
+// source: 'osc' (the only messages Kaldao takes without a code) and strips that mark from
+// anything a WebSocket client sends.
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const readline = require('readline');
+
+// CONFIGURATION
+function parseArgs(argv) {
+    const options = { wsPort: 8765, host: '127.0.0.1', allowedOrigins: [], oscIn: 9000, oscOutHost: '127.0.0.1', oscOutPort: 9001, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--ws-port') options.wsPort = parseInt(argv[++i], 10);
+        else if (arg === '--host') options.host = argv[++i];
+        else if (arg === '--allow-origin') options.allowedOrigins.push(argv[++i].replace(/\/+$/, ''));
+        else if (arg === '--osc-in') options.oscIn = parseInt(argv[++i], 10);
+        else if (arg === '--osc-out') {
+            const [host, port] = argv[++i].split(':');
+            options.oscOutHost = host || options.oscOutHost;
+            options.oscOutPort = parseInt(port, 10) || options.oscOutPort;
+        } else if (arg === '--quiet') options.quiet = true;
+        else if (arg === '--help' || arg === '-h') {
+            console.log('node tools/remote-bridge.js [--ws-port 8765] [--host 127.0.0.1] [--allow-origin http://host:port] [--osc-in 9000] [--osc-out 127.0.0.1:9001] [--quiet]');
+            process.exit(0);
+        }
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const log = (...args) => { if (!options.quiet) console.log(...args); };
+
+// OSC ENCODING
+// OSC strings and blobs are padded with zeros to a multiple of 4 bytes
+function padLength(length) {
+    return (length + 4) & ~3;
+}
+
+function readOSCString(buffer, offset) {
+    let end = offset;
+    while (end < buffer.length && buffer[end] !== 0) end++;
+    return { value: buffer.toString('utf8', offset, end), offset: padLength(end - offset) + offset };
+}
+
+function writeOSCString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const buffer = Buffer.alloc(padLength(bytes.length));
+    bytes.copy(buffer);
+    return buffer;
+}
+
+// Message → { address, args } ; bundle → { bundle: [messages] }
+function decodeOSC(buffer) {
+    const head = readOSCString(buffer, 0);
+
+    if (head.value === '#bundle') {
+        const messages = [];
+        let offset = head.offset + 8; // skip the time tag
+        while (offset + 4 <= buffer.length) {
+            const size = buffer.readInt32BE(offset);
+            // A zero, negative or overlong size would stall or overrun - the rest is garbage
+            if (size <= 0 || offset + 4 + size > buffer.length) break;
+            const element = decodeOSC(buffer.subarray(offset + 4, offset + 4 + size));
+            messages.push(...(element.bundle || [element]));
+            offset += 4 + size;
+        }
+        return { bundle: messages };
+    }
+
+    const address = head.value;
+    const tags = readOSCString(buffer, head.offset);
+    let offset = tags.offset;
+    const args = [];
+
+    for (const tag of tags.value.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buffer.readInt32BE(offset)); offset += 4; break;
+            case 'f': args.push(buffer.readFloatBE(offset)); offset += 4; break;
+            case 'd': args.push(buffer.readDoubleBE(offset)); offset += 8; break;
+            case 's': {
+                const text = readOSCString(buffer, offset);
+                args.push(text.value);
+                offset = text.offset;
+                break;
+            }
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N': args.push(null); break;
+            default:
+                // Unknown type tags have unknown sizes - stop rather than misread the rest
+                return { address, args };
+        }
+    }
+
+    return { address, args };
+}
+
+function encodeOSC(message) {
+    const args = Array.isArray(message.args) ? message.args : [];
+    let tags = ',';
+    const parts = [];
+
+    args.forEach(arg => {
+        if (typeof arg === 'number') {
+            const buffer = Buffer.alloc(4);
+            if (Number.isInteger(arg)) {
+                tags += 'i';
+                buffer.writeInt32BE(arg);
+            } else {
+                tags += 'f';
+                buffer.writeFloatBE(arg);
+            }
+            parts.push(buffer);
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else {
+            tags += 's';
+            parts.push(writeOSCString(String(arg)));
+        }
+    });
+
+    return Buffer.concat([writeOSCString(message.address), writeOSCString(tags), ...parts]);
+}
+
+// WEBSOCKET SERVER (RFC 6455, text frames only)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;   // Largest frame (or fragmented message) a client may send
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const clients = new Set();
+
+// Browsers always send Origin - only localhost pages and the --allow-origin list get in
+function isAllowedOrigin(origin) {
+    if (origin === undefined) return true;
+    if (options.allowedOrigins.includes(origin)) return true;
+    try {
+        const url = new URL(origin);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && LOCAL_HOSTNAMES.includes(url.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function encodeFrame(data, opcode = 0x1) {
+    const payload = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of the client's buffer.
+// Returns false when the client sent something too large and has been disconnected.
+function readFrames(client, onText) {
+    while (client.buffer.length >= 2) {
+        const first = client.buffer[0];
+        const second = client.buffer[1];
+        const opcode = first & 0x0F;
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (client.buffer.length < 4) return true;
+            length = client.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (client.buffer.length < 10) return true;
+            length = Number(client.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Checked before waiting for the payload, so a huge length can't make the buffer grow forever
+        const pending = client.fragments.reduce((total, fragment) => total + fragment.length, 0);
+        if (length + pending > MAX_MESSAGE_BYTES) {
+            const status = Buffer.alloc(2);
+            status.writeUInt16BE(1009); // Message too big
+            client.socket.end(encodeFrame(status, 0x8));
+            client.buffer = Buffer.alloc(0);
+            client.fragments = [];
+            return false;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (client.buffer.length < offset + length) return true;
+
+        const payload = Buffer.from(client.buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= client.buffer[maskOffset + (i % 4)];
+            }
+        }
+        client.buffer = client.buffer.subarray(offset + length);
+
+        // Fragmented messages are collected until the final frame
+        if (opcode === 0x1 || opcode === 0x0) {
+            client.fragments.push(payload);
+            if (first & 0x80) {
+                onText(Buffer.concat(client.fragments).toString('utf8'));
+                client.fragments = [];
+            }
+        } else if (opcode === 0x8) {
+            client.socket.end(encodeFrame('', 0x8));
+            return false;
+        } else if (opcode === 0x9) {
+            client.socket.write(encodeFrame(payload, 0xA));
+        }
+    }
+    return true;
+}
+
+const OSC_SOURCE = 'osc';
+const VISUALIZER_SOURCE = 'visualizer';
+let visualizer = null;   // The client Kaldao itself is connected on
+
+function isLoopback(address) {
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+function sendToVisualizer(message) {
+    if (!visualizer) return false;
+    visualizer.socket.write(encodeFrame(JSON.stringify(message)));
+    return true;
+}
+
+function broadcastToClients(text, except = null) {
+    const frame = encodeFrame(text);
+    clients.forEach(client => {
+        if (client !== except) client.socket.write(frame);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('Kaldao remote bridge - connect with a WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (!isAllowedOrigin(request.headers.origin)) {
+        log(`⛔ Refused WebSocket from origin ${request.headers.origin} (allow it with --allow-origin)`);
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const client = { socket, buffer: Buffer.alloc(0), fragments: [] };
+    clients.add(client);
+    log(`🔌 WebSocket client connected (${clients.size} total)`);
+
+    const drop = (how = 'disconnected') => {
+        if (client === visualizer) {
+            visualizer = null;
+            log('🖥️  Kaldao disconnected');
+        }
+        if (clients.delete(client)) {
+            log(`🔌 WebSocket client ${how} (${clients.size} left)`);
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        if (!clients.has(client)) return; // Closing - ignore anything still arriving
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        const open = readFrames(client, (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                log('⚠️  Ignoring non-JSON WebSocket message');
+                return;
+            }
+            if (!message || typeof message !== 'object') return;
+
+            if (message.source === VISUALIZER_SOURCE && !visualizer && isLoopback(socket.remoteAddress)) {
+                visualizer = client;
+                log('🖥️  Kaldao connected');
+            }
+
+            if (client !== visualizer) {
+                // Pages and scripts talk to Kaldao only - their pairing codes stay between the two
+                if (message.source === OSC_SOURCE) delete message.source;
+                if (!sendToVisualizer(message)) log('⚠️  No Kaldao connected - message dropped');
+                return;
+            }
+
+            // Kaldao's broadcasts reach the remote pages and go back out as OSC so the
+            // control surface stays in sync
+            broadcastToClients(text, client);
+            const messages = Array.isArray(message.bundle) ? message.bundle : [message];
+            messages.forEach(item => {
+                if (item && typeof item.address === 'string') {
+                    oscSocket.send(encodeOSC(item), options.oscOutPort, options.oscOutHost);
+                }
+            });
+        });
+        if (!open) drop('closed');
+    });
+
+    socket.on('close', () => drop());
+    socket.on('error', () => drop());
+});
+
+// OSC OVER UDP
+const oscSocket = dgram.createSocket('udp4');
+
+oscSocket.on('message', (buffer, remote) => {
+    try {
+        const message = decodeOSC(buffer);
+        log(`🎛️  OSC ${remote.address}:${remote.port} ${JSON.stringify(message)}`);
+        sendToVisualizer({ ...message, source: OSC_SOURCE });
+    } catch (error) {
+        log(`⚠️  Bad OSC packet from ${remote.address}: ${error.message}`);
+    }
+});
+
+// STDIN - "/address arg arg ..." for quick testing without a control surface
+function parseLine(line) {
+    const [address, ...rest] = line.trim().split(/\s+/);
+    const args = rest.map(token => {
+        const number = Number(token);
+        return Number.isNaN(number) ? token : number;
+    });
+    return { address, args };
+}
+
+const input = readline.createInterface({ input: process.stdin });
+input.on('line', (line) => {
+    if (!line.trim().startsWith('/')) return;
+    const message = parseLine(line);
+    const sent = sendToVisualizer({ ...message, source: OSC_SOURCE });
+    log(`➡️  ${JSON.stringify(message)} ${sent ? '→ Kaldao' : '(no Kaldao connected)'}`);
+});
+
+// START
+server.listen(options.wsPort, options.host, () => {
+    oscSocket.bind(options.oscIn, options.host, () => {
+        console.log('📡 Kaldao remote bridge');
+        console.log(`   WebSocket:  ws://${options.host}:${options.wsPort}`);
+        if (options.allowedOrigins.length > 0) {
+            console.log(`   Origins:    localhost, ${options.allowedOrigins.join(', ')}`);
+        }
+        console.log(`   OSC in:     udp ${options.host}:${options.oscIn}`);
+        console.log(`   OSC out:    udp ${options.oscOutHost}:${options.oscOutPort}`);
+        console.log('   Type "/kaldao/param/fly_speed 0.5" and press Enter to send a message');
+    });
+});